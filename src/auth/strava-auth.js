@@ -528,7 +528,10 @@ class StravaAuth {
                     console.log(`📥 New import: ${route.name} (${route.id})`);
                 }
                 
-                window.fileUploader.addRoute(route);
+                // The same ride may already be in the library as an uploaded GPX file
+                const duplicates = isReimport ? new Map() : await window.fileUploader.resolveDuplicateRoutes([route]);
+                const duplicateAction = duplicates.get(route)?.action;
+                window.fileUploader.addRoute(route, { duplicateAction });
                 
                 // Save to IndexedDB storage (will overwrite if ID already exists)
                 await window.fileUploader.saveRoutesToStorage();
@@ -542,7 +545,11 @@ class StravaAuth {
                 window.fileUploader.hideLoadingState();
                 
                 // Show success notification with reimport indicator
-                const message = isReimport ? `🔄 Updated: ${route.name}` : `✅ Imported: ${route.name}`;
+                const messages = {
+                    merge: `🔀 Merged into existing route: ${route.name}`,
+                    skip: `⏭️ Already in your library: ${route.name}`
+                };
+                const message = messages[duplicateAction] || (isReimport ? `🔄 Updated: ${route.name}` : `✅ Imported: ${route.name}`);
                 this.showNotification(message, 'success');
             } else {
                 console.error('❌ File uploader not available');
@@ -878,10 +885,11 @@ class StravaAuth {
             statusDiv.textContent = 'Gathering existing routes...';
             progressBar.style.width = '5%';
             
-            // Get existing Strava route IDs from storage to skip re-importing
+            // Get existing Strava route IDs from storage to skip re-importing, including
+            // activities merged into routes uploaded from files
             const existingIds = window.fileUploader?.uploadedRoutes
-                .filter(route => route.id && route.id.startsWith('strava_'))
-                .map(route => route.id) || [];
+                .flatMap(route => [route.id, ...(route.metadata?.duplicateIds || [])])
+                .filter(id => id && id.startsWith('strava_')) || [];
             
             console.log(`📦 Starting bulk import from ${startDate} to ${endDate}`);
             console.log(`🎯 Activity types: ${selectedTypes.join(', ')}`);
@@ -922,12 +930,19 @@ class StravaAuth {
             // Add all routes to the file uploader
             if (window.fileUploader && result.routes.length > 0) {
 
-                const routeList = result.routes.map(r => ({
+                const importedRoutes = result.routes.map(r => ({
                     ...r,
                     id: r.id || window.fileUploader.generateRouteId(),
                     startTime: r.startTime ? new Date(r.startTime) : null,
                 }));
 
+                // Activities already in the library under another ID (e.g. uploaded as GPX)
+                statusDiv.textContent = 'Checking for duplicates...';
+                const duplicates = await window.fileUploader.resolveDuplicateRoutes(importedRoutes);
+                const routeList = window.fileUploader.applyDuplicateDecisions(importedRoutes, duplicates);
+                const skippedDuplicates = [...duplicates.values()].filter(decision => decision.action === 'skip').length;
+                const mergedDuplicates = [...duplicates.values()].filter(decision => decision.action === 'merge').length;
+
                 // Save all new routes
                 await window.fileUploader?.storageManager?.saveRoutes(routeList);
                 
@@ -961,6 +976,10 @@ class StravaAuth {
                 if (result.skipped && result.skipped.length > 0) {
                     summaryMessage += `\n⏭️  ${result.skipped.length} already imported (skipped)`;
                 }
+
+                if (mergedDuplicates > 0 || skippedDuplicates > 0) {
+                    summaryMessage += `\n🔁 ${mergedDuplicates} merged with and ${skippedDuplicates} skipped as duplicates of existing routes`;
+                }
                 
                 if (result.errors.length > 0) {
                     summaryMessage += `\n⚠️ ${result.errors.length} failed to import`;
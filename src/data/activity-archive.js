@@ -0,0 +1,241 @@
+// Activity Archive Importer
+// Unpacks Strava "Download your data" and Garmin bulk export ZIPs into route files,
+// using activities.csv to attach names, sport types and dates
+import ZipReader, { decompress } from './zip-reader.js';
+
+const ACTIVITY_EXTENSIONS = ['.gpx', '.fit', '.tcx', '.kml', '.geojson'];
+const MAX_NESTED_ARCHIVE_DEPTH = 2; // Garmin exports wrap activity files in per-part ZIPs
+
+// Normalise Strava/Garmin activity types to the sport names used elsewhere
+export const ACTIVITY_TYPES = {
+    ride: 'cycling',
+    cycling: 'cycling',
+    'road cycling': 'cycling',
+    'virtual ride': 'cycling',
+    'e-bike ride': 'cycling',
+    'gravel ride': 'cycling',
+    'mountain bike ride': 'cycling',
+    'mountain biking': 'cycling',
+    run: 'running',
+    running: 'running',
+    'trail run': 'running',
+    'trail running': 'running',
+    'virtual run': 'running',
+    walk: 'walking',
+    walking: 'walking',
+    hike: 'hiking',
+    hiking: 'hiking',
+    swim: 'swimming',
+    'open water swimming': 'swimming'
+};
+
+class ActivityArchiveImporter {
+    constructor() {
+        this.supportedFormats = ['.zip'];
+        this.maxFileSize = 2 * 1024 * 1024 * 1024; // 2GB
+    }
+
+    isArchive(file) {
+        return file.name.toLowerCase().endsWith('.zip');
+    }
+
+    // Unpack an export ZIP into activity Files; failures are collected rather than thrown
+    async expandArchive(file) {
+        console.log(`📦 Unpacking archive: ${file.name} (${(file.size / 1024 / 1024).toFixed(1)}MB)`);
+
+        if (file.size > this.maxFileSize) {
+            throw new Error(`Archive too large. Please upload a ZIP smaller than 2GB.`);
+        }
+
+        const buffer = await this.readFileBuffer(file);
+        const collected = { activityEntries: [], csvTexts: [], failed: [] };
+        await this.collectEntries(new ZipReader(buffer), collected, 0);
+
+        const activityIndex = this.buildActivityIndex(collected.csvTexts.flatMap(text => this.parseCSV(text)));
+        const activityInfo = new Map();
+
+        const files = collected.activityEntries.map(({ path, bytes }) => {
+            const filename = baseName(path).replace(/\.gz$/i, '');
+            const activityFile = new File([bytes], filename);
+            const info = this.findActivityInfo(path, activityIndex);
+            if (info) {
+                activityInfo.set(activityFile, info);
+            }
+            return activityFile;
+        });
+
+        // Oldest first, so activities are imported (and ordered by "Added") in the order they were recorded
+        files.sort((a, b) => (activityInfo.get(a)?.time || '').localeCompare(activityInfo.get(b)?.time || ''));
+
+        console.log(`📦 Found ${files.length} activity file(s) in ${file.name} (${activityInfo.size} matched in activities.csv)`);
+        return { files, activityInfo, failed: collected.failed };
+    }
+
+    // Walk archive entries, descending into nested ZIPs and gunzipping .gz activity files
+    async collectEntries(zipReader, collected, depth) {
+        for (const entry of zipReader.readEntries()) {
+            const lowerName = entry.name.toLowerCase();
+            const innerName = lowerName.replace(/\.gz$/, '');
+
+            try {
+                if (baseName(lowerName) === 'activities.csv') {
+                    collected.csvTexts.push(new TextDecoder('utf-8').decode(await zipReader.extract(entry)));
+                } else if (lowerName.endsWith('.zip') && depth < MAX_NESTED_ARCHIVE_DEPTH) {
+                    const nestedBytes = await zipReader.extract(entry);
+                    await this.collectEntries(new ZipReader(nestedBytes.buffer), collected, depth + 1);
+                } else if (ACTIVITY_EXTENSIONS.some(extension => innerName.endsWith(extension))) {
+                    let bytes = await zipReader.extract(entry);
+                    if (lowerName.endsWith('.gz')) {
+                        bytes = await decompress(bytes, 'gzip');
+                    }
+                    collected.activityEntries.push({ path: entry.name, bytes });
+                }
+            } catch (error) {
+                console.error(`❌ Failed to unpack ${entry.name}:`, error);
+                collected.failed.push({ filename: baseName(entry.name), error: error.message });
+            }
+        }
+    }
+
+    // Read file content as an ArrayBuffer
+    readFileBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    // Parse CSV text into row objects keyed by lower-cased header (RFC 4180 quoting)
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+        const keys = header.map(name => name.replace(/^\uFEFF/, '').trim().toLowerCase());
+
+        return records.map(cells => keys.reduce((record, key, index) => {
+            // Strava repeats some column names; keep the first non-empty value
+            if (!record[key]) record[key] = (cells[index] ?? '').trim();
+            return record;
+        }, {}));
+    }
+
+    // Index CSV rows by activity filename and by activity id
+    buildActivityIndex(records) {
+        const byFilename = new Map();
+        const byId = new Map();
+
+        records.forEach(record => {
+            const info = this.toActivityInfo(record);
+            if (record.filename) {
+                byFilename.set(normaliseActivityPath(record.filename), info);
+            }
+            const activityId = record['activity id'];
+            if (activityId) {
+                byId.set(activityId, info);
+            }
+        });
+
+        return { byFilename, byId };
+    }
+
+    toActivityInfo(record) {
+        const name = record['activity name'] || record.title || null;
+        const type = record['activity type'] || null;
+        const description = record['activity description'] || record.description || null;
+
+        return {
+            name,
+            sport: type ? (ACTIVITY_TYPES[type.toLowerCase()] || type.toLowerCase()) : null,
+            time: parseActivityDate(record['activity date'] || record.date || ''),
+            description
+        };
+    }
+
+    // Match an archive entry to its CSV row by filename, falling back to a numeric activity id in the name
+    findActivityInfo(path, activityIndex) {
+        const byFilename = activityIndex.byFilename.get(normaliseActivityPath(path));
+        if (byFilename) {
+            return byFilename;
+        }
+
+        const idMatch = baseName(path).match(/\d{5,}/);
+        return idMatch ? activityIndex.byId.get(idMatch[0]) || null : null;
+    }
+
+    // Attach CSV details to a parsed route; the CSV name also replaces numeric export filenames
+    applyActivityInfo(routeData, info) {
+        const extension = routeData.filename.slice(routeData.filename.lastIndexOf('.'));
+
+        return {
+            ...routeData,
+            filename: info.name ? `${info.name}${extension}` : routeData.filename,
+            metadata: {
+                ...routeData.metadata,
+                ...(info.name && { name: info.name }),
+                ...(info.sport && { sport: info.sport }),
+                ...(info.time && { time: info.time }),
+                ...(info.description && { description: info.description })
+            }
+        };
+    }
+}
+
+function baseName(path) {
+    return path.slice(path.lastIndexOf('/') + 1);
+}
+
+// "activities/123.gpx.gz" and "123.gpx" both index as "123.gpx"
+function normaliseActivityPath(path) {
+    return baseName(path.trim()).toLowerCase().replace(/\.gz$/, '');
+}
+
+// Strava writes "Jan 5, 2024, 7:32:10 AM" in UTC; Garmin writes "2024-01-05 07:32:10" in local time
+function parseActivityDate(text) {
+    if (!text) return null;
+
+    const isoLike = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}/.test(text);
+    const date = isoLike ? new Date(text.replace(' ', 'T')) : new Date(`${text} UTC`);
+    const fallback = isNaN(date) ? new Date(text) : date;
+
+    return isNaN(fallback) ? null : fallback.toISOString();
+}
+
+export default ActivityArchiveImporter;
@@ -0,0 +1,275 @@
+// DEM Tile Reader
+// Reads elevation grids from SRTM .hgt tiles (optionally zipped) and simple GeoTIFFs into a
+// common tile shape: { name, originLat, originLon, cellHeight, cellWidth, rows, cols, values, noData }
+// where (originLat, originLon) is the centre of the north-west sample and values are row-major from the north.
+import ZipReader from './zip-reader.js';
+
+const HGT_VOID = -32768;
+
+// TIFF tags we need for a single-band elevation raster
+const TIFF_TAGS = {
+    imageWidth: 256,
+    imageLength: 257,
+    bitsPerSample: 258,
+    compression: 259,
+    stripOffsets: 273,
+    samplesPerPixel: 277,
+    rowsPerStrip: 278,
+    tileWidth: 322,
+    tileLength: 323,
+    tileOffsets: 324,
+    sampleFormat: 339,
+    modelPixelScale: 33550,
+    modelTiepoint: 33922,
+    geoKeyDirectory: 34735,
+    gdalNoData: 42113
+};
+
+// TIFF field type -> [byte size, DataView reader]
+const TIFF_TYPES = {
+    1: [1, 'getUint8'], 2: [1, 'getUint8'], 3: [2, 'getUint16'], 4: [4, 'getUint32'],
+    6: [1, 'getInt8'], 8: [2, 'getInt16'], 9: [4, 'getInt32'], 11: [4, 'getFloat32'], 12: [8, 'getFloat64']
+};
+
+const GEO_KEY_MODEL_TYPE = 1024;       // 1 = projected, 2 = geographic
+const GEO_KEY_RASTER_TYPE = 1025;      // 1 = PixelIsArea, 2 = PixelIsPoint
+const MODEL_TYPE_GEOGRAPHIC = 2;
+const RASTER_PIXEL_IS_POINT = 2;
+
+class DEMTileReader {
+    constructor() {
+        this.supportedFormats = ['.hgt', '.zip', '.tif', '.tiff'];
+    }
+
+    // Read a user-supplied DEM file; a ZIP may hold several .hgt/.tif tiles
+    async readTileFile(file) {
+        const name = file.name.toLowerCase();
+        const buffer = await this.readFileBuffer(file);
+
+        if (name.endsWith('.zip')) {
+            const zipReader = new ZipReader(buffer);
+            const tiles = [];
+            for (const entry of zipReader.readEntries()) {
+                const entryName = entry.name.toLowerCase();
+                if (entryName.endsWith('.hgt') || entryName.endsWith('.tif') || entryName.endsWith('.tiff')) {
+                    const bytes = await zipReader.extract(entry);
+                    tiles.push(this.parseTile(bytes.buffer, entry.name));
+                }
+            }
+            if (tiles.length === 0) {
+                throw new Error(`No .hgt or GeoTIFF tiles found in ${file.name}`);
+            }
+            return tiles;
+        }
+
+        return [this.parseTile(buffer, file.name)];
+    }
+
+    parseTile(buffer, filename) {
+        const name = filename.toLowerCase();
+        if (name.endsWith('.hgt')) {
+            return this.parseHGT(buffer, filename);
+        }
+        if (name.endsWith('.tif') || name.endsWith('.tiff')) {
+            return this.parseGeoTIFF(buffer, filename);
+        }
+        throw new Error(`Unsupported DEM format: ${filename}. Please use SRTM .hgt or GeoTIFF tiles.`);
+    }
+
+    // SRTM .hgt: square grid of big-endian int16 metres, named after its south-west corner (e.g. N46E007)
+    parseHGT(buffer, filename) {
+        const match = filename.match(/([NS])(\d{1,2})([EW])(\d{1,3})[^/]*\.hgt$/i);
+        if (!match) {
+            throw new Error(`Cannot tell tile location from ${filename} (expected a name like N46E007.hgt)`);
+        }
+
+        const size = Math.sqrt(buffer.byteLength / 2);
+        if (!Number.isInteger(size) || size < 2) {
+            throw new Error(`${filename} is not a valid SRTM tile`);
+        }
+
+        const south = parseInt(match[2], 10) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+        const west = parseInt(match[4], 10) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+
+        const view = new DataView(buffer);
+        const values = new Int16Array(size * size);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = view.getInt16(i * 2, false);
+        }
+
+        // Samples sit on the grid lines, so edge samples are shared with neighbouring tiles
+        const cellSize = 1 / (size - 1);
+        return {
+            name: hgtTileName(south, west),
+            originLat: south + 1,
+            originLon: west,
+            cellHeight: cellSize,
+            cellWidth: cellSize,
+            rows: size,
+            cols: size,
+            values,
+            noData: HGT_VOID
+        };
+    }
+
+    // Single-band, uncompressed GeoTIFF in geographic (lat/lon) coordinates, stripped or tiled
+    parseGeoTIFF(buffer, filename = 'GeoTIFF') {
+        const view = new DataView(buffer);
+        const byteOrder = String.fromCharCode(view.getUint8(0), view.getUint8(1));
+        if (byteOrder !== 'II' && byteOrder !== 'MM') {
+            throw new Error(`${filename} is not a TIFF file`);
+        }
+        const littleEndian = byteOrder === 'II';
+        if (view.getUint16(2, littleEndian) !== 42) {
+            throw new Error(`${filename} is not a classic TIFF (BigTIFF is not supported)`);
+        }
+
+        const fields = this.readTIFFDirectory(view, view.getUint32(4, littleEndian), littleEndian);
+        const first = (tag, fallback = null) => fields.get(tag)?.[0] ?? fallback;
+
+        const cols = first(TIFF_TAGS.imageWidth);
+        const rows = first(TIFF_TAGS.imageLength);
+        const bitsPerSample = first(TIFF_TAGS.bitsPerSample, 1);
+        const sampleFormat = first(TIFF_TAGS.sampleFormat, 1);
+
+        if (first(TIFF_TAGS.compression, 1) !== 1) {
+            throw new Error(`${filename} is compressed; please export an uncompressed GeoTIFF`);
+        }
+        if (first(TIFF_TAGS.samplesPerPixel, 1) !== 1) {
+            throw new Error(`${filename} has more than one band`);
+        }
+
+        const scale = fields.get(TIFF_TAGS.modelPixelScale);
+        const tiepoint = fields.get(TIFF_TAGS.modelTiepoint);
+        if (!scale || !tiepoint) {
+            throw new Error(`${filename} has no georeferencing (ModelPixelScale/ModelTiepoint)`);
+        }
+
+        const geoKeys = this.readGeoKeys(fields.get(TIFF_TAGS.geoKeyDirectory));
+        if (geoKeys.get(GEO_KEY_MODEL_TYPE) !== undefined && geoKeys.get(GEO_KEY_MODEL_TYPE) !== MODEL_TYPE_GEOGRAPHIC) {
+            throw new Error(`${filename} is projected; only geographic (lat/lon) GeoTIFFs are supported`);
+        }
+
+        if (!fields.has(TIFF_TAGS.stripOffsets) && !fields.has(TIFF_TAGS.tileOffsets)) {
+            throw new Error(`${filename} has no image data`);
+        }
+
+        const readSample = this.sampleReader(view, bitsPerSample, sampleFormat, littleEndian, filename);
+        const values = new Float32Array(cols * rows);
+
+        if (fields.has(TIFF_TAGS.tileOffsets)) {
+            const tileWidth = first(TIFF_TAGS.tileWidth);
+            const tileLength = first(TIFF_TAGS.tileLength);
+            const tilesAcross = Math.ceil(cols / tileWidth);
+            fields.get(TIFF_TAGS.tileOffsets).forEach((offset, tileIndex) => {
+                const tileRow = Math.floor(tileIndex / tilesAcross) * tileLength;
+                const tileCol = (tileIndex % tilesAcross) * tileWidth;
+                for (let r = 0; r < tileLength && tileRow + r < rows; r++) {
+                    for (let c = 0; c < tileWidth && tileCol + c < cols; c++) {
+                        values[(tileRow + r) * cols + tileCol + c] = readSample(offset, r * tileWidth + c);
+                    }
+                }
+            });
+        } else {
+            const rowsPerStrip = first(TIFF_TAGS.rowsPerStrip, rows);
+            fields.get(TIFF_TAGS.stripOffsets).forEach((offset, stripIndex) => {
+                const startIndex = stripIndex * rowsPerStrip * cols;
+                const sampleCount = Math.min(rowsPerStrip * cols, values.length - startIndex);
+                for (let i = 0; i < sampleCount; i++) {
+                    values[startIndex + i] = readSample(offset, i);
+                }
+            });
+        }
+
+        // The tiepoint is the corner of the first pixel unless the raster is PixelIsPoint
+        const pixelIsPoint = geoKeys.get(GEO_KEY_RASTER_TYPE) === RASTER_PIXEL_IS_POINT;
+        const [cellWidth, cellHeight] = scale;
+        const [tieCol, tieRow, , tieX, tieY] = tiepoint;
+        const tieLon = tieX - tieCol * cellWidth;
+        const tieLat = tieY + tieRow * cellHeight;
+        const noDataText = fields.get(TIFF_TAGS.gdalNoData);
+        const noData = noDataText ? parseFloat(noDataText) : null;
+
+        return {
+            name: filename,
+            originLat: tieLat - (pixelIsPoint ? 0 : cellHeight / 2),
+            originLon: tieLon + (pixelIsPoint ? 0 : cellWidth / 2),
+            cellHeight,
+            cellWidth,
+            rows,
+            cols,
+            values,
+            noData: Number.isFinite(noData) ? noData : null
+        };
+    }
+
+    // Read the first image file directory into a Map of tag -> values (ASCII values as a string)
+    readTIFFDirectory(view, offset, littleEndian) {
+        const fields = new Map();
+        const entryCount = view.getUint16(offset, littleEndian);
+
+        for (let i = 0; i < entryCount; i++) {
+            const entryOffset = offset + 2 + i * 12;
+            const tag = view.getUint16(entryOffset, littleEndian);
+            const type = view.getUint16(entryOffset + 2, littleEndian);
+            const count = view.getUint32(entryOffset + 4, littleEndian);
+            const [size, reader] = TIFF_TYPES[type] || [];
+            if (!size) continue;
+
+            // Values that fit in 4 bytes are stored inline
+            const valueOffset = size * count <= 4 ? entryOffset + 8 : view.getUint32(entryOffset + 8, littleEndian);
+            const values = Array.from({ length: count }, (_, index) => view[reader](valueOffset + index * size, littleEndian));
+
+            fields.set(tag, type === 2 ? String.fromCharCode(...values).replace(/\0+$/, '') : values);
+        }
+
+        return fields;
+    }
+
+    // GeoKeyDirectory is a list of shorts: a 4-value header, then (keyId, location, count, value) entries
+    readGeoKeys(directory = []) {
+        const keys = new Map();
+        for (let i = 4; i + 3 < directory.length; i += 4) {
+            const [keyId, location, , value] = directory.slice(i, i + 4);
+            if (location === 0) {
+                keys.set(keyId, value);
+            }
+        }
+        return keys;
+    }
+
+    sampleReader(view, bitsPerSample, sampleFormat, littleEndian, filename) {
+        const readers = {
+            '8:1': ['getUint8', 1], '8:2': ['getInt8', 1],
+            '16:1': ['getUint16', 2], '16:2': ['getInt16', 2],
+            '32:1': ['getUint32', 4], '32:2': ['getInt32', 4], '32:3': ['getFloat32', 4],
+            '64:3': ['getFloat64', 8]
+        };
+        const [method, size] = readers[`${bitsPerSample}:${sampleFormat}`] || [];
+        if (!method) {
+            throw new Error(`${filename} uses an unsupported sample type (${bitsPerSample}-bit, format ${sampleFormat})`);
+        }
+        return (blockOffset, index) => view[method](blockOffset + index * size, littleEndian);
+    }
+
+    // Read file content as an ArrayBuffer
+    readFileBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+}
+
+// SRTM tile name for the 1°x1° cell containing a coordinate, e.g. (46.5, 7.2) -> "N46E007"
+export function hgtTileName(lat, lon) {
+    const south = Math.floor(lat);
+    const west = Math.floor(lon);
+    const latPart = `${south < 0 ? 'S' : 'N'}${String(Math.abs(south)).padStart(2, '0')}`;
+    const lonPart = `${west < 0 ? 'W' : 'E'}${String(Math.abs(west)).padStart(3, '0')}`;
+    return `${latPart}${lonPart}`;
+}
+
+export default DEMTileReader;
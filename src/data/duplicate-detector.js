@@ -0,0 +1,198 @@
+// Duplicate Detector
+// Recognises the same activity arriving twice under different IDs - e.g. a ride uploaded as GPX
+// (route_...) and later imported from Strava (strava_<id>) - from a fingerprint of start time,
+// duration, distance and how closely the two tracks follow each other.
+
+export const DEFAULT_DUPLICATE_OPTIONS = {
+    maxStartDifferenceSeconds: 120, // Recordings of one activity start within a couple of minutes
+    maxDurationDifference: 0.1,     // Share of the longer duration the two may differ by
+    maxDistanceDifference: 0.1,     // Share of the longer distance the two may differ by
+    matchRadiusMeters: 50,          // A sample "follows" the other track if it's this close to it
+    minGeometrySimilarity: 0.8,     // Share of samples that must follow the other track (timed routes)
+    minUntimedSimilarity: 0.95,     // Without timestamps only near-identical tracks count
+    sampleCount: 50,                // Samples taken along each route for the geometry check
+    maxComparePoints: 2000          // Track points compared against (longer tracks are thinned)
+};
+
+const METERS_PER_DEGREE = 111320;
+
+class DuplicateDetector {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_DUPLICATE_OPTIONS, ...options };
+    }
+
+    // Start time (ms or null), duration (s) and distance (km) used to pre-filter candidates
+    fingerprint(route) {
+        const firstTimed = (route.points || []).find(point => timeOf(point.timestamp) !== null);
+        return {
+            startTime: timeOf(firstTimed?.timestamp) ?? timeOf(route.startTime),
+            duration: route.duration || 0,
+            distance: route.distance || 0
+        };
+    }
+
+    // The most similar route among candidates that looks like the same activity, or null.
+    // Returns { route, similarity, startDifferenceSeconds }.
+    findDuplicate(route, candidates = []) {
+        let best = null;
+
+        candidates.forEach(candidate => {
+            if (candidate === route || (route.id && candidate.id === route.id)) {
+                return;
+            }
+            const match = this.compare(route, candidate);
+            if (match && (!best || match.similarity > best.similarity)) {
+                best = { route: candidate, ...match };
+            }
+        });
+
+        return best;
+    }
+
+    // Compare two routes; null when they are different activities
+    compare(a, b) {
+        const options = this.options;
+        const fa = this.fingerprint(a);
+        const fb = this.fingerprint(b);
+        const timed = fa.startTime !== null && fb.startTime !== null;
+
+        let startDifferenceSeconds = null;
+        if (timed) {
+            startDifferenceSeconds = Math.abs(fa.startTime - fb.startTime) / 1000;
+            if (startDifferenceSeconds > options.maxStartDifferenceSeconds) {
+                return null;
+            }
+
+            const longerDuration = Math.max(fa.duration, fb.duration);
+            const allowedDuration = Math.max(longerDuration * options.maxDurationDifference, options.maxStartDifferenceSeconds);
+            if (Math.abs(fa.duration - fb.duration) > allowedDuration) {
+                return null;
+            }
+        }
+
+        const longerDistance = Math.max(fa.distance, fb.distance);
+        if (longerDistance > 0 && Math.abs(fa.distance - fb.distance) > longerDistance * options.maxDistanceDifference) {
+            return null;
+        }
+
+        const similarity = this.geometrySimilarity(a.points || [], b.points || []);
+        if (similarity < (timed ? options.minGeometrySimilarity : options.minUntimedSimilarity)) {
+            return null;
+        }
+
+        return { similarity, startDifferenceSeconds };
+    }
+
+    // Share (0..1) of samples along each track lying within matchRadiusMeters of the other; the
+    // lower of the two directions, so a short ride isn't a "duplicate" of a longer one containing it
+    geometrySimilarity(pointsA, pointsB) {
+        const a = pointsA.filter(isLocated);
+        const b = pointsB.filter(isLocated);
+        if (a.length === 0 || b.length === 0) {
+            return 0;
+        }
+
+        return Math.min(this.followShare(a, b), this.followShare(b, a));
+    }
+
+    followShare(from, to) {
+        const samples = thin(from, this.options.sampleCount);
+        const track = thin(to, this.options.maxComparePoints);
+        const following = samples.filter(sample => distanceToTrack(sample, track) <= this.options.matchRadiusMeters);
+        return following.length / samples.length;
+    }
+
+    // Combine two copies of an activity: the existing route keeps its ID and name, the copy with
+    // more points provides the track and stats, and the other copy's ID is remembered so the
+    // same import can be recognised (and skipped) later
+    mergeRoutes(existing, incoming) {
+        const richer = (incoming.points?.length || 0) > (existing.points?.length || 0) ? incoming : existing;
+
+        const waypointKeys = new Set();
+        const waypoints = [...(existing.waypoints || []), ...(incoming.waypoints || [])].filter(waypoint => {
+            const key = `${waypoint.name}|${waypoint.lat}|${waypoint.lon}`;
+            if (waypointKeys.has(key)) return false;
+            waypointKeys.add(key);
+            return true;
+        });
+
+        const duplicateIds = [...new Set([
+            ...(existing.metadata?.duplicateIds || []),
+            incoming.id,
+            ...(incoming.metadata?.duplicateIds || [])
+        ].filter(id => id && id !== existing.id))];
+
+        const merged = {
+            ...incoming,
+            ...existing,
+            points: richer.points,
+            distance: richer.distance,
+            elevationGain: richer.elevationGain,
+            elevationLoss: richer.elevationLoss,
+            minElevation: richer.minElevation,
+            maxElevation: richer.maxElevation,
+            duration: richer.duration,
+            pointCount: richer.points?.length || 0,
+            metadata: {
+                ...incoming.metadata,
+                ...existing.metadata,
+                duplicateIds
+            }
+        };
+
+        if (richer.segments) {
+            merged.segments = richer.segments;
+        } else {
+            delete merged.segments;
+        }
+        if (waypoints.length > 0) {
+            merged.waypoints = waypoints;
+        }
+
+        console.log(`🔀 Merged duplicate ${incoming.filename || incoming.id} into ${existing.filename || existing.id} (track from ${richer === incoming ? 'new' : 'existing'} copy)`);
+        return merged;
+    }
+}
+
+function timeOf(value) {
+    if (!value) return null;
+    const time = new Date(value).getTime();
+    return Number.isFinite(time) ? time : null;
+}
+
+function isLocated(point) {
+    return Number.isFinite(point.lat) && Number.isFinite(point.lon);
+}
+
+// Evenly spaced subset (by index) of at most count points, always including both ends
+function thin(points, count) {
+    if (points.length <= count) {
+        return points;
+    }
+    const step = (points.length - 1) / (count - 1);
+    return Array.from({ length: count }, (_, i) => points[Math.round(i * step)]);
+}
+
+// Shortest distance in metres from a point to a polyline (local flat-earth approximation)
+function distanceToTrack(point, track) {
+    const lonScale = Math.cos(point.lat * Math.PI / 180);
+    const project = (p) => [(p.lon - point.lon) * lonScale * METERS_PER_DEGREE, (p.lat - point.lat) * METERS_PER_DEGREE];
+
+    let previous = project(track[0]);
+    let nearest = Math.hypot(previous[0], previous[1]);
+
+    for (let i = 1; i < track.length; i++) {
+        const current = project(track[i]);
+        const dx = current[0] - previous[0];
+        const dy = current[1] - previous[1];
+        const lengthSquared = dx * dx + dy * dy;
+        // The point sits at the origin, so project (0,0) onto the segment
+        const t = lengthSquared === 0 ? 0 : Math.min(Math.max(-(previous[0] * dx + previous[1] * dy) / lengthSquared, 0), 1);
+        nearest = Math.min(nearest, Math.hypot(previous[0] + dx * t, previous[1] + dy * t));
+        previous = current;
+    }
+
+    return nearest;
+}
+
+export default DuplicateDetector;
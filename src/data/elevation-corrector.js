@@ -0,0 +1,165 @@
+// Elevation Corrector
+// Fills or replaces route elevations from offline DEM tiles (SRTM .hgt or GeoTIFF), for indoor
+// rides, phone recordings and Strava segments whose altitude is missing or defaulted to 0.
+// No tiles ship with the app: the user picks tile files, which stay loaded for the session.
+import DEMTileReader, { hgtTileName } from './dem-tile-reader.js';
+import GPXParser from './gpx-parser.js';
+
+class ElevationCorrector {
+    constructor() {
+        this.tileReader = new DEMTileReader();
+        // Share statistics with the GPX parser so corrected gain matches parsed routes
+        this.statsCalculator = new GPXParser();
+        this.tiles = [];
+    }
+
+    hasTiles() {
+        return this.tiles.length > 0;
+    }
+
+    // Add parsed tiles, replacing any already loaded under the same name
+    addTiles(tiles) {
+        tiles.forEach(tile => {
+            this.tiles = this.tiles.filter(existing => existing.name !== tile.name);
+            this.tiles.push(tile);
+            console.log(`🗻 Loaded DEM tile ${tile.name} (${tile.cols}×${tile.rows})`);
+        });
+    }
+
+    // Load user-supplied DEM files; failures are collected rather than thrown
+    async loadTileFiles(files) {
+        const results = { loaded: 0, failed: [] };
+
+        for (const file of Array.from(files)) {
+            try {
+                const tiles = await this.tileReader.readTileFile(file);
+                this.addTiles(tiles);
+                results.loaded += tiles.length;
+            } catch (error) {
+                console.error(`❌ Failed to load DEM tile ${file.name}:`, error);
+                results.failed.push({ filename: file.name, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    // SRTM tile names a set of points falls in
+    requiredTileNames(points) {
+        return [...new Set(points.map(point => hgtTileName(point.lat, point.lon)))];
+    }
+
+    // Share of points (0..1) that fall on a loaded tile
+    coverage(points) {
+        if (points.length === 0) return 0;
+        return points.filter(point => this.findTile(point.lat, point.lon)).length / points.length;
+    }
+
+    findTile(lat, lon) {
+        return this.tiles.find(tile => {
+            const column = (lon - tile.originLon) / tile.cellWidth;
+            const row = (tile.originLat - lat) / tile.cellHeight;
+            return column >= -0.5 && row >= -0.5 && column <= tile.cols - 0.5 && row <= tile.rows - 0.5;
+        }) || null;
+    }
+
+    // Bilinear interpolation between the four surrounding samples, skipping voids
+    sampleElevation(lat, lon) {
+        const tile = this.findTile(lat, lon);
+        if (!tile) {
+            return null;
+        }
+
+        const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+        const column = clamp((lon - tile.originLon) / tile.cellWidth, tile.cols - 1);
+        const row = clamp((tile.originLat - lat) / tile.cellHeight, tile.rows - 1);
+        const column0 = Math.floor(column);
+        const row0 = Math.floor(row);
+        const column1 = Math.min(column0 + 1, tile.cols - 1);
+        const row1 = Math.min(row0 + 1, tile.rows - 1);
+        const tx = column - column0;
+        const ty = row - row0;
+
+        const corners = [
+            [row0, column0, (1 - tx) * (1 - ty)],
+            [row0, column1, tx * (1 - ty)],
+            [row1, column0, (1 - tx) * ty],
+            [row1, column1, tx * ty]
+        ];
+
+        let weightedSum = 0;
+        let totalWeight = 0;
+        corners.forEach(([r, c, weight]) => {
+            const value = tile.values[r * tile.cols + c];
+            if (Number.isFinite(value) && value !== tile.noData) {
+                weightedSum += value * weight;
+                totalWeight += weight;
+            }
+        });
+
+        return totalWeight > 0 ? weightedSum / totalWeight : null;
+    }
+
+    // 'replace' when the route's elevation is missing or flat (e.g. defaulted to 0),
+    // 'fill' when only some points lack it, null when it looks fine
+    suggestMode(route) {
+        const elevations = (route.points || []).map(point => point.elevation);
+        const recorded = elevations.filter(Number.isFinite);
+
+        if (recorded.length === 0 || recorded.every(elevation => elevation === recorded[0])) {
+            return 'replace';
+        }
+        return recorded.length < elevations.length ? 'fill' : null;
+    }
+
+    // Correct a route's elevations ('fill' only touches missing values, 'replace' overwrites all)
+    correctRoute(route, { mode = 'fill' } = {}) {
+        let changedPoints = 0;
+        let uncoveredPoints = 0;
+
+        const points = route.points.map(point => {
+            if (mode === 'fill' && Number.isFinite(point.elevation)) {
+                return point;
+            }
+
+            const elevation = this.sampleElevation(point.lat, point.lon);
+            if (elevation === null) {
+                uncoveredPoints++;
+                return point;
+            }
+
+            changedPoints++;
+            return { ...point, elevation };
+        });
+
+        const stats = this.statsCalculator.calculateStats(points);
+        const summarise = (source) => ({
+            elevationGain: source.elevationGain || 0,
+            elevationLoss: source.elevationLoss || 0,
+            minElevation: source.minElevation ?? null,
+            maxElevation: source.maxElevation ?? null
+        });
+
+        const report = {
+            mode,
+            changedPoints,
+            uncoveredPoints,
+            before: summarise(this.statsCalculator.calculateStats(route.points)),
+            after: summarise(stats)
+        };
+
+        console.log(`🗻 DEM correction (${mode}) for ${route.filename || 'route'}: ${changedPoints} points updated, ${uncoveredPoints} outside loaded tiles`);
+
+        return {
+            route: {
+                ...route,
+                points,
+                ...stats,
+                metadata: { ...route.metadata, elevationCorrection: report }
+            },
+            report
+        };
+    }
+}
+
+export default ElevationCorrector;
@@ -0,0 +1,129 @@
+// Elevation Profile
+// Shared elevation smoothing and climbing calculation, so parsed stats, aggregated stats and
+// cumulative-elevation coins all agree. Summing every positive delta of raw GPS/barometric
+// elevation counts noise as climbing; instead elevations are averaged over a short stretch of
+// track and only changes larger than a threshold (hysteresis) count as gain or loss.
+
+export const DEFAULT_ELEVATION_OPTIONS = {
+    smoothingDistanceMeters: 40, // Average elevation over this much track (0 disables smoothing)
+    climbThreshold: 3            // Metres the smoothed elevation must move before it counts as gain/loss
+};
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Smooth elevations with a moving average over a distance window centred on each point.
+// Distance-based rather than point-based so dense 1Hz recordings and sparse planned routes
+// are treated alike. Missing elevations stay null; segments are smoothed independently.
+export function smoothElevations(points = [], smoothingDistanceMeters = DEFAULT_ELEVATION_OPTIONS.smoothingDistanceMeters) {
+    const elevations = points.map(point => (Number.isFinite(point.elevation) ? point.elevation : null));
+    if (!(smoothingDistanceMeters > 0) || points.length < 3) {
+        return elevations;
+    }
+
+    const halfWindow = smoothingDistanceMeters / 2;
+    const smoothed = new Array(points.length);
+
+    splitAtSegmentBreaks(points).forEach(({ start, end }) => {
+        // Distance along the segment to each point
+        const along = [0];
+        for (let i = start + 1; i < end; i++) {
+            along.push(along[along.length - 1] + distanceMeters(points[i - 1], points[i]));
+        }
+
+        // Sliding window over [along - halfWindow, along + halfWindow]
+        let windowStart = start;
+        let windowEnd = start;
+        let sum = 0;
+        let count = 0;
+
+        for (let i = start; i < end; i++) {
+            while (windowEnd < end && along[windowEnd - start] - along[i - start] <= halfWindow) {
+                if (elevations[windowEnd] !== null) {
+                    sum += elevations[windowEnd];
+                    count++;
+                }
+                windowEnd++;
+            }
+            while (along[i - start] - along[windowStart - start] > halfWindow) {
+                if (elevations[windowStart] !== null) {
+                    sum -= elevations[windowStart];
+                    count--;
+                }
+                windowStart++;
+            }
+
+            // A point alone in its window keeps its exact value (no running-sum rounding)
+            const alone = windowEnd - windowStart === 1;
+            smoothed[i] = elevations[i] === null || count === 0 || alone ? elevations[i] : sum / count;
+        }
+    });
+
+    return smoothed;
+}
+
+// Calculate gain/loss with a threshold: the reference level only moves (and the difference is
+// counted) once the smoothed elevation has climbed or dropped by at least climbThreshold.
+// Also returns the running gain at every point for cumulative-elevation routes.
+export function calculateElevationProfile(points = [], options = {}) {
+    const { smoothingDistanceMeters, climbThreshold } = { ...DEFAULT_ELEVATION_OPTIONS, ...options };
+    const elevations = smoothElevations(points, smoothingDistanceMeters);
+    const cumulativeGain = new Array(points.length).fill(0);
+
+    let elevationGain = 0;
+    let elevationLoss = 0;
+
+    splitAtSegmentBreaks(points).forEach(({ start, end }) => {
+        // Nothing was recorded between two track segments, so each starts a new reference level
+        let reference = null;
+
+        for (let i = start; i < end; i++) {
+            const elevation = elevations[i];
+
+            if (elevation !== null) {
+                if (reference === null) {
+                    reference = elevation;
+                } else if (elevation - reference >= climbThreshold) {
+                    elevationGain += elevation - reference;
+                    reference = elevation;
+                } else if (reference - elevation >= climbThreshold) {
+                    elevationLoss += reference - elevation;
+                    reference = elevation;
+                }
+            }
+
+            cumulativeGain[i] = elevationGain;
+        }
+    });
+
+    return { elevationGain, elevationLoss, cumulativeGain, smoothedElevations: elevations };
+}
+
+// Index ranges [start, end) of runs with the same segmentIndex (same rule as GPXParser.calculateStats)
+function splitAtSegmentBreaks(points) {
+    const ranges = [];
+    let start = 0;
+
+    for (let i = 1; i <= points.length; i++) {
+        const prev = points[i - 1];
+        const curr = points[i];
+        const isSegmentBreak = curr && prev.segmentIndex != null && curr.segmentIndex != null &&
+            prev.segmentIndex !== curr.segmentIndex;
+
+        if (!curr || isSegmentBreak) {
+            ranges.push({ start, end: i });
+            start = i;
+        }
+    }
+
+    return ranges;
+}
+
+// Haversine distance in metres
+function distanceMeters(a, b) {
+    const toRadians = (degrees) => degrees * (Math.PI / 180);
+    const dLat = toRadians(b.lat - a.lat);
+    const dLon = toRadians(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
@@ -0,0 +1,384 @@
+// FIT (Flexible and Interoperable Data Transfer) File Parser
+// Decodes Garmin binary activity files into the same route structure as GPXParser
+import GPXParser from './gpx-parser.js';
+
+// FIT timestamps count seconds from 1989-12-31T00:00:00Z
+const FIT_EPOCH_OFFSET_SECONDS = 631065600;
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+// Global message numbers we care about
+const MESG_FILE_ID = 0;
+const MESG_SESSION = 18;
+const MESG_RECORD = 20;
+
+// Record message field definition numbers
+const RECORD_FIELD_LAT = 0;
+const RECORD_FIELD_LON = 1;
+const RECORD_FIELD_ALTITUDE = 2;
+const RECORD_FIELD_ENHANCED_ALTITUDE = 78;
+const FIELD_TIMESTAMP = 253;
+
+// Session message field definition numbers
+const SESSION_FIELD_SPORT = 5;
+
+const FIT_SPORTS = {
+    0: 'generic',
+    1: 'running',
+    2: 'cycling',
+    5: 'swimming',
+    11: 'walking',
+    13: 'alpine_skiing',
+    17: 'hiking',
+    21: 'e_biking'
+};
+
+// Base type id (low 5 bits) -> byte size, DataView reader and "invalid" sentinel
+const FIT_BASE_TYPES = {
+    0x00: { size: 1, read: (view, offset) => view.getUint8(offset), invalid: 0xFF },            // enum
+    0x01: { size: 1, read: (view, offset) => view.getInt8(offset), invalid: 0x7F },             // sint8
+    0x02: { size: 1, read: (view, offset) => view.getUint8(offset), invalid: 0xFF },            // uint8
+    0x03: { size: 2, read: (view, offset, le) => view.getInt16(offset, le), invalid: 0x7FFF },  // sint16
+    0x04: { size: 2, read: (view, offset, le) => view.getUint16(offset, le), invalid: 0xFFFF }, // uint16
+    0x05: { size: 4, read: (view, offset, le) => view.getInt32(offset, le), invalid: 0x7FFFFFFF },  // sint32
+    0x06: { size: 4, read: (view, offset, le) => view.getUint32(offset, le), invalid: 0xFFFFFFFF }, // uint32
+    0x08: { size: 4, read: (view, offset, le) => view.getFloat32(offset, le), invalid: null },  // float32
+    0x09: { size: 8, read: (view, offset, le) => view.getFloat64(offset, le), invalid: null },  // float64
+    0x0A: { size: 1, read: (view, offset) => view.getUint8(offset), invalid: 0x00 },            // uint8z
+    0x0B: { size: 2, read: (view, offset, le) => view.getUint16(offset, le), invalid: 0x0000 }, // uint16z
+    0x0C: { size: 4, read: (view, offset, le) => view.getUint32(offset, le), invalid: 0x00000000 }, // uint32z
+    0x0D: { size: 1, read: (view, offset) => view.getUint8(offset), invalid: 0xFF }             // byte
+};
+
+class FITParser {
+    constructor() {
+        this.supportedFormats = ['.fit'];
+        this.maxFileSize = 50 * 1024 * 1024; // 50MB
+        // Reuse GPX statistics so FIT routes report identical numbers
+        this.statsCalculator = new GPXParser();
+    }
+
+    // Parse FIT file content
+    async parseFITFile(file) {
+        try {
+            console.log(`📁 Parsing FIT file: ${file.name} (${(file.size / 1024).toFixed(1)}KB)`);
+
+            // Validate file
+            this.validateFile(file);
+
+            // Read file content
+            const buffer = await this.readFileBuffer(file);
+
+            // Decode binary records
+            const messages = this.decode(buffer);
+
+            // Extract GPS data
+            const routeData = this.extractRouteData(messages, file.name);
+
+            console.log(`✅ Successfully parsed FIT: ${routeData.points.length} points, ${routeData.distance.toFixed(2)}km`);
+            return routeData;
+
+        } catch (error) {
+            console.error(`❌ Error parsing FIT file ${file.name}:`, error);
+            throw new Error(`Failed to parse ${file.name}: ${error.message}`);
+        }
+    }
+
+    // Validate file before processing
+    validateFile(file) {
+        const fileExtension = file.name.toLowerCase().slice(file.name.lastIndexOf('.'));
+        if (!this.supportedFormats.includes(fileExtension)) {
+            throw new Error(`Unsupported file format. Please upload a FIT (.fit) file.`);
+        }
+
+        if (file.size > this.maxFileSize) {
+            throw new Error(`File too large. Please upload a file smaller than 50MB.`);
+        }
+
+        if (file.size === 0) {
+            throw new Error(`File is empty.`);
+        }
+    }
+
+    // Read file content as binary
+    readFileBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    // Decode every data message in the file (including chained FIT files)
+    decode(buffer) {
+        const view = new DataView(buffer);
+        const messages = [];
+        let offset = 0;
+
+        while (offset < view.byteLength) {
+            offset = this.decodeFile(view, offset, messages);
+        }
+
+        if (messages.length === 0) {
+            throw new Error('No data messages found in FIT file');
+        }
+
+        return messages;
+    }
+
+    // Decode one FIT file starting at `start`, returning the offset just past its CRC
+    decodeFile(view, start, messages) {
+        const header = this.readHeader(view, start);
+        const dataStart = start + header.headerSize;
+        const dataEnd = dataStart + header.dataSize;
+
+        if (dataEnd + 2 > view.byteLength) {
+            throw new Error('FIT file is truncated');
+        }
+
+        const storedCRC = view.getUint16(dataEnd, true);
+        if (storedCRC !== 0 && storedCRC !== this.calculateCRC(view, start, dataEnd)) {
+            console.warn('⚠️ FIT file checksum mismatch, continuing with decoded data');
+        }
+
+        const definitions = new Map();
+        let lastTimestamp = null;
+        let offset = dataStart;
+
+        while (offset < dataEnd) {
+            const recordHeader = view.getUint8(offset);
+            offset += 1;
+
+            // Compressed timestamp header: data message with a 5-bit time offset
+            if (recordHeader & 0x80) {
+                const localType = (recordHeader >> 5) & 0x03;
+                const timeOffset = recordHeader & 0x1F;
+                const definition = this.getDefinition(definitions, localType);
+                const message = this.readDataMessage(view, offset, definition);
+                offset += definition.recordSize;
+
+                if (lastTimestamp !== null) {
+                    const lastOffset = lastTimestamp % 32;
+                    const rollover = timeOffset >= lastOffset ? 0 : 32;
+                    lastTimestamp = lastTimestamp - lastOffset + timeOffset + rollover;
+                    message.fields[FIELD_TIMESTAMP] = lastTimestamp;
+                }
+
+                messages.push(message);
+                continue;
+            }
+
+            const localType = recordHeader & 0x0F;
+
+            if (recordHeader & 0x40) {
+                const hasDeveloperData = Boolean(recordHeader & 0x20);
+                const definition = this.readDefinition(view, offset, hasDeveloperData);
+                definitions.set(localType, definition);
+                offset += definition.definitionSize;
+                continue;
+            }
+
+            const definition = this.getDefinition(definitions, localType);
+            const message = this.readDataMessage(view, offset, definition);
+            offset += definition.recordSize;
+
+            if (message.fields[FIELD_TIMESTAMP] !== undefined) {
+                lastTimestamp = message.fields[FIELD_TIMESTAMP];
+            }
+
+            messages.push(message);
+        }
+
+        return dataEnd + 2;
+    }
+
+    // Parse the 12 or 14 byte file header
+    readHeader(view, offset) {
+        if (view.byteLength - offset < 12) {
+            throw new Error('File is too small to be a FIT file');
+        }
+
+        const headerSize = view.getUint8(offset);
+        const signature = String.fromCharCode(
+            view.getUint8(offset + 8),
+            view.getUint8(offset + 9),
+            view.getUint8(offset + 10),
+            view.getUint8(offset + 11)
+        );
+
+        if ((headerSize !== 12 && headerSize !== 14) || signature !== '.FIT') {
+            throw new Error('Invalid FIT file header');
+        }
+
+        return {
+            headerSize,
+            dataSize: view.getUint32(offset + 4, true)
+        };
+    }
+
+    // Parse a definition message describing the layout of a local message type
+    readDefinition(view, offset, hasDeveloperData) {
+        const littleEndian = view.getUint8(offset + 1) === 0;
+        const globalMessageNumber = view.getUint16(offset + 2, littleEndian);
+        const fieldCount = view.getUint8(offset + 4);
+        let cursor = offset + 5;
+
+        const fields = [];
+        for (let i = 0; i < fieldCount; i++) {
+            fields.push({
+                number: view.getUint8(cursor),
+                size: view.getUint8(cursor + 1),
+                baseType: view.getUint8(cursor + 2) & 0x1F
+            });
+            cursor += 3;
+        }
+
+        // Developer fields are skipped, but their bytes still occupy each record
+        let developerDataSize = 0;
+        if (hasDeveloperData) {
+            const developerFieldCount = view.getUint8(cursor);
+            cursor += 1;
+            for (let i = 0; i < developerFieldCount; i++) {
+                developerDataSize += view.getUint8(cursor + 1);
+                cursor += 3;
+            }
+        }
+
+        const fieldDataSize = fields.reduce((sum, field) => sum + field.size, 0);
+
+        return {
+            globalMessageNumber,
+            littleEndian,
+            fields,
+            definitionSize: cursor - offset,
+            recordSize: fieldDataSize + developerDataSize
+        };
+    }
+
+    getDefinition(definitions, localType) {
+        const definition = definitions.get(localType);
+        if (!definition) {
+            throw new Error(`Missing definition for local message type ${localType}`);
+        }
+        return definition;
+    }
+
+    // Read the scalar field values of a data message (arrays and strings are skipped)
+    readDataMessage(view, offset, definition) {
+        const fields = {};
+        let cursor = offset;
+
+        definition.fields.forEach(field => {
+            const baseType = FIT_BASE_TYPES[field.baseType];
+            if (baseType && baseType.size === field.size) {
+                const value = baseType.read(view, cursor, definition.littleEndian);
+                if (value !== baseType.invalid && !Number.isNaN(value)) {
+                    fields[field.number] = value;
+                }
+            }
+            cursor += field.size;
+        });
+
+        return {
+            globalMessageNumber: definition.globalMessageNumber,
+            fields
+        };
+    }
+
+    // FIT CRC-16 over the header and data records
+    calculateCRC(view, start, end) {
+        const crcTable = [
+            0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+            0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+        ];
+
+        let crc = 0;
+        for (let i = start; i < end; i++) {
+            const byte = view.getUint8(i);
+            let tmp = crcTable[crc & 0xF];
+            crc = (crc >> 4) & 0x0FFF;
+            crc = crc ^ tmp ^ crcTable[byte & 0xF];
+            tmp = crcTable[crc & 0xF];
+            crc = (crc >> 4) & 0x0FFF;
+            crc = crc ^ tmp ^ crcTable[(byte >> 4) & 0xF];
+        }
+        return crc;
+    }
+
+    // Extract route data from decoded FIT messages
+    extractRouteData(messages, filename) {
+        const points = messages
+            .filter(message => message.globalMessageNumber === MESG_RECORD)
+            .map(message => this.parseRecord(message))
+            .filter(Boolean);
+
+        if (points.length === 0) {
+            throw new Error('No GPS points found in FIT file');
+        }
+
+        // Extract metadata
+        const metadata = this.extractMetadata(messages, points);
+
+        // Calculate statistics
+        const stats = this.statsCalculator.calculateStats(points);
+
+        return {
+            filename,
+            points,
+            metadata,
+            ...stats,
+            uploadTime: new Date().toISOString()
+        };
+    }
+
+    // Convert a record message into a GPS point, skipping records without a position fix
+    parseRecord(message) {
+        const { fields } = message;
+        if (fields[RECORD_FIELD_LAT] === undefined || fields[RECORD_FIELD_LON] === undefined) {
+            return null;
+        }
+
+        const lat = fields[RECORD_FIELD_LAT] * SEMICIRCLES_TO_DEGREES;
+        const lon = fields[RECORD_FIELD_LON] * SEMICIRCLES_TO_DEGREES;
+
+        // Altitude is stored with scale 5 and offset 500m
+        const rawAltitude = fields[RECORD_FIELD_ENHANCED_ALTITUDE] ?? fields[RECORD_FIELD_ALTITUDE];
+        const elevation = rawAltitude !== undefined ? rawAltitude / 5 - 500 : null;
+
+        const timestamp = fields[FIELD_TIMESTAMP] !== undefined
+            ? new Date((fields[FIELD_TIMESTAMP] + FIT_EPOCH_OFFSET_SECONDS) * 1000)
+            : null;
+
+        return {
+            lat,
+            lon,
+            elevation,
+            timestamp,
+            name: null
+        };
+    }
+
+    // Extract FIT metadata (sport, creation time)
+    extractMetadata(messages, points) {
+        const metadata = { creator: 'FIT' };
+
+        const session = messages.find(message => message.globalMessageNumber === MESG_SESSION);
+        const sportCode = session?.fields[SESSION_FIELD_SPORT];
+        if (sportCode !== undefined) {
+            metadata.sport = FIT_SPORTS[sportCode] || `sport_${sportCode}`;
+        }
+
+        const fileId = messages.find(message => message.globalMessageNumber === MESG_FILE_ID);
+        const createdSeconds = fileId?.fields[4]; // file_id.time_created
+        const firstTimestamp = points.find(point => point.timestamp)?.timestamp;
+        if (createdSeconds !== undefined) {
+            metadata.time = new Date((createdSeconds + FIT_EPOCH_OFFSET_SECONDS) * 1000).toISOString();
+        } else if (firstTimestamp) {
+            metadata.time = firstTimestamp.toISOString();
+        }
+
+        return metadata;
+    }
+}
+
+export default FITParser;
@@ -0,0 +1,279 @@
+// GeoJSON Route Parser and Exporter
+// Turns LineString/MultiLineString features into the same route structure as GPXParser
+import GPXParser from './gpx-parser.js';
+
+const LINE_GEOMETRY_TYPES = ['LineString', 'MultiLineString'];
+
+class GeoJSONParser {
+    constructor() {
+        this.supportedFormats = ['.geojson', '.json'];
+        this.maxFileSize = 50 * 1024 * 1024; // 50MB
+        // Share file reading and statistics with the GPX parser
+        this.gpxParser = new GPXParser();
+    }
+
+    // Parse GeoJSON file content
+    async parseGeoJSONFile(file) {
+        try {
+            console.log(`📁 Parsing GeoJSON file: ${file.name} (${(file.size / 1024).toFixed(1)}KB)`);
+
+            // Validate file
+            this.validateFile(file);
+
+            // Read file content
+            const content = await this.gpxParser.readFileContent(file);
+
+            // Parse JSON
+            const geojson = this.parseJSON(content);
+
+            // Extract GPS data
+            const routeData = this.extractRouteData(geojson, file.name);
+
+            console.log(`✅ Successfully parsed GeoJSON: ${routeData.points.length} points, ${routeData.distance.toFixed(2)}km`);
+            return routeData;
+
+        } catch (error) {
+            console.error(`❌ Error parsing GeoJSON file ${file.name}:`, error);
+            throw new Error(`Failed to parse ${file.name}: ${error.message}`);
+        }
+    }
+
+    // Validate file before processing
+    validateFile(file) {
+        const fileExtension = file.name.toLowerCase().slice(file.name.lastIndexOf('.'));
+        if (!this.supportedFormats.includes(fileExtension)) {
+            throw new Error(`Unsupported file format. Please upload a GeoJSON (.geojson) file.`);
+        }
+
+        if (file.size > this.maxFileSize) {
+            throw new Error(`File too large. Please upload a file smaller than 50MB.`);
+        }
+
+        if (file.size === 0) {
+            throw new Error(`File is empty.`);
+        }
+    }
+
+    // Parse JSON content
+    parseJSON(content) {
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            throw new Error('Invalid JSON format');
+        }
+    }
+
+    // Extract route data from a GeoJSON object (FeatureCollection, Feature or bare geometry)
+    extractRouteData(geojson, filename) {
+        const features = this.collectFeatures(geojson);
+
+        // Each LineString (or MultiLineString member) becomes a track segment
+        const lines = features.flatMap(feature => this.extractLines(feature));
+        const points = lines.flatMap((line, segmentIndex) =>
+            line.map(point => ({ ...point, segmentIndex }))
+        );
+
+        if (points.length === 0) {
+            throw new Error('No LineString coordinates found in GeoJSON file');
+        }
+
+        // Point features are points of interest along the route
+        const waypoints = features
+            .filter(feature => feature.geometry?.type === 'Point')
+            .map(feature => this.parseWaypoint(feature))
+            .filter(waypoint => Number.isFinite(waypoint.lat) && Number.isFinite(waypoint.lon));
+
+        // Extract metadata
+        const metadata = this.extractMetadata(features);
+
+        // Calculate statistics
+        const stats = this.gpxParser.calculateStats(points);
+
+        return {
+            filename,
+            points,
+            metadata,
+            segments: lines.map(line => ({ trackIndex: 0, trackName: metadata.name || null, pointCount: line.length })),
+            ...(waypoints.length > 0 && { waypoints }),
+            ...stats,
+            uploadTime: new Date().toISOString()
+        };
+    }
+
+    // Normalise the top-level object into a list of features
+    collectFeatures(geojson) {
+        if (!geojson || typeof geojson !== 'object') {
+            throw new Error('Not a GeoJSON object');
+        }
+
+        if (geojson.type === 'FeatureCollection') {
+            return Array.isArray(geojson.features) ? geojson.features.filter(Boolean) : [];
+        }
+
+        if (geojson.type === 'Feature') {
+            return [geojson];
+        }
+
+        if (LINE_GEOMETRY_TYPES.includes(geojson.type)) {
+            return [{ type: 'Feature', geometry: geojson, properties: {} }];
+        }
+
+        throw new Error(`Unsupported GeoJSON type: ${geojson.type}`);
+    }
+
+    // Convert a feature's LineString/MultiLineString geometry into point arrays
+    extractLines(feature) {
+        const geometry = feature.geometry;
+        if (!geometry) {
+            return [];
+        }
+
+        const properties = feature.properties || {};
+
+        if (geometry.type === 'LineString') {
+            return [this.parseLine(geometry.coordinates, this.readTimes(properties))];
+        }
+
+        if (geometry.type === 'MultiLineString') {
+            const times = this.readTimes(properties);
+            return (geometry.coordinates || []).map((coordinates, lineIndex) =>
+                // MultiLineString times are nested per line
+                this.parseLine(coordinates, Array.isArray(times?.[lineIndex]) ? times[lineIndex] : null)
+            );
+        }
+
+        // Points and polygons aren't routes
+        return [];
+    }
+
+    // Parse [lon, lat, ele?] positions with optional parallel timestamps
+    parseLine(coordinates = [], times = null) {
+        return coordinates.map((position, index) => {
+            const [lon, lat, elevation] = position;
+
+            if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+                throw new Error('Invalid coordinates in GeoJSON file');
+            }
+
+            const time = times?.[index];
+            const timestamp = time !== undefined && time !== null ? new Date(time) : null;
+
+            return {
+                lat,
+                lon,
+                elevation: Number.isFinite(elevation) ? elevation : null,
+                timestamp: timestamp && !isNaN(timestamp) ? timestamp : null,
+                name: null
+            };
+        });
+    }
+
+    // Parse a Point feature into the waypoint shape used by GPXParser
+    parseWaypoint(feature) {
+        const [lon, lat, elevation] = feature.geometry.coordinates || [];
+        const properties = feature.properties || {};
+
+        return {
+            lat,
+            lon,
+            elevation: Number.isFinite(elevation) ? elevation : null,
+            timestamp: properties.time ? new Date(properties.time) : null,
+            name: properties.name ? String(properties.name) : null,
+            description: properties.description ? String(properties.description) : null,
+            symbol: properties.sym ? String(properties.sym) : null
+        };
+    }
+
+    // Per-coordinate times: togeojson writes coordinateProperties.times, older tools use coordTimes/times
+    readTimes(properties) {
+        return properties.coordinateProperties?.times ?? properties.coordTimes ?? properties.times ?? null;
+    }
+
+    // Extract metadata from the first feature that carries it
+    extractMetadata(features) {
+        const metadata = {};
+
+        // Prefer the line features' properties; Point features only name waypoints
+        const lineFeatures = features.filter(feature => LINE_GEOMETRY_TYPES.includes(feature.geometry?.type));
+        const properties = lineFeatures.find(feature => feature.properties?.name)?.properties
+            || lineFeatures[0]?.properties
+            || {};
+
+        if (properties.name) metadata.name = String(properties.name);
+        if (properties.description || properties.desc) {
+            metadata.description = String(properties.description || properties.desc);
+        }
+        if (properties.time) metadata.time = String(properties.time);
+        if (properties.sport) metadata.sport = String(properties.sport);
+        metadata.creator = 'GeoJSON';
+
+        return metadata;
+    }
+
+    // Convert route data to a GeoJSON FeatureCollection for export
+    generateGeoJSON(routeData) {
+        const lines = groupPointsBySegment(routeData.points);
+        const positions = lines.map(line => line.map(point => {
+            const position = [point.lon, point.lat];
+            if (Number.isFinite(point.elevation)) {
+                position.push(point.elevation);
+            }
+            return position;
+        }));
+        const hasTimes = routeData.points.length > 0 && routeData.points.every(point => point.timestamp);
+        const times = hasTimes
+            ? lines.map(line => line.map(point => new Date(point.timestamp).toISOString()))
+            : null;
+
+        const isMultiLine = lines.length > 1;
+        const properties = {
+            name: routeData.metadata?.name || routeData.filename || 'RouteCoinMe Route',
+            ...(routeData.metadata?.description && { description: routeData.metadata.description }),
+            ...(routeData.metadata?.time && { time: routeData.metadata.time }),
+            distance: routeData.distance,
+            elevationGain: routeData.elevationGain,
+            creator: 'RouteCoinMe',
+            ...(times && { coordinateProperties: { times: isMultiLine ? times : times[0] } })
+        };
+
+        const features = [{
+            type: 'Feature',
+            properties,
+            geometry: isMultiLine
+                ? { type: 'MultiLineString', coordinates: positions }
+                : { type: 'LineString', coordinates: positions[0] || [] }
+        }];
+
+        // Waypoints travel along as Point features
+        (routeData.waypoints || []).forEach(waypoint => {
+            features.push({
+                type: 'Feature',
+                properties: {
+                    name: waypoint.name,
+                    ...(waypoint.description && { description: waypoint.description })
+                },
+                geometry: {
+                    type: 'Point',
+                    coordinates: Number.isFinite(waypoint.elevation)
+                        ? [waypoint.lon, waypoint.lat, waypoint.elevation]
+                        : [waypoint.lon, waypoint.lat]
+                }
+            });
+        });
+
+        return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+    }
+}
+
+// Split a route's points into runs of the same segmentIndex (routes without segments are one run)
+export function groupPointsBySegment(points = []) {
+    return points.reduce((lines, point, index) => {
+        if (index === 0 || point.segmentIndex !== points[index - 1].segmentIndex) {
+            lines.push([]);
+        }
+        lines[lines.length - 1].push(point);
+        return lines;
+    }, []);
+}
+
+export default GeoJSONParser;
@@ -0,0 +1,27 @@
+// Web Worker that streams a GPX File through GPXStreamParser off the main thread
+import { parseGPXStream } from './gpx-stream-parser.js';
+
+// Only post progress when it moves by at least this fraction, to keep the UI thread quiet
+const PROGRESS_STEP = 0.01;
+
+self.onmessage = async (event) => {
+    const { file, elevationOptions } = event.data;
+    let lastReported = 0;
+
+    try {
+        const route = await parseGPXStream(file, {
+            elevationOptions,
+            onProgress: ({ bytesRead, totalBytes }) => {
+                const fraction = totalBytes > 0 ? bytesRead / totalBytes : 1;
+                if (fraction - lastReported >= PROGRESS_STEP || fraction === 1) {
+                    lastReported = fraction;
+                    self.postMessage({ type: 'progress', bytesRead, totalBytes });
+                }
+            }
+        });
+
+        self.postMessage({ type: 'result', route });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
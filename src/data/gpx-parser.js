@@ -1,8 +1,24 @@
 // GPX File Parser and Handler
+import { escapeHtml } from '../utils/escape-html.js';
+import { calculateElevationProfile } from './elevation-profile.js';
+import elevationPreferences from '../utils/elevation-preferences.js';
+
+// Sensor extension elements (matched by local name, any namespace) -> per-point field
+// Covers Garmin TrackPointExtension (hr, cad, atemp), Garmin PowerExtension and Strava's bare <power>
+export const SENSOR_EXTENSION_FIELDS = [
+    { field: 'heartRate', elements: ['hr'] },
+    { field: 'cadence', elements: ['cad'] },
+    { field: 'temperature', elements: ['atemp'] },
+    { field: 'power', elements: ['power', 'PowerInWatts'] }
+];
+
 class GPXParser {
     constructor() {
         this.supportedFormats = ['.gpx', '.xml'];
         this.maxFileSize = 50 * 1024 * 1024; // 50MB
+        // Elevation smoothing and climb threshold used for elevationGain/elevationLoss;
+        // null follows the user's setting (see elevation-preferences.js)
+        this.elevationOptions = null;
     }
 
     // Parse GPX file content
@@ -82,9 +98,21 @@ class GPXParser {
 
         // Combine all point types, prioritizing track points
         let points = [];
+        let segments = null;
         
         if (trackPoints.length > 0) {
-            points = Array.from(trackPoints).map(point => this.parsePoint(point));
+            // Keep track/segment boundaries so gaps aren't bridged with straight lines
+            const trackSegments = this.extractTracks(xmlDoc).flatMap((track, trackIndex) =>
+                track.segments.map(segmentPoints => ({ trackIndex, trackName: track.name, segmentPoints }))
+            );
+            points = trackSegments.flatMap(({ segmentPoints }, segmentIndex) =>
+                segmentPoints.map(point => ({ ...point, segmentIndex }))
+            );
+            segments = trackSegments.map(({ trackIndex, trackName, segmentPoints }) => ({
+                trackIndex,
+                trackName,
+                pointCount: segmentPoints.length
+            }));
         } else if (routePoints.length > 0) {
             points = Array.from(routePoints).map(point => this.parsePoint(point));
         } else if (waypoints.length > 0) {
@@ -95,6 +123,9 @@ class GPXParser {
             throw new Error('No GPS points found in GPX file');
         }
 
+        // Waypoints (and named route points alongside a track) become points of interest
+        const pointsOfInterest = this.extractWaypoints(xmlDoc, trackPoints.length > 0, routePoints.length > 0);
+
         // Extract metadata
         const metadata = this.extractMetadata(xmlDoc);
         
@@ -105,11 +136,94 @@ class GPXParser {
             filename,
             points,
             metadata,
+            ...(segments && { segments }),
+            ...(pointsOfInterest.length > 0 && { waypoints: pointsOfInterest }),
             ...stats,
             uploadTime: new Date().toISOString()
         };
     }
 
+    // Extract each <trk> with its <trkseg> point lists (empty segments are dropped)
+    extractTracks(xmlDoc) {
+        return Array.from(xmlDoc.querySelectorAll('trk')).map(trackElement => {
+            const nameElement = trackElement.querySelector(':scope > name');
+            const segmentElements = Array.from(trackElement.querySelectorAll('trkseg'));
+
+            // Tolerate writers that put trkpt directly under trk
+            const segments = (segmentElements.length > 0 ? segmentElements : [trackElement])
+                .map(segmentElement => Array.from(segmentElement.querySelectorAll('trkpt')).map(point => this.parsePoint(point)))
+                .filter(segmentPoints => segmentPoints.length > 0);
+
+            return {
+                name: nameElement ? nameElement.textContent : null,
+                segments
+            };
+        }).filter(track => track.segments.length > 0);
+    }
+
+    // Split a multi-segment route into one route per track segment
+    splitRouteBySegments(routeData) {
+        const segments = routeData.segments || [];
+        if (segments.length < 2) {
+            return [routeData];
+        }
+
+        const baseName = routeData.filename.replace(/\.[^.]+$/, '');
+        const extension = routeData.filename.slice(baseName.length);
+
+        return segments.map((segment, segmentIndex) => {
+            const points = routeData.points
+                .filter(point => point.segmentIndex === segmentIndex)
+                .map(point => ({ ...point, segmentIndex: 0 }));
+            const label = `${segment.trackName || 'segment'} ${segmentIndex + 1}/${segments.length}`;
+
+            return {
+                filename: `${baseName} (${label})${extension}`,
+                points,
+                metadata: {
+                    ...routeData.metadata,
+                    ...(segment.trackName && { name: segment.trackName })
+                },
+                segments: [{ ...segment, pointCount: points.length }],
+                ...this.calculateStats(points),
+                uploadTime: routeData.uploadTime
+            };
+        }).filter(route => route.points.length > 0);
+    }
+
+    // Collect <wpt> (and named <rtept> when a track is the main geometry) as annotations
+    extractWaypoints(xmlDoc, hasTrack, hasRoute) {
+        // When the file only has waypoints they are the route itself, not annotations
+        if (!hasTrack && !hasRoute) {
+            return [];
+        }
+
+        const waypointElements = Array.from(xmlDoc.querySelectorAll('wpt'));
+        const namedRoutePoints = hasTrack
+            ? Array.from(xmlDoc.querySelectorAll('rtept')).filter(element => element.querySelector('name'))
+            : [];
+
+        return [...waypointElements, ...namedRoutePoints].map(element => this.parseWaypoint(element));
+    }
+
+    // Parse a point of interest (position, name, description and symbol)
+    parseWaypoint(waypointElement) {
+        const { lat, lon, elevation, timestamp, name } = this.parsePoint(waypointElement);
+
+        const descElement = waypointElement.querySelector('desc');
+        const symElement = waypointElement.querySelector('sym');
+
+        return {
+            lat,
+            lon,
+            elevation,
+            timestamp,
+            name,
+            description: descElement ? descElement.textContent : null,
+            symbol: symElement ? symElement.textContent : null
+        };
+    }
+
     // Parse individual GPS point
     parsePoint(pointElement) {
         const lat = parseFloat(pointElement.getAttribute('lat'));
@@ -136,10 +250,29 @@ class GPXParser {
             lon,
             elevation,
             timestamp,
-            name
+            name,
+            ...this.parseSensorExtensions(pointElement)
         };
     }
 
+    // Extract heart rate, cadence, temperature and power from a point's <extensions>
+    parseSensorExtensions(pointElement) {
+        const extensionsElement = pointElement.getElementsByTagNameNS('*', 'extensions')[0];
+
+        return SENSOR_EXTENSION_FIELDS.reduce((sensors, { field, elements }) => {
+            const value = extensionsElement
+                ? elements
+                    .map(localName => extensionsElement.getElementsByTagNameNS('*', localName)[0])
+                    .filter(Boolean)
+                    .map(element => parseFloat(element.textContent))
+                    .find(Number.isFinite)
+                : undefined;
+
+            sensors[field] = value ?? null;
+            return sensors;
+        }, {});
+    }
+
     // Extract GPX metadata
     extractMetadata(xmlDoc) {
         const metadata = {};
@@ -172,8 +305,6 @@ class GPXParser {
         }
 
         let totalDistance = 0;
-        let elevationGain = 0;
-        let elevationLoss = 0;
         let minElevation = Infinity;
         let maxElevation = -Infinity;
 
@@ -181,30 +312,33 @@ class GPXParser {
             const prev = points[i - 1];
             const curr = points[i];
 
+            // Nothing was recorded between two track segments, so don't count the gap
+            const isSegmentBreak = prev.segmentIndex != null && curr.segmentIndex != null &&
+                prev.segmentIndex !== curr.segmentIndex;
+
             // Calculate distance between points (Haversine formula)
-            const distance = this.calculateDistance(prev.lat, prev.lon, curr.lat, curr.lon);
-            totalDistance += distance;
+            if (!isSegmentBreak) {
+                const distance = this.calculateDistance(prev.lat, prev.lon, curr.lat, curr.lon);
+                totalDistance += distance;
+            }
 
-            // Calculate elevation changes
+            // Track the elevation range
             if (prev.elevation !== null && curr.elevation !== null) {
-                const elevDiff = curr.elevation - prev.elevation;
-                if (elevDiff > 0) {
-                    elevationGain += elevDiff;
-                } else {
-                    elevationLoss += Math.abs(elevDiff);
-                }
-
                 minElevation = Math.min(minElevation, curr.elevation);
                 maxElevation = Math.max(maxElevation, curr.elevation);
             }
         }
 
+        // Smoothed, threshold-based climbing so elevation noise isn't counted as gain
+        const { elevationGain, elevationLoss } = calculateElevationProfile(points, this.elevationOptions || elevationPreferences.getOptions());
+
         // Calculate duration if timestamps are available
         let duration = 0;
         const firstPoint = points.find(p => p.timestamp);
         const lastPoint = points.slice().reverse().find(p => p.timestamp);
         if (firstPoint && lastPoint && firstPoint.timestamp && lastPoint.timestamp) {
-            duration = (lastPoint.timestamp - firstPoint.timestamp) / 1000; // seconds
+            // Restored routes may hold ISO strings rather than Dates
+            duration = (new Date(lastPoint.timestamp) - new Date(firstPoint.timestamp)) / 1000; // seconds
         }
 
         return {
@@ -244,17 +378,24 @@ class GPXParser {
         } = options;
 
         let gpxContent = `<?xml version="1.0" encoding="UTF-8"?>
-<gpx version="1.1" creator="RouteCoinMe" xmlns="http://www.topografix.com/GPX/1/1">
+<gpx version="1.1" creator="RouteCoinMe" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1" xmlns:pwr="http://www.garmin.com/xmlschemas/PowerExtension/v1">
     <metadata>
         <name>${trackName}</name>
         <desc>Generated by RouteCoinMe</desc>
         <time>${new Date().toISOString()}</time>
-    </metadata>
+    </metadata>${this.generateWaypoints(routeData.waypoints, '    ')}
     <trk>
         <name>${trackName}</name>
         <trkseg>`;
 
-        routeData.points.forEach(point => {
+        routeData.points.forEach((point, index) => {
+            // Start a new <trkseg> wherever the source had a segment break
+            if (index > 0 && point.segmentIndex !== routeData.points[index - 1].segmentIndex) {
+                gpxContent += `
+        </trkseg>
+        <trkseg>`;
+            }
+
             gpxContent += `
             <trkpt lat="${point.lat}" lon="${point.lon}">`;
             
@@ -267,6 +408,13 @@ class GPXParser {
                 gpxContent += `
                 <time>${point.timestamp.toISOString()}</time>`;
             }
+
+            const extensions = this.generateSensorExtensions(point);
+            if (extensions) {
+                gpxContent += `
+                <extensions>${extensions}
+                </extensions>`;
+            }
             
             gpxContent += `
             </trkpt>`;
@@ -279,6 +427,68 @@ class GPXParser {
 
         return gpxContent;
     }
+
+    // Build <wpt> elements for a route's points of interest (empty string when none)
+    generateWaypoints(waypoints = [], indent = '    ') {
+        return (waypoints || []).map(waypoint => {
+            let waypointContent = `
+${indent}<wpt lat="${waypoint.lat}" lon="${waypoint.lon}">`;
+
+            if (waypoint.elevation !== null && waypoint.elevation !== undefined) {
+                waypointContent += `
+${indent}    <ele>${waypoint.elevation}</ele>`;
+            }
+            if (waypoint.timestamp) {
+                waypointContent += `
+${indent}    <time>${new Date(waypoint.timestamp).toISOString()}</time>`;
+            }
+            if (waypoint.name) {
+                waypointContent += `
+${indent}    <name>${escapeHtml(waypoint.name)}</name>`;
+            }
+            if (waypoint.description) {
+                waypointContent += `
+${indent}    <desc>${escapeHtml(waypoint.description)}</desc>`;
+            }
+            if (waypoint.symbol) {
+                waypointContent += `
+${indent}    <sym>${escapeHtml(waypoint.symbol)}</sym>`;
+            }
+
+            return `${waypointContent}
+${indent}</wpt>`;
+        }).join('');
+    }
+
+    // Build the inner <extensions> markup for a point's sensor data (empty string when none)
+    generateSensorExtensions(point, indent = '                    ') {
+        // Schema order is atemp, wtemp, depth, hr, cad; hr and cad are unsigned bytes
+        const trackPointFields = [
+            ['atemp', point.temperature, value => Number(value.toFixed(1))],
+            ['hr', point.heartRate, Math.round],
+            ['cad', point.cadence, Math.round]
+        ].filter(([, value]) => Number.isFinite(value));
+
+        let extensions = '';
+
+        if (trackPointFields.length > 0) {
+            extensions += `
+${indent}<gpxtpx:TrackPointExtension>`;
+            trackPointFields.forEach(([element, value, format]) => {
+                extensions += `
+${indent}    <gpxtpx:${element}>${format(value)}</gpxtpx:${element}>`;
+            });
+            extensions += `
+${indent}</gpxtpx:TrackPointExtension>`;
+        }
+
+        if (Number.isFinite(point.power)) {
+            extensions += `
+${indent}<pwr:PowerInWatts>${Math.round(point.power)}</pwr:PowerInWatts>`;
+        }
+
+        return extensions;
+    }
 }
 
 export default GPXParser;
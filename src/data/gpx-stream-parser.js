@@ -0,0 +1,333 @@
+// Streaming GPX Parser
+// SAX-style reader that builds the same route structure as GPXParser.extractRouteData
+// without holding a DOM of the whole file, so very large tracks can be parsed in a worker
+import GPXParser, { SENSOR_EXTENSION_FIELDS } from './gpx-parser.js';
+
+const DEFAULT_CHUNK_SIZE = 1024 * 1024; // 1MB per read
+const POINT_ELEMENTS = ['trkpt', 'rtept', 'wpt'];
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Sensor extension element (local name) -> per-point field
+const SENSOR_FIELD_BY_ELEMENT = SENSOR_EXTENSION_FIELDS.reduce((lookup, { field, elements }) => {
+    elements.forEach(element => { lookup[element] = field; });
+    return lookup;
+}, {});
+
+class GPXStreamParser {
+    constructor() {
+        this.statsCalculator = new GPXParser();
+        this.buffer = '';
+        this.stack = [];
+        this.text = '';
+        this.currentPoint = null;
+        this.currentSegment = null;
+        this.tracks = [];
+        this.routePoints = [];
+        this.waypoints = [];
+        this.metadata = {};
+        this.sawRoot = false;
+    }
+
+    // Feed the next chunk of decoded text
+    write(chunk) {
+        this.buffer += chunk;
+        let position = 0;
+
+        while (position < this.buffer.length) {
+            const tagStart = this.buffer.indexOf('<', position);
+            if (tagStart === -1) {
+                this.text += this.buffer.slice(position);
+                position = this.buffer.length;
+                break;
+            }
+
+            this.text += this.buffer.slice(position, tagStart);
+
+            const tagEnd = this.findMarkupEnd(tagStart);
+            if (tagEnd === -1) {
+                // Incomplete markup - wait for the next chunk
+                break;
+            }
+
+            this.handleMarkup(this.buffer.slice(tagStart, tagEnd + 1));
+            position = tagEnd + 1;
+        }
+
+        this.buffer = this.buffer.slice(position);
+    }
+
+    // Find the index of the '>' that closes the markup starting at tagStart (-1 if not buffered yet)
+    findMarkupEnd(tagStart) {
+        if (this.buffer.startsWith('<!--', tagStart)) {
+            const end = this.buffer.indexOf('-->', tagStart + 4);
+            return end === -1 ? -1 : end + 2;
+        }
+        if (this.buffer.startsWith('<![CDATA[', tagStart)) {
+            const end = this.buffer.indexOf(']]>', tagStart + 9);
+            return end === -1 ? -1 : end + 2;
+        }
+        if (this.buffer.startsWith('<?', tagStart)) {
+            const end = this.buffer.indexOf('?>', tagStart + 2);
+            return end === -1 ? -1 : end + 1;
+        }
+
+        // Skip over quoted attribute values, which may legally contain '>'
+        let quote = null;
+        for (let i = tagStart + 1; i < this.buffer.length; i++) {
+            const char = this.buffer[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '>') {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    handleMarkup(markup) {
+        if (markup.startsWith('<![CDATA[')) {
+            // CDATA is raw text; wrap it so entity decoding leaves it alone
+            this.text += markup.slice(9, -3).replace(/&/g, '&amp;');
+            return;
+        }
+        if (markup.startsWith('<!') || markup.startsWith('<?')) {
+            return;
+        }
+
+        if (markup.startsWith('</')) {
+            this.closeElement(localName(markup.slice(2, -1).trim()));
+            return;
+        }
+
+        const selfClosing = markup.endsWith('/>');
+        const body = markup.slice(1, selfClosing ? -2 : -1);
+        const nameMatch = body.match(/^\s*([^\s/>]+)/);
+        if (!nameMatch) {
+            throw new Error('Invalid XML format');
+        }
+
+        this.openElement(localName(nameMatch[1]), parseAttributes(body.slice(nameMatch[0].length)));
+        if (selfClosing) {
+            this.closeElement(localName(nameMatch[1]));
+        }
+    }
+
+    openElement(name, attributes) {
+        this.text = '';
+
+        if (!this.sawRoot) {
+            if (name !== 'gpx') {
+                throw new Error('Not a GPX document');
+            }
+            this.sawRoot = true;
+            if (attributes.creator) this.metadata.creator = attributes.creator;
+        }
+
+        if (name === 'trk') {
+            this.tracks.push({ name: null, segments: [] });
+        } else if (name === 'trkseg') {
+            this.currentSegment = [];
+            this.currentTrack()?.segments.push(this.currentSegment);
+        } else if (POINT_ELEMENTS.includes(name)) {
+            const lat = parseFloat(attributes.lat);
+            const lon = parseFloat(attributes.lon);
+            if (isNaN(lat) || isNaN(lon)) {
+                throw new Error('Invalid coordinates in GPX file');
+            }
+            this.currentPoint = { lat, lon, elevation: null, timestamp: null, name: null, description: null, symbol: null, sensors: {} };
+        }
+
+        this.stack.push(name);
+    }
+
+    closeElement(name) {
+        this.stack.pop();
+        const parent = this.stack[this.stack.length - 1];
+        const text = decodeEntities(this.text).trim();
+        this.text = '';
+
+        if (this.currentPoint) {
+            if (POINT_ELEMENTS.includes(name)) {
+                this.finishPoint(name);
+                return;
+            }
+
+            // Only direct children describe the point; sensor values live anywhere under <extensions>
+            if (POINT_ELEMENTS.includes(parent)) {
+                if (name === 'ele') this.currentPoint.elevation = parseFloat(text);
+                else if (name === 'time') this.currentPoint.timestamp = new Date(text);
+                else if (name === 'name') this.currentPoint.name = text;
+                else if (name === 'desc') this.currentPoint.description = text;
+                else if (name === 'sym') this.currentPoint.symbol = text;
+            } else if (this.stack.includes('extensions') && SENSOR_FIELD_BY_ELEMENT[name]) {
+                const field = SENSOR_FIELD_BY_ELEMENT[name];
+                const value = parseFloat(text);
+                if (this.currentPoint.sensors[field] === undefined && Number.isFinite(value)) {
+                    this.currentPoint.sensors[field] = value;
+                }
+            }
+            return;
+        }
+
+        if (name === 'trkseg') {
+            this.currentSegment = null;
+        } else if (name === 'name' && (parent === 'trk' || parent === 'rte')) {
+            if (parent === 'trk') this.currentTrack().name = text;
+            if (this.metadata.name === undefined) this.metadata.name = text;
+        } else if (name === 'desc' && (parent === 'trk' || parent === 'rte')) {
+            if (this.metadata.description === undefined) this.metadata.description = text;
+        } else if (name === 'time' && (parent === 'metadata' || parent === 'trk')) {
+            if (this.metadata.time === undefined) this.metadata.time = text;
+        }
+    }
+
+    finishPoint(kind) {
+        const { sensors, description, symbol, ...point } = this.currentPoint;
+        this.currentPoint = null;
+
+        if (kind === 'wpt' || kind === 'rtept') {
+            (kind === 'wpt' ? this.waypoints : this.routePoints).push({ ...point, description, symbol, sensors });
+            return;
+        }
+
+        // Tolerate writers that put trkpt directly under trk
+        if (!this.currentSegment) {
+            this.currentSegment = [];
+            this.currentTrack()?.segments.push(this.currentSegment);
+        }
+        this.currentSegment.push({ ...point, ...this.sensorFields(sensors) });
+    }
+
+    currentTrack() {
+        return this.tracks[this.tracks.length - 1];
+    }
+
+    sensorFields(sensors) {
+        return SENSOR_EXTENSION_FIELDS.reduce((fields, { field }) => {
+            fields[field] = sensors[field] ?? null;
+            return fields;
+        }, {});
+    }
+
+    // Finish parsing and return route data shaped like GPXParser.extractRouteData
+    end(filename) {
+        if (this.buffer.trim().length > 0 || this.stack.length > 0 || !this.sawRoot) {
+            throw new Error('Invalid XML format');
+        }
+
+        const trackSegments = this.tracks.flatMap((track, trackIndex) =>
+            track.segments
+                .filter(segmentPoints => segmentPoints.length > 0)
+                .map(segmentPoints => ({ trackIndex, trackName: track.name, segmentPoints }))
+        );
+        const hasTrack = trackSegments.length > 0;
+        const hasRoute = this.routePoints.length > 0;
+
+        let points = [];
+        let segments = null;
+
+        if (hasTrack) {
+            points = trackSegments.flatMap(({ segmentPoints }, segmentIndex) =>
+                segmentPoints.map(point => ({ ...point, segmentIndex }))
+            );
+            segments = trackSegments.map(({ trackIndex, trackName, segmentPoints }) => ({
+                trackIndex,
+                trackName,
+                pointCount: segmentPoints.length
+            }));
+        } else {
+            points = (hasRoute ? this.routePoints : this.waypoints)
+                .map(({ description, symbol, sensors, ...point }) => ({ ...point, ...this.sensorFields(sensors) }));
+        }
+
+        if (points.length === 0) {
+            throw new Error('No GPS points found in GPX file');
+        }
+
+        // Waypoints (and named route points alongside a track) become points of interest
+        const pointsOfInterest = hasTrack || hasRoute
+            ? [...this.waypoints, ...(hasTrack ? this.routePoints.filter(point => point.name) : [])]
+                .map(({ sensors, ...waypoint }) => waypoint)
+            : [];
+
+        return {
+            filename,
+            points,
+            metadata: { ...this.metadata },
+            ...(segments && { segments }),
+            ...(pointsOfInterest.length > 0 && { waypoints: pointsOfInterest }),
+            ...this.statsCalculator.calculateStats(points),
+            uploadTime: new Date().toISOString()
+        };
+    }
+}
+
+// Read a File/Blob in chunks and stream it through GPXStreamParser
+// (elevationOptions is passed in by the worker, which can't read the user's elevation setting)
+export async function parseGPXStream(file, { onProgress = null, signal = null, chunkSize = DEFAULT_CHUNK_SIZE, elevationOptions = null } = {}) {
+    const parser = new GPXStreamParser();
+    parser.statsCalculator.elevationOptions = elevationOptions;
+    const decoder = new TextDecoder('utf-8');
+    const totalBytes = file.size;
+
+    for (let offset = 0; offset < totalBytes; offset += chunkSize) {
+        if (signal?.aborted) {
+            throw new Error('Upload cancelled');
+        }
+
+        const bytes = await readChunk(file.slice(offset, Math.min(offset + chunkSize, totalBytes)));
+        parser.write(decoder.decode(bytes, { stream: true }));
+
+        onProgress?.({
+            bytesRead: Math.min(offset + chunkSize, totalBytes),
+            totalBytes
+        });
+    }
+
+    parser.write(decoder.decode());
+    return parser.end(file.name);
+}
+
+// Read a Blob slice as bytes (Blob.arrayBuffer isn't available everywhere)
+function readChunk(blob) {
+    if (typeof blob.arrayBuffer === 'function') {
+        return blob.arrayBuffer().then(buffer => new Uint8Array(buffer));
+    }
+
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(new Uint8Array(e.target.result));
+        reader.onerror = () => reject(new Error('Failed to read file'));
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+function localName(qualifiedName) {
+    const colon = qualifiedName.indexOf(':');
+    return colon === -1 ? qualifiedName : qualifiedName.slice(colon + 1);
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = attributePattern.exec(source)) !== null) {
+        attributes[localName(match[1])] = decodeEntities(match[2] ?? match[3]);
+    }
+    return attributes;
+}
+
+function decodeEntities(text) {
+    if (!text.includes('&')) return text;
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+        }
+        return XML_ENTITIES[code] ?? entity;
+    });
+}
+
+export default GPXStreamParser;
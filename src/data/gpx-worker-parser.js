@@ -0,0 +1,105 @@
+// GPX Worker Parser
+// Runs the streaming GPX parser in a dedicated Web Worker, with progress and cancellation
+import { parseGPXStream } from './gpx-stream-parser.js';
+import elevationPreferences from '../utils/elevation-preferences.js';
+
+class GPXWorkerParser {
+    constructor() {
+        this.supportedFormats = ['.gpx', '.xml'];
+        // Streaming never holds the whole document, so the cap is far above GPXParser's DOM limit
+        this.maxFileSize = 1024 * 1024 * 1024; // 1GB
+    }
+
+    // Parse a GPX file without blocking the main thread
+    async parseGPXFile(file, { onProgress = null, signal = null } = {}) {
+        try {
+            console.log(`📁 Streaming GPX file: ${file.name} (${(file.size / 1024).toFixed(1)}KB)`);
+
+            // Validate file
+            this.validateFile(file);
+
+            const routeData = this.canUseWorker()
+                ? await this.parseInWorker(file, { onProgress, signal })
+                : await parseGPXStream(file, { onProgress, signal });
+
+            console.log(`✅ Successfully parsed GPX: ${routeData.points.length} points, ${routeData.distance.toFixed(2)}km`);
+            return routeData;
+
+        } catch (error) {
+            if (signal?.aborted) {
+                console.log(`⏹️ Cancelled parsing ${file.name}`);
+                throw new Error('Upload cancelled');
+            }
+            console.error(`❌ Error parsing GPX file ${file.name}:`, error);
+            throw new Error(`Failed to parse ${file.name}: ${error.message}`);
+        }
+    }
+
+    // Validate file before processing
+    validateFile(file) {
+        const fileExtension = file.name.toLowerCase().slice(file.name.lastIndexOf('.'));
+        if (!this.supportedFormats.includes(fileExtension)) {
+            throw new Error(`Unsupported file format. Please upload a GPX (.gpx) file.`);
+        }
+
+        if (file.size > this.maxFileSize) {
+            throw new Error(`File too large. Please upload a file smaller than 1GB.`);
+        }
+
+        if (file.size === 0) {
+            throw new Error(`File is empty.`);
+        }
+    }
+
+    // Workers aren't available in every environment (e.g. tests); fall back to streaming in-thread
+    canUseWorker() {
+        return typeof Worker !== 'undefined';
+    }
+
+    // Hand the File to a worker and resolve with its route; abort terminates the worker
+    parseInWorker(file, { onProgress, signal }) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new Error('Upload cancelled'));
+                return;
+            }
+
+            const worker = new Worker(new URL('./gpx-parse.worker.js', import.meta.url), { type: 'module' });
+
+            const cleanup = () => {
+                worker.terminate();
+                signal?.removeEventListener('abort', onAbort);
+            };
+
+            const onAbort = () => {
+                cleanup();
+                reject(new Error('Upload cancelled'));
+            };
+
+            signal?.addEventListener('abort', onAbort);
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    onProgress?.({ bytesRead: message.bytesRead, totalBytes: message.totalBytes });
+                } else if (message.type === 'result') {
+                    cleanup();
+                    resolve(message.route);
+                } else if (message.type === 'error') {
+                    cleanup();
+                    reject(new Error(message.message));
+                }
+            };
+
+            worker.onerror = (event) => {
+                cleanup();
+                reject(new Error(event.message || 'GPX worker failed'));
+            };
+
+            // The worker has no localStorage, so hand it the user's elevation setting
+            worker.postMessage({ file, elevationOptions: elevationPreferences.getOptions() });
+        });
+    }
+}
+
+export default GPXWorkerParser;
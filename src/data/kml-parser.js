@@ -0,0 +1,278 @@
+// KML (Google Earth) Route Parser and Exporter
+// Reads <LineString> and gx:Track placemarks into the same route structure as GPXParser
+import GPXParser from './gpx-parser.js';
+import { groupPointsBySegment } from './geojson-parser.js';
+import { escapeHtml } from '../utils/escape-html.js';
+
+class KMLParser {
+    constructor() {
+        this.supportedFormats = ['.kml'];
+        this.maxFileSize = 50 * 1024 * 1024; // 50MB
+        // Share file reading, XML validation and statistics with the GPX parser
+        this.gpxParser = new GPXParser();
+    }
+
+    // Parse KML file content
+    async parseKMLFile(file) {
+        try {
+            console.log(`📁 Parsing KML file: ${file.name} (${(file.size / 1024).toFixed(1)}KB)`);
+
+            // Validate file
+            this.validateFile(file);
+
+            // Read file content
+            const content = await this.gpxParser.readFileContent(file);
+
+            // Parse XML
+            const xmlDoc = this.gpxParser.parseXML(content);
+
+            // Extract GPS data
+            const routeData = this.extractRouteData(xmlDoc, file.name);
+
+            console.log(`✅ Successfully parsed KML: ${routeData.points.length} points, ${routeData.distance.toFixed(2)}km`);
+            return routeData;
+
+        } catch (error) {
+            console.error(`❌ Error parsing KML file ${file.name}:`, error);
+            throw new Error(`Failed to parse ${file.name}: ${error.message}`);
+        }
+    }
+
+    // Validate file before processing
+    validateFile(file) {
+        const fileExtension = file.name.toLowerCase().slice(file.name.lastIndexOf('.'));
+        if (!this.supportedFormats.includes(fileExtension)) {
+            throw new Error(`Unsupported file format. Please upload a KML (.kml) file.`);
+        }
+
+        if (file.size > this.maxFileSize) {
+            throw new Error(`File too large. Please upload a file smaller than 50MB.`);
+        }
+
+        if (file.size === 0) {
+            throw new Error(`File is empty.`);
+        }
+    }
+
+    // Extract route data from KML XML
+    extractRouteData(xmlDoc, filename) {
+        if (!this.findFirst(xmlDoc, 'kml')) {
+            throw new Error('Not a KML document');
+        }
+
+        // Every <LineString> and gx:Track becomes a track segment, in document order
+        const lines = this.findAll(xmlDoc, '*')
+            .filter(element => element.localName === 'LineString' || element.localName === 'Track')
+            .map(element => element.localName === 'Track' ? this.parseTrack(element) : this.parseLineString(element))
+            .filter(line => line.length > 0);
+
+        const points = lines.flatMap((line, segmentIndex) =>
+            line.map(point => ({ ...point, segmentIndex }))
+        );
+
+        if (points.length === 0) {
+            throw new Error('No LineString or gx:Track found in KML file');
+        }
+
+        // Point placemarks are points of interest along the route
+        const waypoints = this.findAll(xmlDoc, 'Placemark')
+            .filter(placemark => this.findFirst(placemark, 'Point'))
+            .map(placemark => this.parseWaypoint(placemark))
+            .filter(Boolean);
+
+        // Extract metadata
+        const metadata = this.extractMetadata(xmlDoc);
+
+        // Calculate statistics
+        const stats = this.gpxParser.calculateStats(points);
+
+        return {
+            filename,
+            points,
+            metadata,
+            segments: lines.map(line => ({ trackIndex: 0, trackName: metadata.name || null, pointCount: line.length })),
+            ...(waypoints.length > 0 && { waypoints }),
+            ...stats,
+            uploadTime: new Date().toISOString()
+        };
+    }
+
+    // Parse <coordinates> "lon,lat[,alt]" tuples separated by whitespace
+    parseLineString(lineStringElement) {
+        const coordinates = this.readText(lineStringElement, 'coordinates');
+        if (!coordinates) {
+            return [];
+        }
+
+        return coordinates.split(/\s+/).filter(Boolean).map(tuple => {
+            const [lon, lat, elevation] = tuple.split(',').map(parseFloat);
+            return this.createPoint(lat, lon, elevation, null);
+        });
+    }
+
+    // Parse gx:Track, where <when> and <gx:coord> ("lon lat alt") are parallel lists
+    parseTrack(trackElement) {
+        const whens = this.findAll(trackElement, 'when');
+        const coords = this.findAll(trackElement, 'coord');
+
+        return coords.map((coordElement, index) => {
+            const [lon, lat, elevation] = coordElement.textContent.trim().split(/\s+/).map(parseFloat);
+            const whenText = whens[index]?.textContent?.trim();
+            return this.createPoint(lat, lon, elevation, whenText ? new Date(whenText) : null);
+        });
+    }
+
+    createPoint(lat, lon, elevation, timestamp) {
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+            throw new Error('Invalid coordinates in KML file');
+        }
+
+        return {
+            lat,
+            lon,
+            elevation: Number.isFinite(elevation) ? elevation : null,
+            timestamp: timestamp && !isNaN(timestamp) ? timestamp : null,
+            name: null
+        };
+    }
+
+    // Parse a Point placemark into the waypoint shape used by GPXParser
+    parseWaypoint(placemark) {
+        const coordinates = this.readText(this.findFirst(placemark, 'Point'), 'coordinates');
+        const [lon, lat, elevation] = (coordinates || '').split(',').map(parseFloat);
+
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+            return null;
+        }
+
+        return {
+            lat,
+            lon,
+            elevation: Number.isFinite(elevation) ? elevation : null,
+            timestamp: null,
+            name: this.readDirectText(placemark, 'name'),
+            description: this.readDirectText(placemark, 'description'),
+            symbol: null
+        };
+    }
+
+    // Extract KML metadata (document or first line placemark name and description)
+    extractMetadata(xmlDoc) {
+        const metadata = {};
+
+        const documentElement = this.findFirst(xmlDoc, 'Document');
+        const linePlacemark = this.findAll(xmlDoc, 'Placemark')
+            .find(placemark => this.findFirst(placemark, 'LineString') || this.findFirst(placemark, 'Track'));
+
+        const name = (linePlacemark && this.readDirectText(linePlacemark, 'name'))
+            || (documentElement && this.readDirectText(documentElement, 'name'));
+        if (name) metadata.name = name;
+
+        const description = (linePlacemark && this.readDirectText(linePlacemark, 'description'))
+            || (documentElement && this.readDirectText(documentElement, 'description'));
+        if (description) metadata.description = description;
+
+        const firstWhen = this.readText(xmlDoc, 'when');
+        if (firstWhen) metadata.time = firstWhen;
+
+        metadata.creator = 'KML';
+
+        return metadata;
+    }
+
+    // Namespace-agnostic element lookup (gx:Track and gx:coord live in the Google extension namespace)
+    findAll(parent, localName) {
+        return Array.from(parent.getElementsByTagNameNS('*', localName));
+    }
+
+    findFirst(parent, localName) {
+        return parent.getElementsByTagNameNS('*', localName)[0] || null;
+    }
+
+    readText(parent, localName) {
+        const element = this.findFirst(parent, localName);
+        const text = element?.textContent?.trim();
+        return text ? text : null;
+    }
+
+    // Read text from a direct child only, so a Document's <name> isn't taken from a nested Placemark
+    readDirectText(parent, localName) {
+        const element = Array.from(parent.children).find(child => child.localName === localName);
+        const text = element?.textContent?.trim();
+        return text ? text : null;
+    }
+
+    // Convert route data to KML for export (gx:Track when every point has a time)
+    generateKML(routeData) {
+        const name = routeData.metadata?.name || routeData.filename || 'RouteCoinMe Route';
+        const description = routeData.metadata?.description || 'Generated by RouteCoinMe';
+        const lines = groupPointsBySegment(routeData.points);
+        const hasTimes = routeData.points.length > 0 && routeData.points.every(point => point.timestamp);
+        const hasElevation = routeData.points.some(point => Number.isFinite(point.elevation));
+        const altitudeMode = hasElevation ? 'absolute' : 'clampToGround';
+
+        const formatCoordinate = (point, separator) => {
+            const values = [point.lon, point.lat];
+            if (hasElevation) {
+                values.push(Number.isFinite(point.elevation) ? point.elevation : 0);
+            }
+            return values.join(separator);
+        };
+
+        const geometries = lines.map(line => {
+            if (hasTimes) {
+                const whens = line.map(point => `
+                <when>${new Date(point.timestamp).toISOString()}</when>`).join('');
+                const coords = line.map(point => `
+                <gx:coord>${formatCoordinate(point, ' ')}</gx:coord>`).join('');
+                return `
+            <gx:Track>
+                <altitudeMode>${altitudeMode}</altitudeMode>${whens}${coords}
+            </gx:Track>`;
+            }
+
+            return `
+            <LineString>
+                <tessellate>1</tessellate>
+                <altitudeMode>${altitudeMode}</altitudeMode>
+                <coordinates>${line.map(point => formatCoordinate(point, ',')).join(' ')}</coordinates>
+            </LineString>`;
+        }).join('');
+
+        const container = hasTimes ? 'gx:MultiTrack' : 'MultiGeometry';
+        const geometry = lines.length > 1
+            ? `
+            <${container}>${geometries}
+            </${container}>`
+            : geometries;
+
+        const waypointPlacemarks = (routeData.waypoints || []).map(waypoint => `
+        <Placemark>
+            <name>${escapeHtml(waypoint.name || 'Waypoint')}</name>${waypoint.description ? `
+            <description>${escapeHtml(waypoint.description)}</description>` : ''}
+            <Point>
+                <coordinates>${waypoint.lon},${waypoint.lat}${Number.isFinite(waypoint.elevation) ? `,${waypoint.elevation}` : ''}</coordinates>
+            </Point>
+        </Placemark>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+    <Document>
+        <name>${escapeHtml(name)}</name>
+        <description>${escapeHtml(description)}</description>
+        <Style id="route">
+            <LineStyle>
+                <color>ffeb6325</color>
+                <width>3</width>
+            </LineStyle>
+        </Style>
+        <Placemark>
+            <name>${escapeHtml(name)}</name>
+            <styleUrl>#route</styleUrl>${geometry}
+        </Placemark>${waypointPlacemarks}
+    </Document>
+</kml>`;
+    }
+}
+
+export default KMLParser;
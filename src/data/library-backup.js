@@ -0,0 +1,256 @@
+// Library Backup
+// Exports the IndexedDB route and coin stores to one versioned archive file and merges such an
+// archive back in - e.g. to move a library to another browser or machine. Archives are JSON,
+// gzipped when the browser supports CompressionStream.
+import DuplicateDetector from './duplicate-detector.js';
+import { decompress } from './zip-reader.js';
+import { normalizeTags } from './route-library.js';
+import { migrateRecord, validateRoute, validateCoin } from './storage-migrations.js';
+
+export const BACKUP_FORMAT = 'routecoinme-library';
+export const BACKUP_VERSION = 1;
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+const SAVE_BATCH_SIZE = 50;
+
+class LibraryBackup {
+    constructor(storageManager, { duplicateDetector = new DuplicateDetector() } = {}) {
+        this.storageManager = storageManager;
+        this.duplicateDetector = duplicateDetector;
+    }
+
+    // Snapshot both stores as a backup object. Routes are kept exactly as stored, without
+    // privacy zones applied, so a restore loses nothing.
+    async createBackup({ onProgress = () => {} } = {}) {
+        onProgress({ phase: 'reading', done: 0, total: 2 });
+        const routes = await this.storageManager.loadRoutes();
+        onProgress({ phase: 'reading', done: 1, total: 2 });
+        const coins = await this.storageManager.loadCoins();
+        onProgress({ phase: 'reading', done: 2, total: 2 });
+
+        console.log(`🗄️ Backing up ${routes.length} routes and ${coins.length} coins`);
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            createdAt: new Date().toISOString(),
+            schemaVersion: this.storageManager.dbVersion,
+            routes,
+            coins
+        };
+    }
+
+    // The backup as a downloadable Blob
+    async exportBackup(options = {}) {
+        const json = JSON.stringify(await this.createBackup(options));
+        const blob = new Blob([json], { type: 'application/json' });
+
+        if (typeof CompressionStream === 'undefined' || typeof blob.stream !== 'function') {
+            return blob;
+        }
+        const compressed = blob.stream().pipeThrough(new CompressionStream('gzip'));
+        return new Response(compressed).blob();
+    }
+
+    generateFilename(date = new Date()) {
+        const compressed = typeof CompressionStream !== 'undefined';
+        return `routecoinme-library-${date.toISOString().slice(0, 10)}.json${compressed ? '.gz' : ''}`;
+    }
+
+    // Parse a backup file (gzipped or plain JSON) into a backup object
+    async readBackupFile(file) {
+        let bytes = new Uint8Array(await this.readFileBuffer(file));
+        if (bytes[0] === GZIP_MAGIC[0] && bytes[1] === GZIP_MAGIC[1]) {
+            bytes = await decompress(bytes, 'gzip');
+        }
+
+        try {
+            return JSON.parse(new TextDecoder('utf-8').decode(bytes));
+        } catch {
+            throw new Error('This file is not a RouteCoinMe library backup');
+        }
+    }
+
+    // Read file content as an ArrayBuffer
+    readFileBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read backup file'));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    // Check the archive header and every record. Invalid records are reported, not thrown,
+    // so one damaged route doesn't block restoring the rest.
+    validateBackup(backup) {
+        if (backup?.format !== BACKUP_FORMAT) {
+            throw new Error('This file is not a RouteCoinMe library backup');
+        }
+        if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+            throw new Error(`This backup was made by a newer version of RouteCoinMe (format ${backup.version})`);
+        }
+
+        const invalid = [];
+        // Records from backups of older versions are migrated so they compare equal to local copies
+        const routes = (Array.isArray(backup.routes) ? backup.routes : []).filter(route => {
+            const reason = validateRoute(route);
+            if (reason) invalid.push({ type: 'route', id: route?.id ?? null, name: route?.filename || null, reason });
+            return !reason;
+        }).map(route => migrateRecord(route, 'route').record);
+        const coins = (Array.isArray(backup.coins) ? backup.coins : []).filter(coin => {
+            const reason = validateCoin(coin);
+            if (reason) invalid.push({ type: 'coin', id: coin?.id ?? null, name: coin?.name || null, reason });
+            return !reason;
+        }).map(coin => migrateRecord(coin, 'coin').record);
+
+        return { routes, coins, invalid };
+    }
+
+    // Merge a backup into the library. Records already present unchanged are skipped; a record
+    // that differs from the local copy keeps the local copy, gains the backup's labels and (if the
+    // local track was compacted) the backup's more detailed track; routes that duplicate another
+    // local activity are skipped. Returns a report of what happened to every record.
+    async restoreBackup(backup, { onProgress = () => {} } = {}) {
+        const { routes, coins, invalid } = this.validateBackup(backup);
+        const report = {
+            routes: { added: 0, merged: 0, unchanged: 0, duplicates: 0 },
+            coins: { added: 0, merged: 0, unchanged: 0 },
+            conflicts: [],
+            invalid
+        };
+
+        onProgress({ phase: 'checking', done: 0, total: routes.length + coins.length });
+        const localRoutes = await this.storageManager.loadRoutes();
+        const localCoins = await this.storageManager.loadCoins();
+        const localRoutesById = new Map(localRoutes.map(route => [route.id, route]));
+        const localCoinsById = new Map(localCoins.map(coin => [coin.id, coin]));
+        const knownDuplicateIds = new Set(localRoutes.flatMap(route => route.metadata?.duplicateIds || []));
+
+        const routesToSave = [];
+        const duplicateCandidates = [...localRoutes];
+        routes.forEach(route => {
+            const local = localRoutesById.get(route.id);
+            if (local) {
+                if (sameRecord(local, route)) {
+                    report.routes.unchanged++;
+                    return;
+                }
+                const { merged, resolution } = mergeRouteCopies(local, route);
+                routesToSave.push(merged);
+                report.routes.merged++;
+                report.conflicts.push({ type: 'route', id: route.id, name: local.filename, resolution });
+                return;
+            }
+
+            const duplicate = knownDuplicateIds.has(route.id)
+                ? { route: localRoutes.find(candidate => candidate.metadata?.duplicateIds?.includes(route.id)) }
+                : this.duplicateDetector.findDuplicate(route, duplicateCandidates);
+            if (duplicate) {
+                report.routes.duplicates++;
+                report.conflicts.push({
+                    type: 'route',
+                    id: route.id,
+                    name: route.filename,
+                    resolution: `skipped - same activity as ${duplicate.route.filename || duplicate.route.id}`
+                });
+                return;
+            }
+
+            routesToSave.push(route);
+            duplicateCandidates.push(route);
+            report.routes.added++;
+        });
+
+        const coinsToSave = [];
+        coins.forEach(coin => {
+            const local = localCoinsById.get(coin.id);
+            if (!local) {
+                coinsToSave.push(coin);
+                report.coins.added++;
+            } else if (sameRecord(local, coin)) {
+                report.coins.unchanged++;
+            } else {
+                coinsToSave.push({ ...coin, ...local, ...mergeLabels(local, coin) });
+                report.coins.merged++;
+                report.conflicts.push({ type: 'coin', id: coin.id, name: local.name, resolution: 'kept local coin, merged tags and notes' });
+            }
+        });
+
+        const total = routesToSave.length + coinsToSave.length;
+        let done = 0;
+        onProgress({ phase: 'saving', done, total });
+
+        for (let i = 0; i < routesToSave.length; i += SAVE_BATCH_SIZE) {
+            const batch = routesToSave.slice(i, i + SAVE_BATCH_SIZE);
+            await this.storageManager.saveRoutes(batch);
+            done += batch.length;
+            onProgress({ phase: 'saving', done, total });
+        }
+        for (const coin of coinsToSave) {
+            await this.storageManager.saveCoin(coin);
+            onProgress({ phase: 'saving', done: ++done, total });
+        }
+
+        console.log(`📥 Restored backup: ${report.routes.added} routes added, ${report.routes.merged} merged, ${report.routes.duplicates} duplicates skipped; ${report.coins.added} coins added, ${report.coins.merged} merged; ${invalid.length} invalid`);
+        return report;
+    }
+}
+
+// Union of tags; notes and folder from whichever copy has them (local first)
+function mergeLabels(local, incoming) {
+    const tags = normalizeTags([...(local.tags || []), ...(incoming.tags || [])]);
+    return {
+        ...(tags.length > 0 && { tags }),
+        folder: local.folder || incoming.folder || null,
+        notes: local.notes || incoming.notes || ''
+    };
+}
+
+function mergeRouteCopies(local, incoming) {
+    const moreDetailed = (incoming.points?.length || 0) > (local.points?.length || 0);
+    const trackSource = moreDetailed ? incoming : local;
+    const merged = {
+        ...incoming,
+        ...local,
+        ...mergeLabels(local, incoming),
+        // Stats and segments always come with the track they describe
+        points: trackSource.points,
+        distance: trackSource.distance,
+        elevationGain: trackSource.elevationGain,
+        elevationLoss: trackSource.elevationLoss,
+        minElevation: trackSource.minElevation,
+        maxElevation: trackSource.maxElevation,
+        duration: trackSource.duration,
+        pointCount: trackSource.points.length
+    };
+    if (trackSource.segments) {
+        merged.segments = trackSource.segments;
+    } else {
+        delete merged.segments;
+    }
+    if (moreDetailed) {
+        merged.metadata = { ...merged.metadata, compaction: incoming.metadata?.compaction };
+        if (!merged.metadata.compaction) delete merged.metadata.compaction;
+    }
+
+    return {
+        merged,
+        resolution: moreDetailed ? 'kept local copy with the backup\'s more detailed track' : 'kept local copy, merged tags and notes'
+    };
+}
+
+// Compare records as stored in JSON (Dates become ISO strings), ignoring key order
+function sameRecord(a, b) {
+    return stableStringify(a) === stableStringify(b);
+}
+
+function stableStringify(value) {
+    return JSON.stringify(value, (key, nested) => {
+        if (nested && typeof nested === 'object' && !Array.isArray(nested)) {
+            return Object.fromEntries(Object.keys(nested).sort().map(name => [name, nested[name]]));
+        }
+        return nested;
+    });
+}
+
+export default LibraryBackup;
@@ -0,0 +1,178 @@
+// Point Codec
+// Compact storage form for track points. Every point field becomes a column: coordinates and
+// elevation are quantised to integers (1e-7° ≈ 1 cm, centimetres) and delta-encoded into typed
+// arrays, timestamps become millisecond deltas, and anything else is kept as a plain value list.
+// IndexedDB stores typed arrays as raw bytes, so a stored route takes a fraction of the space
+// of an array of point objects. Decoding gives back the same point objects (coordinates and
+// elevation rounded to the precision above).
+
+export const POINT_STREAM_FORMAT = 'rcm-points';
+export const POINT_STREAM_VERSION = 1;
+
+// Fields stored as rounded integers: value * scale
+const QUANTISED_FIELDS = { lat: 1e7, lon: 1e7, elevation: 100 };
+const TIME_FIELDS = new Set(['timestamp']);
+
+// Per-point state of a column, only stored when some points have no value for it
+const ABSENT = 0;
+const NULL = 1;
+const PRESENT = 2;
+
+const INT32_MIN = -2147483648;
+const INT32_MAX = 2147483647;
+
+export function encodePoints(points = []) {
+    const keys = new Set();
+    points.forEach(point => Object.keys(point).forEach(key => keys.add(key)));
+
+    return {
+        format: POINT_STREAM_FORMAT,
+        version: POINT_STREAM_VERSION,
+        count: points.length,
+        columns: [...keys].map(key => encodeColumn(key, points))
+    };
+}
+
+export function decodePoints(stream) {
+    if (stream?.format !== POINT_STREAM_FORMAT || stream.version > POINT_STREAM_VERSION) {
+        throw new Error('Unsupported point stream format');
+    }
+
+    const points = Array.from({ length: stream.count }, () => ({}));
+    stream.columns.forEach(column => {
+        const values = decodeColumnValues(column);
+        let next = 0;
+        for (let i = 0; i < stream.count; i++) {
+            const state = column.state ? column.state[i] : PRESENT;
+            if (state === PRESENT) {
+                points[i][column.key] = values[next++];
+            } else if (state === NULL) {
+                points[i][column.key] = null;
+            }
+        }
+    });
+    return points;
+}
+
+// Stored form of a route: `points` replaced by an encoded `pointStream`
+export function packRoutePoints(route) {
+    if (!route || !Array.isArray(route.points)) {
+        return route;
+    }
+    const { points, ...rest } = route;
+    return { ...rest, pointStream: encodePoints(points) };
+}
+
+export function unpackRoutePoints(record) {
+    if (!record?.pointStream) {
+        return record;
+    }
+    const { pointStream, ...rest } = record;
+    return { ...rest, points: decodePoints(pointStream) };
+}
+
+// Rough in-storage size in bytes: typed arrays count their raw bytes, numbers 8 bytes and
+// strings one byte per character. Used to compare plain and packed records like for like.
+export function estimateStoredSize(value) {
+    if (value === null || value === undefined || typeof value === 'boolean') {
+        return 1;
+    }
+    if (typeof value === 'number') {
+        return 8;
+    }
+    if (typeof value === 'string') {
+        return value.length;
+    }
+    if (value instanceof Date) {
+        return 8;
+    }
+    if (ArrayBuffer.isView(value)) {
+        return value.byteLength;
+    }
+    if (Array.isArray(value)) {
+        return value.reduce((total, item) => total + estimateStoredSize(item), 0);
+    }
+    return Object.keys(value).reduce((total, key) => total + key.length + estimateStoredSize(value[key]), 0);
+}
+
+function encodeColumn(key, points) {
+    const state = new Uint8Array(points.length);
+    const present = [];
+    points.forEach((point, i) => {
+        const value = point[key];
+        if (value === undefined) {
+            state[i] = ABSENT;
+        } else if (value === null) {
+            state[i] = NULL;
+        } else {
+            state[i] = PRESENT;
+            present.push(value);
+        }
+    });
+
+    const column = { key, state: present.length === points.length ? null : state };
+
+    if (TIME_FIELDS.has(key)) {
+        const times = present.map(toExactTime);
+        if (times.every(time => time !== null)) {
+            return { ...column, type: 'time', ...deltaEncode(times) };
+        }
+    }
+
+    if (present.every(value => typeof value === 'number' && Number.isFinite(value))) {
+        const scale = QUANTISED_FIELDS[key];
+        if (scale) {
+            return { ...column, type: 'quantised', scale, ...deltaEncode(present.map(value => Math.round(value * scale))) };
+        }
+        if (present.every(Number.isInteger)) {
+            return { ...column, type: 'integer', ...deltaEncode(present) };
+        }
+        return { ...column, type: 'float', data: Float64Array.from(present) };
+    }
+
+    return { ...column, type: 'value', data: present };
+}
+
+function decodeColumnValues(column) {
+    switch (column.type) {
+        case 'time':
+            return deltaDecode(column).map(time => new Date(time).toISOString());
+        case 'quantised':
+            return deltaDecode(column).map(value => value / column.scale);
+        case 'integer':
+            return deltaDecode(column);
+        case 'float':
+            return Array.from(column.data);
+        default:
+            return column.data;
+    }
+}
+
+// First value as `base`, then differences from the previous value. Neighbouring points are close
+// together, so the differences fit in 32 bits (falling back to 64-bit floats when they don't).
+function deltaEncode(values) {
+    const base = values.length > 0 ? values[0] : 0;
+    const deltas = values.map((value, i) => (i === 0 ? 0 : value - values[i - 1]));
+    const fitsInt32 = deltas.every(delta => delta >= INT32_MIN && delta <= INT32_MAX);
+    return { base, data: fitsInt32 ? Int32Array.from(deltas) : Float64Array.from(deltas) };
+}
+
+function deltaDecode({ base, data }) {
+    const values = new Array(data.length);
+    let current = base;
+    for (let i = 0; i < data.length; i++) {
+        current += data[i];
+        values[i] = current;
+    }
+    return values;
+}
+
+// Milliseconds for timestamps that decode back to exactly the same string (full ISO strings, as
+// record migrations store them); null for anything else so the column keeps the original values
+function toExactTime(value) {
+    if (typeof value === 'string') {
+        const time = Date.parse(value);
+        return Number.isFinite(time) && new Date(time).toISOString() === value ? time : null;
+    }
+    return null;
+}
@@ -0,0 +1,230 @@
+// GPS Noise Cleaner
+// Removes speed spikes and stationary jitter from uploaded routes (with optional Kalman smoothing)
+// so aggregated distances and coin paths aren't inflated by recording noise
+import GPXParser from './gpx-parser.js';
+import { groupPointsBySegment } from './geojson-parser.js';
+
+export const DEFAULT_CLEANING_OPTIONS = {
+    removeOutliers: true,          // Drop points that imply an impossible speed
+    maxSpeedKmh: 200,              // Anything faster between two fixes is a spike
+    outlierLookahead: 5,           // How many following points may be bad before a jump is accepted as real
+    collapseStationary: true,      // Merge jitter recorded while standing still
+    stationaryRadiusMeters: 8,     // Points within this distance of a cluster's first point are "not moving"
+    stationaryMinPoints: 3,        // Smaller clusters are left alone
+    stationaryMinSeconds: 30,      // ...as are clusters passed through quicker than this (slow walking)
+    kalmanSmoothing: false,        // Smooth lat/lon with a constant-position Kalman filter
+    gpsAccuracyMeters: 5,          // Assumed measurement noise of a fix
+    processNoiseMetersPerSecond: 3 // How quickly the true position is expected to drift
+};
+
+class RouteCleaner {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_CLEANING_OPTIONS, ...options };
+        // Share distance and statistics with the GPX parser
+        this.statsCalculator = new GPXParser();
+    }
+
+    // Clean a route and report what changed; segments are cleaned independently
+    cleanRoute(route, options = {}) {
+        const settings = { ...this.options, ...options };
+        const originalPoints = route.points || [];
+        const segments = groupPointsBySegment(originalPoints);
+
+        let outliersRemoved = 0;
+        let stationaryPointsRemoved = 0;
+
+        const cleanedSegments = segments.map(segmentPoints => {
+            let points = segmentPoints;
+
+            if (settings.removeOutliers) {
+                const filtered = this.removeOutliers(points, settings);
+                outliersRemoved += points.length - filtered.length;
+                points = filtered;
+            }
+
+            if (settings.collapseStationary) {
+                const collapsed = this.collapseStationaryClusters(points, settings);
+                stationaryPointsRemoved += points.length - collapsed.length;
+                points = collapsed;
+            }
+
+            return settings.kalmanSmoothing ? this.applyKalmanFilter(points, settings) : points;
+        });
+
+        const points = cleanedSegments.flat();
+        const stats = this.statsCalculator.calculateStats(points);
+
+        const report = {
+            originalPointCount: originalPoints.length,
+            pointCount: points.length,
+            pointsRemoved: originalPoints.length - points.length,
+            outliersRemoved,
+            stationaryPointsRemoved,
+            smoothed: Boolean(settings.kalmanSmoothing),
+            distanceBefore: route.distance || 0,
+            distanceAfter: stats.distance
+        };
+
+        console.log(`🧹 Cleaned ${route.filename || 'route'}: removed ${report.pointsRemoved} of ${report.originalPointCount} points (${outliersRemoved} spikes, ${stationaryPointsRemoved} stationary)`);
+
+        const cleanedRoute = {
+            ...route,
+            points,
+            ...stats,
+            metadata: { ...route.metadata, cleaning: report }
+        };
+
+        if (route.segments) {
+            cleanedRoute.segments = route.segments.map((segment, index) => ({
+                ...segment,
+                pointCount: cleanedSegments[index]?.length ?? 0
+            }));
+        }
+
+        return { route: cleanedRoute, report };
+    }
+
+    // Drop fixes that can only be reached at an impossible speed from the last good fix.
+    // A point is only a spike if the track comes back within the lookahead window;
+    // otherwise the jump is real (e.g. the recording resumed after a train ride) and is kept.
+    removeOutliers(points, settings = this.options) {
+        if (points.length < 3) {
+            return points;
+        }
+
+        const kept = [points[0]];
+
+        for (let i = 1; i < points.length; i++) {
+            const anchor = kept[kept.length - 1];
+            if (!this.exceedsSpeed(anchor, points[i], settings.maxSpeedKmh)) {
+                kept.push(points[i]);
+                continue;
+            }
+
+            const lookahead = points.slice(i + 1, i + 1 + settings.outlierLookahead);
+            const trackReturns = lookahead.some(point => !this.exceedsSpeed(anchor, point, settings.maxSpeedKmh));
+            if (!trackReturns) {
+                kept.push(points[i]);
+            }
+        }
+
+        return kept;
+    }
+
+    // Speed checks need both timestamps; untimed points are never treated as spikes
+    exceedsSpeed(from, to, maxSpeedKmh) {
+        const fromTime = timeOf(from);
+        const toTime = timeOf(to);
+        if (fromTime === null || toTime === null) {
+            return false;
+        }
+
+        const distanceKm = this.statsCalculator.calculateDistance(from.lat, from.lon, to.lat, to.lon);
+        const hours = Math.abs(toTime - fromTime) / 3600000;
+        if (hours === 0) {
+            // Duplicate timestamp: only a spike if it also moved
+            return distanceKm > 0.001;
+        }
+
+        return distanceKm / hours > maxSpeedKmh;
+    }
+
+    // Replace runs of points that stay within the radius of the run's first point for long enough
+    // with their centroid. Untimed routes are left alone - without time a stop looks like slow movement.
+    collapseStationaryClusters(points, settings = this.options) {
+        if (!points.some(point => timeOf(point) !== null)) {
+            return points;
+        }
+
+        const radiusKm = settings.stationaryRadiusMeters / 1000;
+        const collapsed = [];
+        let clusterStart = 0;
+
+        while (clusterStart < points.length) {
+            const anchor = points[clusterStart];
+            let clusterEnd = clusterStart + 1;
+
+            while (clusterEnd < points.length &&
+                this.statsCalculator.calculateDistance(anchor.lat, anchor.lon, points[clusterEnd].lat, points[clusterEnd].lon) <= radiusKm) {
+                clusterEnd++;
+            }
+
+            const cluster = points.slice(clusterStart, clusterEnd);
+            if (this.isStationaryCluster(cluster, settings)) {
+                collapsed.push(this.mergeCluster(cluster));
+                clusterStart = clusterEnd;
+            } else {
+                // A stop may begin part-way through this run, so move on one point at a time
+                collapsed.push(anchor);
+                clusterStart++;
+            }
+        }
+
+        return collapsed;
+    }
+
+    isStationaryCluster(cluster, settings) {
+        if (cluster.length < settings.stationaryMinPoints) {
+            return false;
+        }
+
+        const startTime = timeOf(cluster[0]);
+        const endTime = timeOf(cluster[cluster.length - 1]);
+        return startTime !== null && endTime !== null && (endTime - startTime) / 1000 >= settings.stationaryMinSeconds;
+    }
+
+    // Average a stationary cluster into one point, keeping the time the stop began
+    mergeCluster(cluster) {
+        const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const elevations = cluster.map(point => point.elevation).filter(Number.isFinite);
+
+        return {
+            ...cluster[0],
+            lat: average(cluster.map(point => point.lat)),
+            lon: average(cluster.map(point => point.lon)),
+            elevation: elevations.length > 0 ? average(elevations) : cluster[0].elevation
+        };
+    }
+
+    // Constant-position Kalman filter: uncertainty grows with elapsed time and shrinks with each fix
+    applyKalmanFilter(points, settings = this.options) {
+        if (points.length < 2) {
+            return points;
+        }
+
+        const accuracySquared = settings.gpsAccuracyMeters ** 2;
+        const processNoise = settings.processNoiseMetersPerSecond;
+        let lat = points[0].lat;
+        let lon = points[0].lon;
+        let variance = accuracySquared;
+        let previousTime = timeOf(points[0]);
+
+        return points.map((point, index) => {
+            if (index === 0) {
+                return point;
+            }
+
+            // Untimed tracks advance one second per point
+            const time = timeOf(point);
+            const elapsedSeconds = time !== null && previousTime !== null ? Math.max(0, (time - previousTime) / 1000) : 1;
+            previousTime = time;
+
+            variance += elapsedSeconds * processNoise ** 2;
+            const gain = variance / (variance + accuracySquared);
+            lat += gain * (point.lat - lat);
+            lon += gain * (point.lon - lon);
+            variance *= 1 - gain;
+
+            return { ...point, lat, lon };
+        });
+    }
+}
+
+// Timestamps are Dates after parsing but ISO strings once restored from storage
+function timeOf(point) {
+    if (!point.timestamp) return null;
+    const time = new Date(point.timestamp).getTime();
+    return Number.isFinite(time) ? time : null;
+}
+
+export default RouteCleaner;
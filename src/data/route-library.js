@@ -0,0 +1,232 @@
+// Route Library Queries
+// Search, filter and sort for the route list. The same matcher and comparator back both the
+// in-memory list and RouteStorageManager.queryRoutes, so both agree on what a query returns.
+import { ACTIVITY_TYPES } from './activity-archive.js';
+
+export const ROUTE_SORT_FIELDS = {
+    DATE: 'date',
+    NAME: 'name',
+    DISTANCE: 'distance',
+    ELEVATION_GAIN: 'elevationGain',
+    DURATION: 'duration',
+    ADDED: 'uploadTime'
+};
+
+export const ROUTE_SOURCES = {
+    ALL: 'all',
+    STRAVA: 'strava',
+    FILE: 'file'
+};
+
+// Distances in km and elevation in metres, like the routes themselves; null means "no limit".
+// Dates are 'YYYY-MM-DD' strings as produced by <input type="date">, compared in local time.
+export const DEFAULT_ROUTE_QUERY = {
+    text: '',
+    dateFrom: null,
+    dateTo: null,
+    sport: 'all',
+    source: ROUTE_SOURCES.ALL,
+    minDistance: null,
+    maxDistance: null,
+    minElevationGain: null,
+    maxElevationGain: null,
+    tag: null,
+    folder: null,
+    groupByFolder: false,
+    sortBy: ROUTE_SORT_FIELDS.DATE,
+    direction: 'desc'
+};
+
+const MAX_TAG_LENGTH = 40;
+
+const FILTER_PRESETS_STORAGE_KEY = 'rcm_route_filter_presets';
+
+// When the activity happened (ms): Strava start time, else the first timestamp, else when it was added
+export function getRouteDate(route) {
+    const candidates = [route.startTime, route.points?.find(point => point.timestamp)?.timestamp, route.uploadTime];
+    for (const candidate of candidates) {
+        const time = candidate ? new Date(candidate).getTime() : NaN;
+        if (Number.isFinite(time)) {
+            return time;
+        }
+    }
+    return null;
+}
+
+// Normalised sport name ('cycling', 'running', ...) from file metadata or the Strava sport type
+export function getRouteSport(route) {
+    const sport = route.metadata?.sport || route.type;
+    if (!sport) {
+        return null;
+    }
+    // Strava sport types are CamelCase ('GravelRide'); archive/TCX names are already spaced
+    const normalized = String(sport).replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+    return ACTIVITY_TYPES[normalized] || normalized;
+}
+
+export function getRouteSource(route) {
+    return route.source === 'strava' || String(route.id || '').startsWith('strava_')
+        ? ROUTE_SOURCES.STRAVA
+        : ROUTE_SOURCES.FILE;
+}
+
+// Tags are typed as a comma-separated list; store them lower-case and hyphenated ('Alps 2026' -> 'alps-2026')
+export function normalizeTags(input) {
+    const values = Array.isArray(input) ? input : String(input || '').split(',');
+    const tags = values
+        .map(tag => String(tag).trim().toLowerCase().replace(/^#/, '').replace(/\s+/g, '-').slice(0, MAX_TAG_LENGTH))
+        .filter(Boolean);
+    return [...new Set(tags)];
+}
+
+export function normalizeFolder(input) {
+    const folder = String(input || '').trim().replace(/\s+/g, ' ');
+    return folder || null;
+}
+
+// Tags and folders in use across routes or coins, sorted for pickers
+export function collectLabels(items = []) {
+    const tags = new Set();
+    const folders = new Set();
+    items.forEach(item => {
+        (item.tags || []).forEach(tag => tags.add(tag));
+        if (item.folder) folders.add(item.folder);
+    });
+    return { tags: [...tags].sort(), folders: [...folders].sort((a, b) => a.localeCompare(b)) };
+}
+
+export function normalizeRouteQuery(query = {}) {
+    return { ...DEFAULT_ROUTE_QUERY, ...query };
+}
+
+// Does the route pass every filter in the query?
+export function matchesRouteQuery(route, query = {}) {
+    const {
+        text, dateFrom, dateTo, sport, source,
+        minDistance, maxDistance, minElevationGain, maxElevationGain, tag, folder
+    } = normalizeRouteQuery(query);
+
+    const terms = (text || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length > 0) {
+        const haystack = [
+            route.filename,
+            route.name,
+            route.metadata?.name,
+            route.metadata?.description,
+            route.notes,
+            route.folder,
+            ...(route.tags || []),
+            getRouteSport(route)
+        ].filter(Boolean).join(' ').toLowerCase();
+        if (!terms.every(term => haystack.includes(term))) {
+            return false;
+        }
+    }
+
+    if (dateFrom || dateTo) {
+        const date = getRouteDate(route);
+        if (date === null) return false;
+        if (dateFrom && date < new Date(`${dateFrom}T00:00:00`).getTime()) return false;
+        if (dateTo && date > new Date(`${dateTo}T23:59:59.999`).getTime()) return false;
+    }
+
+    if (sport && sport !== 'all' && getRouteSport(route) !== sport) {
+        return false;
+    }
+    if (source && source !== ROUTE_SOURCES.ALL && getRouteSource(route) !== source) {
+        return false;
+    }
+    if (tag && !(route.tags || []).includes(tag)) {
+        return false;
+    }
+    if (folder && route.folder !== folder) {
+        return false;
+    }
+
+    const inRange = (value, min, max) =>
+        (min === null || min === undefined || (value || 0) >= min) &&
+        (max === null || max === undefined || (value || 0) <= max);
+
+    return inRange(route.distance, minDistance, maxDistance) &&
+        inRange(route.elevationGain, minElevationGain, maxElevationGain);
+}
+
+// Comparator for Array.sort; routes without a value for the field sort last either way
+export function compareRoutes(sortBy = DEFAULT_ROUTE_QUERY.sortBy, direction = DEFAULT_ROUTE_QUERY.direction) {
+    const sign = direction === 'asc' ? 1 : -1;
+    const valueOf = {
+        [ROUTE_SORT_FIELDS.DATE]: getRouteDate,
+        [ROUTE_SORT_FIELDS.NAME]: route => (route.name || route.filename || '').toLowerCase(),
+        [ROUTE_SORT_FIELDS.DISTANCE]: route => route.distance,
+        [ROUTE_SORT_FIELDS.ELEVATION_GAIN]: route => route.elevationGain,
+        [ROUTE_SORT_FIELDS.DURATION]: route => route.duration,
+        [ROUTE_SORT_FIELDS.ADDED]: route => route.uploadTime
+    }[sortBy] || getRouteDate;
+
+    return (a, b) => {
+        const valueA = valueOf(a);
+        const valueB = valueOf(b);
+        const missingA = valueA === null || valueA === undefined;
+        const missingB = valueB === null || valueB === undefined;
+        if (missingA || missingB) {
+            return missingA - missingB;
+        }
+        if (typeof valueA === 'string') {
+            return sign * valueA.localeCompare(valueB);
+        }
+        return sign * (valueA - valueB);
+    };
+}
+
+export function filterAndSortRoutes(routes = [], query = {}) {
+    const { sortBy, direction } = normalizeRouteQuery(query);
+    return routes.filter(route => matchesRouteQuery(route, query)).sort(compareRoutes(sortBy, direction));
+}
+
+// Saved filter presets ({ name, query }), kept in localStorage like the unit preference
+export function loadFilterPresets() {
+    if (!window?.localStorage) {
+        return [];
+    }
+
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(FILTER_PRESETS_STORAGE_KEY));
+        return Array.isArray(stored) ? stored.filter(preset => preset?.name && preset.query) : [];
+    } catch (error) {
+        console.warn('⚠️ Unable to read route filter presets:', error);
+        return [];
+    }
+}
+
+export function saveFilterPreset(name, query) {
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+        throw new Error('Give the filter preset a name');
+    }
+
+    // Saving under an existing name replaces that preset
+    const presets = [
+        ...loadFilterPresets().filter(preset => preset.name !== trimmedName),
+        { name: trimmedName, query: normalizeRouteQuery(query) }
+    ];
+    persistFilterPresets(presets);
+    return presets;
+}
+
+export function deleteFilterPreset(name) {
+    const presets = loadFilterPresets().filter(preset => preset.name !== name);
+    persistFilterPresets(presets);
+    return presets;
+}
+
+function persistFilterPresets(presets) {
+    if (!window?.localStorage) {
+        return;
+    }
+
+    try {
+        window.localStorage.setItem(FILTER_PRESETS_STORAGE_KEY, JSON.stringify(presets));
+    } catch (error) {
+        console.warn('⚠️ Unable to persist route filter presets:', error);
+    }
+}
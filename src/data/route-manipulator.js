@@ -1,5 +1,15 @@
 // Route Manipulation Module for RouteCoinMe
 // Provides building block functions for route processing and aggregation
+import { calculateElevationProfile } from './elevation-profile.js';
+import elevationPreferences from '../utils/elevation-preferences.js';
+import { simplifyRoutePoints, SIMPLIFICATION_METHODS } from './route-simplifier.js';
+import GPXParser from './gpx-parser.js';
+
+export const DEFAULT_JOIN_OPTIONS = {
+    maxGapFillMeters: 500,       // Bridge gaps up to this long with interpolated points; longer gaps start a new segment
+    gapFillSpacingMeters: 20,    // Spacing of the interpolated points
+    duplicateDistanceMeters: 2   // Leading points this close to where the previous file ended are duplicates
+};
 
 class RouteManipulator {
     constructor() {
@@ -8,6 +18,13 @@ class RouteManipulator {
         this.centerLat = 0;
         this.centerLon = 0;
         this.centerElevation = 0;
+        // Per-point sensor readings carried through resampling (see GPXParser/TCXParser)
+        this.sensorFields = ['heartRate', 'cadence', 'power', 'temperature'];
+        // Elevation smoothing and climb threshold, shared with GPXParser.calculateStats;
+        // null follows the user's setting (see elevation-preferences.js)
+        this.elevationOptions = null;
+        // Edited routes get the same segment-aware stats as freshly parsed ones
+        this.statsCalculator = new GPXParser();
     }
 
     // 1. Relocate a route to have a start point at a given 3D coordinate (x,y,z)
@@ -145,9 +162,10 @@ class RouteManipulator {
         });
     }
 
-    aggregateAndResampleRoutes(routes) {
+    // options.method picks how resampleRoute reduces the point count (see resampleRoute)
+    aggregateAndResampleRoutes(routes, options = {}) {
         const aggregatedRoute = this.aggregateRoutes(routes);
-        return this.resampleRoute(aggregatedRoute, 10000);
+        return this.resampleRoute(aggregatedRoute, 10000, options);
     }
 
     // 5. Convert a route into a cumulative elevation route
@@ -160,29 +178,10 @@ class RouteManipulator {
         
         const cumulativeRoute = this._cloneRoute(route);
 
-        const cumulativeRouteData = route.points.reduce(
-            ({ cumulative, lastElevation, points }, point) => {
-                const currentElevation = point.elevation ?? 0;
-
-                const gain = lastElevation !== null && currentElevation > lastElevation
-                    ? currentElevation - lastElevation
-                    : 0;
-
-                const newCumulative = cumulative + gain;
-
-                // Mutate array to avoid lots of copying
-                points.push({ ...point, elevation: newCumulative });
-
-                return {
-                    cumulative: newCumulative,
-                    lastElevation: currentElevation,
-                    points,
-                };
-            },
-            { cumulative: 0, lastElevation: null, points: [] }
-        );
-
-        cumulativeRoute.points = cumulativeRouteData.points;
+        // Climb with the same smoothing/threshold as the route stats, so the coin matches the reported gain
+        const { cumulativeGain } = this.calculateElevationProfile(route.points);
+        cumulativeRoute.points = route.points.map((point, index) => ({ ...point, elevation: cumulativeGain[index] }));
+        const totalClimbing = cumulativeGain[cumulativeGain.length - 1];
 
         // Update route metadata
         cumulativeRoute.filename = `${route.filename || 'Route'} (Cumulative)`;
@@ -192,7 +191,7 @@ class RouteManipulator {
             originalElevationGain: route.elevationGain
         };
 
-        console.log(`✅ Converted to cumulative elevation: ${cumulativeRouteData.cumulative.toFixed(1)}m total climbing`);
+        console.log(`✅ Converted to cumulative elevation: ${totalClimbing.toFixed(1)}m total climbing`);
 
         return cumulativeRoute;
     }
@@ -316,8 +315,10 @@ class RouteManipulator {
         return timeDomainRoute;
     }
 
-    // 7. Resample a route to a specific point count (interpolate up or downsample down)
-    resampleRoute(route, targetPointCount) {
+    // 7. Resample a route to a specific point count (interpolate up or downsample down).
+    // method: 'bucket' averaging keeps points evenly spread along the route; 'douglas-peucker' and
+    // 'visvalingam' keep the points that define its shape, so spacing becomes uneven
+    resampleRoute(route, targetPointCount, { method = SIMPLIFICATION_METHODS.BUCKET } = {}) {
         if (!route.points || route.points.length === 0) {
             throw new Error('Route must have points to resample');
         }
@@ -342,10 +343,15 @@ class RouteManipulator {
             // Interpolate points to increase count
             resampledPoints = this._upsamplePoints(originalPoints, targetPointCount);
             console.log(`📈 Upsampled route by interpolating ${targetPointCount - originalPoints.length} new points`);
-        } else {
+        } else if (method === SIMPLIFICATION_METHODS.BUCKET) {
             // Downsample points to decrease count
             resampledPoints = this._downsamplePoints(originalPoints, targetPointCount);
             console.log(`📉 Downsampled route by removing ${originalPoints.length - targetPointCount} points`);
+        } else {
+            // Keep the points that define the route's shape (switchbacks, peaks)
+            resampledPoints = simplifyRoutePoints(originalPoints, { method, targetCount: targetPointCount })
+                .map(point => ({ ...point }));
+            console.log(`📉 Simplified route (${method}) by removing ${originalPoints.length - resampledPoints.length} points`);
         }
 
         // Create resampled route
@@ -359,7 +365,7 @@ class RouteManipulator {
             resampled: true,
             originalPointCount: originalPoints.length,
             targetPointCount: targetPointCount,
-            resampleMethod: isUpsampling ? 'interpolation' : 'downsampling'
+            resampleMethod: isUpsampling ? 'interpolation' : (method === SIMPLIFICATION_METHODS.BUCKET ? 'downsampling' : method)
         };
 
         // Recalculate route statistics since point density changed
@@ -383,9 +389,10 @@ class RouteManipulator {
         console.log(`🗺️ Applying predetermined path '${predeterminedPathName}' to route: ${route.filename || 'Unnamed'}`);
         
         try {
-            // Step 1: Resample the provided route to 10000 points
+            // Step 1: Resample the provided route to 10000 points. Route and template points are
+            // matched by index, so both are resampled evenly (bucket averaging)
             console.log(`📏 Resampling provided route to 10000 points...`);
-            const resampledRoute = this.resampleRoute(route, 10000);
+            const resampledRoute = this.resampleRoute(route, 10000, { method: SIMPLIFICATION_METHODS.BUCKET });
             
             // Step 2: Load the predetermined path
             console.log(`📂 Loading predetermined path: ${predeterminedPathName}`);
@@ -395,7 +402,7 @@ class RouteManipulator {
             let pathTemplate;
             if (predeterminedPath.points.length !== 10000) {
                 console.log(`📏 Resampling predetermined path from ${predeterminedPath.points.length} to 10000 points...`);
-                pathTemplate = this.resampleRoute(predeterminedPath, 10000);
+                pathTemplate = this.resampleRoute(predeterminedPath, 10000, { method: SIMPLIFICATION_METHODS.BUCKET });
             } else {
                 console.log(`✅ Predetermined path already has 10000 points`);
                 pathTemplate = predeterminedPath;
@@ -516,6 +523,384 @@ class RouteManipulator {
         return scaledRoute;
     }
 
+    // 10. Simplify a route to within a tolerance (metres), keeping the points that define its shape
+    simplifyRoute(route, { method = SIMPLIFICATION_METHODS.DOUGLAS_PEUCKER, tolerance = 2 } = {}) {
+        if (!route.points || route.points.length === 0) {
+            throw new Error('Route must have points to simplify');
+        }
+
+        const simplifiedPoints = simplifyRoutePoints(route.points, { method, tolerance })
+            .map(point => ({ ...point }));
+        console.log(`✂️ Simplified ${route.filename || 'route'} (${method}, ${tolerance}m): ${route.points.length} → ${simplifiedPoints.length} points`);
+
+        const simplifiedRoute = this._cloneRoute(route);
+        simplifiedRoute.points = simplifiedPoints;
+        simplifiedRoute.pointCount = simplifiedPoints.length;
+        if (Array.isArray(route.segments)) {
+            simplifiedRoute.segments = route.segments.map((segment, index) => ({
+                ...segment,
+                pointCount: simplifiedPoints.filter(point => (point.segmentIndex ?? 0) === index).length
+            }));
+        }
+        simplifiedRoute.metadata = {
+            ...simplifiedRoute.metadata,
+            simplification: {
+                method,
+                tolerance,
+                originalPointCount: route.points.length
+            }
+        };
+
+        // Distance and climbing still describe the recorded route, so the stats are left as they were
+        return simplifiedRoute;
+    }
+
+    // 11. Trim a route's start and/or end, by distance (km) or elapsed time (seconds) removed from each end
+    trimRoute(route, { by = 'distance', start = 0, end = 0 } = {}) {
+        if (!route.points || route.points.length < 2) {
+            throw new Error('Route must have at least 2 points to trim');
+        }
+
+        const points = route.points;
+        let startIndex = 0;
+        let endIndex = points.length - 1;
+
+        if (by === 'time') {
+            const times = points.map(point => this._timeOf(point));
+            const firstTime = times.find(time => time !== null);
+            const lastTime = times.findLast(time => time !== null);
+            if (firstTime === undefined) {
+                throw new Error('Route has no timestamps to trim by time');
+            }
+            startIndex = times.findIndex(time => time !== null && time - firstTime >= start * 1000);
+            endIndex = times.findLastIndex(time => time !== null && lastTime - time >= end * 1000);
+        } else if (by === 'distance') {
+            const along = this._cumulativeDistances(points);
+            const total = along.at(-1);
+            startIndex = along.findIndex(distance => distance >= start);
+            endIndex = along.findLastIndex(distance => distance <= total - end);
+        } else {
+            throw new Error(`Unknown trim mode: ${by}`);
+        }
+
+        return this.trimRouteToIndices(route, startIndex, endIndex, { by, start, end });
+    }
+
+    // Keep only points[startIndex..endIndex] (inclusive) - used by the map trim handles
+    trimRouteToIndices(route, startIndex, endIndex, details = {}) {
+        if (startIndex < 0 || endIndex < 0 || endIndex - startIndex < 1) {
+            throw new Error('Trim would leave fewer than 2 points');
+        }
+
+        console.log(`✂️ Trimming ${route.filename || 'route'} to points ${startIndex}-${endIndex} of ${route.points.length}`);
+
+        return this._buildEditedRoute(route, [route.points.slice(startIndex, endIndex + 1)], {
+            suffix: 'trimmed',
+            edit: {
+                operation: 'trim',
+                removedStartPoints: startIndex,
+                removedEndPoints: route.points.length - 1 - endIndex,
+                ...details
+            }
+        });
+    }
+
+    // 12. Split a route in two at a point index; both halves share the split point
+    splitRoute(route, splitIndex) {
+        if (!route.points || splitIndex <= 0 || splitIndex >= route.points.length - 1) {
+            throw new Error('Split point must be inside the route');
+        }
+
+        console.log(`✂️ Splitting ${route.filename || 'route'} at point ${splitIndex} of ${route.points.length}`);
+
+        return [
+            route.points.slice(0, splitIndex + 1),
+            route.points.slice(splitIndex)
+        ].map((points, partIndex) => this._buildEditedRoute(route, [points], {
+            suffix: `part ${partIndex + 1}`,
+            edit: { operation: 'split', part: partIndex + 1, splitIndex }
+        }));
+    }
+
+    // 13. Crop a route to a lat/lon rectangle; each pass through the rectangle becomes its own segment
+    cropRoute(route, { south, west, north, east }) {
+        if (!route.points || route.points.length === 0) {
+            throw new Error('Route must have points to crop');
+        }
+
+        const inside = (point) => point.lat >= south && point.lat <= north && point.lon >= west && point.lon <= east;
+        const keptRuns = this._runsWhere(route.points, inside).filter(run => run.length >= 2);
+        if (keptRuns.length === 0) {
+            throw new Error('The crop area does not contain any part of the route');
+        }
+
+        console.log(`✂️ Cropping ${route.filename || 'route'} to ${keptRuns.length} section(s) inside the area`);
+
+        const croppedRoute = this._buildEditedRoute(route, keptRuns, {
+            suffix: 'cropped',
+            edit: { operation: 'crop', bounds: { south, west, north, east } }
+        });
+        if (route.waypoints) {
+            croppedRoute.waypoints = route.waypoints.filter(inside);
+        }
+        return croppedRoute;
+    }
+
+    // 14. Join routes recorded as separate files back into one real (not relocated) route.
+    // Files are ordered by start time, overlapping/duplicate points dropped, short gaps filled.
+    joinRoutes(routes, options = {}) {
+        if (!routes || routes.length < 2) {
+            throw new Error('Select at least 2 routes to join');
+        }
+
+        const { maxGapFillMeters, gapFillSpacingMeters, duplicateDistanceMeters } = { ...DEFAULT_JOIN_OPTIONS, ...options };
+        const startTimeOf = (route) => this._timeOf(route.points.find(point => this._timeOf(point) !== null) || {});
+
+        // Untimed routes keep their given order after the timed ones
+        const orderedRoutes = routes
+            .map((route, index) => ({ route, index, startTime: startTimeOf(route) ?? Infinity }))
+            .sort((a, b) => (a.startTime - b.startTime) || (a.index - b.index))
+            .map(({ route }) => route);
+
+        console.log(`🧵 Joining ${orderedRoutes.length} routes: ${orderedRoutes.map(route => route.filename).join(', ')}`);
+
+        const points = [];
+        const segments = [];
+        const report = { overlapPointsRemoved: 0, gapsFilled: 0, filledPoints: 0, gapsSplit: 0 };
+        let lastTime = null;
+
+        orderedRoutes.forEach(route => {
+            let sourcePoints = route.points || [];
+            let startNewSegment = points.length === 0;
+            const previous = points.at(-1);
+
+            if (previous) {
+                // Skip points already covered by the previous file (same time span or same spot)
+                const firstNewIndex = sourcePoints.findIndex(point => {
+                    const time = this._timeOf(point);
+                    const overlapsInTime = lastTime !== null && time !== null && time <= lastTime;
+                    const duplicatesEnd = this.calculateDistance(previous.lat, previous.lon, point.lat, point.lon) * 1000 <= duplicateDistanceMeters;
+                    return !overlapsInTime && !duplicatesEnd;
+                });
+                const removed = firstNewIndex === -1 ? sourcePoints.length : firstNewIndex;
+                report.overlapPointsRemoved += removed;
+                sourcePoints = sourcePoints.slice(removed);
+                if (sourcePoints.length === 0) {
+                    console.log(`⏭️ ${route.filename} is entirely covered by the previous route`);
+                    return;
+                }
+
+                const gapMeters = this.calculateDistance(previous.lat, previous.lon, sourcePoints[0].lat, sourcePoints[0].lon) * 1000;
+                if (gapMeters > maxGapFillMeters) {
+                    startNewSegment = true;
+                    report.gapsSplit++;
+                } else if (gapMeters > gapFillSpacingMeters) {
+                    const fillCount = Math.ceil(gapMeters / gapFillSpacingMeters) - 1;
+                    for (let i = 1; i <= fillCount; i++) {
+                        points.push({ ...this._interpolateGapPoint(previous, sourcePoints[0], i / (fillCount + 1)), segmentIndex: segments.length - 1 });
+                    }
+                    segments.at(-1).pointCount += fillCount;
+                    report.gapsFilled++;
+                    report.filledPoints += fillCount;
+                }
+            }
+
+            let previousSourceSegment = sourcePoints[0].segmentIndex ?? 0;
+            sourcePoints.forEach(point => {
+                const sourceSegment = point.segmentIndex ?? 0;
+                // Gaps inside a source file stay gaps
+                if (startNewSegment || sourceSegment !== previousSourceSegment) {
+                    segments.push({ ...(route.segments?.[sourceSegment] || {}), sourceFilename: route.filename, pointCount: 0 });
+                    startNewSegment = false;
+                    previousSourceSegment = sourceSegment;
+                }
+                segments.at(-1).pointCount++;
+                points.push({ ...point, segmentIndex: segments.length - 1 });
+
+                const time = this._timeOf(point);
+                if (time !== null) {
+                    lastTime = time;
+                }
+            });
+        });
+
+        // Points of interest from every file, without repeats
+        const waypointKeys = new Set();
+        const waypoints = orderedRoutes.flatMap(route => route.waypoints || []).filter(waypoint => {
+            const key = `${waypoint.name}|${waypoint.lat}|${waypoint.lon}`;
+            if (waypointKeys.has(key)) return false;
+            waypointKeys.add(key);
+            return true;
+        });
+
+        const [firstRoute] = orderedRoutes;
+        const baseName = (firstRoute.filename || 'Route').replace(/\.[^.]+$/, '');
+        const extension = (firstRoute.filename || '').slice(baseName.length);
+
+        console.log(`✅ Joined route: ${points.length} points, ${report.overlapPointsRemoved} overlapping removed, ${report.gapsFilled} gaps filled, ${report.gapsSplit} left as segment breaks`);
+
+        return {
+            id: this._generateRouteId(),
+            filename: `${baseName} (joined ${orderedRoutes.length})${extension}`,
+            points,
+            segments,
+            ...(waypoints.length > 0 && { waypoints }),
+            ...this.statsCalculator.calculateStats(points),
+            uploadTime: new Date().toISOString(),
+            metadata: {
+                ...firstRoute.metadata,
+                join: {
+                    ...report,
+                    sourceRoutes: orderedRoutes.map(route => ({ id: route.id, filename: route.filename }))
+                }
+            }
+        };
+    }
+
+    // 15. Remove every point (and waypoint) inside the given privacy zones - circles of
+    // { lat, lon, radius } with radius in meters - before a route is exported or shown.
+    // The route keeps its ID and name; each stretch between zones becomes its own segment.
+    applyPrivacyZones(route, zones = []) {
+        if (!route?.points || zones.length === 0) {
+            return route;
+        }
+
+        const isPrivate = (point) => zones.some(zone =>
+            this.calculateDistance(point.lat, point.lon, zone.lat, zone.lon) * 1000 <= zone.radius
+        );
+        const runs = this._runsWhere(route.points, point => !isPrivate(point));
+        const keptPointCount = runs.reduce((total, run) => total + run.length, 0);
+        const waypoints = route.waypoints?.filter(waypoint => !isPrivate(waypoint));
+
+        if (keptPointCount === route.points.length && waypoints?.length === route.waypoints?.length) {
+            return route;
+        }
+
+        const { points, segments } = this._joinRuns(route, runs);
+        console.log(`🛡️ Privacy zones removed ${route.points.length - points.length} points from ${route.filename || 'route'}`);
+
+        return {
+            ...route,
+            ...(segments && { segments }),
+            points,
+            ...(waypoints && { waypoints }),
+            ...this.statsCalculator.calculateStats(points),
+            pointCount: points.length,
+            metadata: {
+                ...route.metadata,
+                privacy: { zoneCount: zones.length, removedPoints: route.points.length - points.length }
+            }
+        };
+    }
+
+    // Private helper: Contiguous runs of points that satisfy the predicate
+    _runsWhere(points, predicate) {
+        const runs = [];
+        let currentRun = null;
+
+        points.forEach(point => {
+            if (predicate(point)) {
+                if (!currentRun) {
+                    currentRun = [];
+                    runs.push(currentRun);
+                }
+                currentRun.push(point);
+            } else {
+                currentRun = null;
+            }
+        });
+
+        return runs;
+    }
+
+    // Private helper: Build a new route from contiguous runs of another route's points.
+    // Runs (and original track segments within them) become segments so gaps aren't bridged.
+    _buildEditedRoute(route, runs, { suffix, edit }) {
+        const { points, segments } = this._joinRuns(route, runs);
+
+        const baseName = (route.filename || 'Route').replace(/\.[^.]+$/, '');
+        const extension = (route.filename || '').slice(baseName.length);
+
+        return {
+            ...route,
+            ...(segments && { segments }),
+            id: this._generateRouteId(),
+            filename: `${baseName} (${suffix})${extension}`,
+            points,
+            ...this.statsCalculator.calculateStats(points),
+            pointCount: points.length,
+            uploadTime: new Date().toISOString(),
+            metadata: {
+                ...route.metadata,
+                edit: { ...edit, sourceRouteId: route.id, sourceFilename: route.filename }
+            }
+        };
+    }
+
+    // Private helper: Concatenate runs of a route's points, renumbering segmentIndex so every run
+    // (and each original segment within it) is its own segment. segments is null for routes
+    // that had no segments and still form a single run.
+    _joinRuns(route, runs) {
+        const hasSegments = Array.isArray(route.segments) || runs.length > 1;
+        const segments = [];
+        const points = [];
+
+        runs.forEach(run => {
+            let previousKey = null;
+            run.forEach(point => {
+                const key = point.segmentIndex ?? 0;
+                if (hasSegments && key !== previousKey) {
+                    segments.push({ ...(route.segments?.[key] || {}), pointCount: 0 });
+                    previousKey = key;
+                }
+                if (hasSegments) {
+                    segments.at(-1).pointCount++;
+                    points.push({ ...point, segmentIndex: segments.length - 1 });
+                } else {
+                    points.push({ ...point });
+                }
+            });
+            // The next run always starts a new segment
+            previousKey = null;
+        });
+
+        return { points, segments: hasSegments ? segments : null };
+    }
+
+    // Private helper: Distance along the route (km) at each point, skipping gaps between segments
+    _cumulativeDistances(points) {
+        const along = [0];
+        for (let i = 1; i < points.length; i++) {
+            const prev = points[i - 1];
+            const curr = points[i];
+            const isSegmentBreak = prev.segmentIndex != null && curr.segmentIndex != null &&
+                prev.segmentIndex !== curr.segmentIndex;
+            along.push(along[i - 1] + (isSegmentBreak ? 0 : this.calculateDistance(prev.lat, prev.lon, curr.lat, curr.lon)));
+        }
+        return along;
+    }
+
+    // Private helper: A point part way (t) along the straight line between two points
+    _interpolateGapPoint(from, to, t) {
+        const fromTime = this._timeOf(from);
+        const toTime = this._timeOf(to);
+        const interpolate = (a, b) => (Number.isFinite(a) && Number.isFinite(b) ? a + (b - a) * t : null);
+
+        return {
+            lat: from.lat + (to.lat - from.lat) * t,
+            lon: from.lon + (to.lon - from.lon) * t,
+            elevation: interpolate(from.elevation, to.elevation),
+            timestamp: fromTime !== null && toTime !== null ? new Date(fromTime + (toTime - fromTime) * t).toISOString() : null,
+            ...this._interpolateSensorFields(from, to, t)
+        };
+    }
+
+    _timeOf(point) {
+        if (!point.timestamp) return null;
+        const time = new Date(point.timestamp).getTime();
+        return Number.isFinite(time) ? time : null;
+    }
+
     // Private helper: Load a predetermined path from file
     async _loadPredeterminedPath(pathName) {
         try {
@@ -601,6 +986,7 @@ class RouteManipulator {
                 lat: lowerPoint.lat + (upperPoint.lat - lowerPoint.lat) * t,
                 lon: lowerPoint.lon + (upperPoint.lon - lowerPoint.lon) * t,
                 elevation: (lowerPoint.elevation || 0) + ((upperPoint.elevation || 0) - (lowerPoint.elevation || 0)) * t,
+                ...this._interpolateSensorFields(lowerPoint, upperPoint, t),
             };
         });
 
@@ -658,10 +1044,34 @@ class RouteManipulator {
             lon: bounds.centerLon,
             // Timestamps may not be present
             ...( bounds.centerTimestamp && { timestamp: bounds.centerTimestamp }),
-            elevation: useMaxElevation ? bounds.maxElevation : bounds.centerElevation
+            elevation: useMaxElevation ? bounds.maxElevation : bounds.centerElevation,
+            ...this._averageSensorFields(points)
         }
     }
 
+    // Private helper: Linearly interpolate sensor readings present on both points
+    _interpolateSensorFields(lowerPoint, upperPoint, t) {
+        return this.sensorFields.reduce((sensors, field) => {
+            const lower = lowerPoint[field];
+            const upper = upperPoint[field];
+            if (Number.isFinite(lower) && Number.isFinite(upper)) {
+                sensors[field] = lower + (upper - lower) * t;
+            }
+            return sensors;
+        }, {});
+    }
+
+    // Private helper: Average each sensor reading over the points that recorded it
+    _averageSensorFields(points) {
+        return this.sensorFields.reduce((sensors, field) => {
+            const values = points.map(point => point[field]).filter(Number.isFinite);
+            if (values.length > 0) {
+                sensors[field] = values.reduce((sum, value) => sum + value, 0) / values.length;
+            }
+            return sensors;
+        }, {});
+    }
+
     _stepStartMs(pointTimeMs, startTimeMs, stepSizeMs) {
         return Math.floor((pointTimeMs - startTimeMs) / stepSizeMs) * stepSizeMs + startTimeMs;
     }
@@ -822,6 +1232,11 @@ class RouteManipulator {
         return R * c; // Distance in kilometers
     }
 
+    // Utility: Smoothed elevation gain/loss and running climb per point (see elevation-profile.js)
+    calculateElevationProfile(points) {
+        return calculateElevationProfile(points, this.elevationOptions || elevationPreferences.getOptions());
+    }
+
     // Utility: Calculate route statistics
     calculateRouteStats(route) {
         if (!route.points || route.points.length < 2) {
@@ -833,32 +1248,17 @@ class RouteManipulator {
             };
         }
 
-        // Use functional reduce to calculate distance and elevation changes
-        const stats = route.points.slice(1).reduce((acc, currPoint, index) => {
+        // Use functional reduce to calculate distance
+        const distance = route.points.slice(1).reduce((total, currPoint, index) => {
             const prevPoint = route.points[index]; // index is offset by slice(1)
-
-            // Calculate distance
-            acc.distance += this.calculateDistance(
+            return total + this.calculateDistance(
                 prevPoint.lat, prevPoint.lon,
                 currPoint.lat, currPoint.lon
             );
+        }, 0);
 
-            // Calculate elevation changes
-            if (prevPoint.elevation !== undefined && currPoint.elevation !== undefined) {
-                const elevationChange = currPoint.elevation - prevPoint.elevation;
-                if (elevationChange > 0) {
-                    acc.elevationGain += elevationChange;
-                } else {
-                    acc.elevationLoss += Math.abs(elevationChange);
-                }
-            }
-
-            return acc;
-        }, {
-            distance: 0,
-            elevationGain: 0,
-            elevationLoss: 0
-        });
+        // Smoothed, threshold-based elevation changes
+        const { elevationGain, elevationLoss } = this.calculateElevationProfile(route.points);
 
         // Calculate duration if timestamps are available
         const firstPoint = route.points.find(p => p.timestamp);
@@ -869,9 +1269,9 @@ class RouteManipulator {
             : 0;
 
         return {
-            distance: stats.distance,
-            elevationGain: stats.elevationGain,
-            elevationLoss: stats.elevationLoss,
+            distance,
+            elevationGain,
+            elevationLoss,
             duration: duration
         };
     }
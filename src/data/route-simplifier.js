@@ -0,0 +1,249 @@
+// Route Simplifier
+// Shape-preserving line simplification (Douglas-Peucker and Visvalingam-Whyatt) for route points.
+// Unlike averaging buckets or dropping points closer than a minimum distance, both keep the points
+// that define the shape - switchback apexes and summit peaks survive while straight runs collapse.
+// Either algorithm can stop at a tolerance (metres) or at a target point count.
+
+export const SIMPLIFICATION_METHODS = {
+    BUCKET: 'bucket',                  // RouteManipulator's averaging downsample (not handled here)
+    DOUGLAS_PEUCKER: 'douglas-peucker',
+    VISVALINGAM: 'visvalingam'
+};
+
+const METERS_PER_DEGREE_LAT = 110540;
+const METERS_PER_DEGREE_LON = 111320;
+
+// Simplify route points ({lat, lon, elevation, segmentIndex}) and return the kept points.
+// The first and last point of every track segment are always kept.
+export function simplifyRoutePoints(points = [], { method = SIMPLIFICATION_METHODS.DOUGLAS_PEUCKER, tolerance = 0, targetCount = null } = {}) {
+    const locked = [];
+    for (let i = 1; i < points.length; i++) {
+        const prev = points[i - 1];
+        const curr = points[i];
+        if (prev.segmentIndex != null && curr.segmentIndex != null && prev.segmentIndex !== curr.segmentIndex) {
+            locked.push(i - 1, i);
+        }
+    }
+
+    const indices = simplifyIndices(projectToMeters(points), { method, tolerance, targetCount, locked });
+    return indices.map(index => points[index]);
+}
+
+// Simplify already-projected {x, y, z} points (e.g. STL millimetres); tolerance is in the same units
+export function simplifyCartesianPoints(points = [], { method = SIMPLIFICATION_METHODS.DOUGLAS_PEUCKER, tolerance = 0, targetCount = null } = {}) {
+    const coords = points.map(point => [point.x, point.y, point.z || 0]);
+    return simplifyIndices(coords, { method, tolerance, targetCount }).map(index => points[index]);
+}
+
+// Sorted indices of the points to keep from an array of [x, y, z] coordinates
+export function simplifyIndices(coords, { method = SIMPLIFICATION_METHODS.DOUGLAS_PEUCKER, tolerance = 0, targetCount = null, locked = [] } = {}) {
+    if (method === SIMPLIFICATION_METHODS.DOUGLAS_PEUCKER) {
+        return douglasPeucker(coords, { tolerance, targetCount, locked });
+    }
+    if (method === SIMPLIFICATION_METHODS.VISVALINGAM) {
+        return visvalingam(coords, { tolerance, targetCount, locked });
+    }
+    throw new Error(`Unknown simplification method: ${method}`);
+}
+
+// Douglas-Peucker, refined greedily: the range whose farthest point deviates most is split first,
+// so stopping at a point count keeps the most significant points rather than the leftmost ones.
+export function douglasPeucker(coords, { tolerance = 0, targetCount = null, locked = [] } = {}) {
+    const kept = initialKeptIndices(coords.length, locked);
+    if (coords.length <= 2 || (targetCount !== null && kept.size >= targetCount)) {
+        return [...kept].sort((a, b) => a - b);
+    }
+
+    const queue = new PriorityQueue((a, b) => b.distance - a.distance);
+    const pushRange = (start, end) => {
+        if (end - start < 2) return;
+
+        let farthestIndex = -1;
+        let farthestDistance = -1;
+        for (let i = start + 1; i < end; i++) {
+            const distance = pointToSegmentDistance(coords[i], coords[start], coords[end]);
+            if (distance > farthestDistance) {
+                farthestDistance = distance;
+                farthestIndex = i;
+            }
+        }
+        // Perfectly straight runs split in the middle so count-targeted output stays evenly spread
+        if (farthestDistance === 0) {
+            farthestIndex = Math.floor((start + end) / 2);
+        }
+        queue.push({ start, end, index: farthestIndex, distance: farthestDistance });
+    };
+
+    const sorted = [...kept].sort((a, b) => a - b);
+    for (let i = 1; i < sorted.length; i++) {
+        pushRange(sorted[i - 1], sorted[i]);
+    }
+
+    while (queue.size > 0) {
+        if (targetCount !== null && kept.size >= targetCount) break;
+
+        const range = queue.pop();
+        if (targetCount === null && range.distance <= tolerance) break;
+
+        kept.add(range.index);
+        pushRange(range.start, range.index);
+        pushRange(range.index, range.end);
+    }
+
+    return [...kept].sort((a, b) => a - b);
+}
+
+// Visvalingam-Whyatt: repeatedly drop the point forming the smallest triangle with its neighbours.
+// A tolerance of t metres removes triangles smaller than t² (a t-high bump over a 2t-long base).
+export function visvalingam(coords, { tolerance = 0, targetCount = null, locked = [] } = {}) {
+    const count = coords.length;
+    const lockedSet = initialKeptIndices(count, locked);
+    if (count <= 2) {
+        return [...lockedSet].sort((a, b) => a - b);
+    }
+
+    const minArea = tolerance * tolerance;
+    const prev = Array.from({ length: count }, (_, i) => i - 1);
+    const next = Array.from({ length: count }, (_, i) => i + 1);
+    const areas = new Array(count).fill(Infinity);
+    const removed = new Array(count).fill(false);
+    const queue = new PriorityQueue((a, b) => a.area - b.area);
+
+    const updateArea = (index, floor = 0) => {
+        if (lockedSet.has(index)) return;
+        // Never let a neighbour's area drop below the one just removed, so points are eliminated in order
+        areas[index] = Math.max(triangleArea(coords[prev[index]], coords[index], coords[next[index]]), floor);
+        queue.push({ index, area: areas[index] });
+    };
+
+    for (let i = 1; i < count - 1; i++) {
+        updateArea(i);
+    }
+
+    let remaining = count;
+    while (queue.size > 0) {
+        if (targetCount !== null && remaining <= targetCount) break;
+
+        const { index, area } = queue.pop();
+        if (removed[index] || area !== areas[index]) continue; // Stale entry
+        if (targetCount === null && area >= minArea) break;
+
+        removed[index] = true;
+        remaining--;
+        next[prev[index]] = next[index];
+        prev[next[index]] = prev[index];
+        updateArea(prev[index], area);
+        updateArea(next[index], area);
+    }
+
+    return Array.from({ length: count }, (_, i) => i).filter(i => !removed[i]);
+}
+
+// First, last and any locked indices
+function initialKeptIndices(count, locked) {
+    const kept = new Set(locked.filter(index => index >= 0 && index < count));
+    if (count > 0) {
+        kept.add(0);
+        kept.add(count - 1);
+    }
+    return kept;
+}
+
+// Local equirectangular projection around the first point; elevation is the z axis so peaks
+// count as shape. Missing elevations carry the last known value to avoid phantom spikes to 0.
+function projectToMeters(points) {
+    if (points.length === 0) return [];
+
+    const originLat = points[0].lat;
+    const originLon = points[0].lon;
+    const lonScale = METERS_PER_DEGREE_LON * Math.cos(originLat * Math.PI / 180);
+    let lastElevation = points.find(point => Number.isFinite(point.elevation))?.elevation ?? 0;
+
+    return points.map(point => {
+        if (Number.isFinite(point.elevation)) {
+            lastElevation = point.elevation;
+        }
+        return [
+            (point.lon - originLon) * lonScale,
+            (point.lat - originLat) * METERS_PER_DEGREE_LAT,
+            lastElevation
+        ];
+    });
+}
+
+function pointToSegmentDistance(point, start, end) {
+    const segment = subtract(end, start);
+    const lengthSquared = dot(segment, segment);
+    const offset = subtract(point, start);
+    if (lengthSquared === 0) {
+        return Math.sqrt(dot(offset, offset));
+    }
+
+    const t = Math.min(Math.max(dot(offset, segment) / lengthSquared, 0), 1);
+    const closest = subtract(offset, segment.map(value => value * t));
+    return Math.sqrt(dot(closest, closest));
+}
+
+function triangleArea(a, b, c) {
+    const ab = subtract(b, a);
+    const ac = subtract(c, a);
+    const cross = [
+        ab[1] * ac[2] - ab[2] * ac[1],
+        ab[2] * ac[0] - ab[0] * ac[2],
+        ab[0] * ac[1] - ab[1] * ac[0]
+    ];
+    return Math.sqrt(dot(cross, cross)) / 2;
+}
+
+function subtract(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+// Minimal binary heap; compare(a, b) < 0 means a comes out first
+class PriorityQueue {
+    constructor(compare) {
+        this.compare = compare;
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.compare(items[index], items[parent]) >= 0) break;
+            [items[index], items[parent]] = [items[parent], items[index]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let index = 0;
+            while (true) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+                if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+                if (smallest === index) break;
+                [items[index], items[smallest]] = [items[smallest], items[index]];
+                index = smallest;
+            }
+        }
+        return top;
+    }
+}
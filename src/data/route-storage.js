@@ -1,21 +1,53 @@
 // IndexedDB Storage Manager for RouteCoinMe
 // Provides robust storage for GPX routes with much larger capacity than localStorage
+import RouteManipulator from './route-manipulator.js';
+import {
+    matchesRouteQuery,
+    compareRoutes,
+    normalizeRouteQuery,
+    ROUTE_SORT_FIELDS
+} from './route-library.js';
+import {
+    DB_VERSION,
+    QUARANTINE_STORE_NAME,
+    runSchemaMigrations,
+    migrateRecord,
+    repairRecord,
+    validateRoute,
+    validateCoin
+} from './storage-migrations.js';
+import { packRoutePoints, unpackRoutePoints, estimateStoredSize } from './point-codec.js';
+
+// When a route was added (ms), from the ISO string parsers write; routes without one (Strava
+// imports) count as oldest
+function uploadTimeOf(route) {
+    const time = route.uploadTime ? new Date(route.uploadTime).getTime() : NaN;
+    return Number.isFinite(time) ? time : 0;
+}
 
 class RouteStorageManager {
     constructor() {
         this.dbName = 'RouteCoinMeDB';
-        this.dbVersion = 2;
+        this.dbVersion = DB_VERSION;
         this.routeStoreName = 'routes';
         this.coinStoreName = 'coins';
+        this.quarantineStoreName = QUARANTINE_STORE_NAME;
         this.db = null;
+        this.integrityReport = null; // Result of the last startup checkIntegrity()
+        // Routes are compacted (Douglas-Peucker, metres) before any are deleted to free space
+        this.routeManipulator = new RouteManipulator();
+        this.compactionTolerance = 2;
+        // Library size (KB) and share of the browser quota past which the user is asked to free space
+        this.maxStorageKB = 50000;
+        this.quotaWarningRatio = 0.9;
     }
 
-    // Initialize IndexedDB connection
+    // Initialize IndexedDB connection, upgrading the schema and checking stored records
     async init() {
         try {
             console.log('📦 Initializing IndexedDB storage...');
-            
-            return new Promise((resolve, reject) => {
+
+            this.db = await new Promise((resolve, reject) => {
                 const request = indexedDB.open(this.dbName, this.dbVersion);
 
                 request.onerror = () => {
@@ -24,46 +56,143 @@ class RouteStorageManager {
                 };
 
                 request.onsuccess = () => {
-                    this.db = request.result;
                     console.log('✅ IndexedDB connection established');
-                    resolve(this.db);
+                    resolve(request.result);
                 };
 
                 request.onupgradeneeded = (event) => {
                     console.log('🔄 Setting up IndexedDB schema...');
-                    const db = event.target.result;
-                    const oldVersion = event.oldVersion || 0;
+                    const versions = { oldVersion: event.oldVersion || 0, newVersion: event.newVersion };
+                    runSchemaMigrations(event.target.result, event.target.transaction, versions, {
+                        routeStoreName: this.routeStoreName,
+                        coinStoreName: this.coinStoreName
+                    });
+                };
+            });
 
-                    // Create routes object store (version 1)
-                    if (oldVersion < 1 && !db.objectStoreNames.contains(this.routeStoreName)) {
-                        const routeStore = db.createObjectStore(this.routeStoreName, {
-                            keyPath: 'id'
-                        });
+            this.integrityReport = await this.checkIntegrity();
+            return this.db;
+        } catch (error) {
+            console.error('❌ IndexedDB initialization failed:', error);
+            throw error;
+        }
+    }
 
-                        routeStore.createIndex('filename', 'filename', { unique: false });
-                        routeStore.createIndex('uploadTime', 'uploadTime', { unique: false });
-                        routeStore.createIndex('distance', 'distance', { unique: false });
+    // Startup scan over every route and coin: migrate records saved by older versions, repair what
+    // can be repaired and move records that still can't be used to the quarantine store, so one
+    // bad record can't break loading the library. The original record is kept in quarantine.
+    async checkIntegrity() {
+        const report = { checked: 0, migrated: 0, repaired: 0, quarantined: [] };
+        // A database opened below the version that added the quarantine store can't be checked
+        if (!this.db.objectStoreNames.contains(this.quarantineStoreName)) {
+            return report;
+        }
+        const stores = [
+            { storeName: this.routeStoreName, kind: 'route', validate: validateRoute },
+            { storeName: this.coinStoreName, kind: 'coin', validate: validateCoin }
+        ];
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(
+                [this.routeStoreName, this.coinStoreName, this.quarantineStoreName],
+                'readwrite'
+            );
+            const quarantineStore = transaction.objectStore(this.quarantineStoreName);
+
+            stores.forEach(({ storeName, kind, validate }) => {
+                const request = transaction.objectStore(storeName).openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        return;
+                    }
 
-                        console.log('📊 Created routes object store with indices');
+                    report.checked++;
+                    const stored = cursor.value;
+                    let original = null;
+                    let reason = null;
+                    try {
+                        original = this.fromStoredRecord(stored, kind);
+                    } catch (error) {
+                        reason = `unreadable point data (${error.message})`;
                     }
 
-                    // Create saved coins store (version 2)
-                    if (oldVersion < 2 && !db.objectStoreNames.contains(this.coinStoreName)) {
-                        const coinStore = db.createObjectStore(this.coinStoreName, {
-                            keyPath: 'id'
+                    const repaired = original && repairRecord(original, kind);
+                    const { record, migrated } = original ? migrateRecord(repaired, kind) : {};
+                    reason = reason || validate(record);
+
+                    if (reason) {
+                        quarantineStore.put({
+                            key: `${storeName}:${cursor.primaryKey}`,
+                            storeName,
+                            id: cursor.primaryKey,
+                            reason,
+                            quarantinedAt: new Date().toISOString(),
+                            record: stored
                         });
-
-                        coinStore.createIndex('name', 'name', { unique: false });
-                        coinStore.createIndex('createdAt', 'createdAt', { unique: false });
-
-                        console.log('🪙 Created coins object store with indices');
+                        cursor.delete();
+                        report.quarantined.push({ storeName, id: cursor.primaryKey, reason });
+                    } else if (record !== original || !this.isPackedRecord(stored, kind) ||
+                        (kind === 'route' && stored.firstPointTime === undefined)) {
+                        // Also rewrites records saved before point streams were packed or their
+                        // first point time was kept
+                        cursor.update(this.toStoredRecord(record, kind));
+                        if (migrated) report.migrated++;
+                        if (repaired !== original) report.repaired++;
                     }
+                    cursor.continue();
                 };
             });
-        } catch (error) {
-            console.error('❌ IndexedDB initialization failed:', error);
-            throw error;
+
+            transaction.oncomplete = () => {
+                if (report.migrated || report.repaired || report.quarantined.length) {
+                    console.log(`🩺 Storage check: ${report.checked} records, ${report.migrated} migrated, ${report.repaired} repaired, ${report.quarantined.length} quarantined`);
+                }
+                resolve(report);
+            };
+            transaction.onerror = () => {
+                console.error('❌ Storage integrity check failed:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    // Records the integrity check set aside: { key, storeName, id, reason, quarantinedAt, record }
+    async loadQuarantine() {
+        if (!this.db) {
+            await this.init();
         }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.quarantineStoreName], 'readonly');
+            const request = transaction.objectStore(this.quarantineStoreName).getAll();
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => {
+                console.error('❌ Failed to load quarantined records:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    async clearQuarantine() {
+        if (!this.db) {
+            await this.init();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.quarantineStoreName], 'readwrite');
+            const request = transaction.objectStore(this.quarantineStoreName).clear();
+
+            request.onsuccess = () => {
+                console.log('🗑️ Quarantined records cleared');
+                resolve();
+            };
+            request.onerror = () => {
+                console.error('❌ Failed to clear quarantined records:', request.error);
+                reject(request.error);
+            };
+        });
     }
 
     // Save a coin (aggregated route)
@@ -73,7 +202,7 @@ class RouteStorageManager {
         }
 
         const coinRecord = {
-            ...coin,
+            ...migrateRecord(coin, 'coin').record,
             type: 'coin'
         };
 
@@ -81,7 +210,7 @@ class RouteStorageManager {
             return new Promise((resolve, reject) => {
                 const transaction = this.db.transaction([this.coinStoreName], 'readwrite');
                 const store = transaction.objectStore(this.coinStoreName);
-                const request = store.put(coinRecord);
+                const request = store.put(this.toStoredRecord(coinRecord, 'coin'));
 
                 request.onsuccess = () => {
                     console.log(`💰 Coin saved to IndexedDB: ${coinRecord.name}`);
@@ -112,7 +241,7 @@ class RouteStorageManager {
                 const request = store.getAll();
 
                 request.onsuccess = () => {
-                    const coins = request.result || [];
+                    const coins = (request.result || []).map(coin => this.fromStoredRecord(coin, 'coin'));
                     console.log(`🪙 Loaded ${coins.length} coins from IndexedDB`);
                     resolve(coins);
                 };
@@ -196,7 +325,7 @@ class RouteStorageManager {
                 const store = transaction.objectStore(this.routeStoreName);
                 
                 // Store the full route without downsampling for IndexedDB
-                const request = store.put(route);
+                const request = store.put(this.toStoredRecord(migrateRecord(route).record));
 
                 request.onsuccess = () => {
                     console.log(`💾 Route saved to IndexedDB: ${route.filename}`);
@@ -226,17 +355,18 @@ class RouteStorageManager {
             
             console.log(`💾 Saving ${routes.length} routes to IndexedDB...`);
             
-            const promises = routes.map(route => {
+            const records = routes.map(route => this.toStoredRecord(migrateRecord(route).record));
+            const promises = records.map(record => {
                 return new Promise((resolve, reject) => {
-                    const request = store.put(route);
-                    request.onsuccess = () => resolve(route.id);
+                    const request = store.put(record);
+                    request.onsuccess = () => resolve(record.id);
                     request.onerror = () => reject(request.error);
                 });
             });
 
             const results = await Promise.all(promises);
             
-            const totalSizeKB = this.calculateRoutesSize(routes);
+            const totalSizeKB = this.calculateRoutesSize(records);
             console.log(`✅ Saved ${results.length} routes to IndexedDB (~${totalSizeKB}KB total)`);
             
             return results;
@@ -259,11 +389,12 @@ class RouteStorageManager {
                 const request = store.getAll();
 
                 request.onsuccess = () => {
-                    const routes = request.result || [];
+                    const records = request.result || [];
+                    const routes = records.map(record => this.fromStoredRecord(record));
                     console.log(`📂 Loaded ${routes.length} routes from IndexedDB`);
                     
                     if (routes.length > 0) {
-                        const totalSizeKB = this.calculateRoutesSize(routes);
+                        const totalSizeKB = this.calculateRoutesSize(records);
                         console.log(`📊 Total data loaded: ~${totalSizeKB}KB`);
                         console.log('📋 Routes loaded:', routes.map(r => r.filename));
                     }
@@ -282,6 +413,189 @@ class RouteStorageManager {
         }
     }
 
+    // The index that narrows a route library query, if any: a tag, folder or minimum distance
+    // limits a cursor to matching index entries so other routes are never read, and a minimum
+    // distance sorted by distance is read in index order. Records without a numeric distance are
+    // left out of the distance index, so it is only used when a minimum distance would exclude
+    // them anyway (routes with no distance count as 0).
+    routeQueryIndex(query) {
+        const { sortBy, minDistance, maxDistance, tag, folder } = normalizeRouteQuery(query);
+        const useDistanceIndex = minDistance !== null && minDistance > 0;
+        const sortedByIndex = useDistanceIndex && sortBy === ROUTE_SORT_FIELDS.DISTANCE;
+        const indexName = (sortedByIndex ? 'distance' : null) ||
+            (tag ? 'tags' : null) ||
+            (folder ? 'folder' : null) ||
+            (useDistanceIndex ? 'distance' : null);
+
+        let keyRange = null;
+        if (indexName === 'tags') {
+            keyRange = IDBKeyRange.only(tag);
+        } else if (indexName === 'folder') {
+            keyRange = IDBKeyRange.only(folder);
+        } else if (indexName === 'distance') {
+            keyRange = maxDistance !== null && maxDistance >= minDistance
+                ? IDBKeyRange.bound(minDistance, maxDistance)
+                : IDBKeyRange.lowerBound(minDistance);
+        }
+
+        return { indexName, keyRange, sortedByIndex };
+    }
+
+    // IDs of the stored routes a query's index lets through, read from index keys alone (no
+    // records are read). Null when no index narrows the query, i.e. every route is a candidate.
+    // The rest of the query still has to be matched, e.g. against the loaded routes.
+    async queryRouteIds(query = {}) {
+        const { indexName, keyRange } = this.routeQueryIndex(query);
+        if (!indexName) {
+            return null;
+        }
+        if (!this.db) {
+            await this.init();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.routeStoreName], 'readonly');
+            const request = transaction.objectStore(this.routeStoreName).index(indexName).getAllKeys(keyRange);
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => {
+                console.error(`❌ Failed to read ${indexName} index:`, request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    // Load routes matching a route library query (see route-library.js), in the query's order.
+    // Records are matched without unpacking their points (see toQueryableRecord); only the
+    // matches are unpacked.
+    async queryRoutes(query = {}) {
+        if (!this.db) {
+            await this.init();
+        }
+
+        const { sortBy, direction } = normalizeRouteQuery(query);
+        const { indexName, keyRange, sortedByIndex } = this.routeQueryIndex(query);
+
+        try {
+            const matches = await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.routeStoreName], 'readonly');
+                const store = transaction.objectStore(this.routeStoreName);
+                const source = indexName ? store.index(indexName) : store;
+                const request = source.openCursor(keyRange, sortedByIndex && direction === 'desc' ? 'prev' : 'next');
+                const matches = [];
+
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        resolve(matches);
+                        return;
+                    }
+                    const queryable = this.toQueryableRecord(cursor.value);
+                    if (matchesRouteQuery(queryable, query)) {
+                        matches.push({ queryable, record: cursor.value });
+                    }
+                    cursor.continue();
+                };
+
+                request.onerror = () => {
+                    console.error('❌ Failed to query routes:', request.error);
+                    reject(request.error);
+                };
+            });
+
+            if (!sortedByIndex) {
+                const compare = compareRoutes(sortBy, direction);
+                matches.sort((a, b) => compare(a.queryable, b.queryable));
+            }
+            const routes = matches.map(({ record }) => this.fromStoredRecord(record));
+
+            console.log(`🔎 Route query matched ${routes.length} routes${indexName ? ` (via ${indexName} index)` : ''}`);
+            return routes;
+        } catch (error) {
+            console.error('❌ Error querying routes from IndexedDB:', error);
+            throw error;
+        }
+    }
+
+    // IDs of every stored route (or coin, with storeName), read from the keys alone
+    async getIds(storeName = this.routeStoreName) {
+        if (!this.db) {
+            await this.init();
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction([storeName], 'readonly').objectStore(storeName).getAllKeys();
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => {
+                console.error(`❌ Failed to read ${storeName} keys:`, request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    // IDs of routes (or coins, with storeName) carrying a tag, via the multi-entry tags index
+    async getIdsByTag(tag, storeName = this.routeStoreName) {
+        return this.getKeysFromIndex(storeName, 'tags', tag);
+    }
+
+    // IDs of routes (or coins, with storeName) filed in a folder
+    async getIdsByFolder(folder, storeName = this.routeStoreName) {
+        return this.getKeysFromIndex(storeName, 'folder', folder);
+    }
+
+    // Every tag and folder in use in a store, from the index keys alone (no records are read)
+    async getLabels(storeName = this.routeStoreName) {
+        const [tags, folders] = await Promise.all([
+            this.getUniqueIndexKeys(storeName, 'tags'),
+            this.getUniqueIndexKeys(storeName, 'folder')
+        ]);
+        return { tags, folders };
+    }
+
+    async getKeysFromIndex(storeName, indexName, key) {
+        if (!this.db) {
+            await this.init();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).index(indexName).getAllKeys(key);
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => {
+                console.error(`❌ Failed to read ${indexName} index:`, request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    async getUniqueIndexKeys(storeName, indexName) {
+        if (!this.db) {
+            await this.init();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).index(indexName).openKeyCursor(null, 'nextunique');
+            const keys = [];
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(keys);
+                    return;
+                }
+                keys.push(cursor.key);
+                cursor.continue();
+            };
+            request.onerror = () => {
+                console.error(`❌ Failed to read ${indexName} index:`, request.error);
+                reject(request.error);
+            };
+        });
+    }
+
     // Delete a single route
     async deleteRoute(routeId) {
         if (!this.db) {
@@ -310,6 +624,36 @@ class RouteStorageManager {
         }
     }
 
+    // Pin or unpin a stored route by ID, whether or not it is loaded. Pinned routes are never
+    // compacted or removed to free space. Resolves with the new pinned state, or null if no such route.
+    async toggleRoutePinned(routeId) {
+        if (!this.db) {
+            await this.init();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.routeStoreName], 'readwrite');
+            const store = transaction.objectStore(this.routeStoreName);
+            const request = store.get(routeId);
+            let pinned = null;
+
+            request.onsuccess = () => {
+                const record = request.result;
+                if (!record) {
+                    return;
+                }
+                pinned = !record.pinned;
+                store.put({ ...record, pinned });
+            };
+
+            transaction.oncomplete = () => resolve(pinned);
+            transaction.onerror = () => {
+                console.error('❌ Failed to update pinned state:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
     // Clear all routes
     async clearAllRoutes() {
         if (!this.db) {
@@ -346,20 +690,25 @@ class RouteStorageManager {
 
         try {
             const routes = await this.loadRoutes();
-            const totalSizeKB = this.calculateRoutesSize(routes);
+            const storedBytes = routes.reduce((total, route) => total + this.calculateRouteBytes(route), 0);
+            const plainBytes = routes.reduce((total, route) => total + estimateStoredSize(route), 0);
+            const totalSizeKB = Math.round(storedBytes / 1024);
             const averageSizeKB = routes.length > 0 ? totalSizeKB / routes.length : 0;
             
             return {
                 totalRoutes: routes.length,
                 totalSizeKB: totalSizeKB,
                 averageSizeKB: Math.round(averageSizeKB * 100) / 100,
+                // What the same routes would take stored as point objects, and how much packing saves
+                uncompressedSizeKB: Math.round(plainBytes / 1024),
+                compressionRatio: storedBytes > 0 ? Math.round((plainBytes / storedBytes) * 100) / 100 : 1,
                 oldestRoute: routes.length > 0 ? 
                     routes.reduce((oldest, route) => 
-                        route.uploadTime < oldest.uploadTime ? route : oldest
+                        uploadTimeOf(route) < uploadTimeOf(oldest) ? route : oldest
                     ) : null,
                 newestRoute: routes.length > 0 ? 
                     routes.reduce((newest, route) => 
-                        route.uploadTime > newest.uploadTime ? route : newest
+                        uploadTimeOf(route) > uploadTimeOf(newest) ? route : newest
                     ) : null
             };
         } catch (error) {
@@ -368,6 +717,8 @@ class RouteStorageManager {
                 totalRoutes: 0,
                 totalSizeKB: 0,
                 averageSizeKB: 0,
+                uncompressedSizeKB: 0,
+                compressionRatio: 1,
                 oldestRoute: null,
                 newestRoute: null,
                 error: error.message
@@ -375,55 +726,261 @@ class RouteStorageManager {
         }
     }
 
-    // Calculate approximate size of routes in KB
+    // Calculate approximate stored size of routes (loaded or as stored) in KB
     calculateRoutesSize(routes) {
         try {
-            const jsonString = JSON.stringify(routes);
-            return Math.round(jsonString.length / 1024);
+            const totalBytes = routes.reduce((total, route) => total + this.calculateRouteBytes(route), 0);
+            return Math.round(totalBytes / 1024);
         } catch (error) {
             console.warn('Failed to calculate routes size:', error);
             return 0;
         }
     }
 
-    // Clean up old routes if storage gets too large
-    async cleanupOldRoutes(maxSizeKB = 50000) { // 50MB default limit
+    calculateRouteBytes(route) {
+        return estimateStoredSize(route.pointStream ? route : packRoutePoints(route));
+    }
+
+    // Stored size of every route and coin for the storage panel, with the browser's own estimate
+    // of what this origin uses out of its quota (null where navigator.storage isn't available)
+    async getStorageUsage() {
         if (!this.db) {
             await this.init();
         }
 
+        const [routeRecords, coinRecords, browser] = await Promise.all([
+            this.loadStoredRecords(this.routeStoreName),
+            this.loadStoredRecords(this.coinStoreName),
+            this.estimateBrowserQuota()
+        ]);
+
+        const routes = routeRecords.map(record => ({
+            id: record.id,
+            name: record.name || record.metadata?.name || record.filename,
+            bytes: this.calculateRouteBytes(record),
+            pointCount: record.pointStream?.count ?? record.points?.length ?? 0,
+            uploadTime: record.uploadTime ?? null,
+            pinned: Boolean(record.pinned),
+            compacted: Boolean(record.metadata?.compaction)
+        }));
+        const coins = coinRecords.map(record => ({
+            id: record.id,
+            name: record.name,
+            bytes: estimateStoredSize(record)
+        }));
+        const sum = items => items.reduce((total, item) => total + item.bytes, 0);
+
+        return {
+            routes,
+            coins,
+            routeBytes: sum(routes),
+            coinBytes: sum(coins),
+            limitBytes: this.maxStorageKB * 1024,
+            browser
+        };
+    }
+
+    async estimateBrowserQuota() {
+        if (typeof navigator === 'undefined' || typeof navigator.storage?.estimate !== 'function') {
+            return null;
+        }
+
         try {
-            const routes = await this.loadRoutes();
-            const currentSizeKB = this.calculateRoutesSize(routes);
+            const { usage, quota } = await navigator.storage.estimate();
+            return Number.isFinite(usage) && Number.isFinite(quota) ? { usage, quota } : null;
+        } catch (error) {
+            console.warn('⚠️ Unable to estimate browser storage quota:', error);
+            return null;
+        }
+    }
 
-            if (currentSizeKB <= maxSizeKB) {
-                console.log(`💾 Storage size OK: ${currentSizeKB}KB / ${maxSizeKB}KB`);
-                return;
+    // Work out how to bring the library back under its size limit (or the browser quota under
+    // quotaWarningRatio) without changing anything: compact the oldest unpinned routes first, then
+    // remove the oldest unpinned routes. The user reviews the plan and applyCleanup() carries out
+    // what they accept.
+    async planCleanup({ maxSizeKB = this.maxStorageKB } = {}) {
+        if (!this.db) {
+            await this.init();
+        }
+
+        // Sized from the stored records; routes are only decoded when something has to go
+        const [records, browser] = await Promise.all([
+            this.loadStoredRecords(this.routeStoreName),
+            this.estimateBrowserQuota()
+        ]);
+        const routeBytes = new Map(records.map(record => [record.id, this.calculateRouteBytes(record)]));
+        const totalBytes = [...routeBytes.values()].reduce((total, bytes) => total + bytes, 0);
+
+        let targetBytes = maxSizeKB * 1024;
+        if (browser) {
+            const overQuota = browser.usage - browser.quota * this.quotaWarningRatio;
+            if (overQuota > 0) {
+                targetBytes = Math.min(targetBytes, totalBytes - overQuota);
             }
+        }
 
-            console.log(`⚠️ Storage size exceeded: ${currentSizeKB}KB > ${maxSizeKB}KB, cleaning up...`);
+        const plan = { needed: totalBytes > targetBytes, totalBytes, targetBytes, browser, compact: [], remove: [], freedBytes: 0 };
+        if (!plan.needed) {
+            return plan;
+        }
 
-            // Sort by upload time (oldest first)
-            const sortedRoutes = routes.sort((a, b) => a.uploadTime - b.uploadTime);
-            
-            // Remove oldest routes until we're under the limit
-            let routesToKeep = [...sortedRoutes];
-            while (this.calculateRoutesSize(routesToKeep) > maxSizeKB && routesToKeep.length > 1) {
-                const removedRoute = routesToKeep.shift();
-                await this.deleteRoute(removedRoute.id);
-                console.log(`🗑️ Removed old route: ${removedRoute.filename}`);
+        // Oldest first; pinned routes are left alone
+        const routes = records.map(record => this.fromStoredRecord(record));
+        const candidates = routes
+            .filter(route => !route.pinned)
+            .sort((a, b) => uploadTimeOf(a) - uploadTimeOf(b));
+        let remainingBytes = totalBytes;
+
+        for (const route of candidates) {
+            if (remainingBytes <= targetBytes) break;
+            if (route.metadata?.compaction || !route.points || route.points.length < 3) {
+                continue;
+            }
+            const compactedRoute = this.compactRoute(route);
+            const compactedBytes = this.calculateRouteBytes(compactedRoute);
+            if (compactedBytes >= routeBytes.get(route.id)) {
+                continue;
             }
+            plan.compact.push(this.describeCleanupItem(route, routeBytes.get(route.id), { compactedBytes, route: compactedRoute }));
+            remainingBytes -= routeBytes.get(route.id) - compactedBytes;
+            routeBytes.set(route.id, compactedBytes);
+        }
 
-            const finalSizeKB = this.calculateRoutesSize(routesToKeep);
-            console.log(`✅ Cleanup complete: ${finalSizeKB}KB, kept ${routesToKeep.length} routes`);
-            
-            return routesToKeep;
+        // Never plan to remove the last route
+        for (const route of candidates) {
+            if (remainingBytes <= targetBytes || plan.remove.length >= routes.length - 1) break;
+            plan.remove.push(this.describeCleanupItem(route, routeBytes.get(route.id)));
+            remainingBytes -= routeBytes.get(route.id);
+        }
+
+        plan.freedBytes = totalBytes - remainingBytes;
+        plan.fits = remainingBytes <= targetBytes;
+        console.log(`🧮 Cleanup plan: compact ${plan.compact.length}, remove ${plan.remove.length}, frees ~${Math.round(plan.freedBytes / 1024)}KB`);
+        return plan;
+    }
+
+    describeCleanupItem(route, bytes, extra = {}) {
+        return {
+            id: route.id,
+            name: route.name || route.metadata?.name || route.filename,
+            uploadTime: route.uploadTime ?? null,
+            bytes,
+            ...extra
+        };
+    }
+
+    // Carry out the accepted parts of a plan from planCleanup(); by default all of it
+    async applyCleanup(plan, {
+        compactIds = plan.compact.map(item => item.id),
+        removeIds = plan.remove.map(item => item.id)
+    } = {}) {
+        const compacted = plan.compact.filter(item => compactIds.includes(item.id)).map(item => item.route);
+        const removed = plan.remove.filter(item => removeIds.includes(item.id)).map(item => item.id);
+
+        if (compacted.length > 0) {
+            await this.saveRoutes(compacted);
+        }
+        for (const routeId of removed) {
+            await this.deleteRoute(routeId);
+            console.log(`🗑️ Removed route to free space: ${routeId}`);
+        }
+
+        console.log(`✅ Cleanup applied: ${compacted.length} compacted, ${removed.length} removed`);
+        return { compacted, removed };
+    }
+
+    // Plan and apply a cleanup without review. The app asks first (planCleanup/applyCleanup);
+    // this is for callers that have already decided. Returns the kept routes, oldest first.
+    async cleanupOldRoutes(maxSizeKB = this.maxStorageKB) {
+        try {
+            const plan = await this.planCleanup({ maxSizeKB });
+            if (!plan.needed) {
+                console.log(`💾 Storage size OK: ${Math.round(plan.totalBytes / 1024)}KB / ${maxSizeKB}KB`);
+                return;
+            }
+
+            await this.applyCleanup(plan);
+            const routesToKeep = await this.loadRoutes();
+            return routesToKeep.sort((a, b) => uploadTimeOf(a) - uploadTimeOf(b));
         } catch (error) {
             console.error('❌ Error during cleanup:', error);
             throw error;
         }
     }
 
+    // Records exactly as stored (points still packed), for sizing without decoding
+    async loadStoredRecords(storeName) {
+        if (!this.db) {
+            await this.init();
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => {
+                console.error(`❌ Failed to read ${storeName}:`, request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    // Records keep their track points packed (see point-codec.js); routes and coin routes are
+    // packed on the way into IndexedDB and unpacked on the way out. Routes also keep their first
+    // point timestamp beside the packed points, so queries can date them without unpacking.
+    toStoredRecord(record, kind = 'route') {
+        if (kind === 'coin') {
+            return record.route ? { ...record, route: packRoutePoints(record.route) } : record;
+        }
+        if (!Array.isArray(record.points)) {
+            return record;
+        }
+        const firstPointTime = record.points.find(point => point?.timestamp)?.timestamp ?? null;
+        return { ...packRoutePoints(record), firstPointTime };
+    }
+
+    fromStoredRecord(record, kind = 'route') {
+        if (kind === 'coin') {
+            return record?.route ? { ...record, route: unpackRoutePoints(record.route) } : record;
+        }
+        if (!record) {
+            return record;
+        }
+        const { firstPointTime, ...route } = record;
+        return unpackRoutePoints(route);
+    }
+
+    // A stored route as route-library queries read it, without unpacking its points: the first
+    // point timestamp stands in for the points. Records stored before it was kept are unpacked.
+    toQueryableRecord(record) {
+        if (record.firstPointTime === undefined && record.pointStream) {
+            return this.fromStoredRecord(record);
+        }
+        const { firstPointTime, pointStream, ...route } = record;
+        return { ...route, points: firstPointTime ? [{ timestamp: firstPointTime }] : [] };
+    }
+
+    isPackedRecord(record, kind = 'route') {
+        const route = kind === 'coin' ? record?.route : record;
+        return !Array.isArray(route?.points);
+    }
+
+    // Shape-preserving simplification of a stored route; switchbacks and climbs keep their shape
+    compactRoute(route, toleranceMeters = this.compactionTolerance) {
+        const compactedRoute = this.routeManipulator.simplifyRoute(route, {
+            method: 'douglas-peucker',
+            tolerance: toleranceMeters
+        });
+        compactedRoute.metadata = {
+            ...compactedRoute.metadata,
+            compaction: {
+                originalPointCount: route.points.length,
+                tolerance: toleranceMeters
+            }
+        };
+        console.log(`🗜️ Compacted route: ${route.filename} (${route.points.length} → ${compactedRoute.points.length} points)`);
+        return compactedRoute;
+    }
+
     // Check if IndexedDB is supported
     static isSupported() {
         return 'indexedDB' in window;
@@ -0,0 +1,186 @@
+// Storage Migrations
+// Versioned upgrades for RouteStorageManager. Schema migrations create object stores and indices
+// when the database version goes up; record migrations bring individual routes and coins (stamped
+// with `schemaVersion`) up to the shape current code expects. Add a step to the end of either list
+// rather than changing an existing one - databases in the wild have already run those.
+import RouteManipulator from './route-manipulator.js';
+
+export const QUARANTINE_STORE_NAME = 'quarantine';
+
+// Each step runs inside the versionchange transaction for databases older than its version
+export const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'routes store',
+        migrate(db, transaction, { routeStoreName }) {
+            if (db.objectStoreNames.contains(routeStoreName)) return;
+            const routeStore = db.createObjectStore(routeStoreName, { keyPath: 'id' });
+            routeStore.createIndex('filename', 'filename', { unique: false });
+            routeStore.createIndex('uploadTime', 'uploadTime', { unique: false });
+            routeStore.createIndex('distance', 'distance', { unique: false });
+        }
+    },
+    {
+        version: 2,
+        description: 'saved coins store',
+        migrate(db, transaction, { coinStoreName }) {
+            if (db.objectStoreNames.contains(coinStoreName)) return;
+            const coinStore = db.createObjectStore(coinStoreName, { keyPath: 'id' });
+            coinStore.createIndex('name', 'name', { unique: false });
+            coinStore.createIndex('createdAt', 'createdAt', { unique: false });
+        }
+    },
+    {
+        // One index entry per tag. Records saved before this have no tags or folder until edited.
+        version: 3,
+        description: 'tag and folder indices',
+        migrate(db, transaction, { routeStoreName, coinStoreName }) {
+            [routeStoreName, coinStoreName].forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                if (!store.indexNames.contains('tags')) {
+                    store.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+                }
+                if (!store.indexNames.contains('folder')) {
+                    store.createIndex('folder', 'folder', { unique: false });
+                }
+            });
+        }
+    },
+    {
+        version: 4,
+        description: 'quarantine store for records failing the integrity check',
+        migrate(db) {
+            if (db.objectStoreNames.contains(QUARANTINE_STORE_NAME)) return;
+            const quarantineStore = db.createObjectStore(QUARANTINE_STORE_NAME, { keyPath: 'key' });
+            quarantineStore.createIndex('storeName', 'storeName', { unique: false });
+        }
+    }
+];
+
+export const DB_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+// Run the steps between the database's old version and the version being opened
+export function runSchemaMigrations(db, transaction, { oldVersion, newVersion }, storeNames) {
+    SCHEMA_MIGRATIONS
+        .filter(migration => migration.version > oldVersion && migration.version <= newVersion)
+        .forEach(migration => {
+            migration.migrate(db, transaction, storeNames);
+            console.log(`🔄 Schema v${migration.version}: ${migration.description}`);
+        });
+}
+
+const routeManipulator = new RouteManipulator();
+
+// Each step receives a record of the previous version and returns the upgraded record. Steps must
+// not modify their input: the record may be the caller's in-memory route.
+export const RECORD_MIGRATIONS = [
+    {
+        // Parsers store Date objects while edited routes store ISO strings; settle on strings.
+        // Fill in fields that early versions didn't save.
+        version: 1,
+        description: 'ISO timestamps, point counts and default fields',
+        migrate(record, kind) {
+            if (kind === 'coin') {
+                return {
+                    ...record,
+                    type: 'coin',
+                    createdAt: toISOString(record.createdAt),
+                    ...(record.route && { route: upgradeRouteShape(record.route) })
+                };
+            }
+            return upgradeRouteShape(record);
+        }
+    }
+];
+
+export const RECORD_SCHEMA_VERSION = RECORD_MIGRATIONS[RECORD_MIGRATIONS.length - 1].version;
+
+// Bring a stored route or coin (kind 'route' or 'coin') up to RECORD_SCHEMA_VERSION. Records
+// written by a newer version of the app are returned as they are.
+export function migrateRecord(record, kind = 'route') {
+    const fromVersion = Number.isInteger(record?.schemaVersion) ? record.schemaVersion : 0;
+    if (fromVersion >= RECORD_SCHEMA_VERSION) {
+        return { record, migrated: false };
+    }
+
+    const migrated = RECORD_MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .reduce((current, migration) => migration.migrate(current, kind), record);
+    return { record: { ...migrated, schemaVersion: RECORD_SCHEMA_VERSION }, migrated: true };
+}
+
+// Why a route can't be used, or null when it can
+export function validateRoute(route) {
+    if (!route || typeof route !== 'object') return 'not a route record';
+    if (typeof route.id !== 'string' || !route.id) return 'missing id';
+    if (!Array.isArray(route.points) || route.points.length === 0) return 'no track points';
+    if (!route.points.every(hasValidCoordinates)) return 'track points without valid coordinates';
+    return null;
+}
+
+export function validateCoin(coin) {
+    if (!coin || typeof coin !== 'object') return 'not a coin record';
+    if (typeof coin.id !== 'string' || !coin.id) return 'missing id';
+    if (!coin.route) return 'missing coin route';
+    const reason = validateRoute(coin.route);
+    return reason ? `coin route has ${reason}` : null;
+}
+
+// Drop track points without usable coordinates (e.g. NaN from a damaged file) so the rest of
+// the route survives. Returns the same record when nothing needed repairing.
+export function repairRecord(record, kind = 'route') {
+    if (kind === 'coin') {
+        const route = record?.route && repairRoutePoints(record.route);
+        return route && route !== record.route ? { ...record, route } : record;
+    }
+    return repairRoutePoints(record);
+}
+
+function repairRoutePoints(route) {
+    if (!Array.isArray(route?.points) || route.points.every(hasValidCoordinates)) {
+        return route;
+    }
+
+    const points = route.points.filter(hasValidCoordinates);
+    return {
+        ...route,
+        points,
+        pointCount: points.length,
+        ...(points.length > 0 && routeManipulator.calculateRouteStats({ points }))
+    };
+}
+
+function upgradeRouteShape(route) {
+    const points = Array.isArray(route.points) ? route.points : [];
+    const needsTimestamps = points.some(point => point && point.timestamp !== undefined && typeof point.timestamp !== 'string' && point.timestamp !== null);
+    const upgraded = {
+        ...route,
+        points: needsTimestamps ? points.map(point => point && { ...point, timestamp: toISOString(point.timestamp) }) : points,
+        metadata: route.metadata && typeof route.metadata === 'object' ? route.metadata : {},
+        pointCount: points.length
+    };
+
+    const missingStats = ['distance', 'elevationGain', 'duration'].some(field => !Number.isFinite(route[field]));
+    if (missingStats && points.every(hasValidCoordinates)) {
+        const stats = routeManipulator.calculateRouteStats(upgraded);
+        ['distance', 'elevationGain', 'elevationLoss', 'duration'].forEach(field => {
+            if (!Number.isFinite(upgraded[field])) upgraded[field] = stats[field];
+        });
+    }
+
+    if (route.tags !== undefined && !Array.isArray(route.tags)) {
+        delete upgraded.tags;
+    }
+    return upgraded;
+}
+
+function toISOString(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'string') return value;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function hasValidCoordinates(point) {
+    return Number.isFinite(point?.lat) && Number.isFinite(point?.lon);
+}
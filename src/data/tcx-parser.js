@@ -0,0 +1,170 @@
+// TCX (Training Center XML) File Parser
+// Extracts Garmin Trackpoints, including sensor data, into the same route structure as GPXParser
+import GPXParser from './gpx-parser.js';
+
+// Normalise TCX Activity Sport attribute values to the sport names used elsewhere
+const TCX_SPORTS = {
+    biking: 'cycling',
+    running: 'running',
+    other: 'other'
+};
+
+class TCXParser {
+    constructor() {
+        this.supportedFormats = ['.tcx'];
+        this.maxFileSize = 50 * 1024 * 1024; // 50MB
+        // Share file reading, XML validation and statistics with the GPX parser
+        this.gpxParser = new GPXParser();
+    }
+
+    // Parse TCX file content
+    async parseTCXFile(file) {
+        try {
+            console.log(`📁 Parsing TCX file: ${file.name} (${(file.size / 1024).toFixed(1)}KB)`);
+
+            // Validate file
+            this.validateFile(file);
+
+            // Read file content
+            const content = await this.gpxParser.readFileContent(file);
+
+            // Parse XML
+            const xmlDoc = this.gpxParser.parseXML(content);
+
+            // Extract GPS data
+            const routeData = this.extractRouteData(xmlDoc, file.name);
+
+            console.log(`✅ Successfully parsed TCX: ${routeData.points.length} points, ${routeData.distance.toFixed(2)}km`);
+            return routeData;
+
+        } catch (error) {
+            console.error(`❌ Error parsing TCX file ${file.name}:`, error);
+            throw new Error(`Failed to parse ${file.name}: ${error.message}`);
+        }
+    }
+
+    // Validate file before processing
+    validateFile(file) {
+        const fileExtension = file.name.toLowerCase().slice(file.name.lastIndexOf('.'));
+        if (!this.supportedFormats.includes(fileExtension)) {
+            throw new Error(`Unsupported file format. Please upload a TCX (.tcx) file.`);
+        }
+
+        if (file.size > this.maxFileSize) {
+            throw new Error(`File too large. Please upload a file smaller than 50MB.`);
+        }
+
+        if (file.size === 0) {
+            throw new Error(`File is empty.`);
+        }
+    }
+
+    // Extract route data from TCX XML
+    extractRouteData(xmlDoc, filename) {
+        if (!this.findFirst(xmlDoc, 'TrainingCenterDatabase')) {
+            throw new Error('Not a Training Center XML document');
+        }
+
+        const points = this.findAll(xmlDoc, 'Trackpoint')
+            .map(trackpoint => this.parseTrackpoint(trackpoint))
+            .filter(Boolean);
+
+        if (points.length === 0) {
+            throw new Error('No GPS points found in TCX file');
+        }
+
+        // Extract metadata
+        const metadata = this.extractMetadata(xmlDoc);
+
+        // Calculate statistics
+        const stats = this.gpxParser.calculateStats(points);
+
+        return {
+            filename,
+            points,
+            metadata,
+            ...stats,
+            uploadTime: new Date().toISOString()
+        };
+    }
+
+    // Parse an individual Trackpoint, skipping ones without a position (e.g. indoor or paused)
+    parseTrackpoint(trackpoint) {
+        const position = this.findFirst(trackpoint, 'Position');
+        if (!position) {
+            return null;
+        }
+
+        const lat = this.readNumber(position, 'LatitudeDegrees');
+        const lon = this.readNumber(position, 'LongitudeDegrees');
+
+        if (lat === null || lon === null) {
+            throw new Error('Invalid coordinates in TCX file');
+        }
+
+        const timeText = this.readText(trackpoint, 'Time');
+        const heartRateElement = this.findFirst(trackpoint, 'HeartRateBpm');
+
+        return {
+            lat,
+            lon,
+            elevation: this.readNumber(trackpoint, 'AltitudeMeters'),
+            timestamp: timeText ? new Date(timeText) : null,
+            name: null,
+            heartRate: heartRateElement ? this.readNumber(heartRateElement, 'Value') : null,
+            // Cyclists report <Cadence>, runners report RunCadence inside the TPX extension
+            cadence: this.readNumber(trackpoint, 'Cadence') ?? this.readNumber(trackpoint, 'RunCadence'),
+            power: this.readNumber(trackpoint, 'Watts')
+        };
+    }
+
+    // Extract TCX metadata (sport, activity id/time, device)
+    extractMetadata(xmlDoc) {
+        const metadata = {};
+
+        const activity = this.findFirst(xmlDoc, 'Activity');
+        const sport = activity?.getAttribute('Sport');
+        if (sport) {
+            metadata.sport = TCX_SPORTS[sport.toLowerCase()] || sport.toLowerCase();
+        }
+
+        // Activity <Id> is the ISO start time
+        const activityId = activity ? this.readText(activity, 'Id') : null;
+        if (activityId) metadata.time = activityId;
+
+        const notes = activity ? this.readText(activity, 'Notes') : null;
+        if (notes) metadata.description = notes;
+
+        const creator = activity ? this.findFirst(activity, 'Creator') : null;
+        const creatorName = creator ? this.readText(creator, 'Name') : null;
+        if (creatorName) metadata.creator = creatorName;
+
+        return metadata;
+    }
+
+    // Namespace-agnostic element lookup (TCX extensions use prefixed namespaces such as ns3:TPX)
+    findAll(parent, localName) {
+        return Array.from(parent.getElementsByTagNameNS('*', localName));
+    }
+
+    findFirst(parent, localName) {
+        return parent.getElementsByTagNameNS('*', localName)[0] || null;
+    }
+
+    readText(parent, localName) {
+        const element = this.findFirst(parent, localName);
+        const text = element?.textContent?.trim();
+        return text ? text : null;
+    }
+
+    readNumber(parent, localName) {
+        const text = this.readText(parent, localName);
+        if (text === null) {
+            return null;
+        }
+        const value = parseFloat(text);
+        return Number.isFinite(value) ? value : null;
+    }
+}
+
+export default TCXParser;
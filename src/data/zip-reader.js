@@ -0,0 +1,121 @@
+// ZIP Archive Reader
+// Minimal reader for the central directory of a ZIP file, with stored and deflated entries
+// decompressed by the browser's native DecompressionStream (no extra dependency)
+
+const EOCD_SIGNATURE = 0x06054b50; // End of central directory record
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xFFFF;
+
+const COMPRESSION_STORED = 0;
+const COMPRESSION_DEFLATE = 8;
+
+class ZipReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.view = new DataView(buffer);
+        this.bytes = new Uint8Array(buffer);
+        this.decoder = new TextDecoder('utf-8');
+    }
+
+    // List file entries from the central directory (directories are skipped)
+    readEntries() {
+        const eocdOffset = this.findEndOfCentralDirectory();
+        const entryCount = this.view.getUint16(eocdOffset + 10, true);
+        const directoryOffset = this.view.getUint32(eocdOffset + 16, true);
+
+        if (entryCount === 0xFFFF || directoryOffset === 0xFFFFFFFF) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        const entries = [];
+        let offset = directoryOffset;
+
+        for (let i = 0; i < entryCount; i++) {
+            if (offset + 46 > this.bytes.length || this.view.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+
+            const flags = this.view.getUint16(offset + 8, true);
+            const compressionMethod = this.view.getUint16(offset + 10, true);
+            const compressedSize = this.view.getUint32(offset + 20, true);
+            const uncompressedSize = this.view.getUint32(offset + 24, true);
+            const nameLength = this.view.getUint16(offset + 28, true);
+            const extraLength = this.view.getUint16(offset + 30, true);
+            const commentLength = this.view.getUint16(offset + 32, true);
+            const localHeaderOffset = this.view.getUint32(offset + 42, true);
+            const name = this.decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            if (!name.endsWith('/')) {
+                entries.push({
+                    name,
+                    compressionMethod,
+                    compressedSize,
+                    uncompressedSize,
+                    localHeaderOffset,
+                    encrypted: (flags & 0x1) !== 0
+                });
+            }
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    // Scan backwards for the end-of-central-directory record (it may be followed by a comment)
+    findEndOfCentralDirectory() {
+        const lowestOffset = Math.max(0, this.bytes.length - EOCD_MIN_SIZE - MAX_COMMENT_SIZE);
+        for (let offset = this.bytes.length - EOCD_MIN_SIZE; offset >= lowestOffset; offset--) {
+            if (this.view.getUint32(offset, true) === EOCD_SIGNATURE) {
+                return offset;
+            }
+        }
+        throw new Error('Not a ZIP archive');
+    }
+
+    // Decompress a single entry's contents
+    async extract(entry) {
+        if (entry.encrypted) {
+            throw new Error(`${entry.name} is encrypted`);
+        }
+
+        const offset = entry.localHeaderOffset;
+        if (this.view.getUint32(offset, true) !== LOCAL_HEADER_SIGNATURE) {
+            throw new Error(`Corrupt ZIP entry ${entry.name}`);
+        }
+
+        // Local header name/extra lengths can differ from the central directory's
+        const nameLength = this.view.getUint16(offset + 26, true);
+        const extraLength = this.view.getUint16(offset + 28, true);
+        const dataStart = offset + 30 + nameLength + extraLength;
+        const data = this.bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+        if (entry.compressionMethod === COMPRESSION_STORED) {
+            return data.slice();
+        }
+        if (entry.compressionMethod === COMPRESSION_DEFLATE) {
+            return decompress(data, 'deflate-raw');
+        }
+        throw new Error(`Unsupported compression method ${entry.compressionMethod} for ${entry.name}`);
+    }
+}
+
+// Decompress bytes with DecompressionStream ('deflate-raw' for ZIP entries, 'gzip' for .gz files)
+export async function decompress(bytes, format) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot decompress archives');
+    }
+
+    const stream = new ReadableStream({
+        start(controller) {
+            controller.enqueue(bytes);
+            controller.close();
+        }
+    }).pipeThrough(new DecompressionStream(format));
+
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export default ZipReader;
@@ -0,0 +1,148 @@
+// ZIP Archive Writer
+// Minimal writer for ZIP files (the counterpart of ZipReader). Entries are deflated by the
+// browser's native CompressionStream when that makes them smaller, and stored otherwise.
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const EOCD_SIGNATURE = 0x06054b50;
+const VERSION_NEEDED = 20; // 2.0: deflate
+const FLAG_UTF8_NAMES = 0x0800;
+
+const COMPRESSION_STORED = 0;
+const COMPRESSION_DEFLATE = 8;
+
+class ZipWriter {
+    constructor({ date = new Date() } = {}) {
+        this.entries = [];
+        this.date = date;
+        this.encoder = new TextEncoder();
+    }
+
+    // Add a file; string content is written as UTF-8
+    addFile(name, content) {
+        const bytes = typeof content === 'string' ? this.encoder.encode(content) : content;
+        this.entries.push({ name, bytes });
+        return this;
+    }
+
+    // The archive as bytes
+    async build() {
+        const files = [];
+        for (const entry of this.entries) {
+            const deflated = await compress(entry.bytes, 'deflate-raw');
+            const useDeflate = deflated !== null && deflated.length < entry.bytes.length;
+            files.push({
+                name: this.encoder.encode(entry.name),
+                crc: crc32(entry.bytes),
+                size: entry.bytes.length,
+                method: useDeflate ? COMPRESSION_DEFLATE : COMPRESSION_STORED,
+                data: useDeflate ? deflated : entry.bytes
+            });
+        }
+
+        const localSize = files.reduce((total, file) => total + 30 + file.name.length + file.data.length, 0);
+        const directorySize = files.reduce((total, file) => total + 46 + file.name.length, 0);
+        const bytes = new Uint8Array(localSize + directorySize + 22);
+        const view = new DataView(bytes.buffer);
+        const { time, date } = toDosDateTime(this.date);
+
+        let offset = 0;
+        files.forEach(file => {
+            file.offset = offset;
+            view.setUint32(offset, LOCAL_HEADER_SIGNATURE, true);
+            view.setUint16(offset + 4, VERSION_NEEDED, true);
+            view.setUint16(offset + 6, FLAG_UTF8_NAMES, true);
+            view.setUint16(offset + 8, file.method, true);
+            view.setUint16(offset + 10, time, true);
+            view.setUint16(offset + 12, date, true);
+            view.setUint32(offset + 14, file.crc, true);
+            view.setUint32(offset + 18, file.data.length, true);
+            view.setUint32(offset + 22, file.size, true);
+            view.setUint16(offset + 26, file.name.length, true);
+            view.setUint16(offset + 28, 0, true);
+            bytes.set(file.name, offset + 30);
+            bytes.set(file.data, offset + 30 + file.name.length);
+            offset += 30 + file.name.length + file.data.length;
+        });
+
+        const directoryOffset = offset;
+        files.forEach(file => {
+            view.setUint32(offset, CENTRAL_DIRECTORY_SIGNATURE, true);
+            view.setUint16(offset + 4, VERSION_NEEDED, true); // Version made by
+            view.setUint16(offset + 6, VERSION_NEEDED, true);
+            view.setUint16(offset + 8, FLAG_UTF8_NAMES, true);
+            view.setUint16(offset + 10, file.method, true);
+            view.setUint16(offset + 12, time, true);
+            view.setUint16(offset + 14, date, true);
+            view.setUint32(offset + 16, file.crc, true);
+            view.setUint32(offset + 20, file.data.length, true);
+            view.setUint32(offset + 24, file.size, true);
+            view.setUint16(offset + 28, file.name.length, true);
+            // Extra field, comment, disk number and attributes are all zero
+            view.setUint32(offset + 42, file.offset, true);
+            bytes.set(file.name, offset + 46);
+            offset += 46 + file.name.length;
+        });
+
+        view.setUint32(offset, EOCD_SIGNATURE, true);
+        view.setUint16(offset + 8, files.length, true);
+        view.setUint16(offset + 10, files.length, true);
+        view.setUint32(offset + 12, directorySize, true);
+        view.setUint32(offset + 16, directoryOffset, true);
+
+        return bytes;
+    }
+
+    async toBlob(type = 'application/zip') {
+        return new Blob([await this.build()], { type });
+    }
+}
+
+// Compress bytes with CompressionStream, or null when the browser can't
+export async function compress(bytes, format) {
+    if (typeof CompressionStream === 'undefined') {
+        return null;
+    }
+
+    const stream = new ReadableStream({
+        start(controller) {
+            controller.enqueue(bytes);
+            controller.close();
+        }
+    }).pipeThrough(new CompressionStream(format));
+
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+let crcTable = null;
+
+// CRC-32 (IEEE) as stored in ZIP headers
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS time and date fields (local time, two-second resolution, years from 1980)
+function toDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+export default ZipWriter;
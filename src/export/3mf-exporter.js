@@ -0,0 +1,231 @@
+/**
+ * 3MF Exporter
+ *
+ * Exports routes as 3MF files for multi-material printing. The route, base plate and text are
+ * separate named parts of one object, each with a suggested colour, so a slicer can assign each
+ * part its own filament. Engraved text is filled in as its own part.
+ */
+
+import { buildRouteParts } from './route-geometry-builder.js';
+import { DEFAULT_STL_OPTIONS } from './stl-options.js';
+import { generateFilename as generateSTLFilename } from './stl-exporter.js';
+import ZipWriter from '../data/zip-writer.js';
+import { escapeHtml } from '../utils/escape-html.js';
+
+export const THREEMF_MIME_TYPE = 'model/3mf';
+
+/**
+ * Suggested filament colour for each part
+ */
+export const PART_COLORS = {
+  route: '#D9480F', // Orange
+  base: '#343A40',  // Charcoal
+  text: '#F8F9FA'   // White
+};
+
+const PART_NAMES = {
+  route: 'Route',
+  base: 'Base',
+  text: 'Text'
+};
+
+const CORE_NAMESPACE = 'http://schemas.microsoft.com/3dmanufacturing/core/2015/02';
+const MODEL_PATH = '3D/3dmodel.model';
+const COORDINATE_PRECISION = 4; // Decimal places of vertex coordinates (mm)
+
+/**
+ * Build one indexed mesh per part of the route model
+ * @param {Object} route - Route object with points array
+ * @param {Object} options - STL export options (merged with defaults)
+ * @returns {Array} Array of {role, name, color, vertices, triangles} - vertices as [x, y, z], triangles as [a, b, c]
+ */
+export function buildPartMeshes(route, options = {}) {
+  const parts = buildRouteParts(route, { ...DEFAULT_STL_OPTIONS, ...options }, { inlays: true });
+
+  const meshes = Object.keys(PART_NAMES)
+    .filter(role => parts[role].length > 0)
+    .map(role => ({
+      role,
+      name: PART_NAMES[role],
+      color: PART_COLORS[role],
+      ...toIndexedMesh(parts[role])
+    }));
+
+  Object.values(parts).flat().forEach(geometry => geometry.dispose());
+  return meshes;
+}
+
+/**
+ * Write the 3MF model XML for a set of part meshes
+ * @param {Array} meshes - Meshes from buildPartMeshes
+ * @param {Object} metadata - {title}
+ * @returns {string} 3D model document
+ */
+export function create3MFModel(meshes, { title = 'Route' } = {}) {
+  const materialsId = 1;
+  const assemblyId = meshes.length + 2;
+
+  // Lift the model so it rests on the print bed (the base plate sits below z=0)
+  const minZ = Math.min(...meshes.flatMap(mesh => mesh.vertices.map(vertex => vertex[2])));
+  const lift = Number.isFinite(minZ) ? -minZ : 0;
+
+  const materials = meshes
+    .map(mesh => `      <base name="${escapeHtml(mesh.name)}" displaycolor="${mesh.color}FF" />`)
+    .join('\n');
+
+  const objects = meshes.map((mesh, i) => [
+    `    <object id="${i + 2}" type="model" name="${escapeHtml(mesh.name)}" pid="${materialsId}" pindex="${i}">`,
+    '      <mesh>',
+    '        <vertices>',
+    mesh.vertices.map(([x, y, z]) => `          <vertex x="${formatCoordinate(x)}" y="${formatCoordinate(y)}" z="${formatCoordinate(z)}" />`).join('\n'),
+    '        </vertices>',
+    '        <triangles>',
+    mesh.triangles.map(([a, b, c]) => `          <triangle v1="${a}" v2="${b}" v3="${c}" />`).join('\n'),
+    '        </triangles>',
+    '      </mesh>',
+    '    </object>'
+  ].join('\n')).join('\n');
+
+  const components = meshes.map((mesh, i) => `        <component objectid="${i + 2}" />`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<model unit="millimeter" xml:lang="en-US" xmlns="${CORE_NAMESPACE}">
+  <metadata name="Title">${escapeHtml(title)}</metadata>
+  <metadata name="Application">RouteCoinMe</metadata>
+  <resources>
+    <basematerials id="${materialsId}">
+${materials}
+    </basematerials>
+${objects}
+    <object id="${assemblyId}" type="model" name="${escapeHtml(title)}">
+      <components>
+${components}
+      </components>
+    </object>
+  </resources>
+  <build>
+    <item objectid="${assemblyId}" transform="1 0 0 0 1 0 0 0 1 0 0 ${formatCoordinate(lift)}" />
+  </build>
+</model>
+`;
+}
+
+/**
+ * Export a route to 3MF format
+ * @param {Object} route - Route object with points array
+ * @param {Object} options - STL export options (merged with defaults)
+ * @returns {Promise<Blob>} 3MF file as a blob
+ */
+export async function exportTo3MF(route, options = {}) {
+  console.log('🎨 Starting 3MF export for route:', route.filename || route.id);
+
+  // Validate route has points
+  if (!route.points || route.points.length < 2) {
+    throw new Error('Route must have at least 2 points for 3MF export');
+  }
+
+  const meshes = buildPartMeshes(route, options);
+  meshes.forEach(mesh => {
+    console.log(`  🧩 ${mesh.name}: ${mesh.vertices.length} vertices, ${mesh.triangles.length} triangles (${mesh.color})`);
+  });
+
+  const title = options.baseTextTitle || route.metadata?.name || route.filename || route.id || 'Route';
+  const blob = await new ZipWriter()
+    .addFile('[Content_Types].xml', CONTENT_TYPES)
+    .addFile('_rels/.rels', RELATIONSHIPS)
+    .addFile(MODEL_PATH, create3MFModel(meshes, { title }))
+    .toBlob(THREEMF_MIME_TYPE);
+
+  console.log(`✅ 3MF export complete (${(blob.size / 1024).toFixed(1)} KB, ${meshes.length} parts)`);
+  return blob;
+}
+
+/**
+ * Generate a sensible filename for 3MF export
+ * @param {Object} route - Route object
+ * @param {Object} options - STL export options
+ * @returns {string} Sanitized filename
+ */
+export function generateFilename(route, options = {}) {
+  return generateSTLFilename(route, options).replace(/\.stl$/, '.3mf');
+}
+
+/**
+ * Export route and trigger download
+ * @param {Object} route - Route object
+ * @param {Object} options - STL export options
+ * @returns {Promise<void>}
+ */
+export async function exportAndDownload(route, options = {}) {
+  const blob = await exportTo3MF(route, options);
+  const filename = generateFilename(route, options);
+
+  // Create download link
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  // Clean up
+  URL.revokeObjectURL(url);
+
+  console.log(`🎉 Downloaded: ${filename}`);
+}
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml" />
+  <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml" />
+</Types>
+`;
+
+const RELATIONSHIPS = `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Target="/${MODEL_PATH}" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel" />
+</Relationships>
+`;
+
+// Weld the triangles of several geometries into one indexed mesh. 3MF meshes share vertices
+// between triangles; triangles that collapse when welded are dropped.
+function toIndexedMesh(geometries) {
+  const vertices = [];
+  const triangles = [];
+  const vertexIndex = new Map();
+
+  const indexOf = (x, y, z) => {
+    const key = `${formatCoordinate(x)},${formatCoordinate(y)},${formatCoordinate(z)}`;
+    let index = vertexIndex.get(key);
+    if (index === undefined) {
+      index = vertices.length;
+      vertexIndex.set(key, index);
+      vertices.push([x, y, z]);
+    }
+    return index;
+  };
+
+  geometries.forEach(geometry => {
+    const position = geometry.attributes.position;
+    const corner = geometry.index
+      ? i => geometry.index.getX(i)
+      : i => i;
+    const count = geometry.index ? geometry.index.count : position.count;
+
+    for (let i = 0; i + 2 < count; i += 3) {
+      const [a, b, c] = [i, i + 1, i + 2].map(j => {
+        const k = corner(j);
+        return indexOf(position.getX(k), position.getY(k), position.getZ(k));
+      });
+      if (a !== b && b !== c && a !== c) {
+        triangles.push([a, b, c]);
+      }
+    }
+  });
+
+  return { vertices, triangles };
+}
+
+function formatCoordinate(value) {
+  const rounded = Number(value.toFixed(COORDINATE_PRECISION));
+  return String(Object.is(rounded, -0) ? 0 : rounded);
+}
@@ -0,0 +1,255 @@
+/**
+ * Base Plate Text
+ *
+ * Lays out the coin name, date, distance and elevation on the circular base plate: raised or
+ * engraved around the rim of the top face, or engraved into the underside (mirrored, so it reads
+ * correctly when the coin is turned over). Uses the Helvetiker Bold typeface bundled with three.js.
+ */
+
+import * as THREE from 'three';
+import { Font } from 'three/examples/jsm/loaders/FontLoader.js';
+import fontData from 'three/examples/fonts/helvetiker_bold.typeface.json';
+import unitPreferences from '../utils/unit-preferences.js';
+import { getRouteDate } from '../data/route-library.js';
+
+const font = new Font(fontData);
+
+const GLYPH_DIVISIONS = 4;     // Points per curved glyph outline segment
+const PLATE_SEGMENTS = 32;     // Matches the plain base plate cylinder
+const RIM_EDGE_GAP = 1;        // Space between rim text and the edge of the plate (mm)
+const RIM_ROUTE_GAP = 1;       // Space between rim text and the route (mm)
+const LETTER_SPACING = 0.08;   // Extra space between letters (fraction of the font size)
+const LINE_SPACING = 1.4;      // Underside line height (fraction of the font size)
+const MAX_RIM_ARC = Math.PI * 0.85; // Each rim line stays within its half of the plate
+
+/**
+ * Whether the options ask for text on a base plate
+ * @param {Object} options - STL export options
+ * @returns {boolean}
+ */
+export function isBaseTextEnabled(options) {
+  return options.base > 0 && !!options.baseText && options.baseText !== 'none';
+}
+
+/**
+ * Raised or engraved - text on the underside is always engraved so the coin still sits flat
+ * @param {Object} options - STL export options
+ * @returns {string} 'raised' | 'engraved'
+ */
+export function getBaseTextMode(options) {
+  return options.baseTextPlacement === 'underside' ? 'engraved' : options.baseText;
+}
+
+/**
+ * Width of the band around the edge of the plate reserved for rim text
+ * @param {Object} options - STL export options
+ * @returns {number} Extra margin the route must keep from the plate edge (mm)
+ */
+export function getBaseTextMargin(options) {
+  if (!isBaseTextEnabled(options) || options.baseTextPlacement === 'underside') {
+    return 0;
+  }
+  return RIM_EDGE_GAP + options.baseTextSize + RIM_ROUTE_GAP;
+}
+
+/**
+ * Text lines for the plate: the title, then date, distance and elevation
+ * @param {Object} route - Route object
+ * @param {Object} options - STL export options (baseTextTitle overrides the route name)
+ * @param {Object} units - Unit preferences used to format distance and elevation
+ * @returns {Array<string>} Non-empty lines, limited to characters the font has
+ */
+export function formatBaseTextLines(route, options = {}, units = unitPreferences) {
+  const title = options.baseTextTitle || route.metadata?.name || (route.filename || '').replace(/\.[^.]+$/, '');
+
+  const time = getRouteDate(route);
+  const details = [
+    time !== null ? new Date(time).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' }) : null,
+    Number.isFinite(route.distance) ? units.formatDistance(route.distance) : null,
+    Number.isFinite(route.elevationGain) ? units.formatElevation(route.elevationGain) : null
+  ].filter(Boolean).join(' · ');
+
+  return [title, details].map(toFontText).filter(line => line.length > 0);
+}
+
+/**
+ * Generate the base plate with its text
+ * @param {Array<string>} lines - Text lines from formatBaseTextLines
+ * @param {Object} options - STL export options
+ * @param {Object} center - {x, y} centre of the plate (mm)
+ * @returns {Object} {plate, text, inlay} - arrays of geometries for the plate, raised letters, and
+ *   fill for engraved letters (for multi-material prints; leave it out to keep the engraving)
+ */
+export function generateTextBasePlate(lines, options, center) {
+  const radius = (options.baseDiameter || 50) / 2;
+  const height = options.base;
+  const mode = getBaseTextMode(options);
+  // Leave at least half the plate under engraved letters
+  const depth = mode === 'engraved'
+    ? Math.min(options.baseTextDepth, height / 2)
+    : options.baseTextDepth;
+
+  const glyphs = options.baseTextPlacement === 'underside'
+    ? layoutUnderside(lines, options.baseTextSize, radius, center)
+    : layoutRim(lines, options.baseTextSize, radius, center);
+
+  console.log(`  🔤 ${mode === 'raised' ? 'Raised' : 'Engraved'} base text (${options.baseTextPlacement}): ${lines.join(' / ')}`);
+
+  const outline = circlePoints(center, radius);
+
+  if (mode === 'raised') {
+    return {
+      plate: [extrude(new THREE.Shape(outline), height, -height)],
+      text: glyphs.map(glyph => extrude(toShape(glyph.outline, glyph.holes), depth, 0)),
+      inlay: []
+    };
+  }
+
+  // Engraving: a layer with letter-shaped holes (letter counters filled back in) on a solid plate
+  const engravedLayer = new THREE.Shape(outline);
+  engravedLayer.holes = glyphs.map(glyph => new THREE.Path(glyph.outline));
+  const counters = glyphs.flatMap(glyph => glyph.holes);
+
+  const layerZ = options.baseTextPlacement === 'underside' ? -height : -depth;
+  const solidZ = options.baseTextPlacement === 'underside' ? -height + depth : -height;
+
+  return {
+    plate: [
+      extrude(new THREE.Shape(outline), height - depth, solidZ),
+      extrude(engravedLayer, depth, layerZ),
+      ...counters.map(counter => extrude(new THREE.Shape(counter), depth, layerZ))
+    ],
+    text: [],
+    inlay: glyphs.map(glyph => extrude(toShape(glyph.outline, glyph.holes), depth, layerZ))
+  };
+}
+
+// Title along the top of the rim, details along the bottom, both reading left to right
+function layoutRim(lines, size, radius, center) {
+  const [title, details] = lines;
+  const glyphs = [];
+
+  if (title) {
+    glyphs.push(...placeOnArc(title, size, radius, center, 'top'));
+  }
+  if (details) {
+    glyphs.push(...placeOnArc(details, size, radius, center, 'bottom'));
+  }
+  return glyphs;
+}
+
+function placeOnArc(text, size, radius, center, side) {
+  let line = layoutLine(text, size);
+  let { baseline, arcRadius } = arcRadii(line, radius, side);
+
+  // Shrink lines too long for their half of the rim
+  if (line.width / arcRadius > MAX_RIM_ARC) {
+    line = layoutLine(text, size * MAX_RIM_ARC * arcRadius / line.width);
+    ({ baseline, arcRadius } = arcRadii(line, radius, side));
+  }
+
+  // Bend each point: distance along the line becomes an angle, height above the baseline a radius.
+  // Letters on top face outwards, letters on the bottom face the centre.
+  const bend = ([u, v]) => {
+    const along = (u - line.width / 2) / arcRadius;
+    const angle = side === 'top' ? Math.PI / 2 - along : -Math.PI / 2 + along;
+    const r = side === 'top' ? baseline + v : baseline - v;
+    return new THREE.Vector2(center.x + r * Math.cos(angle), center.y + r * Math.sin(angle));
+  };
+
+  return line.glyphs.map(glyph => transformGlyph(glyph, bend));
+}
+
+// Baseline radius keeping the letters clear of the edge, and the radius letter spacing is measured at
+function arcRadii(line, radius, side) {
+  if (side === 'top') {
+    const baseline = radius - RIM_EDGE_GAP - line.maxY;
+    return { baseline, arcRadius: baseline };
+  }
+  const baseline = radius - RIM_EDGE_GAP + line.minY;
+  return { baseline, arcRadius: baseline - line.maxY / 2 };
+}
+
+// Lines stacked in the middle of the underside, mirrored to read from below
+function layoutUnderside(lines, size, radius, center) {
+  const lineHeight = size * LINE_SPACING;
+  const usableRadius = radius - RIM_EDGE_GAP;
+
+  return lines.flatMap((text, i) => {
+    const baselineY = ((lines.length - 1) / 2 - i) * lineHeight - size * 0.35;
+    let line = layoutLine(text, size);
+
+    // Shrink lines wider than the plate at their height
+    const farY = Math.max(Math.abs(baselineY + line.maxY), Math.abs(baselineY + line.minY));
+    const available = 2 * Math.sqrt(Math.max(usableRadius * usableRadius - farY * farY, 0));
+    if (line.width > available) {
+      line = layoutLine(text, size * available / line.width);
+    }
+
+    const mirror = ([u, v]) => new THREE.Vector2(center.x - (u - line.width / 2), center.y + baselineY + v);
+    return line.glyphs.map(glyph => transformGlyph(glyph, mirror));
+  });
+}
+
+// Glyph outlines of a line of text, left to right from x=0 on the baseline
+function layoutLine(text, size) {
+  const scale = size / font.data.resolution;
+  const glyphs = [];
+  let x = 0;
+  let minY = 0;
+  let maxY = 0;
+
+  for (const char of text) {
+    font.generateShapes(char, size).forEach(shape => {
+      const { shape: outline, holes } = shape.extractPoints(GLYPH_DIVISIONS);
+      const offset = points => points.map(point => [point.x + x, point.y]);
+      outline.forEach(point => {
+        minY = Math.min(minY, point.y);
+        maxY = Math.max(maxY, point.y);
+      });
+      glyphs.push({ outline: offset(outline), holes: holes.map(offset) });
+    });
+    x += font.data.glyphs[char].ha * scale + size * LETTER_SPACING;
+  }
+
+  return { glyphs, width: Math.max(x - size * LETTER_SPACING, 0), minY, maxY };
+}
+
+function transformGlyph(glyph, transform) {
+  return {
+    outline: glyph.outline.map(transform),
+    holes: glyph.holes.map(hole => hole.map(transform))
+  };
+}
+
+function toShape(outline, holes) {
+  const shape = new THREE.Shape(outline);
+  shape.holes = holes.map(hole => new THREE.Path(hole));
+  return shape;
+}
+
+function circlePoints(center, radius) {
+  return Array.from({ length: PLATE_SEGMENTS }, (_, i) => {
+    const angle = (i / PLATE_SEGMENTS) * Math.PI * 2;
+    return new THREE.Vector2(center.x + radius * Math.cos(angle), center.y + radius * Math.sin(angle));
+  });
+}
+
+// Extrude a flat shape upwards from z by depth
+function extrude(shape, depth, z) {
+  const geometry = new THREE.ExtrudeGeometry(shape, { depth, bevelEnabled: false, curveSegments: GLYPH_DIVISIONS });
+  geometry.translate(0, 0, z);
+  return geometry;
+}
+
+// Drop accents and characters the font has no glyph for
+function toFontText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split('')
+    .filter(char => font.data.glyphs[char])
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
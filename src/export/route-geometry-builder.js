@@ -7,6 +7,9 @@
 
 import * as THREE from 'three';
 import proj4 from 'proj4';
+import { simplifyCartesianPoints } from '../data/route-simplifier.js';
+import { groupPointsBySegment } from '../data/geojson-parser.js';
+import { isBaseTextEnabled, getBaseTextMargin, formatBaseTextLines, generateTextBasePlate } from './base-text.js';
 
 /**
  * Setup projection for coordinate transformation
@@ -42,14 +45,19 @@ export function setupProjection(projType, points) {
 export function projectPoints(points, projection) {
   return points.map(point => {
     const [x, y] = projection.forward([point.lon, point.lat]);
-    return {
+    return keepSegment(point, {
       x,
       y,
       z: point.elevation || 0
-    };
+    });
   });
 }
 
+// Carry a point's track segment through projection and scaling, so gaps stay gaps in the model
+function keepSegment(source, point) {
+  return source.segmentIndex != null ? { ...point, segmentIndex: source.segmentIndex } : point;
+}
+
 /**
  * Calculate bounds of projected points
  * @param {Array} points - Array of {x, y, z} points
@@ -100,7 +108,8 @@ export function scaleAndCenter(points, options) {
     // because the route could span corner-to-corner
     const routeThickness = options.buffer * 2; // Total thickness of the route wall
     const clearance = options.edgeMargin !== undefined ? options.edgeMargin : 2; // User-specified or default 2mm
-    const margin = routeThickness + clearance; // Total margin from edge
+    const textMargin = getBaseTextMargin(options); // Band kept free for rim text
+    const margin = routeThickness + clearance + textMargin; // Total margin from edge
     const radius = options.baseDiameter / 2;
     availableSize = (radius - margin) * 2; // Diameter minus margins
 
@@ -110,7 +119,7 @@ export function scaleAndCenter(points, options) {
     targetDescription = `${options.baseDiameter}mm circular base`;
     console.log(`  📏 Route bounds: ${(width * 1000).toFixed(1)}mm × ${(depth * 1000).toFixed(1)}mm`);
     console.log(`  📏 Route diagonal: ${(routeMaxDimension * 1000).toFixed(1)}mm (actual max extent)`);
-    console.log(`  📏 Margin: route thickness ${routeThickness.toFixed(2)}mm + ${clearance.toFixed(2)}mm edge margin = ${margin.toFixed(2)}mm total`);
+    console.log(`  📏 Margin: route thickness ${routeThickness.toFixed(2)}mm + ${clearance.toFixed(2)}mm edge margin${textMargin > 0 ? ` + ${textMargin.toFixed(2)}mm rim text` : ''} = ${margin.toFixed(2)}mm total`);
     console.log(`  📏 Available space: ${availableSize.toFixed(1)}mm`);
   } else {
     // Scale to fit within rectangular print bed
@@ -136,7 +145,7 @@ export function scaleAndCenter(points, options) {
   const centerY = (bounds.minY + bounds.maxY) / 2;
 
   // Transform points - apply same scale to all axes to maintain proportions
-  const scaledPoints = points.map(point => ({
+  const scaledPoints = points.map(point => keepSegment(point, {
     x: (point.x - centerX) * 1000 * scale, // convert m to mm, then scale
     y: (point.y - centerY) * 1000 * scale,
     z: point.z * 1000 * scale // convert elevation from m to mm and scale proportionally
@@ -144,7 +153,31 @@ export function scaleAndCenter(points, options) {
 
   console.log(`  📏 Scaled to fit ${targetDescription} (${availableSize.toFixed(1)}mm available)`);
 
-  return { points: scaledPoints, scale };
+  return { points: scaledPoints, scale, center: { x: centerX, y: centerY } };
+}
+
+/**
+ * Project and scale waypoints into the same millimetre frame as the route
+ * @param {Array} waypoints - Array of {lat, lon} points of interest
+ * @param {Function} projection - proj4 projection function used for the route
+ * @param {Object} scaleResult - Result of scaleAndCenter for the route
+ * @returns {Array} Array of {x, y, name} pin positions (mm)
+ */
+export function projectWaypointPins(waypoints, projection, scaleResult) {
+  if (!waypoints || waypoints.length === 0) return [];
+
+  const { scale, center } = scaleResult;
+
+  return waypoints
+    .filter(waypoint => Number.isFinite(waypoint.lat) && Number.isFinite(waypoint.lon))
+    .map(waypoint => {
+      const [x, y] = projection.forward([waypoint.lon, waypoint.lat]);
+      return {
+        x: (x - center.x) * 1000 * scale,
+        y: (y - center.y) * 1000 * scale,
+        name: waypoint.name || null
+      };
+    });
 }
 
 /**
@@ -182,7 +215,7 @@ export function applyVerticalExaggeration(points, options) {
 
   const minPathHeight = options.minPathHeight || 0;
 
-  return points.map(point => ({
+  return points.map(point => keepSegment(point, {
     x: point.x,
     y: point.y,
     z: (point.z - minZ) * verticalScale + minPathHeight
@@ -333,13 +366,22 @@ function generateWallGeometry(points, options) {
 }
 
 /**
- * Generate 3D path geometry using wall/ribbon visualization
- * @param {Array} points - Array of {x, y, z} points
+ * Simplify points before meshing the wall
+ * @param {Array} points - Array of {x, y, z} points (mm)
  * @param {Object} options - STL export options
- * @returns {THREE.BufferGeometry} Combined geometry with path and base
+ * @returns {Array} Simplified points
  */
-export function generatePathGeometry(points, options) {
-  console.log(`  🔧 Generating geometry from ${points.length} points`);
+function prepareMeshPoints(points, options) {
+  // Shape-preserving simplification first, so switchback apexes are kept as the points
+  // that survive the spacing filter below
+  if (options.simplification && options.simplification !== 'none' && options.simplifyTolerance > 0) {
+    const shapePoints = simplifyCartesianPoints(points, {
+      method: options.simplification,
+      tolerance: options.simplifyTolerance
+    });
+    console.log(`  📐 ${options.simplification} simplification (${options.simplifyTolerance}mm): ${points.length} → ${shapePoints.length} points`);
+    points = shapePoints;
+  }
 
   // Simplify points to remove consecutive points that are too close
   // This prevents degenerate triangles in the tube geometry
@@ -350,8 +392,29 @@ export function generatePathGeometry(points, options) {
     console.log(`  🔽 Simplified ${points.length} points → ${simplifiedPoints.length} points (removed ${points.length - simplifiedPoints.length} too-close points)`);
   }
 
-  // Use simplified points for geometry
-  points = simplifiedPoints;
+  return simplifiedPoints;
+}
+
+/**
+ * Generate the parts of a track model: the wall/ribbon route, the base plate and its text
+ * @param {Array} points - Array of {x, y, z} points
+ * @param {Object} options - STL export options
+ * @param {Array} pinPositions - Optional {x, y} waypoint pin positions (mm)
+ * @param {Array<string>} textLines - Optional text lines for the base plate
+ * @param {Object} partOptions - {inlays} - fill engraved letters with a text part (for multi-material prints)
+ * @returns {Object} {route, base, text} - arrays of geometries for each part
+ */
+export function generatePathParts(points, options, pinPositions = [], textLines = [], { inlays = false } = {}) {
+  console.log(`  🔧 Generating geometry from ${points.length} points`);
+
+  // One wall per track segment, so the gaps between segments aren't bridged
+  const segments = groupPointsBySegment(points)
+    .map(segment => prepareMeshPoints(segment, options))
+    .filter(segment => segment.length >= 2);
+  if (segments.length === 0) {
+    segments.push(prepareMeshPoints(points, options));
+  }
+  points = segments.flat();
 
   console.log(`  📐 First point: (${points[0].x.toFixed(2)}, ${points[0].y.toFixed(2)}, ${points[0].z.toFixed(2)})`);
   console.log(`  📐 Last point: (${points[points.length-1].x.toFixed(2)}, ${points[points.length-1].y.toFixed(2)}, ${points[points.length-1].z.toFixed(2)})`);
@@ -364,25 +427,27 @@ export function generatePathGeometry(points, options) {
   console.log(`  🧱 Creating wall/ribbon geometry (route: ${routeWidth.toFixed(2)}mm wide × ${routeHeight.toFixed(2)}mm tall)`);
 
   // Generate wall geometry - vertical wall from ground to elevation
-  const wallGeometry = generateWallGeometry(points, options);
+  const wallGeometries = segments.map(segment => generateWallGeometry(segment, options));
+  const wallVertexCount = wallGeometries.reduce((total, geometry) => total + geometry.attributes.position.count, 0);
 
-  console.log(`  ✓ Wall created: ${wallGeometry.attributes.position.count} vertices`);
+  console.log(`  ✓ Wall created: ${wallVertexCount} vertices${segments.length > 1 ? ` in ${segments.length} segments` : ''}`);
 
-  let finalGeometry;
+  const parts = { route: wallGeometries, base: [], text: [] };
 
   // Generate base plate if requested
   if (options.base > 0) {
-    const baseGeometry = generateBasePlate(points, options);
-    console.log(`  ✓ Base created: ${baseGeometry.attributes.position.count} vertices`);
-
-    // Merge geometries
-    const geometries = [wallGeometry, baseGeometry];
-    finalGeometry = mergeGeometries(geometries);
-
-    console.log(`  ✓ Merged geometry: ${finalGeometry.attributes.position.count} vertices`);
+    const base = generateBaseParts(points, options, null, textLines);
+    parts.base.push(...base.plate);
+    parts.text.push(...base.text, ...(inlays ? base.inlay : []));
+
+    // Waypoint pins stand on the base plate, so they're only added when there is one
+    if (pinPositions.length > 0) {
+      const pinGeometries = generateWaypointPins(pinPositions, points, options);
+      console.log(`  📌 Waypoint pins: ${pinGeometries.length} of ${pinPositions.length} fit on the base`);
+      parts.route.push(...pinGeometries);
+    }
   } else {
     console.log(`  ⊘ No base plate (base=0)`);
-    finalGeometry = wallGeometry;
   }
 
   // Translate geometry to positive coordinates for better viewer compatibility
@@ -392,10 +457,24 @@ export function generatePathGeometry(points, options) {
   const translateY = -finalBounds.minY;
 
   if (translateX !== 0 || translateY !== 0) {
-    finalGeometry.translate(translateX, translateY, 0);
+    partGeometries(parts).forEach(geometry => geometry.translate(translateX, translateY, 0));
     console.log(`  📐 Translated to positive coords: +${translateX.toFixed(2)}mm X, +${translateY.toFixed(2)}mm Y`);
   }
 
+  return parts;
+}
+
+/**
+ * Generate 3D path geometry using wall/ribbon visualization
+ * @param {Array} points - Array of {x, y, z} points
+ * @param {Object} options - STL export options
+ * @param {Array} pinPositions - Optional {x, y} waypoint pin positions (mm)
+ * @param {Array<string>} textLines - Optional text lines for the base plate
+ * @returns {THREE.BufferGeometry} Combined geometry with path and base
+ */
+export function generatePathGeometry(points, options, pinPositions = [], textLines = []) {
+  const finalGeometry = mergeParts(generatePathParts(points, options, pinPositions, textLines));
+
   // Validate geometry
   const posCount = finalGeometry.attributes.position.count;
   const normCount = finalGeometry.attributes.normal.count;
@@ -408,13 +487,34 @@ export function generatePathGeometry(points, options) {
   return finalGeometry;
 }
 
+/**
+ * Generate the base plate, with raised letters or engraved letters and their fill when there is text
+ * @param {Array} points - Array of {x, y, z} points (already exaggerated)
+ * @param {Object} options - STL export options
+ * @param {Object} center - Optional {x, y} plate centre (defaults to the centre of the points' bounds)
+ * @param {Array<string>} textLines - Optional text lines to raise or engrave on the plate
+ * @returns {Object} {plate, text, inlay} - arrays of geometries
+ */
+function generateBaseParts(points, options, center = null, textLines = []) {
+  if (textLines.length === 0) {
+    const baseGeometry = generateBasePlate(points, options, center);
+    console.log(`  ✓ Base created: ${baseGeometry.attributes.position.count} vertices`);
+    return { plate: [baseGeometry], text: [], inlay: [] };
+  }
+
+  const bounds = calculateBounds(points);
+  const plateCenter = center || { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 };
+  return generateTextBasePlate(textLines, options, plateCenter);
+}
+
 /**
  * Generate circular base plate geometry
  * @param {Array} points - Array of {x, y, z} points (already exaggerated)
  * @param {Object} options - STL export options
+ * @param {Object} center - Optional {x, y} plate centre (defaults to the centre of the points' bounds)
  * @returns {THREE.BufferGeometry} Circular base plate geometry
  */
-function generateBasePlate(points, options) {
+function generateBasePlate(points, options, center = null) {
   const bounds = calculateBounds(points);
 
   console.log(`  📦 Route bounds: X[${bounds.minX.toFixed(2)} to ${bounds.maxX.toFixed(2)}], Y[${bounds.minY.toFixed(2)} to ${bounds.maxY.toFixed(2)}], Z[${bounds.minZ.toFixed(2)} to ${bounds.maxZ.toFixed(2)}]`);
@@ -435,8 +535,8 @@ function generateBasePlate(points, options) {
   baseGeometry.rotateX(Math.PI / 2);
 
   // Position base so its TOP surface is at z=0 (where the wall starts)
-  const centerX = (bounds.minX + bounds.maxX) / 2;
-  const centerY = (bounds.minY + bounds.maxY) / 2;
+  const centerX = center ? center.x : (bounds.minX + bounds.maxX) / 2;
+  const centerY = center ? center.y : (bounds.minY + bounds.maxY) / 2;
   const baseZ = -height / 2; // Center base so top is at z=0
 
   console.log(`  🔵 Base positioned at: (${centerX.toFixed(2)}, ${centerY.toFixed(2)}, ${baseZ.toFixed(2)}), top surface at Z=0.00`);
@@ -446,6 +546,226 @@ function generateBasePlate(points, options) {
   return baseGeometry;
 }
 
+/**
+ * Generate small cylindrical pins standing on the base plate
+ * @param {Array} pinPositions - Array of {x, y} pin positions (mm)
+ * @param {Array} points - Array of {x, y, z} route points (used to locate the base)
+ * @param {Object} options - STL export options
+ * @returns {Array<THREE.BufferGeometry>} One geometry per pin that fits on the base
+ */
+function generateWaypointPins(pinPositions, points, options) {
+  const bounds = calculateBounds(points);
+  const centerX = (bounds.minX + bounds.maxX) / 2;
+  const centerY = (bounds.minY + bounds.maxY) / 2;
+  const baseRadius = (options.baseDiameter || 50) / 2;
+  const pinRadius = (options.pinDiameter || 2) / 2;
+  const pinHeight = options.pinHeight || 3;
+
+  return pinPositions
+    // Skip pins that would hang over the edge of the base
+    .filter(pin => Math.hypot(pin.x - centerX, pin.y - centerY) + pinRadius <= baseRadius)
+    .map(pin => {
+      const pinGeometry = new THREE.CylinderGeometry(pinRadius, pinRadius, pinHeight, 12);
+      pinGeometry.rotateX(Math.PI / 2);
+      pinGeometry.translate(pin.x, pin.y, pinHeight / 2);
+      return pinGeometry;
+    });
+}
+
+/**
+ * Unroll projected points into an elevation profile
+ * @param {Array} points - Array of {x, y, z} projected points (in meters)
+ * @returns {Array} Array of {distance, elevation} samples (meters along the route, meters)
+ */
+export function buildElevationProfile(points) {
+  let distance = 0;
+  return points.map((point, i) => {
+    if (i > 0) {
+      distance += Math.hypot(point.x - points[i - 1].x, point.y - points[i - 1].y);
+    }
+    return { distance, elevation: point.z };
+  });
+}
+
+// Overall length of a linear model or diameter of a ring (mm): the base plate size, or the
+// print bed without a base
+function profileModelSize(options) {
+  return options.base > 0 && options.baseDiameter
+    ? options.baseDiameter
+    : Math.min(options.bedx, options.bedy) - 20; // 10mm margins on the print bed
+}
+
+// Arc left open between start and finish of a ring so the two wall ends don't fuse (mm)
+const RING_GAP = 3;
+// Longest wall segment around a ring before the circle starts to look like a polygon (mm)
+const RING_SEGMENT_LENGTH = 1;
+
+/**
+ * Lay an elevation profile out as a straight bar ('linear') or around a circle ('ring')
+ * @param {Array} profile - Array of {distance, elevation} samples (meters)
+ * @param {Object} options - STL export options
+ * @returns {Object} {points, length, radius, scale} - points {x, y, z} in mm, with z scaled like the distance axis
+ */
+export function layoutProfile(profile, options) {
+  const shapeType = options.shapeType;
+  if (shapeType !== 'linear' && shapeType !== 'ring') {
+    throw new Error(`Unsupported shape type: ${shapeType}`);
+  }
+
+  // Same margins as the track: the wall stays clear of the base plate's edge (and a ring of rim text)
+  const routeThickness = options.buffer * 2;
+  const clearance = options.edgeMargin !== undefined ? options.edgeMargin : 2;
+  const textMargin = shapeType === 'ring' ? getBaseTextMargin(options) : 0;
+  const span = profileModelSize(options) - 2 * (routeThickness + clearance + textMargin);
+
+  let length;
+  let radius = null;
+  let gapAngle = 0;
+  if (shapeType === 'linear') {
+    length = span;
+  } else {
+    radius = span / 2;
+    gapAngle = Math.min((RING_GAP + routeThickness) / radius, Math.PI);
+    length = radius * (2 * Math.PI - gapAngle);
+  }
+
+  // Guard against zero-length routes (all points at same location) by spreading points evenly
+  const totalDistance = profile[profile.length - 1].distance;
+  const scale = totalDistance > 0 ? length / (totalDistance * 1000) : 1;
+  let samples = profile.map((sample, i) => ({
+    along: totalDistance > 0
+      ? sample.distance / totalDistance * length
+      : i / Math.max(profile.length - 1, 1) * length,
+    z: sample.elevation * 1000 * scale
+  }));
+
+  let points;
+  if (shapeType === 'linear') {
+    points = samples.map(sample => ({ x: sample.along - length / 2, y: 0, z: sample.z }));
+  } else {
+    // Counter-clockwise from the front of the ring, with the gap centred at the front
+    samples = densifySamples(samples, RING_SEGMENT_LENGTH);
+    const startAngle = -Math.PI / 2 + gapAngle / 2;
+    points = samples.map(sample => {
+      const angle = startAngle + sample.along / radius;
+      return { x: radius * Math.cos(angle), y: radius * Math.sin(angle), z: sample.z };
+    });
+  }
+
+  console.log(shapeType === 'linear'
+    ? `  📏 Linear profile: ${length.toFixed(1)}mm long`
+    : `  📏 Ring profile: ${(radius * 2).toFixed(1)}mm diameter, ${length.toFixed(1)}mm around`);
+
+  return { points, length, radius, scale };
+}
+
+/**
+ * Insert interpolated samples so no step along the profile is longer than maxStep
+ * @param {Array} samples - Array of {along, z} samples (mm)
+ * @param {number} maxStep - Longest allowed step (mm)
+ * @returns {Array} Densified samples
+ */
+function densifySamples(samples, maxStep) {
+  const dense = [samples[0]];
+  for (let i = 1; i < samples.length; i++) {
+    const prev = samples[i - 1];
+    const curr = samples[i];
+    const steps = Math.ceil((curr.along - prev.along) / maxStep);
+    for (let step = 1; step < steps; step++) {
+      const t = step / steps;
+      dense.push({ along: prev.along + (curr.along - prev.along) * t, z: prev.z + (curr.z - prev.z) * t });
+    }
+    dense.push(curr);
+  }
+  return dense;
+}
+
+/**
+ * Generate rectangular base bar geometry under a linear profile
+ * @param {Object} options - STL export options
+ * @returns {THREE.BufferGeometry} Base bar geometry, centred on the origin with its top at z=0
+ */
+function generateBaseBar(options) {
+  const length = profileModelSize(options);
+  const width = options.profileBaseWidth || 12;
+  const height = options.base;
+
+  console.log(`  ▭ Base bar: ${length.toFixed(2)}mm × ${width.toFixed(2)}mm × ${height.toFixed(2)}mm`);
+
+  const baseGeometry = new THREE.BoxGeometry(length, width, height);
+  baseGeometry.translate(0, 0, -height / 2);
+  return baseGeometry;
+}
+
+/**
+ * Generate the parts of the linear and ring shapes: the profile wall, standing on a base bar
+ * (linear) or the circular base plate (ring), and the plate's text
+ * @param {Array} points - Array of {x, y, z} points laid out by layoutProfile (already exaggerated)
+ * @param {Object} options - STL export options
+ * @param {Array<string>} textLines - Optional text lines for the circular base plate of a ring
+ * @param {Object} partOptions - {inlays} - fill engraved letters with a text part (for multi-material prints)
+ * @returns {Object} {route, base, text} - arrays of geometries for each part
+ */
+export function generateProfileParts(points, options, textLines = [], { inlays = false } = {}) {
+  console.log(`  🔧 Generating ${options.shapeType} profile from ${points.length} points`);
+
+  points = prepareMeshPoints(points, options);
+  const wallGeometry = generateWallGeometry(points, options);
+  console.log(`  ✓ Wall created: ${wallGeometry.attributes.position.count} vertices`);
+
+  const parts = { route: [wallGeometry], base: [], text: [] };
+
+  if (options.base > 0) {
+    if (options.shapeType === 'linear') {
+      parts.base.push(generateBaseBar(options));
+    } else {
+      const base = generateBaseParts(points, options, { x: 0, y: 0 }, textLines);
+      parts.base.push(...base.plate);
+      parts.text.push(...base.text, ...(inlays ? base.inlay : []));
+    }
+  } else {
+    console.log(`  ⊘ No base (base=0)`);
+  }
+
+  // Translate to positive coordinates, like the track, but by the whole model so the base is included
+  const geometries = partGeometries(parts);
+  const min = geometries.reduce((lowest, geometry) => {
+    geometry.computeBoundingBox();
+    return lowest.min(geometry.boundingBox.min);
+  }, new THREE.Vector3(Infinity, Infinity, Infinity));
+  geometries.forEach(geometry => geometry.translate(-min.x, -min.y, 0));
+
+  return parts;
+}
+
+/**
+ * Generate geometry for the linear and ring shapes
+ * @param {Array} points - Array of {x, y, z} points laid out by layoutProfile (already exaggerated)
+ * @param {Object} options - STL export options
+ * @param {Array<string>} textLines - Optional text lines for the circular base plate of a ring
+ * @returns {THREE.BufferGeometry} Combined geometry with profile and base
+ */
+export function generateProfileGeometry(points, options, textLines = []) {
+  return mergeParts(generateProfileParts(points, options, textLines));
+}
+
+// Every geometry of a {route, base, text} parts object
+function partGeometries(parts) {
+  return [...parts.route, ...parts.base, ...parts.text];
+}
+
+// One geometry for the whole model (a lone wall is returned as it is)
+function mergeParts(parts) {
+  const geometries = partGeometries(parts);
+  if (geometries.length === 1) {
+    return geometries[0];
+  }
+
+  const merged = mergeGeometries(geometries);
+  console.log(`  ✓ Merged geometry: ${merged.attributes.position.count} vertices`);
+  return merged;
+}
+
 /**
  * Merge multiple geometries into a single geometry
  * @param {Array<THREE.BufferGeometry>} geometries - Array of geometries to merge
@@ -453,7 +773,7 @@ function generateBasePlate(points, options) {
  */
 function mergeGeometries(geometries) {
   // Convert to non-indexed geometries for easier merging
-  const nonIndexedGeometries = geometries.map(g => g.toNonIndexed());
+  const nonIndexedGeometries = geometries.map(g => (g.index ? g.toNonIndexed() : g));
 
   // Calculate total vertex count
   let totalVertices = 0;
@@ -483,12 +803,13 @@ function mergeGeometries(geometries) {
 }
 
 /**
- * Build complete 3D geometry from route
+ * Build the parts of the 3D model from a route, kept apart for multi-material export
  * @param {Object} route - Route object with points array
  * @param {Object} options - STL export options
- * @returns {THREE.BufferGeometry} Complete 3D geometry ready for STL export
+ * @param {Object} partOptions - {inlays} - fill engraved letters with a text part
+ * @returns {Object} {route, base, text} - arrays of geometries for the route (with any pins), base and text
  */
-export function buildRouteGeometry(route, options) {
+export function buildRouteParts(route, options, { inlays = false } = {}) {
   console.log('🔨 Building 3D geometry for route:', route.filename || route.id);
 
   // Step 1: Setup projection
@@ -498,6 +819,27 @@ export function buildRouteGeometry(route, options) {
   let points = projectPoints(route.points, projection);
   console.log(`  📍 Projected ${points.length} points`);
 
+  const textLines = isBaseTextEnabled(options) ? formatBaseTextLines(route, options) : [];
+
+  // Linear and ring shapes show the elevation profile instead of the geographic track
+  if (options.shapeType && options.shapeType !== 'track') {
+    // Step 3: Unroll the route and lay the profile out as a bar or ring (mm)
+    const layout = layoutProfile(buildElevationProfile(points), options);
+
+    // Step 4: Apply vertical exaggeration
+    const profilePoints = applyVerticalExaggeration(layout.points, options);
+
+    if (options.waypointPins) {
+      console.log('  ⊘ Waypoint pins are only placed on track models');
+    }
+    if (textLines.length > 0 && options.shapeType === 'linear') {
+      console.log('  ⊘ Base text is only placed on circular base plates');
+    }
+
+    // Step 5: Generate geometry
+    return generateProfileParts(profilePoints, options, options.shapeType === 'ring' ? textLines : [], { inlays });
+  }
+
   // Step 3: Scale and center (convert to mm and scale to fit base or print bed)
   const scaleResult = scaleAndCenter(points, options);
   points = scaleResult.points;
@@ -505,8 +847,23 @@ export function buildRouteGeometry(route, options) {
   // Step 4: Apply vertical exaggeration (logging happens inside the function)
   points = applyVerticalExaggeration(points, options);
 
-  // Step 5: Generate geometry
-  const geometry = generatePathGeometry(points, options);
+  // Step 5: Place waypoint pins in the same frame as the route, if requested
+  const pinPositions = options.waypointPins
+    ? projectWaypointPins(route.waypoints, projection, scaleResult)
+    : [];
+
+  // Step 6: Generate geometry
+  return generatePathParts(points, options, pinPositions, textLines, { inlays });
+}
+
+/**
+ * Build complete 3D geometry from route
+ * @param {Object} route - Route object with points array
+ * @param {Object} options - STL export options
+ * @returns {THREE.BufferGeometry} Complete 3D geometry ready for STL export
+ */
+export function buildRouteGeometry(route, options) {
+  const geometry = mergeParts(buildRouteParts(route, options));
   console.log(`  ✅ Generated geometry with ${geometry.attributes.position.count} vertices`);
 
   return geometry;
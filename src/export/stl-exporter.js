@@ -94,7 +94,7 @@ export function generateFilename(route, options = {}) {
 
   // Use route filename or ID
   if (route.filename) {
-    baseName = route.filename.replace(/\.gpx$/i, '');
+    baseName = route.filename.replace(/\.[^.]+$/, '');
   } else if (route.id) {
     baseName = route.id;
   } else {
@@ -114,6 +114,11 @@ export function generateFilename(route, options = {}) {
     }
   }
 
+  // Add shape if not the geographic track
+  if (options.shapeType && options.shapeType !== 'track') {
+    baseName += `_${options.shapeType}`;
+  }
+
   // Add options suffix if non-default
   if (options.vertical && options.vertical !== DEFAULT_STL_OPTIONS.vertical) {
     baseName += `_${options.vertical}x`;
@@ -6,7 +6,7 @@
 
 export const DEFAULT_STL_OPTIONS = {
   // Route shape type
-  shapeType: 'track',      // 'track' | 'linear' | 'ring'
+  shapeType: 'track',      // 'track' | 'linear' (elevation profile bar) | 'ring' (profile around a circle)
 
   // Projection type for coordinate transformation
   projType: 'mercator',    // 'mercator' | 'utm' | 'custom'
@@ -16,9 +16,26 @@ export const DEFAULT_STL_OPTIONS = {
   targetHeight: 20,        // Target height for elevation range (mm) - set to 0 to use vertical multiplier instead
   vertical: 10,            // Vertical exaggeration multiplier (only used if targetHeight is 0)
   base: 3,                 // Base plate height (mm) - 0 = no base plate
-  baseDiameter: 80,        // Base plate diameter (mm) - circular base, also used for scaling route
+  baseDiameter: 80,        // Base plate diameter (mm) - circular base, also used for scaling route (bar length for linear profiles)
   minPathHeight: 1,        // Minimum height of lowest route point above base/ground (mm)
   zcut: true,              // Trim at minimum elevation (vs absolute sea level)
+  profileBaseWidth: 12,    // Width of the base bar under a linear profile (mm)
+
+  // Path simplification before meshing (off by default, so existing exports are unchanged)
+  simplification: 'none',  // 'douglas-peucker' | 'visvalingam' | 'none'
+  simplifyTolerance: 0.05, // Maximum deviation from the projected route (mm) when enabled - 0 disables
+
+  // Waypoint pins (GPX points of interest) - only placed on the base plate
+  waypointPins: false,     // Emboss route waypoints as small pins
+  pinDiameter: 2,          // Pin diameter (mm)
+  pinHeight: 3,            // Pin height above the base plate (mm)
+
+  // Text on the circular base plate: title, date, distance and elevation
+  baseText: 'none',        // 'none' | 'raised' | 'engraved'
+  baseTextPlacement: 'rim', // 'rim' (around the top face) | 'underside' (always engraved)
+  baseTextSize: 4,         // Font size (mm)
+  baseTextDepth: 0.6,      // Letter height when raised, depth when engraved (mm)
+  baseTextTitle: '',       // First line - defaults to the route name
 
   // Print bed dimensions (in millimeters) - only used if base=0
   bedx: 200,               // Print bed width (mm) - typical for most 3D printers
@@ -1,21 +1,75 @@
 // File Upload Handler for GPX Files
 import GPXParser from '../data/gpx-parser.js';
+import FITParser from '../data/fit-parser.js';
+import TCXParser from '../data/tcx-parser.js';
+import GeoJSONParser from '../data/geojson-parser.js';
+import KMLParser from '../data/kml-parser.js';
+import GPXWorkerParser from '../data/gpx-worker-parser.js';
+import ActivityArchiveImporter from '../data/activity-archive.js';
+import RouteCleaner, { DEFAULT_CLEANING_OPTIONS } from '../data/route-cleaner.js';
+import ElevationCorrector from '../data/elevation-corrector.js';
+import DuplicateDetector from '../data/duplicate-detector.js';
+import LibraryBackup from '../data/library-backup.js';
+import {
+    DEFAULT_ROUTE_QUERY,
+    ROUTE_SORT_FIELDS,
+    filterAndSortRoutes,
+    getRouteDate,
+    getRouteSport,
+    normalizeTags,
+    normalizeFolder,
+    collectLabels,
+    loadFilterPresets,
+    saveFilterPreset,
+    deleteFilterPreset
+} from '../data/route-library.js';
 import RouteMapVisualization from '../visualization/route-map.js';
 import Route3DVisualization from '../visualization/route-3d.js';
 import RouteStorageManager from '../data/route-storage.js';
 import RouteManipulator from '../data/route-manipulator.js';
 import unitPreferences from '../utils/unit-preferences.js';
+import elevationPreferences from '../utils/elevation-preferences.js';
+import privacyZones, {
+    DEFAULT_ZONE_RADIUS_METERS,
+    MIN_ZONE_RADIUS_METERS,
+    MAX_ZONE_RADIUS_METERS
+} from '../utils/privacy-zones.js';
+
+// GPS cleaning toggles shown in the upload panels (see setupCleaningOptions)
+const CLEANING_OPTION_LABELS = [
+    { option: 'removeOutliers', label: 'Remove GPS spikes' },
+    { option: 'collapseStationary', label: 'Collapse stops' },
+    { option: 'kalmanSmoothing', label: 'Smooth track (Kalman filter)' }
+];
 
 class FileUploadHandler {
     constructor() {
         this.parser = new GPXParser();
+        this.fitParser = new FITParser();
+        this.tcxParser = new TCXParser();
+        this.geoJSONParser = new GeoJSONParser();
+        this.kmlParser = new KMLParser();
+        this.gpxWorkerParser = new GPXWorkerParser();
+        this.archiveImporter = new ActivityArchiveImporter();
+        this.routeCleaner = new RouteCleaner();
+        this.elevationCorrector = new ElevationCorrector();
+        this.duplicateDetector = new DuplicateDetector();
+        // GPS cleaning applied to each upload (toggled in the upload panels)
+        this.cleaningOptions = {
+            removeOutliers: DEFAULT_CLEANING_OPTIONS.removeOutliers,
+            collapseStationary: DEFAULT_CLEANING_OPTIONS.collapseStationary,
+            kalmanSmoothing: DEFAULT_CLEANING_OPTIONS.kalmanSmoothing
+        };
+        this.uploadAbortController = null; // Set while files are being parsed so uploads can be cancelled
+        this.supportedExtensions = ['.gpx', '.xml', '.fit', '.tcx', '.geojson', '.json', '.kml', '.zip'];
         this.mapViz = new RouteMapVisualization();
         this.viewer3D = new Route3DVisualization();
         this.routeManipulator = new RouteManipulator();
         this.unitPreferences = unitPreferences;
+        this.privacyZones = privacyZones; // Areas stripped from routes before export (see prepareRouteForExport)
         this.storageManager = null; // Will be initialized in initializeStorage()
         this.uploadedRoutes = [];
-        this.maxFiles = 10; // Reduced from 20 to help with storage limits
+        this.maxAutoSelectedRoutes = 10; // Newest routes shown on the map after an import; the rest stay in the library
         this.selectedRoutes = new Set(); // For tracking selected routes for display
         this.aggregatedRoute = null; // Store the aggregated route when created
         this.isShowingAggregated = false; // Track if we're showing aggregated route
@@ -28,7 +82,8 @@ class FileUploadHandler {
         this.aggregationOptions = {
             elevationMode: 'actual',
             overlay: 'real',
-            domain: 'distance'
+            domain: 'distance',
+            simplification: 'bucket' // How real-route coins are reduced to their point budget (overlays always resample evenly)
         };
         this.isAggregating = false;
         this.pendingAggregation = null;
@@ -38,6 +93,11 @@ class FileUploadHandler {
         this.pendingRouteScrollId = null;
         this.pendingCoinScrollId = null;
         this.isSidebarDrawerOpen = false;
+        this.routeEdit = null; // { routeId, mode, selection } while trimming/splitting/cropping on the map
+        this.routeLibraryQuery = { ...DEFAULT_ROUTE_QUERY }; // Search, filters and sort for the route list
+        this.routeLibrarySearchTimer = null;
+        this.visibleLibraryRoutes = []; // Routes the list currently shows, in order
+        this.routeListRequestId = 0; // Only the latest route list query gets rendered
         this.handleSidebarEscape = this.handleSidebarEscape.bind(this);
         this.sidebarDrawerResizeHandler = null;
         this.wasUsingSidebarDrawer = null;
@@ -56,14 +116,20 @@ class FileUploadHandler {
         try {
             this.setupFileInput();
             this.setupDropZone();
+            this.setupCleaningOptions();
             this.setupViewToggleButtons();
             this.setupListTabs();
             this.setupSidebarControls();
+            this.setupRouteLibraryFilters();
             await this.initializeStorage();
 
             // Set up centralized state listener
             this.setupStateListener();
             this.setupUnitPreferenceHandlers();
+            this.setupElevationPreferenceHandlers();
+            this.setupPrivacyZoneHandlers();
+            this.setupLibraryBackupHandlers();
+            this.setupStoragePanelHandlers();
 
             // Initialize the map visualization
             this.initializeMapVisualization();
@@ -185,6 +251,10 @@ class FileUploadHandler {
                     this.handleLoadingStarted(data);
                     break;
                     
+                case 'loading-progress':
+                    this.showLoadingState(data);
+                    break;
+
                 case 'loading-finished':
                     this.handleLoadingFinished(data);
                     break;
@@ -220,7 +290,78 @@ class FileUploadHandler {
         this.applyUnitPreferences();
     }
 
+    setupElevationPreferenceHandlers() {
+        window.addEventListener('rcm:elevation-options-change', () => {
+            this.applyElevationPreferences().catch(error => {
+                console.error('❌ Failed to apply elevation settings:', error);
+            });
+        });
+    }
+
+    // Recalculate climbing for every route with the new smoothing/threshold, so the route list,
+    // stats bar and cumulative coins agree with the setting
+    async applyElevationPreferences() {
+        this.applyElevationOptionsToControls();
+        if (this.uploadedRoutes.length === 0) {
+            return;
+        }
+
+        console.log('⛰️ Elevation settings changed, recalculating climbing:', elevationPreferences.getOptions());
+        const changedRoutes = [];
+        this.uploadedRoutes = this.uploadedRoutes.map(route => {
+            if (!route.points || route.points.length < 2) {
+                return route;
+            }
+            const { elevationGain, elevationLoss } = this.routeManipulator.calculateElevationProfile(route.points);
+            if (elevationGain === route.elevationGain && elevationLoss === route.elevationLoss) {
+                return route;
+            }
+            const updatedRoute = { ...route, elevationGain, elevationLoss };
+            changedRoutes.push(updatedRoute);
+            return updatedRoute;
+        });
+        await this.saveRoutesToStorage(changedRoutes);
+
+        this.updateStatsDisplay();
+        this.updateRouteList();
+        if (this.aggregationOptions.elevationMode === 'cumulative') {
+            this.onAggregationOptionsChanged('elevation-options');
+        }
+    }
+
+    applyElevationOptionsToControls() {
+        const { smoothingDistanceMeters, climbThreshold } = elevationPreferences.getOptions();
+        const smoothingInput = document.getElementById('elevation-smoothing-input');
+        const thresholdInput = document.getElementById('climb-threshold-input');
+        if (smoothingInput) {
+            smoothingInput.value = smoothingDistanceMeters;
+        }
+        if (thresholdInput) {
+            thresholdInput.value = climbThreshold;
+        }
+    }
+
+    setupPrivacyZoneHandlers() {
+        document.getElementById('privacy-zones-btn')?.addEventListener('click', () => this.openPrivacyZones());
+
+        // Zones or the hide-on-map option changed, so redraw the map with (or without) them
+        window.addEventListener('rcm:privacy-zones-change', () => {
+            if (!this.activeCoin) {
+                this.refreshMapWithSelectedRoutes();
+            }
+        });
+    }
+
+    setupLibraryBackupHandlers() {
+        document.getElementById('library-backup-btn')?.addEventListener('click', () => this.openLibraryBackup());
+    }
+
+    setupStoragePanelHandlers() {
+        document.getElementById('storage-panel-btn')?.addEventListener('click', () => this.openStoragePanel());
+    }
+
     applyUnitPreferences() {
+        this.fillRouteLibraryFilters();
         this.updateStatsDisplay();
         if (this.uploadedRoutes.length > 0 || this.aggregatedRoute) {
             this.updateRouteList();
@@ -313,10 +454,21 @@ class FileUploadHandler {
     refreshMapWithSelectedRoutes() {
         if (!this.mapViz?.map) return;
 
+        // Redrawing removes the route being edited, so abandon the edit
+        if (this.routeEdit) {
+            this.cancelRouteEdit();
+        }
+
         this.mapViz.clearAllRoutes();
+        const hidePrivateAreas = this.privacyZones.isHiddenOnMap();
         this.uploadedRoutes.forEach(route => {
             if (this.selectedRoutes.has(route.id)) {
-                this.mapViz.addRoute(route);
+                const routeForMap = hidePrivateAreas
+                    ? this.routeManipulator.applyPrivacyZones(route, this.privacyZones.getZones())
+                    : route;
+                if (routeForMap.points.length > 0) {
+                    this.mapViz.addRoute(routeForMap);
+                }
             }
         });
     }
@@ -427,6 +579,13 @@ class FileUploadHandler {
                     this.storageManager = new RouteStorageManager();
                     await this.storageManager.init();
                     console.log('✅ Using IndexedDB storage (high capacity)');
+
+                    // Records the startup integrity check couldn't repair are set aside, not lost
+                    const quarantined = this.storageManager.integrityReport?.quarantined || [];
+                    if (quarantined.length > 0) {
+                        console.warn('⚠️ Quarantined unreadable records:', quarantined);
+                        this.showNotification(`${quarantined.length} damaged saved item${quarantined.length === 1 ? ' was' : 's were'} set aside and won't be shown`, 'warning');
+                    }
                     return;
                 } catch (indexedDBError) {
                     console.warn('⚠️ IndexedDB failed, falling back to localStorage:', indexedDBError);
@@ -467,6 +626,38 @@ class FileUploadHandler {
         this.fileInput = fileInput;
     }
 
+    // Keep every copy of the GPS cleaning checkboxes in sync with this.cleaningOptions
+    setupCleaningOptions() {
+        // Both upload panels get the same toggles from one list, kept in sync below
+        document.querySelectorAll('details.cleaning-options').forEach(container => {
+            container.innerHTML = `
+                <summary>🧹 GPS Cleaning</summary>
+                ${CLEANING_OPTION_LABELS.map(({ option, label }) => `
+                <label class="checkbox-option">
+                    <input type="checkbox" class="cleaning-option" data-option="${option}">
+                    <span>${label}</span>
+                </label>`).join('')}
+            `;
+        });
+
+        const inputs = Array.from(document.querySelectorAll('.cleaning-option'));
+
+        const syncInputs = () => {
+            inputs.forEach(input => {
+                input.checked = Boolean(this.cleaningOptions[input.dataset.option]);
+            });
+        };
+
+        inputs.forEach(input => {
+            input.addEventListener('change', () => {
+                this.cleaningOptions[input.dataset.option] = input.checked;
+                syncInputs();
+            });
+        });
+
+        syncInputs();
+    }
+
     // Set up drag and drop zone
     setupDropZone() {
         const dropZone = document.querySelector('.demo-placeholder') || document.body;
@@ -490,9 +681,8 @@ class FileUploadHandler {
             e.stopPropagation();
             dropZone.classList.remove('drag-over');
             
-            const files = Array.from(e.dataTransfer.files).filter(file => 
-                file.name.toLowerCase().endsWith('.gpx') || 
-                file.name.toLowerCase().endsWith('.xml')
+            const files = Array.from(e.dataTransfer.files).filter(file =>
+                this.isSupportedRouteFile(file)
             );
             
             if (files.length > 0) {
@@ -594,6 +784,19 @@ class FileUploadHandler {
             });
         });
 
+        // Set up elevation smoothing and climb threshold (stored preferences, not per coin)
+        const smoothingInput = document.getElementById('elevation-smoothing-input');
+        const thresholdInput = document.getElementById('climb-threshold-input');
+        this.applyElevationOptionsToControls();
+        smoothingInput?.addEventListener('change', (event) => {
+            elevationPreferences.setOptions({ smoothingDistanceMeters: event.target.value });
+            this.applyElevationOptionsToControls(); // Show the clamped value
+        });
+        thresholdInput?.addEventListener('change', (event) => {
+            elevationPreferences.setOptions({ climbThreshold: event.target.value });
+            this.applyElevationOptionsToControls();
+        });
+
         // Set up overlay select
         const overlaySelect = document.getElementById('overlay-select');
         if (overlaySelect) {
@@ -608,6 +811,19 @@ class FileUploadHandler {
             });
         }
 
+        // Set up simplification select
+        const simplificationSelect = document.getElementById('simplification-select');
+        if (simplificationSelect) {
+            simplificationSelect.value = this.aggregationOptions.simplification;
+            simplificationSelect.addEventListener('change', (event) => {
+                if (this.suppressOptionEvents) {
+                    return;
+                }
+                this.aggregationOptions.simplification = event.target.value;
+                this.onAggregationOptionsChanged('simplification');
+            });
+        }
+
         // Set up domain toggle buttons
         const domainRadios = document.querySelectorAll('input[name="aggregation-domain"]');
         domainRadios.forEach(radio => {
@@ -627,11 +843,13 @@ class FileUploadHandler {
         const saveBtn = document.getElementById('save-coin-btn');
         const downloadBtn = document.getElementById('download-coin-btn');
         const downloadStlBtn = document.getElementById('download-stl-btn');
-        if (!saveBtn || !downloadBtn || !downloadStlBtn) {
+        const download3mfBtn = document.getElementById('download-3mf-btn');
+        if (!saveBtn || !downloadBtn || !downloadStlBtn || !download3mfBtn) {
             console.error('❌ Sidebar buttons not found:', {
                 saveBtn: !!saveBtn,
                 downloadBtn: !!downloadBtn,
                 downloadStlBtn: !!downloadStlBtn,
+                download3mfBtn: !!download3mfBtn,
             });
             throw new Error('Required sidebar buttons not found in DOM');
         }
@@ -653,6 +871,11 @@ class FileUploadHandler {
             this.handleDownloadSTLClick();
         });
 
+        download3mfBtn.addEventListener('click', () => {
+            console.log('🎨 Download 3MF button clicked');
+            this.handleDownloadSTLClick('3mf');
+        });
+
         console.log('✅ Sidebar controls setup complete');
 
         this.setupSidebarDrawer();
@@ -665,12 +888,17 @@ class FileUploadHandler {
 
     // Read current STL options from sidebar inputs
     getSTLOptionsFromSidebar() {
+        const shapeSelect = document.getElementById('stl-shape-select');
         const diameterInput = document.getElementById('stl-diameter-input');
         const elevationHeightInput = document.getElementById('stl-elevation-height-input');
         const routeThicknessInput = document.getElementById('stl-route-thickness-input');
         const edgeMarginInput = document.getElementById('stl-edge-margin-input');
         const minPathHeightInput = document.getElementById('stl-min-path-height-input');
         const includeBaseCheckbox = document.getElementById('stl-include-base');
+        const waypointPinsCheckbox = document.getElementById('stl-waypoint-pins');
+        const baseTextSelect = document.getElementById('stl-base-text-select');
+        const baseTextPlacementSelect = document.getElementById('stl-base-text-placement-select');
+        const baseTextSizeInput = document.getElementById('stl-base-text-size-input');
 
         const diameterCm = parseFloat(diameterInput?.value) || 8;
         const elevationHeight = parseFloat(elevationHeightInput?.value) || 20;
@@ -678,26 +906,40 @@ class FileUploadHandler {
         const edgeMargin = parseFloat(edgeMarginInput?.value) || 1;
         const minPathHeight = parseFloat(minPathHeightInput?.value) ?? 1;
         const includeBase = includeBaseCheckbox?.checked ?? true;
+        const waypointPins = waypointPinsCheckbox?.checked ?? false;
+        const baseTextSize = parseFloat(baseTextSizeInput?.value) || 4;
 
         return {
+            shapeType: shapeSelect?.value || 'track',
             baseDiameter: diameterCm * 10,
             base: includeBase ? 3 : 0,
             targetHeight: elevationHeight,
             buffer: routeThickness / 2,
             edgeMargin: edgeMargin,
-            minPathHeight: minPathHeight
+            minPathHeight: minPathHeight,
+            waypointPins: waypointPins,
+            baseText: baseTextSelect?.value || 'none',
+            baseTextPlacement: baseTextPlacementSelect?.value || 'rim',
+            baseTextSize: baseTextSize,
+            // The displayed coin's name goes on the plate rather than the route's
+            ...(this.activeCoin?.name && { baseTextTitle: this.activeCoin.name })
         };
     }
 
     // Set up live preview listeners for STL settings in sidebar
     setupSTLSettingsListeners() {
         const inputIds = [
+            'stl-shape-select',
             'stl-diameter-input',
             'stl-elevation-height-input',
             'stl-route-thickness-input',
             'stl-edge-margin-input',
             'stl-min-path-height-input',
-            'stl-include-base'
+            'stl-include-base',
+            'stl-waypoint-pins',
+            'stl-base-text-select',
+            'stl-base-text-placement-select',
+            'stl-base-text-size-input'
         ];
 
         let debounceTimer = null;
@@ -1002,6 +1244,12 @@ class FileUploadHandler {
             distributionGroup.style.display = isFictional ? '' : 'none';
         }
 
+        // Overlays always resample evenly, so simplification only applies to real routes
+        const simplificationGroup = document.getElementById('simplification-group');
+        if (simplificationGroup) {
+            simplificationGroup.style.display = isFictional ? 'none' : '';
+        }
+
         // Reset to distance when switching away from fictional
         if (!isFictional) {
             this.aggregationOptions.domain = 'distance';
@@ -1026,6 +1274,16 @@ class FileUploadHandler {
             }
         }
 
+        const simplificationSelect = document.getElementById('simplification-select');
+        if (simplificationSelect) {
+            simplificationSelect.disabled = controlsLocked;
+            if (controlsLocked) {
+                simplificationSelect.setAttribute('title', 'Viewing a saved coin. Switch back to Routes to change simplification.');
+            } else {
+                simplificationSelect.removeAttribute('title');
+            }
+        }
+
         const elevationRadios = document.querySelectorAll('input[name="elevation-mode"]');
         elevationRadios.forEach(radio => {
             radio.disabled = controlsLocked;
@@ -1074,6 +1332,12 @@ class FileUploadHandler {
                 overlaySelect.value = options.overlay;
             }
 
+            const simplificationSelect = document.getElementById('simplification-select');
+            if (simplificationSelect) {
+                // Coins saved before simplification was selectable used bucket averaging
+                simplificationSelect.value = options.simplification || 'bucket';
+            }
+
             const distanceRadio = document.getElementById('domain-distance');
             const timeRadio = document.getElementById('domain-time');
             if (distanceRadio) {
@@ -1101,6 +1365,7 @@ class FileUploadHandler {
         const saveBtn = document.getElementById('save-coin-btn');
         const downloadBtn = document.getElementById('download-coin-btn');
         const downloadStlBtn = document.getElementById('download-stl-btn');
+        const download3mfBtn = document.getElementById('download-3mf-btn');
         if (viewCoinBtn) {
             viewCoinBtn.disabled = !hasSelectedRoutes && !hasAggregatedRoute;
         }
@@ -1119,6 +1384,10 @@ class FileUploadHandler {
             // Enable if we have any selected routes (we'll aggregate on-the-fly if needed)
             downloadStlBtn.disabled = !hasSelectedRoutes && !hasAggregatedRoute;
         }
+
+        if (download3mfBtn) {
+            download3mfBtn.disabled = !hasSelectedRoutes && !hasAggregatedRoute;
+        }
     }
 
     onAggregationOptionsChanged(reason) {
@@ -1137,36 +1406,76 @@ class FileUploadHandler {
 
     // Handle file selection (from input or drag/drop)
     async handleFileSelection(files) {
-        const fileArray = Array.from(files);
-        console.log(`📁 Processing ${fileArray.length} GPX file(s)...`);
+        const selectedFiles = Array.from(files);
 
         // Notify loading started
-        this.notifyStateChange('loading-started', { fileCount: fileArray.length });
+        this.notifyStateChange('loading-started', { fileCount: selectedFiles.length });
+
+        // Unpack any activity export ZIPs into their individual activity files
+        const { files: fileArray, activityInfo, failed: archiveFailures } = await this.expandArchiveFiles(selectedFiles);
+        console.log(`📁 Processing ${fileArray.length} route file(s)...`);
 
         const results = {
             successful: [],
-            failed: []
+            failed: [...archiveFailures]
         };
 
+        this.uploadAbortController = new AbortController();
+        const { signal } = this.uploadAbortController;
+
+        // Split/join choice for multi-segment files, once the user applies it to the whole batch
+        const segmentChoice = { actionForRest: null };
+
         // Process files sequentially first, then use batched updates
-        for (const file of fileArray) {
+        for (const [fileIndex, file] of fileArray.entries()) {
+            if (signal.aborted) {
+                break;
+            }
+
+            const reportProgress = (fraction) => this.notifyStateChange('loading-progress', {
+                filename: file.name,
+                fileIndex,
+                fileCount: fileArray.length,
+                fraction
+            });
+            reportProgress(0);
+
             try {
-                const routeData = await this.parser.parseGPXFile(file);
-                results.successful.push(routeData);
+                let routeData = await this.parseRouteFile(file, {
+                    signal,
+                    onProgress: ({ bytesRead, totalBytes }) => reportProgress(totalBytes > 0 ? bytesRead / totalBytes : 1)
+                });
+                if (activityInfo.has(file)) {
+                    routeData = this.archiveImporter.applyActivityInfo(routeData, activityInfo.get(file));
+                }
+                const routes = await this.resolveRouteSegments(routeData, segmentChoice, fileArray.length - fileIndex - 1);
+                results.successful.push(...routes.map(route => this.fillElevationFromLoadedDEM(this.cleanUploadedRoute(route))));
             } catch (error) {
+                if (signal.aborted) {
+                    break;
+                }
                 console.error(`Failed to process ${file.name}:`, error);
                 results.failed.push({ filename: file.name, error: error.message });
             }
         }
 
+        const wasCancelled = signal.aborted;
+        this.uploadAbortController = null;
+
+        // Ask about activities already in the library under another ID before adding anything
+        const duplicates = await this.resolveDuplicateRoutes(results.successful);
+
         // Use batched updates to add all successful routes at once
+        let addedRoutes = [];
         this.withDeferredUpdates(() => {
-            results.successful.forEach(routeData => {
-                this.addRoute(routeData); // State changes are deferred
-            });
+            addedRoutes = results.successful
+                .map(routeData => this.addRoute(routeData, { duplicateAction: duplicates.get(routeData)?.action })) // State changes are deferred
+                .filter(Boolean);
+            this.limitAutoSelection(addedRoutes);
         }); // All UI updates happen here in one batch
 
-        await this.saveRoutesToStorage();
+        // Only the new (and merged) routes; the rest of the library is already stored
+        await this.saveRoutesToStorage(addedRoutes);
         
         // Notify loading finished
         this.notifyStateChange('loading-finished', { results });
@@ -1175,175 +1484,772 @@ class FileUploadHandler {
         if (results.failed.length > 0) {
             this.showUploadResults(results);
         }
-    }
 
-    // Add route to collection
-    addRoute(routeData) {
-        // Remove oldest routes if we're at the limit
-        if (this.uploadedRoutes.length >= this.maxFiles) {
-            this.uploadedRoutes.splice(0, this.uploadedRoutes.length - this.maxFiles + 1);
-        }
+        this.showCleaningSummary(results.successful);
 
-        // Add unique ID only if route doesn't already have one (e.g., from Strava import)
-        if (!routeData.id) {
-            routeData.id = this.generateRouteId();
+        if (wasCancelled) {
+            this.showNotification(`⏹️ Upload cancelled (${results.successful.length} route(s) kept)`, 'info');
+        } else if (fileArray.length !== selectedFiles.length || archiveFailures.length > 0) {
+            // Archive imports get a summary, including how many are shown on the map
+            const limitNote = results.successful.length > this.maxAutoSelectedRoutes
+                ? ` Showing the ${this.maxAutoSelectedRoutes} most recent on the map.`
+                : '';
+            this.showNotification(
+                `📦 Imported ${results.successful.length} activities, ${results.failed.length} failed.${limitNote}`,
+                results.failed.length > 0 ? 'warning' : 'success'
+            );
         }
-        this.uploadedRoutes.push(routeData);
+    }
 
-        // Auto-select new routes for display (unless we're showing aggregated route)
-        if (!this.isShowingAggregated) {
-            this.selectedRoutes.add(routeData.id);
+    // Run the enabled GPS cleaning steps on a freshly parsed route
+    cleanUploadedRoute(routeData) {
+        const { removeOutliers, collapseStationary, kalmanSmoothing } = this.cleaningOptions;
+        if (!removeOutliers && !collapseStationary && !kalmanSmoothing) {
+            return routeData;
         }
 
-        console.log(`✅ Added route: ${routeData.filename} (ID: ${routeData.id})`);
-        
-        // Notify state change - UI updates happen in handlers
-        this.notifyStateChange('selected-routes-changed', { reason: 'route-added' });
-    }
-
-    // Generate unique route ID
-    generateRouteId() {
-        return this.routeManipulator._generateRouteId();
+        try {
+            return this.routeCleaner.cleanRoute(routeData, this.cleaningOptions).route;
+        } catch (error) {
+            console.warn(`⚠️ GPS cleaning failed for ${routeData.filename}, keeping raw points:`, error);
+            return routeData;
+        }
     }
 
-    generateCoinId() {
-        if (window.crypto?.randomUUID) {
-            return `coin-${window.crypto.randomUUID()}`;
+    // Routes without usable altitude get DEM elevations straight away if tiles are already loaded
+    fillElevationFromLoadedDEM(routeData) {
+        const mode = this.elevationCorrector.suggestMode(routeData);
+        if (!mode || !this.elevationCorrector.hasTiles() || this.elevationCorrector.coverage(routeData.points) === 0) {
+            return routeData;
         }
-        const randomPart = Math.floor(Math.random() * 1_000_000);
-        return `coin-${Date.now()}-${randomPart}`;
+
+        return this.elevationCorrector.correctRoute(routeData, { mode }).route;
     }
 
-    cloneRouteData(route) {
+    // Correct a route's elevation from DEM tiles, asking for tile files if none loaded so far cover it
+    async correctRouteElevation(routeId) {
+        const route = this.uploadedRoutes.find(r => r.id === routeId);
         if (!route) {
-            return null;
-        }
-
-        if (typeof structuredClone === 'function') {
-            return structuredClone(route);
+            console.error(`❌ Route not found: ${routeId}`);
+            return;
         }
 
         try {
-            return JSON.parse(JSON.stringify(route));
+            if (this.elevationCorrector.coverage(route.points) === 0) {
+                const tileNames = this.elevationCorrector.requiredTileNames(route.points);
+                this.showNotification(`🗻 Select SRTM .hgt or GeoTIFF DEM tiles covering this route (${tileNames.join(', ')})`, 'info');
+
+                const files = await this.requestDEMFiles();
+                if (files.length === 0) {
+                    return;
+                }
+
+                const { failed } = await this.elevationCorrector.loadTileFiles(files);
+                failed.forEach(({ filename, error }) => this.showNotification(`❌ ${filename}: ${error}`, 'error'));
+            }
+
+            if (this.elevationCorrector.coverage(route.points) === 0) {
+                this.showNotification('No loaded DEM tiles cover this route.', 'warning');
+                return;
+            }
+
+            const mode = this.elevationCorrector.suggestMode(route) === 'replace' || window.confirm(
+                `Correct elevation for ${route.filename}\n\n` +
+                `OK: replace all elevations with DEM values\nCancel: only fill points without elevation`
+            ) ? 'replace' : 'fill';
+
+            const { route: correctedRoute, report } = this.elevationCorrector.correctRoute(route, { mode });
+            this.uploadedRoutes = this.uploadedRoutes.map(r => (r.id === routeId ? correctedRoute : r));
+            await this.saveRoutesToStorage([correctedRoute]);
+
+            this.notifyStateChange('selected-routes-changed', { reason: 'route-updated', routeId });
+
+            const uncoveredNote = report.uncoveredPoints > 0 ? ` (${report.uncoveredPoints} outside the tiles)` : '';
+            this.showNotification(
+                `🗻 Elevation ${mode === 'replace' ? 'replaced' : 'filled'} for ${report.changedPoints} points${uncoveredNote}: ` +
+                `gain ${this.formatElevation(report.before.elevationGain)} → ${this.formatElevation(report.after.elevationGain)}`,
+                'success'
+            );
         } catch (error) {
-            console.warn('⚠️ Failed to deep-clone route, returning original reference');
-            return route;
+            console.error('❌ Failed to correct elevation:', error);
+            this.showNotification(`Failed to correct elevation: ${error.message}`, 'error');
         }
     }
 
-    // Show loading state in UI
-    showLoadingState() {
-        // Switch to routes UI if not already there
-        this.showRoutesUI();
-        
-        // Show loading section and hide main content
-        const loadingState = document.getElementById('loading-state');
-        const mainContent = document.getElementById('main-content');
-        
-        if (loadingState) {
-            loadingState.style.display = 'block';
+    // Trim, split or crop a route with handles on the map; the result is saved as a new route
+    async editRoute(routeId) {
+        const route = this.uploadedRoutes.find(r => r.id === routeId);
+        if (!route) {
+            console.error(`❌ Route not found: ${routeId}`);
+            return;
         }
-        if (mainContent) {
-            mainContent.style.display = 'none';
+        if (this.activeCoin) {
+            this.showNotification('Switch back to Routes to edit a route.', 'warning');
+            return;
         }
-        
-        console.log('⏳ Loading state displayed');
-    }
 
-    // Hide loading state in UI
-    hideLoadingState() {
-        // Hide loading section and show main content
-        const loadingState = document.getElementById('loading-state');
-        const mainContent = document.getElementById('main-content');
-        
-        if (loadingState) {
-            loadingState.style.display = 'none';
+        if (this.currentViewMode !== 'map') {
+            await this.switchViewMode('map');
         }
-        if (mainContent) {
-            mainContent.style.display = 'block';
+        if (!this.selectedRoutes.has(routeId)) {
+            this.selectedRoutes.add(routeId);
+            this.notifyStateChange('selected-routes-changed', { reason: 'route-edit', routeId });
         }
-        
-        console.log('✅ Loading state hidden');
+
+        this.routeEdit = { routeId, mode: null, selection: null, revealsPrivateAreas: false };
+        if (this.privacyZones.isHiddenOnMap()) {
+            // Edit handles snap to the route's real points, so show it unredacted while editing
+            this.mapViz.removeRoute(routeId);
+            this.mapViz.addRoute(route);
+            this.routeEdit.revealsPrivateAreas = true;
+            this.showNotification('🛡️ Privacy zones are shown on this route while you edit it.', 'info');
+        }
+        const toolbar = document.getElementById('route-edit-toolbar');
+        if (toolbar) {
+            toolbar.style.display = 'flex';
+        }
+        this.setRouteEditMode('trim');
+        this.zoomToRoute(routeId);
     }
 
-    // Update UI after file upload (legacy method - now delegated to events)
-    updateUIAfterUpload(results) {
-        console.log('🔄 Legacy updateUIAfterUpload - delegating to loading-finished event...');
-        this.notifyStateChange('loading-finished', { results });
+    setRouteEditMode(mode) {
+        if (!this.routeEdit) {
+            return;
+        }
+
+        this.routeEdit.mode = mode;
+        this.routeEdit.selection = null;
+        document.querySelectorAll('.route-edit-mode').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === mode);
+        });
+
+        this.mapViz.startRouteEdit(this.routeEdit.routeId, mode, (selection) => {
+            this.routeEdit.selection = selection;
+            this.updateRouteEditSummary();
+        });
     }
 
-    // Show upload results (especially errors)
-    showUploadResults(results) {
-        const message = [
-            `✅ Successfully processed: ${results.successful.length} files`,
-            results.failed.length > 0 ? `❌ Failed to process: ${results.failed.length} files` : null,
-            ...results.failed.map(f => `  • ${f.filename}: ${f.error}`)
-        ].filter(Boolean).join('\n');
+    // Describe what applying the current edit would keep
+    updateRouteEditSummary() {
+        const summary = document.getElementById('route-edit-summary');
+        const route = this.uploadedRoutes.find(r => r.id === this.routeEdit?.routeId);
+        const selection = this.routeEdit?.selection;
+        if (!summary || !route || !selection) {
+            return;
+        }
 
-        console.log(message);
-        
-        if (results.failed.length > 0) {
-            const errorSummary = `Failed to process ${results.failed.length} file(s). Check console for details.`;
-            this.showNotification(errorSummary, 'error');
+        const distanceOf = (points) => this.formatDistance(this.parser.calculateStats(points).distance);
+
+        if (selection.mode === 'trim') {
+            const kept = route.points.slice(selection.startIndex, selection.endIndex + 1);
+            summary.textContent = `Keeping ${distanceOf(kept)} of ${this.formatDistance(route.distance)}`;
+        } else if (selection.mode === 'split') {
+            summary.textContent = `Part 1: ${distanceOf(route.points.slice(0, selection.splitIndex + 1))} · ` +
+                `Part 2: ${distanceOf(route.points.slice(selection.splitIndex))}`;
+        } else if (selection.mode === 'crop') {
+            const { south, west, north, east } = selection.bounds;
+            const insideCount = route.points
+                .filter(point => point.lat >= south && point.lat <= north && point.lon >= west && point.lon <= east).length;
+            summary.textContent = `${insideCount.toLocaleString()} of ${route.points.length.toLocaleString()} points inside the box`;
         }
     }
 
-    // Trigger file upload dialog
-    triggerFileUpload() {
-        const fileInput = this.fileInput || document.getElementById('gpx-file-input');
-        if (!fileInput) {
-            console.warn('⚠️ File input not found when triggering upload');
+    async applyRouteEdit() {
+        const route = this.uploadedRoutes.find(r => r.id === this.routeEdit?.routeId);
+        const selection = this.routeEdit?.selection;
+        if (!route || !selection) {
             return;
         }
 
-        // Focus helps some mobile browsers honor the interaction
+        let editedRoutes;
         try {
-            fileInput.focus({ preventScroll: true });
-        } catch (focusError) {
-            console.debug('ℹ️ File input focus suppressed:', focusError);
+            if (selection.mode === 'trim') {
+                editedRoutes = [this.routeManipulator.trimRouteToIndices(route, selection.startIndex, selection.endIndex)];
+            } else if (selection.mode === 'split') {
+                editedRoutes = this.routeManipulator.splitRoute(route, selection.splitIndex);
+            } else {
+                editedRoutes = [this.routeManipulator.cropRoute(route, selection.bounds)];
+            }
+        } catch (error) {
+            console.error('❌ Failed to edit route:', error);
+            this.showNotification(`Could not ${selection.mode} route: ${error.message}`, 'error');
+            return;
         }
 
-        if (typeof fileInput.showPicker === 'function') {
-            fileInput.showPicker().catch(() => fileInput.click());
-            return;
+        this.cancelRouteEdit();
+
+        // Show the new route(s) in place of the original, which is kept unchanged
+        this.selectedRoutes.delete(route.id);
+        editedRoutes.forEach(editedRoute => this.addRoute(editedRoute));
+
+        try {
+            if (this.storageManager) {
+                for (const editedRoute of editedRoutes) {
+                    await this.storageManager.saveRoute(editedRoute);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Failed to save edited route:', error);
         }
 
-        fileInput.click();
+        this.showNotification(`✂️ Saved ${editedRoutes.map(r => r.filename).join(' and ')}`, 'success');
     }
 
-    // Show route list
-    showRouteList() {
-        if (this.uploadedRoutes.length === 0) {
-            this.showNotification('No routes uploaded yet. Upload some GPX files first!', 'info');
-            return;
-        }
+    cancelRouteEdit() {
+        const revealedPrivateAreas = this.routeEdit?.revealsPrivateAreas;
+        this.mapViz?.stopRouteEdit();
+        this.routeEdit = null;
 
-        const routeList = this.uploadedRoutes.map((route, index) => {
-            const duration = route.duration ? `${Math.round(route.duration / 60)} min` : 'Unknown';
-              const distanceDisplay = this.formatDistance(route.distance);
-              const elevationDisplay = this.formatElevation(route.elevationGain);
-              return `${index + 1}. ${route.filename}
-       📏 ${distanceDisplay}  ⛰️ ${elevationDisplay}  ⏱️ ${duration}`;
-        }).join('\n\n');
+        if (revealedPrivateAreas) {
+            this.refreshMapWithSelectedRoutes();
+        }
 
-        // Show route info in console (too much for a notification)
-        console.log(`📋 Uploaded Routes (${this.uploadedRoutes.length}):\n\n${routeList}`);
-        this.showNotification(`${this.uploadedRoutes.length} routes loaded. Check console for details.`, 'info');
+        const toolbar = document.getElementById('route-edit-toolbar');
+        if (toolbar) {
+            toolbar.style.display = 'none';
+        }
+        const summary = document.getElementById('route-edit-summary');
+        if (summary) {
+            summary.textContent = '';
+        }
     }
 
-    // Show aggregation options dialog
-    showAggregationOptions() {
-        const selectedRoutesToAggregate = this.uploadedRoutes.filter(route => 
-            this.selectedRoutes.has(route.id)
-        );
+    // Stitch the selected routes (e.g. one ride recorded as several files) into a single real route
+    async joinSelectedRoutes() {
+        const routes = this.uploadedRoutes.filter(route => this.selectedRoutes.has(route.id));
+        if (this.activeCoin || routes.length < 2) {
+            this.showNotification('Select at least 2 routes to join.', 'warning');
+            return;
+        }
 
-        if (selectedRoutesToAggregate.length < 2) {
-            this.showNotification('Please select at least 2 routes to aggregate', 'warning');
+        let joinedRoute;
+        try {
+            joinedRoute = this.routeManipulator.joinRoutes(routes);
+        } catch (error) {
+            console.error('❌ Failed to join routes:', error);
+            this.showNotification(`Could not join routes: ${error.message}`, 'error');
             return;
         }
 
-        // Create modal for aggregation options
-        this.showAggregationModal(selectedRoutesToAggregate);
+        // Show the joined route in place of its sources, which are kept unchanged
+        routes.forEach(route => this.selectedRoutes.delete(route.id));
+        this.addRoute(joinedRoute);
+
+        try {
+            if (this.storageManager) {
+                await this.storageManager.saveRoute(joinedRoute);
+            }
+        } catch (error) {
+            console.error('❌ Failed to save joined route:', error);
+        }
+
+        const { overlapPointsRemoved, gapsFilled, gapsSplit } = joinedRoute.metadata.join;
+        const details = [
+            overlapPointsRemoved > 0 && `${overlapPointsRemoved} overlapping points removed`,
+            gapsFilled > 0 && `${gapsFilled} gap${gapsFilled === 1 ? '' : 's'} filled`,
+            gapsSplit > 0 && `${gapsSplit} large gap${gapsSplit === 1 ? '' : 's'} kept as segment breaks`
+        ].filter(Boolean);
+        this.showNotification(
+            `🧵 Joined ${routes.length} routes into ${joinedRoute.filename} (${this.formatDistance(joinedRoute.distance)})` +
+            (details.length > 0 ? `: ${details.join(', ')}` : ''),
+            'success'
+        );
+    }
+
+    // Open the DEM file picker and resolve with the chosen files (empty if cancelled)
+    requestDEMFiles() {
+        const input = document.getElementById('dem-file-input');
+        if (!input) {
+            return Promise.resolve([]);
+        }
+
+        return new Promise(resolve => {
+            const finish = (files) => {
+                input.removeEventListener('change', onChange);
+                input.removeEventListener('cancel', onCancel);
+                input.value = '';
+                resolve(files);
+            };
+            const onChange = () => finish(Array.from(input.files || []));
+            const onCancel = () => finish([]);
+
+            input.addEventListener('change', onChange);
+            input.addEventListener('cancel', onCancel);
+            input.click();
+        });
+    }
+
+    // Report how many points GPS cleaning removed across an upload
+    showCleaningSummary(routes) {
+        const reports = routes.map(route => route.metadata?.cleaning).filter(Boolean);
+        const totals = reports.reduce((sum, report) => ({
+            originalPointCount: sum.originalPointCount + report.originalPointCount,
+            pointsRemoved: sum.pointsRemoved + report.pointsRemoved,
+            outliersRemoved: sum.outliersRemoved + report.outliersRemoved,
+            stationaryPointsRemoved: sum.stationaryPointsRemoved + report.stationaryPointsRemoved
+        }), { originalPointCount: 0, pointsRemoved: 0, outliersRemoved: 0, stationaryPointsRemoved: 0 });
+
+        if (totals.pointsRemoved === 0) {
+            return;
+        }
+
+        this.showNotification(
+            `🧹 GPS cleaning removed ${totals.pointsRemoved.toLocaleString()} of ${totals.originalPointCount.toLocaleString()} points ` +
+            `(${totals.outliersRemoved} spikes, ${totals.stationaryPointsRemoved} stationary)`,
+            'info'
+        );
+    }
+
+    // Replace ZIP archives with the activity files inside them
+    async expandArchiveFiles(files) {
+        const expanded = { files: [], activityInfo: new Map(), failed: [] };
+
+        for (const file of files) {
+            if (!this.archiveImporter.isArchive(file)) {
+                expanded.files.push(file);
+                continue;
+            }
+
+            try {
+                const archive = await this.archiveImporter.expandArchive(file);
+                expanded.files.push(...archive.files);
+                archive.activityInfo.forEach((info, activityFile) => expanded.activityInfo.set(activityFile, info));
+                expanded.failed.push(...archive.failed);
+            } catch (error) {
+                console.error(`Failed to unpack ${file.name}:`, error);
+                expanded.failed.push({ filename: file.name, error: error.message });
+            }
+        }
+
+        return expanded;
+    }
+
+    // Cancel the in-flight upload; the current file's worker is terminated and remaining files are skipped
+    cancelUpload() {
+        if (!this.uploadAbortController) {
+            return;
+        }
+
+        console.log('⏹️ Cancelling upload...');
+        this.uploadAbortController.abort();
+    }
+
+    // Check whether a file has an extension one of our parsers understands
+    isSupportedRouteFile(file) {
+        const name = file.name.toLowerCase();
+        return this.supportedExtensions.some(extension => name.endsWith(extension));
+    }
+
+    // Dispatch a file to the parser for its format (GPX streams in a worker with progress/cancel)
+    parseRouteFile(file, options = {}) {
+        const name = file.name.toLowerCase();
+        if (name.endsWith('.fit')) {
+            return this.fitParser.parseFITFile(file);
+        }
+        if (name.endsWith('.tcx')) {
+            return this.tcxParser.parseTCXFile(file);
+        }
+        if (name.endsWith('.geojson') || name.endsWith('.json')) {
+            return this.geoJSONParser.parseGeoJSONFile(file);
+        }
+        if (name.endsWith('.kml')) {
+            return this.kmlParser.parseKMLFile(file);
+        }
+        return this.gpxWorkerParser.parseGPXFile(file, options);
+    }
+
+    // Ask whether a multi-track/multi-segment GPX should become separate routes or stay joined.
+    // segmentChoice is shared across one upload batch so "apply to all" only asks once.
+    async resolveRouteSegments(routeData, segmentChoice = { actionForRest: null }, remainingCount = 0) {
+        const segmentCount = routeData.segments?.length || 0;
+        if (segmentCount < 2) {
+            return [routeData];
+        }
+
+        let action = segmentChoice.actionForRest;
+        if (!action) {
+            const choice = await this.promptSegmentAction(routeData, segmentCount, remainingCount);
+            action = choice.action;
+            if (choice.applyToAll) {
+                segmentChoice.actionForRest = action;
+            }
+        }
+
+        if (action !== 'split') {
+            return [routeData];
+        }
+
+        console.log(`✂️ Splitting ${routeData.filename} into ${segmentCount} routes`);
+        return this.parser.splitRouteBySegments(routeData);
+    }
+
+    // Ask whether to split a multi-segment file into separate routes or keep it joined
+    promptSegmentAction(routeData, segmentCount, remainingCount = 0) {
+        const filename = this.escapeXml(routeData.filename || 'This file');
+
+        const modal = document.createElement('div');
+        modal.className = 'privacy-modal-overlay';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="privacy-modal" style="max-width: 520px;">
+                <div class="privacy-modal-header">
+                    <h2>✂️ Multiple Track Segments</h2>
+                </div>
+                <div class="privacy-modal-content">
+                    <p><strong>${filename}</strong> contains ${segmentCount} track segments.</p>
+                    <p>Split imports each segment as a separate route, Keep Joined imports them as one route
+                        (distance across the gaps between segments isn't counted).</p>
+                    ${remainingCount > 0 ? `
+                    <label style="display: flex; gap: 0.5rem; align-items: center;">
+                        <input type="checkbox" class="segment-apply-all"> Do the same for any other multi-segment files in this import
+                    </label>` : ''}
+                </div>
+                <div class="privacy-modal-actions" style="gap: 0.5rem;">
+                    <button type="button" class="btn btn-primary" data-action="split">Split</button>
+                    <button type="button" class="btn btn-secondary" data-action="join">Keep Joined</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        return new Promise(resolve => {
+            modal.querySelectorAll('button[data-action]').forEach(button => {
+                button.addEventListener('click', () => {
+                    const applyToAll = Boolean(modal.querySelector('.segment-apply-all')?.checked);
+                    modal.remove();
+                    resolve({ action: button.dataset.action, applyToAll });
+                });
+            });
+        });
+    }
+
+    // Add route to collection. duplicateAction ('merge' | 'skip' | 'keep-both') decides what happens
+    // when the same activity is already in the library under another ID; see resolveDuplicateRoutes.
+    // Returns the route that ended up in the library, or null if it was skipped.
+    addRoute(routeData, { duplicateAction = 'keep-both' } = {}) {
+        const duplicate = this.duplicateDetector.findDuplicate(routeData, this.uploadedRoutes);
+        if (duplicate && duplicateAction === 'skip') {
+            console.log(`⏭️ Skipped duplicate: ${routeData.filename} (already have ${duplicate.route.filename})`);
+            return null;
+        }
+        if (duplicate && duplicateAction === 'merge') {
+            const mergedRoute = this.duplicateDetector.mergeRoutes(duplicate.route, routeData);
+            this.uploadedRoutes = this.uploadedRoutes.map(route => (route === duplicate.route ? mergedRoute : route));
+            if (!this.isShowingAggregated) {
+                this.selectedRoutes.add(mergedRoute.id);
+            }
+            this.notifyStateChange('selected-routes-changed', { reason: 'route-merged', routeId: mergedRoute.id });
+            return mergedRoute;
+        }
+        if (duplicate) {
+            console.log(`⚠️ ${routeData.filename} looks like ${duplicate.route.filename}; keeping both`);
+        }
+
+        // Add unique ID only if route doesn't already have one (e.g., from Strava import)
+        if (!routeData.id) {
+            routeData.id = this.generateRouteId();
+        }
+        this.uploadedRoutes.push(routeData);
+
+        // Auto-select new routes for display (unless we're showing aggregated route)
+        if (!this.isShowingAggregated) {
+            this.selectedRoutes.add(routeData.id);
+        }
+
+        console.log(`✅ Added route: ${routeData.filename} (ID: ${routeData.id})`);
+        
+        // Notify state change - UI updates happen in handlers
+        this.notifyStateChange('selected-routes-changed', { reason: 'route-added' });
+        return routeData;
+    }
+
+    // Keep the map usable after big imports: only the newest routes stay selected for display
+    limitAutoSelection(routes) {
+        if (routes.length <= this.maxAutoSelectedRoutes) {
+            return;
+        }
+
+        const newestFirst = [...routes].sort((a, b) => (getRouteDate(b) ?? 0) - (getRouteDate(a) ?? 0));
+        newestFirst.slice(this.maxAutoSelectedRoutes).forEach(route => this.selectedRoutes.delete(route.id));
+        console.log(`🗺️ Showing the ${this.maxAutoSelectedRoutes} most recent of ${routes.length} routes on the map`);
+    }
+
+    // Find incoming routes that duplicate library routes (or earlier routes in the same batch) and
+    // ask what to do with each. Resolves with a Map of incoming route -> { action, existing }.
+    async resolveDuplicateRoutes(routes) {
+        const decisions = new Map();
+        const candidates = [...this.uploadedRoutes];
+        let actionForRest = null;
+
+        for (const [index, route] of routes.entries()) {
+            const duplicate = this.duplicateDetector.findDuplicate(route, candidates);
+            if (!duplicate) {
+                candidates.push(route);
+                continue;
+            }
+
+            let action = actionForRest;
+            if (!action) {
+                const choice = await this.promptDuplicateAction(route, duplicate, routes.length - index - 1);
+                action = choice.action;
+                if (choice.applyToAll) {
+                    actionForRest = action;
+                }
+            }
+
+            console.log(`🔁 ${route.filename || route.id} duplicates ${duplicate.route.filename || duplicate.route.id}: ${action}`);
+            decisions.set(route, { action, existing: duplicate.route });
+            if (action === 'keep-both') {
+                candidates.push(route);
+            }
+        }
+
+        return decisions;
+    }
+
+    // Apply resolveDuplicateRoutes decisions to a batch that is saved directly (e.g. Strava bulk
+    // import). Returns the routes to store - merged library routes replace their duplicates.
+    applyDuplicateDecisions(routes, decisions) {
+        const mergedById = new Map();
+        const keptRoutes = [];
+
+        routes.forEach(route => {
+            const decision = decisions.get(route);
+            if (decision?.action === 'skip') {
+                return;
+            }
+            if (decision?.action === 'merge') {
+                // Several copies may merge into the same route, so build on earlier merges
+                const target = mergedById.get(decision.existing.id) || decision.existing;
+                mergedById.set(target.id, this.duplicateDetector.mergeRoutes(target, route));
+                return;
+            }
+            keptRoutes.push(route);
+        });
+
+        const keptIds = new Set(keptRoutes.map(route => route.id));
+        return [
+            ...keptRoutes.map(route => mergedById.get(route.id) || route),
+            ...[...mergedById.values()].filter(route => !keptIds.has(route.id))
+        ];
+    }
+
+    // Ask whether to merge, skip or keep both copies of a duplicate activity
+    promptDuplicateAction(route, duplicate, remainingCount = 0) {
+        const incomingName = this.escapeXml(route.name || route.filename || 'New activity');
+        const existingName = this.escapeXml(duplicate.route.name || duplicate.route.filename || 'an existing route');
+        const startNote = duplicate.startDifferenceSeconds !== null
+            ? `, started ${Math.round(duplicate.startDifferenceSeconds)}s apart`
+            : '';
+
+        const modal = document.createElement('div');
+        modal.className = 'privacy-modal-overlay';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="privacy-modal" style="max-width: 520px;">
+                <div class="privacy-modal-header">
+                    <h2>🔁 Possible Duplicate</h2>
+                </div>
+                <div class="privacy-modal-content">
+                    <p><strong>${incomingName}</strong> looks like the same activity as <strong>${existingName}</strong>
+                        already in your library (${Math.round(duplicate.similarity * 100)}% of the track matches${startNote}).</p>
+                    <p>Merge keeps one route with the more detailed track, Skip ignores the new copy, Keep Both adds it anyway.</p>
+                    ${remainingCount > 0 ? `
+                    <label style="display: flex; gap: 0.5rem; align-items: center;">
+                        <input type="checkbox" class="duplicate-apply-all"> Do the same for any other duplicates in this import
+                    </label>` : ''}
+                </div>
+                <div class="privacy-modal-actions" style="gap: 0.5rem;">
+                    <button type="button" class="btn btn-primary" data-action="merge">Merge</button>
+                    <button type="button" class="btn btn-secondary" data-action="skip">Skip</button>
+                    <button type="button" class="btn btn-secondary" data-action="keep-both">Keep Both</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        return new Promise(resolve => {
+            modal.querySelectorAll('button[data-action]').forEach(button => {
+                button.addEventListener('click', () => {
+                    const applyToAll = Boolean(modal.querySelector('.duplicate-apply-all')?.checked);
+                    modal.remove();
+                    resolve({ action: button.dataset.action, applyToAll });
+                });
+            });
+        });
+    }
+
+    // Generate unique route ID
+    generateRouteId() {
+        return this.routeManipulator._generateRouteId();
+    }
+
+    generateCoinId() {
+        if (window.crypto?.randomUUID) {
+            return `coin-${window.crypto.randomUUID()}`;
+        }
+        const randomPart = Math.floor(Math.random() * 1_000_000);
+        return `coin-${Date.now()}-${randomPart}`;
+    }
+
+    cloneRouteData(route) {
+        if (!route) {
+            return null;
+        }
+
+        if (typeof structuredClone === 'function') {
+            return structuredClone(route);
+        }
+
+        try {
+            return JSON.parse(JSON.stringify(route));
+        } catch (error) {
+            console.warn('⚠️ Failed to deep-clone route, returning original reference');
+            return route;
+        }
+    }
+
+    // Show loading state in UI, or update its progress bar when given file progress
+    showLoadingState(progress = null) {
+        if (progress) {
+            this.updateLoadingProgress(progress);
+            return;
+        }
+
+        // Switch to routes UI if not already there
+        this.showRoutesUI();
+        
+        // Show loading section and hide main content
+        const loadingState = document.getElementById('loading-state');
+        const mainContent = document.getElementById('main-content');
+        
+        if (loadingState) {
+            loadingState.style.display = 'block';
+        }
+        if (mainContent) {
+            mainContent.style.display = 'none';
+        }
+        
+        console.log('⏳ Loading state displayed');
+    }
+
+    // Render per-file parse progress and the cancel button in the loading section
+    updateLoadingProgress({ filename, fileIndex, fileCount, fraction }) {
+        const progressSection = document.getElementById('loading-progress');
+        const progressBar = document.getElementById('loading-progress-bar');
+        const progressText = document.getElementById('loading-progress-text');
+
+        if (progressSection) {
+            progressSection.style.display = 'block';
+        }
+        if (progressBar) {
+            progressBar.value = fraction;
+        }
+        if (progressText) {
+            const fileLabel = fileCount > 1 ? ` (file ${fileIndex + 1} of ${fileCount})` : '';
+            progressText.textContent = `${this.truncateFilename(filename)}${fileLabel}: ${Math.round(fraction * 100)}%`;
+        }
+    }
+
+    // Hide loading state in UI
+    hideLoadingState() {
+        // Hide loading section and show main content
+        const loadingState = document.getElementById('loading-state');
+        const mainContent = document.getElementById('main-content');
+        
+        if (loadingState) {
+            loadingState.style.display = 'none';
+        }
+        if (mainContent) {
+            mainContent.style.display = 'block';
+        }
+
+        const progressSection = document.getElementById('loading-progress');
+        if (progressSection) {
+            progressSection.style.display = 'none';
+        }
+        
+        console.log('✅ Loading state hidden');
+    }
+
+    // Update UI after file upload (legacy method - now delegated to events)
+    updateUIAfterUpload(results) {
+        console.log('🔄 Legacy updateUIAfterUpload - delegating to loading-finished event...');
+        this.notifyStateChange('loading-finished', { results });
+    }
+
+    // Show upload results (especially errors)
+    showUploadResults(results) {
+        const message = [
+            `✅ Successfully processed: ${results.successful.length} files`,
+            results.failed.length > 0 ? `❌ Failed to process: ${results.failed.length} files` : null,
+            ...results.failed.map(f => `  • ${f.filename}: ${f.error}`)
+        ].filter(Boolean).join('\n');
+
+        console.log(message);
+        
+        if (results.failed.length > 0) {
+            const errorSummary = `Failed to process ${results.failed.length} file(s). Check console for details.`;
+            this.showNotification(errorSummary, 'error');
+        }
+    }
+
+    // Trigger file upload dialog
+    triggerFileUpload() {
+        const fileInput = this.fileInput || document.getElementById('gpx-file-input');
+        if (!fileInput) {
+            console.warn('⚠️ File input not found when triggering upload');
+            return;
+        }
+
+        // Focus helps some mobile browsers honor the interaction
+        try {
+            fileInput.focus({ preventScroll: true });
+        } catch (focusError) {
+            console.debug('ℹ️ File input focus suppressed:', focusError);
+        }
+
+        if (typeof fileInput.showPicker === 'function') {
+            fileInput.showPicker().catch(() => fileInput.click());
+            return;
+        }
+
+        fileInput.click();
+    }
+
+    // Show route list
+    showRouteList() {
+        if (this.uploadedRoutes.length === 0) {
+            this.showNotification('No routes uploaded yet. Upload some GPX files first!', 'info');
+            return;
+        }
+
+        const routeList = this.uploadedRoutes.map((route, index) => {
+            const duration = route.duration ? `${Math.round(route.duration / 60)} min` : 'Unknown';
+              const distanceDisplay = this.formatDistance(route.distance);
+              const elevationDisplay = this.formatElevation(route.elevationGain);
+              return `${index + 1}. ${route.filename}
+       📏 ${distanceDisplay}  ⛰️ ${elevationDisplay}  ⏱️ ${duration}`;
+        }).join('\n\n');
+
+        // Show route info in console (too much for a notification)
+        console.log(`📋 Uploaded Routes (${this.uploadedRoutes.length}):\n\n${routeList}`);
+        this.showNotification(`${this.uploadedRoutes.length} routes loaded. Check console for details.`, 'info');
+    }
+
+    // Show aggregation options dialog
+    showAggregationOptions() {
+        const selectedRoutesToAggregate = this.uploadedRoutes.filter(route => 
+            this.selectedRoutes.has(route.id)
+        );
+
+        if (selectedRoutesToAggregate.length < 2) {
+            this.showNotification('Please select at least 2 routes to aggregate', 'warning');
+            return;
+        }
+
+        // Create modal for aggregation options
+        this.showAggregationModal(selectedRoutesToAggregate);
     }
 
     // Show aggregation modal with options
@@ -1615,13 +2521,13 @@ class FileUploadHandler {
 
         if (sourceRoutes.length === 1) {
             const filename = sourceRoutes[0].filename || 'Route';
-            return filename.replace(/\.gpx$/i, '');
+            return filename.replace(/\.[^.]+$/, '');
         }
 
         const selectedRoutes = this.getSelectedRoutesSorted();
         if (selectedRoutes.length === 1) {
             const filename = selectedRoutes[0].filename || 'Route';
-            return filename.replace(/\.gpx$/i, '');
+            return filename.replace(/\.[^.]+$/, '');
         }
 
         const now = new Date();
@@ -1743,7 +2649,11 @@ class FileUploadHandler {
         let aggregatedRoute;
 
         if (!options || options.overlay === 'real') {
-            aggregatedRoute = this.createDistanceBasedAggregation(sortedRoutes, options?.elevationMode || 'actual');
+            aggregatedRoute = this.createDistanceBasedAggregation(
+                sortedRoutes,
+                options?.elevationMode || 'actual',
+                options?.simplification || 'bucket'
+            );
         } else {
             aggregatedRoute = await this.createFictionalRouteAggregation(
                 sortedRoutes,
@@ -1900,7 +2810,8 @@ class FileUploadHandler {
         this.showNotification('Create or load a coin before downloading.', 'warning');
     }
 
-    async handleDownloadSTLClick() {
+    // Download the current coin or selection as a 3D model: 'stl' (single mesh) or '3mf' (separate parts)
+    async handleDownloadSTLClick(format = 'stl') {
         // Determine what route to download
         let routeToDownload = null;
 
@@ -1915,14 +2826,14 @@ class FileUploadHandler {
             const selectedRoutes = this.uploadedRoutes.filter(route => this.selectedRoutes.has(route.id));
 
             if (selectedRoutes.length === 0) {
-                this.showNotification('Select at least one route to download STL.', 'warning');
+                this.showNotification(`Select at least one route to download ${format.toUpperCase()}.`, 'warning');
                 return;
             } else if (selectedRoutes.length === 1) {
                 // Single route - download directly
                 routeToDownload = { type: 'route', id: selectedRoutes[0].id };
             } else {
                 // Multiple routes - aggregate on-the-fly
-                console.log(`🔄 Multiple routes selected (${selectedRoutes.length}), aggregating for STL download...`);
+                console.log(`🔄 Multiple routes selected (${selectedRoutes.length}), aggregating for ${format.toUpperCase()} download...`);
                 await this.refreshAggregatedRoute({ reason: 'stl-download' });
 
                 if (!this.aggregatedRoute) {
@@ -1938,12 +2849,12 @@ class FileUploadHandler {
         const { type, id } = routeToDownload;
         const options = this.getSTLOptionsFromSidebar();
 
-        console.log('📊 STL download options:', options);
+        console.log(`📊 ${format.toUpperCase()} download options:`, options);
 
         if (type === 'coin') {
-            await this.downloadCoinSTL(id, options);
+            await this.downloadCoinSTL(id, options, format);
         } else {
-            await this.downloadRouteSTL(id, options);
+            await this.downloadRouteSTL(id, options, format);
         }
     }
 
@@ -1996,7 +2907,8 @@ class FileUploadHandler {
 
     // Create distance-based aggregation (existing logic with elevation mode support)
     // Create distance-based aggregation using RouteManipulator
-    createDistanceBasedAggregation(routes, elevationMode) {
+    // simplification: how the combined route is reduced to the coin's point budget (see RouteManipulator.resampleRoute)
+    createDistanceBasedAggregation(routes, elevationMode, simplification = 'bucket') {
         console.log(`🔗 Creating distance-based aggregation with ${elevationMode} elevation using RouteManipulator...`);
         
         // IMPORTANT: Preserve the true aggregated statistics before scaling for visualization
@@ -2020,7 +2932,7 @@ class FileUploadHandler {
         console.log(`📊 Original combined stats before aggregation: ${originalDistanceDisplay}, ${originalElevationDisplay} gain`);
 
         // Use RouteManipulator to aggregate routes
-        let aggregatedRoute = this.routeManipulator.aggregateAndResampleRoutes(routes);
+        let aggregatedRoute = this.routeManipulator.aggregateAndResampleRoutes(routes, { method: simplification });
         
         // Apply elevation mode processing
         if (elevationMode === 'cumulative') {
@@ -2169,7 +3081,8 @@ class FileUploadHandler {
         const elevationDisplay = this.formatElevation(originalStats.elevationGain, { precision: 1 });
         console.log(`📊 Combined stats before transformation: ${distanceDisplay}, ${elevationDisplay} gain`);
 
-        // Step 1: Aggregate routes spatially
+        // Step 1: Aggregate routes spatially. Points are later matched to the template by index,
+        // so they stay evenly spread (bucket resampling) whatever simplification is selected
         let workingRoute = this.routeManipulator.aggregateAndResampleRoutes(routes);
 
         // Step 2: Optionally convert to time domain before elevation adjustments
@@ -2276,7 +3189,7 @@ class FileUploadHandler {
     // Remove a route
     async removeRoute(routeId) {
         this.uploadedRoutes = this.uploadedRoutes.filter(route => route.id !== routeId);
-        await this.saveRoutesToStorage();
+        await this.storageManager?.deleteRoute(routeId);
     }
 
     // Clear all routes
@@ -2341,10 +3254,11 @@ class FileUploadHandler {
                 console.log(`📂 Loaded ${this.uploadedRoutes.length} routes from storage`);
                 console.log('📋 Routes loaded:', this.uploadedRoutes.map(r => r.filename));
                 
-                // Auto-select all loaded routes for display
+                // Auto-select the loaded routes for display (the newest ones in a big library)
                 this.uploadedRoutes.forEach(route => {
                     this.selectedRoutes.add(route.id);
                 });
+                this.limitAutoSelection(this.uploadedRoutes);
                 console.log(`✅ Auto-selected ${this.selectedRoutes.size} routes for display`);
                 
                 // Notify that loading finished with existing routes
@@ -2384,14 +3298,19 @@ class FileUploadHandler {
         }
     }
 
-    // Save routes to storage (using unified storage manager interface)
-    async saveRoutesToStorage() {
+    // Save added or changed routes to storage (using unified storage manager interface). Pass only
+    // those routes: re-encoding the whole library on every change is slow once it holds hundreds.
+    async saveRoutesToStorage(routes) {
+        if (routes.length === 0) {
+            return;
+        }
+
         try {
             if (this.storageManager) {
-                await this.storageManager.saveRoutes(this.uploadedRoutes);
+                await this.storageManager.saveRoutes(routes);
                 
-                // Perform cleanup if storage gets too large
-                await this.storageManager.cleanupOldRoutes();
+                // Ask before freeing space if storage gets too large
+                await this.checkStorageSpace();
             } else {
                 console.warn('⚠️ No storage manager available, routes will not persist');
             }
@@ -2409,10 +3328,11 @@ class FileUploadHandler {
         if (this.mapViz.initializeMap(mapElement)) {
             // Auto-select all routes if none are selected (for initial load)
             if (this.selectedRoutes.size === 0 && this.uploadedRoutes.length > 0) {
-                console.log('🎯 Auto-selecting all routes for initial map display');
+                console.log('🎯 Auto-selecting routes for initial map display');
                 this.uploadedRoutes.forEach(route => {
                     this.selectedRoutes.add(route.id);
                 });
+                this.limitAutoSelection(this.uploadedRoutes);
             }
 
             // Map only shows original uploaded routes, never aggregated/coin routes
@@ -2486,40 +3406,477 @@ class FileUploadHandler {
                 this.viewer3D.clearAllRoutes();
             }
 
-            console.log('✅ 3D viewer refreshed successfully');
-        } catch (error) {
-            console.error('❌ Failed to refresh 3D viewer:', error);
+            console.log('✅ 3D viewer refreshed successfully');
+        } catch (error) {
+            console.error('❌ Failed to refresh 3D viewer:', error);
+        }
+    }
+
+    // Update the route list display
+    // Folder, tag and notes chips under a route or coin in the lists
+    renderLabelChips(item, { showFolder = true } = {}) {
+        const chips = [
+            ...(showFolder && item.folder ? [`<span class="label-chip label-chip-folder">📁 ${this.escapeXml(item.folder)}</span>`] : []),
+            ...(item.tags || []).map(tag => `<span class="label-chip">#${this.escapeXml(tag)}</span>`),
+            ...(item.notes ? [`<span class="label-chip label-chip-notes" title="${this.escapeXml(item.notes)}">📝 Notes</span>`] : [])
+        ];
+        return chips.length > 0 ? `<div class="item-labels">${chips.join('')}</div>` : '';
+    }
+
+    // Replace the selection with every route carrying a tag or in a folder ('tag:alps-2026' or
+    // 'folder:Alps'), so a coin can be built from "all routes tagged alps-2026"
+    async selectRoutesByLabel(label) {
+        if (!label || this.activeCoin) {
+            return;
+        }
+
+        const separator = label.indexOf(':');
+        const kind = label.slice(0, separator);
+        const value = label.slice(separator + 1);
+
+        let routeIds;
+        if (this.storageManager && typeof this.storageManager.getIdsByTag === 'function') {
+            try {
+                routeIds = kind === 'tag'
+                    ? await this.storageManager.getIdsByTag(value)
+                    : await this.storageManager.getIdsByFolder(value);
+            } catch (error) {
+                console.warn('⚠️ Tag lookup in storage failed, using loaded routes:', error);
+            }
+        }
+        // Labels edited moments ago may not be stored yet, so also check the loaded routes
+        const matchingIds = new Set(routeIds || []);
+        this.uploadedRoutes.forEach(route => {
+            if (kind === 'tag' ? (route.tags || []).includes(value) : route.folder === value) {
+                matchingIds.add(route.id);
+            }
+        });
+
+        this.selectedRoutes.clear();
+        this.uploadedRoutes.forEach(route => {
+            if (matchingIds.has(route.id)) {
+                this.selectedRoutes.add(route.id);
+            }
+        });
+        console.log(`🏷️ Selected ${this.selectedRoutes.size} routes with ${kind} "${value}"`);
+        this.notifyStateChange('selected-routes-changed', { reason: 'select-by-label', label });
+    }
+
+    async editRouteDetails(routeId) {
+        const route = this.uploadedRoutes.find(r => r.id === routeId);
+        if (!route) {
+            this.showNotification('Route not found', 'error');
+            return;
+        }
+
+        const details = await this.promptItemDetails(route.name || route.filename, route, this.uploadedRoutes);
+        if (!details) {
+            return;
+        }
+
+        Object.assign(route, details);
+
+        // Saved before the list refreshes, since tag and folder filters read the stored indices
+        try {
+            await this.storageManager?.saveRoute(route);
+        } catch (error) {
+            console.error('❌ Failed to save route details:', error);
+            this.showNotification('Details updated for this session, but saving failed.', 'warning');
+        }
+        this.updateRouteList();
+    }
+
+    async editCoinDetails(coinId) {
+        const coin = this.savedCoins.find(item => item.id === coinId);
+        if (!coin) {
+            this.showNotification('Saved coin not found.', 'error');
+            return;
+        }
+
+        const details = await this.promptItemDetails(coin.name || 'Untitled Coin', coin, this.savedCoins);
+        if (!details) {
+            return;
+        }
+
+        Object.assign(coin, details);
+        this.updateCoinList();
+
+        try {
+            await this.saveCoinToStorage(coin);
+        } catch (error) {
+            console.error('❌ Failed to save coin details:', error);
+            this.showNotification('Details updated for this session, but saving failed.', 'warning');
+        }
+    }
+
+    // Edit tags, folder and notes of a route or coin. Resolves with { tags, folder, notes }, or
+    // null if cancelled. Existing labels from the same list are offered as suggestions.
+    promptItemDetails(title, item, siblings = []) {
+        const { tags, folders } = collectLabels(siblings);
+        const modal = document.createElement('div');
+        modal.className = 'privacy-modal-overlay';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="privacy-modal" style="max-width: 480px;">
+                <div class="privacy-modal-header">
+                    <h2>🏷️ ${this.escapeXml(title)}</h2>
+                </div>
+                <div class="privacy-modal-content item-details-form">
+                    <label class="form-label">Tags <span class="form-label-unit">(comma separated)</span>
+                        <input type="text" class="form-input" data-field="tags" list="item-details-tags" value="${this.escapeXml((item.tags || []).join(', '))}" placeholder="alps-2026, commute">
+                    </label>
+                    <datalist id="item-details-tags">${tags.map(tag => `<option value="${this.escapeXml(tag)}">`).join('')}</datalist>
+                    <label class="form-label">Folder
+                        <input type="text" class="form-input" data-field="folder" list="item-details-folders" value="${this.escapeXml(item.folder || '')}" placeholder="No folder">
+                    </label>
+                    <datalist id="item-details-folders">${folders.map(folder => `<option value="${this.escapeXml(folder)}">`).join('')}</datalist>
+                    <label class="form-label">Notes
+                        <textarea class="form-input" data-field="notes" rows="4" maxlength="2000">${this.escapeXml(item.notes || '')}</textarea>
+                    </label>
+                </div>
+                <div class="privacy-modal-actions" style="gap: 0.5rem;">
+                    <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+                    <button type="button" class="btn btn-primary" data-action="save">Save</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        modal.querySelector('[data-field="tags"]').focus();
+
+        return new Promise(resolve => {
+            modal.querySelectorAll('button[data-action]').forEach(button => {
+                button.addEventListener('click', () => {
+                    const field = (name) => modal.querySelector(`[data-field="${name}"]`).value;
+                    const details = button.dataset.action === 'save'
+                        ? { tags: normalizeTags(field('tags')), folder: normalizeFolder(field('folder')), notes: field('notes').trim() }
+                        : null;
+                    modal.remove();
+                    resolve(details);
+                });
+            });
+        });
+    }
+
+    // Routes shown in the list: the loaded library filtered and sorted in memory. A tag, folder or
+    // distance filter first narrows it through the IndexedDB indices, reading index keys only
+    // (RouteStorageManager.queryRouteIds); routes not saved yet stay candidates.
+    async queryLibraryRoutes() {
+        const query = this.routeLibraryQuery;
+        const indexedIds = await this.storageManager?.queryRouteIds(query);
+        if (!indexedIds) {
+            return filterAndSortRoutes(this.uploadedRoutes, query);
+        }
+
+        const matchingIds = new Set(indexedIds);
+        const storedIds = new Set(await this.storageManager.getIds());
+        const candidates = this.uploadedRoutes.filter(route => matchingIds.has(route.id) || !storedIds.has(route.id));
+        return filterAndSortRoutes(candidates, query);
+    }
+
+    // Wire up the search box, filters and saved presets above the route list
+    setupRouteLibraryFilters() {
+        const container = document.getElementById('route-library-filters');
+        if (!container) {
+            return;
+        }
+
+        container.querySelectorAll('[data-filter]').forEach(input => {
+            if (input.dataset.filter === 'text') {
+                // Don't rebuild a 400-route list on every keystroke
+                input.addEventListener('input', () => {
+                    clearTimeout(this.routeLibrarySearchTimer);
+                    this.routeLibrarySearchTimer = setTimeout(() => this.onRouteLibraryFiltersChanged(), 200);
+                });
+            } else {
+                input.addEventListener('change', () => this.onRouteLibraryFiltersChanged());
+            }
+        });
+
+        const presetSelect = document.getElementById('route-filter-preset-select');
+        presetSelect?.addEventListener('change', () => {
+            const preset = loadFilterPresets().find(item => item.name === presetSelect.value);
+            document.getElementById('route-filter-delete-btn').disabled = !preset;
+            if (preset) {
+                this.routeLibraryQuery = { ...DEFAULT_ROUTE_QUERY, ...preset.query };
+                this.fillRouteLibraryFilters();
+                this.updateRouteList();
+            }
+        });
+
+        document.getElementById('route-filter-save-btn')?.addEventListener('click', () => {
+            const name = window.prompt('Name for this filter preset:', presetSelect?.value || '');
+            if (name === null) {
+                return;
+            }
+            try {
+                saveFilterPreset(name, this.routeLibraryQuery);
+                this.updateRouteFilterPresetOptions(name.trim());
+                this.showNotification(`💾 Saved filter preset "${name.trim()}"`, 'success');
+            } catch (error) {
+                this.showNotification(error.message, 'warning');
+            }
+        });
+
+        document.getElementById('route-filter-delete-btn')?.addEventListener('click', () => {
+            if (!presetSelect?.value) {
+                return;
+            }
+            deleteFilterPreset(presetSelect.value);
+            this.updateRouteFilterPresetOptions();
+        });
+
+        document.getElementById('route-filter-reset-btn')?.addEventListener('click', () => {
+            this.routeLibraryQuery = { ...DEFAULT_ROUTE_QUERY };
+            this.fillRouteLibraryFilters();
+            this.updateRouteFilterPresetOptions();
+            this.updateRouteList();
+        });
+
+        this.updateRouteFilterPresetOptions();
+        this.fillRouteLibraryFilters();
+    }
+
+    // Read the filter inputs into routeLibraryQuery (distances in km, elevation in metres)
+    onRouteLibraryFiltersChanged() {
+        const container = document.getElementById('route-library-filters');
+        if (!container) {
+            return;
+        }
+
+        const value = (name) => container.querySelector(`[data-filter="${name}"]`)?.value ?? '';
+        const number = (name, unitsPerBase) => {
+            const parsed = parseFloat(value(name));
+            return Number.isFinite(parsed) ? parsed / unitsPerBase : null;
+        };
+        const kmFactor = this.unitPreferences.convertDistance(1).value;
+        const meterFactor = this.unitPreferences.convertElevation(1).value;
+
+        this.routeLibraryQuery = {
+            ...this.routeLibraryQuery,
+            text: value('text').trim(),
+            dateFrom: value('dateFrom') || null,
+            dateTo: value('dateTo') || null,
+            sport: value('sport') || 'all',
+            source: value('source') || 'all',
+            tag: value('tag') && value('tag') !== 'all' ? value('tag') : null,
+            folder: value('folder') && value('folder') !== 'all' ? value('folder') : null,
+            groupByFolder: Boolean(container.querySelector('[data-filter="groupByFolder"]')?.checked),
+            minDistance: number('minDistance', kmFactor),
+            maxDistance: number('maxDistance', kmFactor),
+            minElevationGain: number('minElevationGain', meterFactor),
+            maxElevationGain: number('maxElevationGain', meterFactor)
+        };
+        this.updateRouteList();
+    }
+
+    // Show routeLibraryQuery in the filter inputs, in the current display units
+    fillRouteLibraryFilters() {
+        const container = document.getElementById('route-library-filters');
+        if (!container) {
+            return;
+        }
+
+        const query = this.routeLibraryQuery;
+        const kmFactor = this.unitPreferences.convertDistance(1).value;
+        const meterFactor = this.unitPreferences.convertElevation(1).value;
+        const display = (amount, factor, decimals) => (amount === null || amount === undefined ? '' : String(+(amount * factor).toFixed(decimals)));
+        const values = {
+            text: query.text || '',
+            dateFrom: query.dateFrom || '',
+            dateTo: query.dateTo || '',
+            sport: query.sport || 'all',
+            source: query.source || 'all',
+            tag: query.tag || 'all',
+            folder: query.folder || 'all',
+            minDistance: display(query.minDistance, kmFactor, 1),
+            maxDistance: display(query.maxDistance, kmFactor, 1),
+            minElevationGain: display(query.minElevationGain, meterFactor, 0),
+            maxElevationGain: display(query.maxElevationGain, meterFactor, 0)
+        };
+
+        // A preset may filter on a sport, tag or folder that isn't in the library right now
+        this.updateRouteLibraryFilterOptions();
+        container.querySelector('[data-filter="groupByFolder"]').checked = Boolean(query.groupByFolder);
+        Object.entries(values).forEach(([name, fieldValue]) => {
+            const input = container.querySelector(`[data-filter="${name}"]`);
+            if (input) {
+                input.value = fieldValue;
+            }
+        });
+
+        container.querySelector('[data-unit="distance"]').textContent = this.unitPreferences.convertDistance(0).unit;
+        container.querySelector('[data-unit="elevation"]').textContent = this.unitPreferences.convertElevation(0).unit;
+    }
+
+    // Offer the sports, tags and folders found in the library (plus any being filtered on)
+    updateRouteLibraryFilterOptions() {
+        const container = document.getElementById('route-library-filters');
+        if (!container) {
+            return;
+        }
+
+        const { tags, folders } = collectLabels(this.uploadedRoutes);
+        const sports = [...new Set(this.uploadedRoutes.map(getRouteSport).filter(Boolean))].sort();
+        const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+        this.fillFilterSelect(container.querySelector('[data-filter="sport"]'), sports, this.routeLibraryQuery.sport, 'All sports', capitalize);
+        this.fillFilterSelect(container.querySelector('[data-filter="tag"]'), tags, this.routeLibraryQuery.tag, 'All tags', tag => `#${tag}`);
+        this.fillFilterSelect(container.querySelector('[data-filter="folder"]'), folders, this.routeLibraryQuery.folder, 'All folders', folder => `📁 ${folder}`);
+    }
+
+    // Rebuild a filter <select> only when its options change, so an open dropdown isn't reset
+    fillFilterSelect(select, values, current, allLabel, formatLabel) {
+        if (!select) {
+            return;
+        }
+
+        const selected = current || 'all';
+        const options = ['all', ...values];
+        if (selected !== 'all' && !options.includes(selected)) {
+            options.push(selected);
+        }
+
+        const existing = [...select.options].map(option => option.value);
+        if (options.join('|') !== existing.join('|')) {
+            select.innerHTML = options.map(value => `
+                <option value="${this.escapeXml(value)}">${value === 'all' ? allLabel : this.escapeXml(formatLabel(value))}</option>
+            `).join('');
         }
+        select.value = selected;
     }
 
-    // Update the route list display
-    updateRouteList() {
+    updateRouteFilterPresetOptions(selectedName = '') {
+        const select = document.getElementById('route-filter-preset-select');
+        if (!select) {
+            return;
+        }
+
+        select.innerHTML = '<option value="">Saved filters…</option>' + loadFilterPresets().map(preset => `
+            <option value="${this.escapeXml(preset.name)}">${this.escapeXml(preset.name)}</option>
+        `).join('');
+        select.value = selectedName;
+        const deleteBtn = document.getElementById('route-filter-delete-btn');
+        if (deleteBtn) {
+            deleteBtn.disabled = !select.value;
+        }
+    }
+
+    // Sort the route list by a field; choosing the current field again flips the direction
+    sortRouteLibrary(field) {
+        const { sortBy, direction } = this.routeLibraryQuery;
+        const defaultDirection = field === ROUTE_SORT_FIELDS.NAME ? 'asc' : 'desc';
+        this.routeLibraryQuery = {
+            ...this.routeLibraryQuery,
+            sortBy: field,
+            direction: field === sortBy ? (direction === 'asc' ? 'desc' : 'asc') : defaultDirection
+        };
+        this.updateRouteList();
+    }
+
+    // Re-run the library query and redraw the list once it returns
+    async updateRouteList() {
         const routeListContainer = document.getElementById('route-list');
         if (!routeListContainer) return;
 
+        const requestId = ++this.routeListRequestId;
         if (this.uploadedRoutes.length === 0) {
+            this.visibleLibraryRoutes = [];
             routeListContainer.innerHTML = '<p class="empty-state">Upload GPX routes to get started</p>';
             return;
         }
 
+        this.updateRouteLibraryFilterOptions();
+
+        let visibleRoutes;
+        try {
+            visibleRoutes = await this.queryLibraryRoutes();
+        } catch (error) {
+            console.warn('⚠️ Route library query failed, filtering loaded routes instead:', error);
+            visibleRoutes = filterAndSortRoutes(this.uploadedRoutes, this.routeLibraryQuery);
+        }
+
+        // A newer update started while this query ran
+        if (requestId !== this.routeListRequestId) {
+            return;
+        }
+
+        this.renderRouteList(routeListContainer, visibleRoutes);
+    }
+
+    renderRouteList(routeListContainer, visibleRoutes) {
+        this.visibleLibraryRoutes = visibleRoutes;
+
         const selectionLocked = Boolean(this.activeCoin);
         const totalRoutes = this.uploadedRoutes.length;
         const selectedCount = this.selectedRoutes.size;
-        const allSelected = totalRoutes > 0 && selectedCount === totalRoutes;
+        const allSelected = visibleRoutes.length > 0 && visibleRoutes.every(route => this.selectedRoutes.has(route.id));
         const hasAnythingToClear = selectedCount > 0 || this.isShowingAggregated;
         const selectAllDisabledAttr = (selectionLocked || allSelected) ? 'disabled' : '';
         const selectNoneDisabledAttr = (selectionLocked || !hasAnythingToClear) ? 'disabled' : '';
+        const joinDisabledAttr = (selectionLocked || selectedCount < 2) ? 'disabled' : '';
+
+        const { tags: libraryTags, folders: libraryFolders } = collectLabels(this.uploadedRoutes);
+        const labelOptions = [
+            ...libraryTags.map(tag => `<option value="tag:${this.escapeXml(tag)}">#${this.escapeXml(tag)}</option>`),
+            ...libraryFolders.map(folder => `<option value="folder:${this.escapeXml(folder)}">📁 ${this.escapeXml(folder)}</option>`)
+        ].join('');
+        const labelSelect = labelOptions ? `
+                <select class="sidebar-select route-label-select" ${selectionLocked ? 'disabled' : ''}
+                    onchange="window.fileUploader.selectRoutesByLabel(this.value)"
+                    title="Show exactly the routes with a tag or in a folder, e.g. to build a coin from them">
+                    <option value="">Select by tag/folder…</option>
+                    ${labelOptions}
+                </select>` : '';
 
         const bulkControls = `
-            <div class="route-list-controls">
+            <div class="route-list-controls">${labelSelect}
+                <button type="button" class="btn btn-secondary" ${joinDisabledAttr}
+                    onclick="window.fileUploader.joinSelectedRoutes()"
+                    title="Stitch the selected routes into one real route, in time order">🧵 Join Selected</button>
                 <button type="button" class="btn btn-secondary" ${selectAllDisabledAttr}
-                    onclick="window.fileUploader.selectAllRoutes()">Select All</button>
+                    onclick="window.fileUploader.selectAllRoutes()"
+                    title="Select every route matching the current filters">Select All</button>
                 <button type="button" class="btn btn-secondary" ${selectNoneDisabledAttr}
                     onclick="window.fileUploader.selectNoRoutes()">Select None</button>
             </div>
         `;
 
-        const routeItems = this.uploadedRoutes.map((route, index) => {
+        const { sortBy, direction } = this.routeLibraryQuery;
+        const sortButtons = [
+            [ROUTE_SORT_FIELDS.DATE, 'Date'],
+            [ROUTE_SORT_FIELDS.NAME, 'Name'],
+            [ROUTE_SORT_FIELDS.DISTANCE, 'Distance'],
+            [ROUTE_SORT_FIELDS.ELEVATION_GAIN, 'Climb'],
+            [ROUTE_SORT_FIELDS.DURATION, 'Time'],
+            [ROUTE_SORT_FIELDS.ADDED, 'Added']
+        ].map(([field, label]) => {
+            const isActive = field === sortBy;
+            const arrow = isActive ? (direction === 'asc' ? ' ▲' : ' ▼') : '';
+            return `<button type="button" class="route-sort-btn${isActive ? ' active' : ''}"
+                onclick="window.fileUploader.sortRouteLibrary('${field}')">${label}${arrow}</button>`;
+        }).join('');
+        const sortBar = `
+            <div class="route-list-sort">
+                <span>Sort:</span>${sortButtons}
+                <span class="route-list-count">${visibleRoutes.length === totalRoutes ? `${totalRoutes} routes` : `${visibleRoutes.length} of ${totalRoutes} routes`}</span>
+            </div>
+        `;
+
+        if (visibleRoutes.length === 0) {
+            routeListContainer.innerHTML = bulkControls + sortBar + '<p class="empty-state">No routes match these filters</p>';
+            return;
+        }
+
+        // Grouping keeps the chosen sort within each folder; unfiled routes come last
+        const listedRoutes = this.routeLibraryQuery.groupByFolder
+            ? [...visibleRoutes].sort((a, b) => (!a.folder - !b.folder) || (a.folder || '').localeCompare(b.folder || ''))
+            : visibleRoutes;
+
+        const routeItems = listedRoutes.map((route, index) => {
+            const previousFolder = index > 0 ? (listedRoutes[index - 1].folder || null) : undefined;
+            const folderHeader = this.routeLibraryQuery.groupByFolder && (route.folder || null) !== previousFolder
+                ? `<div class="route-folder-header">${route.folder ? `📁 ${this.escapeXml(route.folder)}` : 'Not in a folder'}</div>`
+                : '';
             const isSelected = this.selectedRoutes.has(route.id);
             const classes = ['route-list-item', isSelected ? 'selected' : 'unselected'];
             if (selectionLocked) {
@@ -2529,10 +3886,14 @@ class FileUploadHandler {
             const distanceDisplay = this.formatDistance(route.distance);
             const elevationDisplay = this.formatElevation(route.elevationGain);
             const durationDisplay = route.duration ? this.formatDuration(route.duration) : 'Unknown';
+            const cleaning = route.metadata?.cleaning;
+            const cleaningDisplay = cleaning?.pointsRemoved > 0
+                ? `<span title="GPS cleaning: ${cleaning.outliersRemoved} spikes and ${cleaning.stationaryPointsRemoved} stationary points removed (${cleaning.originalPointCount} → ${cleaning.pointCount})">🧹 −${cleaning.pointsRemoved} pts</span>`
+                : '';
             const color = this.mapViz?.routeLayers?.find(layer => layer.id === route.id)?.color || '#2563eb';
             const disabledAttr = selectionLocked ? 'disabled' : '';
 
-            return `
+            return `${folderHeader}
                 <div class="${classes.join(' ')}" data-route-id="${route.id}">
                     <div class="route-item-checkbox">
                         <input type="checkbox" ${disabledAttr} id="route-checkbox-${route.id}" ${isSelected ? 'checked' : ''}
@@ -2544,12 +3905,20 @@ class FileUploadHandler {
                             <span>📏 ${distanceDisplay}</span>
                             <span>⛰️ ${elevationDisplay}</span>
                             <span>⏱️ ${durationDisplay}</span>
+                            ${cleaningDisplay}
+                            ${route.pinned ? '<span title="Pinned: never removed to free space">📌</span>' : ''}
                         </div>
+                        ${this.renderLabelChips(route, { showFolder: !this.routeLibraryQuery.groupByFolder })}
                     </div>
                     <div class="route-item-color" style="background-color: ${color}"></div>
                     <div class="route-item-actions">
                         <button class="route-action-btn" onclick="window.fileUploader.downloadRoute('${route.id}')" title="Download GPX">💾</button>
+                        <button class="route-action-btn" onclick="window.fileUploader.downloadRoute('${route.id}', 'geojson')" title="Download GeoJSON">🌐</button>
+                        <button class="route-action-btn" onclick="window.fileUploader.downloadRoute('${route.id}', 'kml')" title="Download KML">🌍</button>
                         <button class="route-action-btn" onclick="window.fileUploader.downloadRouteSTL('${route.id}')" title="Download 3D Printable STL">🖨️</button>
+                        <button class="route-action-btn" onclick="window.fileUploader.correctRouteElevation('${route.id}')" title="Correct Elevation from DEM">🗻</button>
+                        <button class="route-action-btn" onclick="window.fileUploader.editRoute('${route.id}')" title="Trim, Split or Crop">✂️</button>
+                        <button class="route-action-btn" onclick="window.fileUploader.editRouteDetails('${route.id}')" title="Tags, Folder & Notes">🏷️</button>
                         <button class="route-action-btn" onclick="window.fileUploader.zoomToRoute('${route.id}')" title="Zoom to Route">🔍</button>
                         <button class="route-action-btn" onclick="window.fileUploader.removeRouteById('${route.id}')" title="Remove Route">🗑️</button>
                     </div>
@@ -2557,7 +3926,7 @@ class FileUploadHandler {
             `;
         }).join('');
 
-        routeListContainer.innerHTML = bulkControls + routeItems;
+        routeListContainer.innerHTML = bulkControls + sortBar + routeItems;
 
         if (this.pendingRouteScrollId) {
             this.scrollListItemIntoView('route-list', `[data-route-id="${this.pendingRouteScrollId}"]`);
@@ -2572,7 +3941,8 @@ class FileUploadHandler {
 
         const previousSize = this.selectedRoutes.size;
 
-        this.uploadedRoutes.forEach(route => {
+        // Only the routes the current search and filters show
+        this.visibleLibraryRoutes.forEach(route => {
             this.selectedRoutes.add(route.id);
         });
 
@@ -2651,10 +4021,14 @@ class FileUploadHandler {
                             <span>📏 ${distanceDisplay}</span>
                             <span>⛰️ ${elevationDisplay}</span>
                         </div>
+                        ${this.renderLabelChips(coin)}
                     </div>
                     <div class="coin-item-actions">
                         <button class="coin-action-btn" title="Download Coin GPX" onclick="event.stopPropagation(); window.fileUploader.downloadSavedCoin('${coin.id}')">⬇️</button>
+                        <button class="coin-action-btn" title="Download Coin GeoJSON" onclick="event.stopPropagation(); window.fileUploader.downloadSavedCoin('${coin.id}', 'geojson')">🌐</button>
+                        <button class="coin-action-btn" title="Download Coin KML" onclick="event.stopPropagation(); window.fileUploader.downloadSavedCoin('${coin.id}', 'kml')">🌍</button>
                         <button class="coin-action-btn" title="Download Coin STL" onclick="event.stopPropagation(); window.fileUploader.downloadCoinSTL('${coin.id}')">🖨️</button>
+                        <button class="coin-action-btn" title="Tags, Folder & Notes" onclick="event.stopPropagation(); window.fileUploader.editCoinDetails('${coin.id}')">🏷️</button>
                         <button class="coin-action-btn" title="Delete Coin" onclick="event.stopPropagation(); window.fileUploader.deleteSavedCoin('${coin.id}')">🗑️</button>
                     </div>
                 </div>
@@ -2743,7 +4117,7 @@ class FileUploadHandler {
         this.showNotification(`🗑️ Deleted coin "${coin.name}"`, 'info');
     }
 
-    downloadSavedCoin(coinId) {
+    downloadSavedCoin(coinId, format = 'gpx') {
         const coin = this.savedCoins.find(item => item.id === coinId);
         if (!coin) {
             this.showNotification('Saved coin not found.', 'error');
@@ -2753,10 +4127,14 @@ class FileUploadHandler {
         try {
             const rawName = coin.name || 'coin';
             const filenameBase = rawName.replace(/[^a-z0-9\-_. ]/gi, '_').trim() || 'coin';
-            const filename = `${filenameBase}.gpx`;
-            const routeForDownload = this.cloneRouteData(coin.route);
-            const gpxContent = this.generateGPXContent(routeForDownload);
-            this.downloadFile(gpxContent, filename, 'application/gpx+xml');
+            const { extension, mimeType } = this.getRouteExportFormat(format);
+            const filename = `${filenameBase}.${extension}`;
+            const routeForDownload = this.prepareRouteForExport(this.cloneRouteData(coin.route));
+            if (!routeForDownload) {
+                return;
+            }
+            const content = this.generateRouteContent(routeForDownload, format);
+            this.downloadFile(content, filename, mimeType);
             this.showNotification(`📥 Downloaded coin "${rawName}"`, 'success');
         } catch (error) {
             console.error('❌ Failed to download coin:', error);
@@ -2809,18 +4187,19 @@ class FileUploadHandler {
     }
 
     // Download a route as GPX file
-    downloadRoute(routeId) {
+    downloadRoute(routeId, format = 'gpx') {
+        const { extension, mimeType } = this.getRouteExportFormat(format);
         let routeToDownload = null;
-        let filename = 'route.gpx';
+        let filename = `route.${extension}`;
 
         // Find the route to download (could be aggregated or individual)
         if (routeId === this.aggregatedRoute?.id) {
             routeToDownload = this.aggregatedRoute;
-            filename = `${this.aggregatedRoute.filename.replace(/[_.]gpx$/i, '').replace(/[^a-z0-9]/gi, '_')}.gpx`;
+            filename = `${this.aggregatedRoute.filename.replace(/\.[^.]+$/, '').replace(/[^a-z0-9]/gi, '_')}.${extension}`;
         } else {
             routeToDownload = this.uploadedRoutes.find(route => route.id === routeId);
             if (routeToDownload) {
-                filename = `${routeToDownload.filename.replace(/[_.]gpx$/i, '').replace(/[^a-z0-9]/gi, '_')}.gpx`;
+                filename = `${routeToDownload.filename.replace(/\.[^.]+$/, '').replace(/[^a-z0-9]/gi, '_')}.${extension}`;
             }
         }
 
@@ -2828,7 +4207,7 @@ class FileUploadHandler {
             const coinMatch = this.savedCoins.find(coin => coin.route?.id === routeId);
             if (coinMatch) {
                 routeToDownload = coinMatch.route;
-                filename = `${coinMatch.name.replace(/[_.]gpx$/i, '').replace(/[^a-z0-9\-_. ]/gi, '_').trim() || 'coin'}.gpx`;
+                filename = `${coinMatch.name.replace(/\.[^.]+$/, '').replace(/[^a-z0-9\-_. ]/gi, '_').trim() || 'coin'}.${extension}`;
             }
         }
 
@@ -2838,11 +4217,15 @@ class FileUploadHandler {
         }
 
         try {
-            // Generate GPX content
-            const gpxContent = this.generateGPXContent(routeToDownload);
+            // Generate file content in the requested format, without anything inside privacy zones
+            const exportRoute = this.prepareRouteForExport(routeToDownload);
+            if (!exportRoute) {
+                return;
+            }
+            const content = this.generateRouteContent(exportRoute, format);
             
             // Create download
-            this.downloadFile(gpxContent, filename, 'application/gpx+xml');
+            this.downloadFile(content, filename, mimeType);
             
             console.log(`📥 Downloaded route: ${filename}`);
             this.showNotification(`📥 Downloaded: ${filename}`, 'success');
@@ -2852,6 +4235,586 @@ class FileUploadHandler {
         }
     }
 
+    // File extension and MIME type for each route export format
+    getRouteExportFormat(format) {
+        const formats = {
+            gpx: { extension: 'gpx', mimeType: 'application/gpx+xml' },
+            geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+            kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+        };
+
+        if (!formats[format]) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+        return formats[format];
+    }
+
+    // Strip points inside the user's privacy zones from a route that is about to leave the app.
+    // Route and coin downloads and shares go through here; the library backup does not (it stays
+    // lossless and says so in its dialog). Returns null if nothing is left to export.
+    prepareRouteForExport(route) {
+        const privateRoute = this.routeManipulator.applyPrivacyZones(route, this.privacyZones.getZones());
+        if (privateRoute.points.length < 2) {
+            this.showNotification('🛡️ This route lies entirely inside your privacy zones, so there is nothing to export.', 'warning');
+            return null;
+        }
+        return privateRoute;
+    }
+
+    // Open the privacy zone manager: list, add (by coordinates or by clicking the map) and remove zones
+    openPrivacyZones() {
+        document.getElementById('privacy-zones-modal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'privacy-zones-modal';
+        modal.className = 'privacy-modal-overlay';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="privacy-modal" style="max-width: 560px;">
+                <div class="privacy-modal-header">
+                    <h2>🛡️ Privacy Zones</h2>
+                    <button type="button" class="modal-close" data-action="close" aria-label="Close">&times;</button>
+                </div>
+                <div class="privacy-modal-content">
+                    <p>Points within a zone (e.g. around your home) are removed from every GPX, GeoJSON, KML and STL download.
+                        Zones are stored in this browser only. Library backups keep the full tracks.</p>
+                    <ul class="privacy-zone-list"></ul>
+                    <div class="privacy-zone-form">
+                        <input type="text" class="form-input" data-field="name" placeholder="Name (e.g. Home)" maxlength="40">
+                        <input type="text" class="form-input" data-field="coordinates" placeholder="Latitude, longitude">
+                        <label class="form-label">Radius (m)
+                            <input type="number" class="form-input form-input-compact" data-field="radius"
+                                min="${MIN_ZONE_RADIUS_METERS}" max="${MAX_ZONE_RADIUS_METERS}" step="100" value="${DEFAULT_ZONE_RADIUS_METERS}">
+                        </label>
+                        <div class="privacy-zone-form-actions">
+                            <button type="button" class="btn btn-secondary" data-action="pick">📍 Pick on map</button>
+                            <button type="button" class="btn btn-primary" data-action="add">Add Zone</button>
+                        </div>
+                    </div>
+                    <label class="privacy-zone-hide">
+                        <input type="checkbox" data-field="hide-on-map" ${this.privacyZones.hideOnMap ? 'checked' : ''}>
+                        Also hide these areas on the map
+                    </label>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const field = (name) => modal.querySelector(`[data-field="${name}"]`);
+        this.renderPrivacyZoneList(modal);
+
+        modal.addEventListener('click', async (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (event.target === modal || button?.dataset.action === 'close') {
+                modal.remove();
+                return;
+            }
+            if (!button) {
+                return;
+            }
+
+            if (button.dataset.action === 'remove') {
+                this.privacyZones.removeZone(button.dataset.zoneId);
+                this.renderPrivacyZoneList(modal);
+            } else if (button.dataset.action === 'pick') {
+                // Get the modal out of the way until the user clicks the map
+                modal.style.display = 'none';
+                if (this.currentViewMode !== 'map') {
+                    await this.switchViewMode('map');
+                }
+                this.showNotification('📍 Click the map to place the privacy zone', 'info');
+                const location = await this.mapViz.pickLocation();
+                modal.style.display = 'flex';
+                if (location) {
+                    field('coordinates').value = `${location.lat.toFixed(5)}, ${location.lon.toFixed(5)}`;
+                }
+            } else if (button.dataset.action === 'add') {
+                const [lat, lon] = field('coordinates').value.split(',').map(value => parseFloat(value));
+                try {
+                    const zone = this.privacyZones.addZone({
+                        name: field('name').value,
+                        lat,
+                        lon,
+                        radius: parseFloat(field('radius').value)
+                    });
+                    field('name').value = '';
+                    field('coordinates').value = '';
+                    this.renderPrivacyZoneList(modal);
+                    this.showNotification(`🛡️ Added privacy zone "${zone.name}"`, 'success');
+                } catch (error) {
+                    this.showNotification(error.message, 'warning');
+                }
+            }
+        });
+
+        field('hide-on-map').addEventListener('change', (event) => {
+            this.privacyZones.setHideOnMap(event.target.checked);
+        });
+    }
+
+    renderPrivacyZoneList(modal) {
+        const list = modal.querySelector('.privacy-zone-list');
+        const zones = this.privacyZones.getZones();
+        if (zones.length === 0) {
+            list.innerHTML = '<li class="privacy-zone-empty">No privacy zones yet.</li>';
+            return;
+        }
+
+        list.innerHTML = zones.map(zone => `
+            <li class="privacy-zone-item">
+                <span><strong>${this.escapeXml(zone.name)}</strong> · ${this.formatElevation(zone.radius)} radius</span>
+                <button type="button" class="route-action-btn" data-action="remove" data-zone-id="${zone.id}" title="Remove zone">🗑️</button>
+            </li>
+        `).join('');
+    }
+
+    // Open the backup dialog: download the whole library or restore it from a backup file
+    openLibraryBackup() {
+        document.getElementById('library-backup-modal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'library-backup-modal';
+        modal.className = 'privacy-modal-overlay';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="privacy-modal" style="max-width: 560px;">
+                <div class="privacy-modal-header">
+                    <h2>🗄️ Library Backup</h2>
+                    <button type="button" class="modal-close" data-action="close" aria-label="Close">&times;</button>
+                </div>
+                <div class="privacy-modal-content">
+                    <p>Save all ${this.uploadedRoutes.length} routes and ${this.savedCoins.length} coins in this browser to one file,
+                        or restore a backup here. Restoring merges into the library: nothing already here is deleted.</p>
+                    <p>🛡️ The backup keeps every route exactly as stored: privacy zones are not applied, so keep the file private.</p>
+                    <div class="library-backup-progress" hidden>
+                        <progress max="1" value="0"></progress>
+                        <span class="library-backup-status"></span>
+                    </div>
+                    <div class="library-backup-report"></div>
+                    <input type="file" data-field="backup-file" accept=".json,.gz,application/json,application/gzip" hidden>
+                </div>
+                <div class="privacy-modal-actions" style="gap: 0.5rem;">
+                    <button type="button" class="btn btn-secondary" data-action="restore">📥 Restore Backup…</button>
+                    <button type="button" class="btn btn-primary" data-action="backup">💾 Download Backup</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const fileInput = modal.querySelector('[data-field="backup-file"]');
+        let busy = false;
+
+        const run = async (task) => {
+            busy = true;
+            modal.querySelectorAll('button[data-action]').forEach(button => {
+                button.disabled = button.dataset.action !== 'close';
+            });
+            try {
+                await task();
+            } finally {
+                busy = false;
+                modal.querySelectorAll('button[data-action]').forEach(button => {
+                    button.disabled = false;
+                });
+            }
+        };
+
+        modal.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if ((event.target === modal || button?.dataset.action === 'close') && !busy) {
+                modal.remove();
+                return;
+            }
+            if (button?.dataset.action === 'backup') {
+                run(() => this.backupLibrary(modal));
+            } else if (button?.dataset.action === 'restore') {
+                fileInput.click();
+            }
+        });
+
+        fileInput.addEventListener('change', () => {
+            const [file] = fileInput.files;
+            fileInput.value = '';
+            if (file) {
+                run(() => this.restoreLibrary(file, modal));
+            }
+        });
+    }
+
+    // Progress callback for LibraryBackup that drives the dialog's progress bar
+    libraryBackupProgress(modal) {
+        const container = modal.querySelector('.library-backup-progress');
+        const bar = container.querySelector('progress');
+        const status = container.querySelector('.library-backup-status');
+        const labels = { reading: 'Reading library', checking: 'Checking backup', saving: 'Saving' };
+        container.hidden = false;
+
+        return ({ phase, done, total }) => {
+            bar.value = total > 0 ? done / total : 1;
+            status.textContent = `${labels[phase] || phase}… ${done}/${total}`;
+        };
+    }
+
+    async backupLibrary(modal) {
+        if (!this.storageManager) {
+            this.showNotification('Storage is not available in this browser', 'error');
+            return;
+        }
+
+        try {
+            const libraryBackup = new LibraryBackup(this.storageManager, { duplicateDetector: this.duplicateDetector });
+            const blob = await libraryBackup.exportBackup({ onProgress: this.libraryBackupProgress(modal) });
+            this.downloadFile(blob, libraryBackup.generateFilename(), blob.type || 'application/json');
+            modal.querySelector('.library-backup-status').textContent = 'Backup downloaded';
+            this.showNotification('💾 Library backup downloaded', 'success');
+        } catch (error) {
+            console.error('❌ Library backup failed:', error);
+            this.showNotification(`Backup failed: ${error.message}`, 'error');
+        }
+    }
+
+    async restoreLibrary(file, modal) {
+        if (!this.storageManager) {
+            this.showNotification('Storage is not available in this browser', 'error');
+            return;
+        }
+
+        const libraryBackup = new LibraryBackup(this.storageManager, { duplicateDetector: this.duplicateDetector });
+        let report;
+        try {
+            const backup = await libraryBackup.readBackupFile(file);
+            report = await libraryBackup.restoreBackup(backup, { onProgress: this.libraryBackupProgress(modal) });
+        } catch (error) {
+            console.error('❌ Library restore failed:', error);
+            modal.querySelector('.library-backup-status').textContent = '';
+            this.showNotification(`Restore failed: ${error.message}`, 'error');
+            return;
+        }
+
+        modal.querySelector('.library-backup-status').textContent = 'Restore complete';
+        this.renderLibraryRestoreReport(modal, report);
+
+        // Pick up the restored routes and coins
+        await this.loadStoredRoutes();
+        await this.loadStoredCoins();
+        if (this.uploadedRoutes.length > 0) {
+            this.notifyStateChange('selected-routes-changed', { reason: 'library-restored' });
+        }
+
+        const added = report.routes.added + report.coins.added;
+        this.showNotification(`📥 Restored ${added} item${added === 1 ? '' : 's'} from backup`, 'success');
+    }
+
+    renderLibraryRestoreReport(modal, report) {
+        const { routes, coins, conflicts, invalid } = report;
+        const listItems = (items, describe) => items.map(item => `<li>${describe(item)}</li>`).join('');
+
+        modal.querySelector('.library-backup-report').innerHTML = `
+            <p><strong>Routes:</strong> ${routes.added} added, ${routes.merged} merged, ${routes.unchanged} already here,
+                ${routes.duplicates} duplicate${routes.duplicates === 1 ? '' : 's'} skipped<br>
+                <strong>Coins:</strong> ${coins.added} added, ${coins.merged} merged, ${coins.unchanged} already here</p>
+            ${conflicts.length > 0 ? `
+                <details>
+                    <summary>${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'}</summary>
+                    <ul class="library-backup-list">${listItems(conflicts, conflict =>
+                        `${this.escapeXml(conflict.name || conflict.id)}: ${this.escapeXml(conflict.resolution)}`)}</ul>
+                </details>` : ''}
+            ${invalid.length > 0 ? `
+                <details>
+                    <summary>${invalid.length} invalid record${invalid.length === 1 ? '' : 's'} not restored</summary>
+                    <ul class="library-backup-list">${listItems(invalid, record =>
+                        `${this.escapeXml(record.name || record.id || `Unnamed ${record.type}`)}: ${this.escapeXml(record.reason)}`)}</ul>
+                </details>` : ''}
+        `;
+    }
+
+    // Storage panel: size of every route and coin, the browser quota, pinning and freeing space
+    openStoragePanel() {
+        if (!this.storageManager) {
+            this.showNotification('Storage is not available in this browser', 'error');
+            return;
+        }
+
+        document.getElementById('storage-panel-modal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'storage-panel-modal';
+        modal.className = 'privacy-modal-overlay';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="privacy-modal" style="max-width: 640px;">
+                <div class="privacy-modal-header">
+                    <h2>💽 Storage</h2>
+                    <button type="button" class="modal-close" data-action="close" aria-label="Close">&times;</button>
+                </div>
+                <div class="privacy-modal-content">
+                    <div class="storage-panel-body"><p>Measuring storage…</p></div>
+                </div>
+                <div class="privacy-modal-actions" style="gap: 0.5rem;">
+                    <button type="button" class="btn btn-secondary" data-action="free-space">🧹 Free Up Space…</button>
+                    <button type="button" class="btn btn-primary" data-action="close">Done</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        modal.addEventListener('click', async (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (event.target === modal || button?.dataset.action === 'close') {
+                modal.remove();
+                return;
+            }
+            if (!button) {
+                return;
+            }
+
+            const { action, id } = button.dataset;
+            if (action === 'pin') {
+                await this.toggleRoutePinned(id);
+            } else if (action === 'remove-route') {
+                const route = this.uploadedRoutes.find(item => item.id === id);
+                if (!window.confirm(`Delete route "${route?.filename || id}"? This cannot be undone.`)) {
+                    return;
+                }
+                await this.removeRouteById(id);
+            } else if (action === 'remove-coin') {
+                await this.deleteSavedCoin(id);
+            } else if (action === 'free-space') {
+                await this.checkStorageSpace({ force: true });
+            }
+            this.renderStoragePanel(modal);
+        });
+
+        this.renderStoragePanel(modal);
+    }
+
+    async renderStoragePanel(modal) {
+        const body = modal.querySelector('.storage-panel-body');
+        let usage;
+        try {
+            usage = await this.storageManager.getStorageUsage();
+        } catch (error) {
+            console.error('❌ Failed to measure storage:', error);
+            body.innerHTML = '<p>Unable to measure storage.</p>';
+            return;
+        }
+
+        const { routes, coins, routeBytes, coinBytes, limitBytes, browser } = usage;
+        const formatDate = (time) => (time ? new Date(time).toLocaleDateString() : '—');
+        const routeRows = [...routes].sort((a, b) => b.bytes - a.bytes).map(route => `
+            <tr>
+                <td title="${this.escapeXml(route.name || route.id)}">${this.escapeXml(this.truncateFilename(route.name || route.id))}${route.compacted ? ' <span title="Compacted to save space">🗜️</span>' : ''}</td>
+                <td>${formatDate(route.uploadTime)}</td>
+                <td class="storage-size">${this.formatBytes(route.bytes)}</td>
+                <td class="storage-actions">
+                    <button type="button" class="route-action-btn${route.pinned ? ' is-pinned' : ''}" data-action="pin" data-id="${route.id}"
+                        title="${route.pinned ? 'Unpin (may be removed to free space)' : 'Pin (never removed to free space)'}">📌</button>
+                    <button type="button" class="route-action-btn" data-action="remove-route" data-id="${route.id}" title="Delete route">🗑️</button>
+                </td>
+            </tr>
+        `).join('');
+        const coinRows = [...coins].sort((a, b) => b.bytes - a.bytes).map(coin => `
+            <tr>
+                <td>${this.escapeXml(coin.name || coin.id)}</td>
+                <td></td>
+                <td class="storage-size">${this.formatBytes(coin.bytes)}</td>
+                <td class="storage-actions">
+                    <button type="button" class="route-action-btn" data-action="remove-coin" data-id="${coin.id}" title="Delete coin">🗑️</button>
+                </td>
+            </tr>
+        `).join('');
+
+        body.innerHTML = `
+            <div class="storage-summary">
+                <label>Routes: ${this.formatBytes(routeBytes)} of ${this.formatBytes(limitBytes)}
+                    <progress max="${limitBytes}" value="${Math.min(routeBytes, limitBytes)}"></progress>
+                </label>
+                ${browser ? `
+                    <label>Browser storage for this site: ${this.formatBytes(browser.usage)} of ${this.formatBytes(browser.quota)}
+                        <progress max="${browser.quota}" value="${browser.usage}"></progress>
+                    </label>` : ''}
+                <p>Coins: ${this.formatBytes(coinBytes)}. Pinned routes (📌) are never removed to free space; you are always asked before anything is.</p>
+            </div>
+            <table class="storage-table">
+                <thead><tr><th>Route</th><th>Added</th><th>Size</th><th></th></tr></thead>
+                <tbody>${routeRows || '<tr><td colspan="4">No saved routes.</td></tr>'}</tbody>
+            </table>
+            ${coins.length > 0 ? `
+                <table class="storage-table">
+                    <thead><tr><th>Coin</th><th></th><th>Size</th><th></th></tr></thead>
+                    <tbody>${coinRows}</tbody>
+                </table>` : ''}
+        `;
+    }
+
+    // Pin through storage by ID: the storage panel lists stored routes that may not be loaded
+    async toggleRoutePinned(routeId) {
+        const route = this.uploadedRoutes.find(r => r.id === routeId);
+
+        let pinned = null;
+        try {
+            pinned = await this.storageManager?.toggleRoutePinned(routeId) ?? null;
+        } catch (error) {
+            console.error('❌ Failed to save pinned state:', error);
+            this.showNotification('Could not update the pin, saving failed.', 'error');
+            return;
+        }
+
+        if (!route) {
+            if (pinned === null) {
+                this.showNotification('Route not found', 'error');
+            }
+            return;
+        }
+
+        // Routes not saved yet keep the flag on the loaded copy, which is saved with it
+        route.pinned = pinned ?? !route.pinned;
+        this.updateRouteList();
+    }
+
+    // When the library is over its size limit (or the browser quota is nearly full), show what
+    // could be compacted or removed and let the user decide. After "Not now", later saves only
+    // show a reminder notification.
+    async checkStorageSpace({ force = false } = {}) {
+        if (!this.storageManager || (!force && document.getElementById('storage-cleanup-modal'))) {
+            return;
+        }
+
+        let plan;
+        try {
+            plan = await this.storageManager.planCleanup();
+        } catch (error) {
+            console.error('❌ Failed to check storage space:', error);
+            return;
+        }
+
+        if (!plan.needed) {
+            if (force) {
+                this.showNotification('Storage is within its limit; nothing needs to be removed.', 'info');
+            }
+            return;
+        }
+        if (this.storageCleanupDismissed && !force) {
+            this.showNotification('Storage is nearly full. Open 💽 Storage to free up space.', 'warning');
+            return;
+        }
+
+        this.reviewStorageCleanup(plan);
+    }
+
+    reviewStorageCleanup(plan) {
+        document.getElementById('storage-cleanup-modal')?.remove();
+
+        const itemRow = (item, kind) => `
+            <li>
+                <label>
+                    <input type="checkbox" data-kind="${kind}" value="${item.id}" checked>
+                    ${this.escapeXml(item.name || item.id)}
+                    <span class="storage-size">${kind === 'compact'
+                        ? `${this.formatBytes(item.bytes)} → ${this.formatBytes(item.compactedBytes)}`
+                        : this.formatBytes(item.bytes)}</span>
+                </label>
+            </li>
+        `;
+
+        const modal = document.createElement('div');
+        modal.id = 'storage-cleanup-modal';
+        modal.className = 'privacy-modal-overlay';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="privacy-modal" style="max-width: 560px;">
+                <div class="privacy-modal-header">
+                    <h2>🧹 Free Up Space</h2>
+                    <button type="button" class="modal-close" data-action="dismiss" aria-label="Close">&times;</button>
+                </div>
+                <div class="privacy-modal-content">
+                    <p>Your saved routes use ${this.formatBytes(plan.totalBytes)}, more than the ${this.formatBytes(plan.targetBytes)} available.
+                        These changes would free about ${this.formatBytes(plan.freedBytes)}. Untick anything you want to keep as it is,
+                        or pin it in the storage panel.</p>
+                    ${plan.fits ? '' : '<p class="storage-warning">Even with these changes the library stays over the limit: pinned routes and coins take the rest.</p>'}
+                    ${plan.compact.length > 0 ? `
+                        <h3>Simplify (keeps the shape, drops redundant points)</h3>
+                        <ul class="storage-cleanup-list">${plan.compact.map(item => itemRow(item, 'compact')).join('')}</ul>` : ''}
+                    ${plan.remove.length > 0 ? `
+                        <h3>Delete (oldest first)</h3>
+                        <ul class="storage-cleanup-list">${plan.remove.map(item => itemRow(item, 'remove')).join('')}</ul>` : ''}
+                </div>
+                <div class="privacy-modal-actions" style="gap: 0.5rem;">
+                    <button type="button" class="btn btn-secondary" data-action="dismiss">Not Now</button>
+                    <button type="button" class="btn btn-primary" data-action="apply">Free Space</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        modal.addEventListener('click', async (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (event.target === modal || button?.dataset.action === 'dismiss') {
+                this.storageCleanupDismissed = true;
+                modal.remove();
+                return;
+            }
+            if (button?.dataset.action !== 'apply') {
+                return;
+            }
+
+            const checked = (kind) => [...modal.querySelectorAll(`input[data-kind="${kind}"]:checked`)].map(input => input.value);
+            modal.remove();
+            await this.applyStorageCleanup(plan, { compactIds: checked('compact'), removeIds: checked('remove') });
+        });
+    }
+
+    async applyStorageCleanup(plan, selection) {
+        let result;
+        try {
+            result = await this.storageManager.applyCleanup(plan, selection);
+        } catch (error) {
+            console.error('❌ Failed to free storage space:', error);
+            this.showNotification(`Could not free space: ${error.message}`, 'error');
+            return;
+        }
+
+        // Keep compacted copies in memory so the next save doesn't restore the full points
+        const compactedById = new Map(result.compacted.map(route => [route.id, route]));
+        const removed = new Set(result.removed);
+        this.uploadedRoutes = this.uploadedRoutes
+            .filter(route => !removed.has(route.id))
+            .map(route => compactedById.get(route.id) || route);
+        removed.forEach(routeId => this.selectedRoutes.delete(routeId));
+        this.storageCleanupDismissed = false;
+
+        if (removed.size > 0) {
+            this.notifyStateChange('selected-routes-changed', { reason: 'storage-cleanup' });
+        } else {
+            this.updateRouteList();
+        }
+
+        const storagePanel = document.getElementById('storage-panel-modal');
+        if (storagePanel) {
+            this.renderStoragePanel(storagePanel);
+        }
+        this.showNotification(`🧹 Simplified ${result.compacted.length} and deleted ${removed.size} route${removed.size === 1 ? '' : 's'}`, 'success');
+    }
+
+    formatBytes(bytes) {
+        if (!Number.isFinite(bytes)) return '—';
+        if (bytes < 1024) return `${Math.round(bytes)} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+    }
+
+    // Generate route file content in the requested export format
+    generateRouteContent(route, format = 'gpx') {
+        if (format === 'geojson') {
+            return this.geoJSONParser.generateGeoJSON(route);
+        }
+        if (format === 'kml') {
+            return this.kmlParser.generateKML(route);
+        }
+        return this.generateGPXContent(route);
+    }
+
     // Generate GPX content from route data
     generateGPXContent(route) {
         const now = new Date().toISOString();
@@ -2860,12 +4823,12 @@ class FileUploadHandler {
 
         // GPX header
         let gpx = `<?xml version="1.0" encoding="UTF-8"?>
-<gpx version="1.1" creator="RouteCoinMe" xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">
+<gpx version="1.1" creator="RouteCoinMe" xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1" xmlns:pwr="http://www.garmin.com/xmlschemas/PowerExtension/v1" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">
   <metadata>
     <name>${this.escapeXml(routeName)}</name>
     <desc>${this.escapeXml(routeDescription)}</desc>
     <time>${now}</time>
-  </metadata>
+  </metadata>${this.parser.generateWaypoints(route.waypoints, '  ')}
   <trk>
     <name>${this.escapeXml(routeName)}</name>
     <desc>${this.escapeXml(routeDescription)}</desc>
@@ -2873,7 +4836,13 @@ class FileUploadHandler {
 `;
 
         // Add track points
-        route.points.forEach(point => {
+        route.points.forEach((point, index) => {
+            // Keep segment breaks from multi-segment GPX imports
+            if (index > 0 && point.segmentIndex !== route.points[index - 1].segmentIndex) {
+                gpx += `    </trkseg>
+    <trkseg>
+`;
+            }
             gpx += `      <trkpt lat="${point.lat}" lon="${point.lon}">
 `;
             if (point.elevation !== undefined && point.elevation !== null) {
@@ -2883,6 +4852,12 @@ class FileUploadHandler {
             if (point.timestamp) {
                 const timestamp = new Date(point.timestamp).toISOString();
                 gpx += `        <time>${timestamp}</time>
+`;
+            }
+            const extensions = this.parser.generateSensorExtensions(point, '          ');
+            if (extensions) {
+                gpx += `        <extensions>${extensions}
+        </extensions>
 `;
             }
             gpx += `      </trkpt>
@@ -2926,8 +4901,15 @@ class FileUploadHandler {
         setTimeout(() => URL.revokeObjectURL(url), 100);
     }
 
-    // Lazy load STL exporter
-    async initSTLExporter() {
+    // Lazy load STL exporter, or the 3MF exporter for multi-colour prints
+    async initSTLExporter(format = 'stl') {
+        if (format === '3mf') {
+            if (!this.threeMFExporter) {
+                this.threeMFExporter = await import('../export/3mf-exporter.js');
+            }
+            return this.threeMFExporter;
+        }
+
         if (!this.stlExporter) {
             const module = await import('../export/stl-exporter.js');
             this.stlExporter = module;
@@ -2935,8 +4917,8 @@ class FileUploadHandler {
         return this.stlExporter;
     }
 
-    // Download route as STL
-    async downloadRouteSTL(routeId, options = {}) {
+    // Download route as STL (or 3MF)
+    async downloadRouteSTL(routeId, options = {}, format = 'stl') {
         try {
             // Check if it's the aggregated route first
             let route = null;
@@ -2952,24 +4934,29 @@ class FileUploadHandler {
                 return;
             }
 
-            this.showNotification('🖨️ Generating STL file...', 'info');
+            const exportRoute = this.prepareRouteForExport(route);
+            if (!exportRoute) {
+                return;
+            }
+
+            this.showNotification(`🖨️ Generating ${format.toUpperCase()} file...`, 'info');
 
             // Lazy load STL exporter
-            const exporter = await this.initSTLExporter();
+            const exporter = await this.initSTLExporter(format);
 
             // Export and download
-            await exporter.exportAndDownload(route, options);
+            await exporter.exportAndDownload(exportRoute, options);
 
             const filename = exporter.generateFilename(route, options);
             this.showNotification(`✅ Downloaded: ${filename}`, 'success');
         } catch (error) {
-            console.error('❌ Failed to download STL:', error);
-            this.showNotification('Failed to generate STL file. Check console for details.', 'error');
+            console.error(`❌ Failed to download ${format.toUpperCase()}:`, error);
+            this.showNotification(`Failed to generate ${format.toUpperCase()} file. Check console for details.`, 'error');
         }
     }
 
-    // Download coin as STL
-    async downloadCoinSTL(coinId, options = {}) {
+    // Download coin as STL (or 3MF)
+    async downloadCoinSTL(coinId, options = {}, format = 'stl') {
         try {
             const coin = this.savedCoins.find(c => c.id === coinId);
             if (!coin || !coin.route) {
@@ -2978,22 +4965,27 @@ class FileUploadHandler {
                 return;
             }
 
-            this.showNotification('🖨️ Generating STL file...', 'info');
+            const exportRoute = this.prepareRouteForExport(coin.route);
+            if (!exportRoute) {
+                return;
+            }
+
+            this.showNotification(`🖨️ Generating ${format.toUpperCase()} file...`, 'info');
 
             // Lazy load STL exporter
-            const exporter = await this.initSTLExporter();
+            const exporter = await this.initSTLExporter(format);
 
             // Convert coin options to STL options if needed
             const stlOptions = this.convertCoinOptionsToSTL(coin, options);
 
             // Export and download
-            await exporter.exportAndDownload(coin.route, stlOptions);
+            await exporter.exportAndDownload(exportRoute, stlOptions);
 
             const filename = exporter.generateFilename(coin.route, stlOptions);
             this.showNotification(`✅ Downloaded: ${filename}`, 'success');
         } catch (error) {
-            console.error('❌ Failed to download coin STL:', error);
-            this.showNotification('Failed to generate STL file. Check console for details.', 'error');
+            console.error(`❌ Failed to download coin ${format.toUpperCase()}:`, error);
+            this.showNotification(`Failed to generate ${format.toUpperCase()} file. Check console for details.`, 'error');
         }
     }
 
@@ -3001,6 +4993,11 @@ class FileUploadHandler {
     convertCoinOptionsToSTL(coin, baseOptions = {}) {
         const stlOptions = { ...baseOptions };
 
+        // The coin's name goes on the base plate
+        if (coin.name) {
+            stlOptions.baseTextTitle = coin.name;
+        }
+
         // If coin has cumulative elevation, increase vertical exaggeration
         if (coin.route?.metadata?.elevationMode === 'cumulative') {
             stlOptions.vertical = stlOptions.vertical || 5;
@@ -3039,12 +5036,9 @@ class FileUploadHandler {
                 await this.storageManager.deleteRoute(routeId);
             }
         } catch (error) {
-            console.warn('⚠️ Failed to delete from IndexedDB, updating localStorage:', error);
+            console.warn('⚠️ Failed to delete from IndexedDB:', error);
         }
         
-        // Save updated routes to storage
-        await this.saveRoutesToStorage();
-        
         // Single notification - all UI updates happen automatically
         this.notifyStateChange('route-removed', { routeId });
         
@@ -3112,7 +5106,11 @@ class FileUploadHandler {
             );
             totalRoutes = selectedRoutesData.length;
             totalDistance = selectedRoutesData.reduce((sum, route) => sum + route.distance, 0);
-            totalElevation = selectedRoutesData.reduce((sum, route) => sum + route.elevationGain, 0);
+            // Recalculate climbing so routes stored before smoothing was added match the aggregated stats
+            totalElevation = selectedRoutesData.reduce(
+                (sum, route) => sum + this.routeManipulator.calculateElevationProfile(route.points).elevationGain,
+                0
+            );
         }
 
         // Update stats display using new IDs (with null checks)
@@ -3432,7 +5430,7 @@ class FileUploadHandler {
         });
 
         // Save to storage
-        await this.saveRoutesToStorage();
+        await this.saveRoutesToStorage([route]);
 
         // Trigger visualization update through state change
         this.notifyStateChange('selected-routes-changed', { reason: 'year-coin-loaded' });
@@ -0,0 +1,89 @@
+import { DEFAULT_ELEVATION_OPTIONS } from '../data/elevation-profile.js';
+
+const ELEVATION_STORAGE_KEY = 'rcm_elevation_options';
+const MAX_SMOOTHING_DISTANCE_METERS = 200;
+const MAX_CLIMB_THRESHOLD_METERS = 20;
+
+// Elevation smoothing and climb threshold chosen in the sidebar. GPXParser.calculateStats and
+// RouteManipulator read these at call time, so parsed stats, the stats bar and cumulative-climbing
+// coins follow the same setting.
+class ElevationPreferences {
+    constructor() {
+        this.options = this.loadPreference();
+    }
+
+    loadPreference() {
+        // Also loaded inside the GPX parsing worker, which has no window
+        if (typeof window === 'undefined' || !window.localStorage) {
+            return { ...DEFAULT_ELEVATION_OPTIONS };
+        }
+
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(ELEVATION_STORAGE_KEY));
+            if (stored) {
+                return normalizeOptions(stored);
+            }
+        } catch (error) {
+            console.warn('⚠️ Unable to read elevation preference:', error);
+        }
+
+        return { ...DEFAULT_ELEVATION_OPTIONS };
+    }
+
+    persistPreference() {
+        if (typeof window === 'undefined' || !window.localStorage) {
+            return;
+        }
+
+        try {
+            window.localStorage.setItem(ELEVATION_STORAGE_KEY, JSON.stringify(this.options));
+        } catch (error) {
+            console.warn('⚠️ Unable to persist elevation preference:', error);
+        }
+    }
+
+    getOptions() {
+        return { ...this.options };
+    }
+
+    setOptions(options) {
+        const normalized = normalizeOptions({ ...this.options, ...options });
+        if (normalized.smoothingDistanceMeters === this.options.smoothingDistanceMeters &&
+            normalized.climbThreshold === this.options.climbThreshold) {
+            return this.getOptions();
+        }
+
+        this.options = normalized;
+        this.persistPreference();
+        this.notifyChange();
+        return this.getOptions();
+    }
+
+    notifyChange() {
+        if (typeof window === 'undefined' || typeof window.dispatchEvent !== 'function') {
+            return;
+        }
+
+        window.dispatchEvent(new CustomEvent('rcm:elevation-options-change', {
+            detail: { options: this.getOptions() }
+        }));
+    }
+}
+
+// Clamp to sensible ranges, falling back to the defaults for anything that isn't a number
+function normalizeOptions(options) {
+    const clamp = (value, max, fallback) => {
+        const number = value === '' || value === null ? NaN : Number(value);
+        return Number.isFinite(number) ? Math.min(Math.max(number, 0), max) : fallback;
+    };
+
+    return {
+        smoothingDistanceMeters: clamp(options.smoothingDistanceMeters, MAX_SMOOTHING_DISTANCE_METERS, DEFAULT_ELEVATION_OPTIONS.smoothingDistanceMeters),
+        climbThreshold: clamp(options.climbThreshold, MAX_CLIMB_THRESHOLD_METERS, DEFAULT_ELEVATION_OPTIONS.climbThreshold)
+    };
+}
+
+const elevationPreferences = new ElevationPreferences();
+
+export default elevationPreferences;
+export { ElevationPreferences, MAX_SMOOTHING_DISTANCE_METERS, MAX_CLIMB_THRESHOLD_METERS };
@@ -0,0 +1,125 @@
+const PRIVACY_ZONES_STORAGE_KEY = 'rcm_privacy_zones';
+const DEFAULT_ZONE_RADIUS_METERS = 500;
+const MIN_ZONE_RADIUS_METERS = 100;
+const MAX_ZONE_RADIUS_METERS = 5000;
+
+// Circles around places like home or work. Points inside them are stripped from routes before
+// any export (see RouteManipulator.applyPrivacyZones) and, if hideOnMap is set, from the map.
+// Zones never leave the browser: they live in localStorage only.
+class PrivacyZones {
+    constructor() {
+        const { zones, hideOnMap } = this.loadZones();
+        this.zones = zones;
+        this.hideOnMap = hideOnMap;
+    }
+
+    loadZones() {
+        const empty = { zones: [], hideOnMap: false };
+        if (!window?.localStorage) {
+            return empty;
+        }
+
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(PRIVACY_ZONES_STORAGE_KEY));
+            if (!stored || !Array.isArray(stored.zones)) {
+                return empty;
+            }
+            return {
+                zones: stored.zones.filter(zone => Number.isFinite(zone.lat) && Number.isFinite(zone.lon) && Number.isFinite(zone.radius)),
+                hideOnMap: Boolean(stored.hideOnMap)
+            };
+        } catch (error) {
+            console.warn('⚠️ Unable to read privacy zones:', error);
+        }
+
+        return empty;
+    }
+
+    persistZones() {
+        if (!window?.localStorage) {
+            return;
+        }
+
+        try {
+            window.localStorage.setItem(PRIVACY_ZONES_STORAGE_KEY, JSON.stringify({
+                zones: this.zones,
+                hideOnMap: this.hideOnMap
+            }));
+        } catch (error) {
+            console.warn('⚠️ Unable to persist privacy zones:', error);
+        }
+    }
+
+    getZones() {
+        return this.zones;
+    }
+
+    hasZones() {
+        return this.zones.length > 0;
+    }
+
+    isHiddenOnMap() {
+        return this.hideOnMap && this.hasZones();
+    }
+
+    addZone({ name, lat, lon, radius = DEFAULT_ZONE_RADIUS_METERS }) {
+        const latitude = Number(lat);
+        const longitude = Number(lon);
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            throw new Error('Enter a valid latitude and longitude for the privacy zone');
+        }
+
+        const safeRadius = Number.isFinite(Number(radius)) ? Number(radius) : DEFAULT_ZONE_RADIUS_METERS;
+        const zone = {
+            id: `zone_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            name: (name || '').trim() || `Zone ${this.zones.length + 1}`,
+            lat: latitude,
+            lon: longitude,
+            radius: Math.min(Math.max(safeRadius, MIN_ZONE_RADIUS_METERS), MAX_ZONE_RADIUS_METERS)
+        };
+
+        this.zones = [...this.zones, zone];
+        this.persistZones();
+        this.notifyChange();
+        return zone;
+    }
+
+    removeZone(zoneId) {
+        const remaining = this.zones.filter(zone => zone.id !== zoneId);
+        if (remaining.length === this.zones.length) {
+            return false;
+        }
+
+        this.zones = remaining;
+        this.persistZones();
+        this.notifyChange();
+        return true;
+    }
+
+    setHideOnMap(hide) {
+        const normalized = Boolean(hide);
+        if (normalized === this.hideOnMap) {
+            return this.hideOnMap;
+        }
+
+        this.hideOnMap = normalized;
+        this.persistZones();
+        this.notifyChange();
+        return this.hideOnMap;
+    }
+
+    notifyChange() {
+        if (typeof window?.dispatchEvent !== 'function') {
+            return;
+        }
+
+        window.dispatchEvent(new CustomEvent('rcm:privacy-zones-change', {
+            detail: { zones: this.zones, hideOnMap: this.hideOnMap }
+        }));
+    }
+}
+
+const privacyZones = new PrivacyZones();
+
+export default privacyZones;
+export { PrivacyZones, DEFAULT_ZONE_RADIUS_METERS, MIN_ZONE_RADIUS_METERS, MAX_ZONE_RADIUS_METERS };
@@ -5,6 +5,16 @@ import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import unitPreferences from '../utils/unit-preferences.js';
 import { escapeHtml } from '../utils/escape-html.js';
+import { groupPointsBySegment } from '../data/geojson-parser.js';
+
+// One [lat, lon] line per track segment, so gaps between segments aren't bridged by a straight line
+function toSegmentLatLngs(points) {
+    return groupPointsBySegment(points)
+        .map(segment => segment
+            .filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lon))
+            .map(point => [point.lat, point.lon]))
+        .filter(line => line.length > 0);
+}
 
 class RouteMapVisualization {
     constructor(containerId = 'route-map') {
@@ -20,6 +30,7 @@ class RouteMapVisualization {
             '#7c3aed', '#db2777', '#0891b2', '#65a30d'
         ];
         this.colorIndex = 0;
+        this.editSession = null; // Active trim/split/crop handles (see startRouteEdit)
     }
 
     // Initialize the map
@@ -109,23 +120,22 @@ class RouteMapVisualization {
             weight = 3,
             opacity = 0.7,
             showMarkers = true,
+            showWaypoints = true,
             showElevationPopup = true
         } = options;
 
         try {
-            // Convert GPS points to Leaflet LatLng format
-            const latLngs = routeData.points
-                // Filter out invalid points
-                .filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lon))
-                .map(point => [point.lat, point.lon]);
+            // Convert GPS points to Leaflet LatLng format, one line per segment
+            const segmentLatLngs = toSegmentLatLngs(routeData.points);
+            const latLngs = segmentLatLngs.flat();
 
             if (latLngs.length === 0) {
                 console.error('No valid GPS coordinates found');
                 return null;
             }
 
-            // Create polyline for the route
-            const routeLine = L.polyline(latLngs, {
+            // Create polyline for the route (a multi-polyline when it has several segments)
+            const routeLine = L.polyline(segmentLatLngs.length > 1 ? segmentLatLngs : latLngs, {
                 color: color,
                 weight: weight,
                 opacity: opacity,
@@ -158,6 +168,11 @@ class RouteMapVisualization {
                 this.addRouteMarkers(routeLayer, latLngs);
             }
 
+            // Add GPX waypoints as points of interest
+            if (showWaypoints && routeData.waypoints?.length > 0) {
+                this.addWaypointMarkers(routeLayer, routeData.waypoints);
+            }
+
             this.routeLayers.push(routeLayer);
 
             // Fit map to show all routes
@@ -215,6 +230,46 @@ class RouteMapVisualization {
         }
     }
 
+    // Add point-of-interest markers for a route's waypoints
+    addWaypointMarkers(routeLayer, waypoints) {
+        waypoints
+            .filter(waypoint => Number.isFinite(waypoint.lat) && Number.isFinite(waypoint.lon))
+            .forEach(waypoint => {
+                const waypointMarker = L.circleMarker([waypoint.lat, waypoint.lon], {
+                    color: '#b45309',
+                    fillColor: '#f59e0b',
+                    fillOpacity: 0.9,
+                    radius: 5,
+                    weight: 2
+                });
+
+                waypointMarker.bindTooltip(escapeHtml(waypoint.name || 'Waypoint'), {
+                    permanent: false,
+                    direction: 'top',
+                    className: 'route-tooltip'
+                });
+
+                if (waypoint.description) {
+                    waypointMarker.bindPopup(this.createWaypointPopup(waypoint), {
+                        className: 'route-popup'
+                    });
+                }
+
+                waypointMarker.addTo(this.map);
+                routeLayer.markers.push(waypointMarker);
+            });
+    }
+
+    // Create popup content for a waypoint (name and description come from the GPX file)
+    createWaypointPopup(waypoint) {
+        return `
+            <div class="route-popup-content">
+                <h4>📌 ${escapeHtml(waypoint.name || 'Waypoint')}</h4>
+                ${waypoint.description ? `<p>${escapeHtml(waypoint.description)}</p>` : ''}
+            </div>
+        `;
+    }
+
     // Create popup content for route information
     createRoutePopup(routeData) {
         const duration = routeData.duration ? this.formatDuration(routeData.duration) : 'Unknown';
@@ -222,6 +277,10 @@ class RouteMapVisualization {
         const formattedDate = date ? new Date(date).toLocaleDateString() : 'Unknown';
         const distanceDisplay = this.unitPreferences.formatDistance(routeData.distance);
         const elevationDisplay = this.unitPreferences.formatElevation(routeData.elevationGain);
+        const correction = routeData.metadata?.elevationCorrection;
+        const correctionDisplay = correction
+            ? `<div><strong>🗻 DEM Elevation:</strong> ${this.unitPreferences.formatElevation(correction.before.elevationGain)} → ${this.unitPreferences.formatElevation(correction.after.elevationGain)} gain (${correction.changedPoints} points ${correction.mode === 'fill' ? 'filled' : 'replaced'})</div>`
+            : '';
 
         return `
             <div class="route-popup-content">
@@ -229,6 +288,7 @@ class RouteMapVisualization {
                 <div class="route-stats-popup">
                     <div><strong>📏 Distance:</strong> ${distanceDisplay}</div>
                     <div><strong>⛰️ Elevation Gain:</strong> ${elevationDisplay}</div>
+                    ${correctionDisplay}
                     <div><strong>⏱️ Duration:</strong> ${duration}</div>
                     <div><strong>📅 Date:</strong> ${formattedDate}</div>
                     <div><strong>📍 Points:</strong> ${routeData.pointCount || 0}</div>
@@ -332,6 +392,7 @@ class RouteMapVisualization {
 
     // Clear all routes from the map
     clearAllRoutes() {
+        this.stopRouteEdit();
         this.routeLayers.forEach(layer => {
             if (layer.polyline) {
                 this.map.removeLayer(layer.polyline);
@@ -350,6 +411,178 @@ class RouteMapVisualization {
         console.log('🧹 All routes cleared from map');
     }
 
+    // Start interactive editing of a route already on the map.
+    // mode: 'trim' (start/end handles), 'split' (one handle) or 'crop' (draggable rectangle).
+    // Handles snap to the route's points; onChange receives the current selection.
+    startRouteEdit(routeId, mode, onChange = () => {}) {
+        this.stopRouteEdit();
+
+        const layer = this.routeLayers.find(routeLayer => routeLayer.id === routeId);
+        if (!this.map || !layer) {
+            console.error(`❌ Route not on map for editing: ${routeId}`);
+            return null;
+        }
+
+        const points = layer.data.points;
+        const session = { routeId, mode, points, layer, layers: [], state: null, onChange };
+        this.editSession = session;
+
+        // Dim the full route so the edited part stands out
+        session.originalOpacity = layer.polyline.options.opacity;
+        layer.polyline.setStyle({ opacity: 0.25 });
+
+        if (mode === 'trim') {
+            session.state = { startIndex: 0, endIndex: points.length - 1 };
+            session.preview = this.addEditLayer(L.polyline([], { color: layer.color, weight: 5, opacity: 0.9 }));
+            this.addSnappingHandle(session, 'startIndex', '⟦', (index) => Math.min(index, session.state.endIndex - 1));
+            this.addSnappingHandle(session, 'endIndex', '⟧', (index) => Math.max(index, session.state.startIndex + 1));
+        } else if (mode === 'split') {
+            session.state = { splitIndex: Math.floor((points.length - 1) / 2) };
+            session.preview = this.addEditLayer(L.polyline([], { color: layer.color, weight: 5, opacity: 0.9 }));
+            session.secondPreview = this.addEditLayer(L.polyline([], { color: '#f59e0b', weight: 5, opacity: 0.9 }));
+            this.addSnappingHandle(session, 'splitIndex', '✂', (index) => Math.min(Math.max(index, 1), points.length - 2));
+        } else if (mode === 'crop') {
+            const bounds = layer.polyline.getBounds().pad(-0.2);
+            session.state = {
+                south: bounds.getSouth(),
+                west: bounds.getWest(),
+                north: bounds.getNorth(),
+                east: bounds.getEast()
+            };
+            session.preview = this.addEditLayer(L.rectangle(bounds, { color: '#f59e0b', weight: 2, dashArray: '6 4', fillOpacity: 0.1 }));
+            this.addCornerHandle(session, 'south', 'west');
+            this.addCornerHandle(session, 'north', 'east');
+        } else {
+            this.stopRouteEdit();
+            throw new Error(`Unknown edit mode: ${mode}`);
+        }
+
+        this.updateEditPreview();
+        return session;
+    }
+
+    // Resolve with the { lat, lon } of the next map click, or null if Escape is pressed
+    pickLocation() {
+        if (!this.map) {
+            return Promise.resolve(null);
+        }
+
+        const container = this.map.getContainer();
+        container.style.cursor = 'crosshair';
+
+        return new Promise(resolve => {
+            const finish = (location) => {
+                container.style.cursor = '';
+                this.map.off('click', onClick);
+                document.removeEventListener('keydown', onKeyDown);
+                resolve(location);
+            };
+            const onClick = (event) => finish({ lat: event.latlng.lat, lon: event.latlng.lng });
+            const onKeyDown = (event) => {
+                if (event.key === 'Escape') finish(null);
+            };
+
+            this.map.on('click', onClick);
+            document.addEventListener('keydown', onKeyDown);
+        });
+    }
+
+    // Remove edit handles and restore the route's normal style
+    stopRouteEdit() {
+        const session = this.editSession;
+        if (!session) return;
+
+        session.layers.forEach(editLayer => this.map?.removeLayer(editLayer));
+        session.layer.polyline?.setStyle({ opacity: session.originalOpacity });
+        this.editSession = null;
+    }
+
+    addEditLayer(editLayer) {
+        editLayer.addTo(this.map);
+        this.editSession.layers.push(editLayer);
+        return editLayer;
+    }
+
+    // A draggable handle that snaps to the nearest route point and stores its index in session.state[key]
+    addSnappingHandle(session, key, label, constrain) {
+        const point = session.points[session.state[key]];
+        const handle = this.addEditLayer(L.marker([point.lat, point.lon], {
+            draggable: true,
+            icon: L.divIcon({ className: 'route-edit-handle', html: label, iconSize: [24, 24] })
+        }));
+
+        handle.on('drag', (event) => {
+            session.state[key] = constrain(this.nearestPointIndex(session.points, event.latlng));
+            this.updateEditPreview();
+        });
+        handle.on('dragend', () => {
+            const snapped = session.points[session.state[key]];
+            handle.setLatLng([snapped.lat, snapped.lon]);
+        });
+    }
+
+    // A free-moving rectangle corner for crop mode
+    addCornerHandle(session, latKey, lonKey) {
+        const handle = this.addEditLayer(L.marker([session.state[latKey], session.state[lonKey]], {
+            draggable: true,
+            icon: L.divIcon({ className: 'route-edit-handle', html: '◢', iconSize: [24, 24] })
+        }));
+
+        handle.on('drag', (event) => {
+            session.state[latKey] = event.latlng.lat;
+            session.state[lonKey] = event.latlng.lng;
+            this.updateEditPreview();
+        });
+    }
+
+    // Redraw the kept part of the route and report the selection
+    updateEditPreview() {
+        const session = this.editSession;
+        if (!session) return;
+
+        const { state, points } = session;
+
+        if (session.mode === 'trim') {
+            session.preview.setLatLngs(toSegmentLatLngs(points.slice(state.startIndex, state.endIndex + 1)));
+        } else if (session.mode === 'split') {
+            session.preview.setLatLngs(toSegmentLatLngs(points.slice(0, state.splitIndex + 1)));
+            session.secondPreview.setLatLngs(toSegmentLatLngs(points.slice(state.splitIndex)));
+        } else if (session.mode === 'crop') {
+            // Corners may be dragged past each other, so normalise before reporting
+            const bounds = {
+                south: Math.min(state.south, state.north),
+                north: Math.max(state.south, state.north),
+                west: Math.min(state.west, state.east),
+                east: Math.max(state.west, state.east)
+            };
+            session.preview.setBounds([[bounds.south, bounds.west], [bounds.north, bounds.east]]);
+            session.onChange({ mode: session.mode, routeId: session.routeId, bounds });
+            return;
+        }
+
+        session.onChange({ mode: session.mode, routeId: session.routeId, ...state });
+    }
+
+    // Index of the route point closest to a Leaflet latlng (longitude scaled by latitude)
+    nearestPointIndex(points, latlng) {
+        const lonScale = Math.cos(latlng.lat * Math.PI / 180);
+        let nearestIndex = 0;
+        let nearestDistance = Infinity;
+
+        points.forEach((point, index) => {
+            if (!Number.isFinite(point.lat) || !Number.isFinite(point.lon)) return;
+            const dLat = point.lat - latlng.lat;
+            const dLon = (point.lon - latlng.lng) * lonScale;
+            const distance = dLat * dLat + dLon * dLon;
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearestIndex = index;
+            }
+        });
+
+        return nearestIndex;
+    }
+
     // Get map container dimensions
     getMapSize() {
         if (!this.map) return null;
@@ -380,6 +613,8 @@ class RouteMapVisualization {
             this.resizeObserver = null;
         }
         
+        this.stopRouteEdit();
+
         // Remove map
         if (this.map) {
             this.map.remove();
@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import ActivityArchiveImporter from '../../src/data/activity-archive.js';
+import ZipReader from '../../src/data/zip-reader.js';
+
+const encoder = new TextEncoder();
+
+const compress = async (bytes, format) => {
+    const stream = new ReadableStream({
+        start(controller) {
+            controller.enqueue(bytes);
+            controller.close();
+        }
+    }).pipeThrough(new CompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Build a ZIP with stored or deflated entries (CRCs are left as 0; the reader doesn't check them)
+const buildZip = async (entries) => {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const { name, content, deflate = true } of entries) {
+        const raw = typeof content === 'string' ? encoder.encode(content) : content;
+        const data = deflate ? await compress(raw, 'deflate-raw') : raw;
+        const nameBytes = encoder.encode(name);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(8, deflate ? 8 : 0, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, raw.length, true);
+        local.setUint16(26, nameBytes.length, true);
+
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014b50, true);
+        header.setUint16(10, deflate ? 8 : 0, true);
+        header.setUint32(20, data.length, true);
+        header.setUint32(24, raw.length, true);
+        header.setUint16(28, nameBytes.length, true);
+        header.setUint32(42, offset, true);
+
+        parts.push(new Uint8Array(local.buffer), nameBytes, data);
+        central.push(new Uint8Array(header.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const eocd = new DataView(new ArrayBuffer(22));
+    eocd.setUint32(0, 0x06054b50, true);
+    eocd.setUint16(8, entries.length, true);
+    eocd.setUint16(10, entries.length, true);
+    eocd.setUint32(12, centralSize, true);
+    eocd.setUint32(16, offset, true);
+
+    const all = [...parts, ...central, new Uint8Array(eocd.buffer)];
+    const zip = new Uint8Array(all.reduce((sum, part) => sum + part.length, 0));
+    all.reduce((position, part) => {
+        zip.set(part, position);
+        return position + part.length;
+    }, 0);
+    return zip;
+};
+
+const gpx = (lat) => `<?xml version="1.0"?><gpx><trk><trkseg>
+<trkpt lat="${lat}" lon="10"><time>2024-06-01T08:00:00Z</time></trkpt>
+<trkpt lat="${lat + 0.01}" lon="10"><time>2024-06-01T08:10:00Z</time></trkpt>
+</trkseg></trk></gpx>`;
+
+const activitiesCsv = [
+    'Activity ID,Activity Date,Activity Name,Activity Type,Activity Description,Filename',
+    '111111,"Jan 5, 2024, 7:32:10 AM",Morning Ride,Ride,"Windy, ""very"" cold",activities/111111.gpx.gz',
+    '222222,"Mar 9, 2024, 6:00:00 PM",Evening Run,Run,,activities/222222.gpx',
+    '333333,"Feb 1, 2024, 9:00:00 AM",Manual entry,Walk,,'
+].join('\r\n');
+
+describe('ZipReader', () => {
+    it('lists and extracts stored and deflated entries', async () => {
+        const zip = await buildZip([
+            { name: 'folder/', content: '', deflate: false },
+            { name: 'folder/a.txt', content: 'stored text', deflate: false },
+            { name: 'b.txt', content: 'deflated text' }
+        ]);
+        const reader = new ZipReader(zip.buffer);
+        const entries = reader.readEntries();
+
+        expect(entries.map(entry => entry.name)).toEqual(['folder/a.txt', 'b.txt']);
+        expect(new TextDecoder().decode(await reader.extract(entries[0]))).toBe('stored text');
+        expect(new TextDecoder().decode(await reader.extract(entries[1]))).toBe('deflated text');
+    });
+
+    it('rejects data that is not a ZIP archive', () => {
+        expect(() => new ZipReader(new Uint8Array(64).buffer).readEntries()).toThrow('Not a ZIP archive');
+    });
+});
+
+describe('ActivityArchiveImporter', () => {
+    let importer;
+
+    beforeEach(() => {
+        importer = new ActivityArchiveImporter();
+    });
+
+    it('unpacks gzipped and plain activity files and matches them to activities.csv', async () => {
+        const zip = await buildZip([
+            { name: 'activities.csv', content: activitiesCsv },
+            { name: 'activities/111111.gpx.gz', content: await compress(encoder.encode(gpx(46)), 'gzip') },
+            { name: 'activities/222222.gpx', content: gpx(47) },
+            { name: 'media/photo.jpg', content: 'not an activity' }
+        ]);
+
+        const { files, activityInfo, failed } = await importer.expandArchive(new File([zip], 'export.zip'));
+
+        expect(failed).toEqual([]);
+        // Sorted oldest first by CSV date
+        expect(files.map(file => file.name)).toEqual(['111111.gpx', '222222.gpx']);
+        expect(activityInfo.get(files[0])).toEqual({
+            name: 'Morning Ride',
+            sport: 'cycling',
+            time: '2024-01-05T07:32:10.000Z',
+            description: 'Windy, "very" cold'
+        });
+        expect(activityInfo.get(files[1]).sport).toBe('running');
+    });
+
+    it('descends into nested ZIPs and matches by activity id', async () => {
+        const inner = await buildZip([{ name: 'uploads/222222_ACTIVITY.gpx', content: gpx(47) }]);
+        const zip = await buildZip([
+            { name: 'activities.csv', content: activitiesCsv },
+            { name: 'DI_CONNECT/UploadedFiles_Part1.zip', content: inner, deflate: false }
+        ]);
+
+        const { files, activityInfo } = await importer.expandArchive(new File([zip], 'garmin.zip'));
+
+        expect(files).toHaveLength(1);
+        expect(activityInfo.get(files[0]).name).toBe('Evening Run');
+    });
+
+    it('collects entries that fail to unpack instead of aborting', async () => {
+        const zip = await buildZip([
+            { name: 'activities/broken.gpx.gz', content: 'definitely not gzip', deflate: false },
+            { name: 'activities/ok.gpx', content: gpx(46) }
+        ]);
+
+        const { files, failed } = await importer.expandArchive(new File([zip], 'export.zip'));
+
+        expect(files.map(file => file.name)).toEqual(['ok.gpx']);
+        expect(failed).toHaveLength(1);
+        expect(failed[0].filename).toBe('broken.gpx.gz');
+    });
+
+    it('parses quoted CSV fields and Garmin-style headers', () => {
+        const records = importer.parseCSV('﻿Activity Type,Date,Title\nCycling,2024-01-05 07:32:10,"Lunch, loop"\n');
+
+        expect(records).toEqual([{ 'activity type': 'Cycling', date: '2024-01-05 07:32:10', title: 'Lunch, loop' }]);
+        expect(importer.toActivityInfo(records[0])).toMatchObject({ name: 'Lunch, loop', sport: 'cycling' });
+    });
+
+    it('applies CSV details to a parsed route', () => {
+        const route = importer.applyActivityInfo(
+            { filename: '111111.gpx', metadata: { creator: 'Strava' }, points: [] },
+            { name: 'Morning Ride', sport: 'cycling', time: '2024-01-05T07:32:10.000Z', description: null }
+        );
+
+        expect(route.filename).toBe('Morning Ride.gpx');
+        expect(route.metadata).toEqual({
+            creator: 'Strava',
+            name: 'Morning Ride',
+            sport: 'cycling',
+            time: '2024-01-05T07:32:10.000Z'
+        });
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import DuplicateDetector from '../../src/data/duplicate-detector.js';
+
+// A ride heading north-east, one point every `interval` seconds starting at startSecond
+const createRide = (id, { count = 60, interval = 10, startSecond = 0, latOffset = 0, lonOffset = 0, timed = true, every = 1 } = {}) => {
+    const points = [];
+    for (let i = 0; i < count; i += every) {
+        points.push({
+            lat: 46 + i * 0.0005 + latOffset,
+            lon: 7 + i * 0.0003 + lonOffset,
+            elevation: 500 + i,
+            timestamp: timed ? new Date(Date.UTC(2024, 5, 1, 9, 0, startSecond + i * interval)) : null
+        });
+    }
+    return {
+        id,
+        filename: `${id}.gpx`,
+        points,
+        distance: (count - 1) * 0.0645,
+        duration: timed ? (count - 1) * interval : 0,
+        pointCount: points.length,
+        metadata: { name: id }
+    };
+};
+
+describe('DuplicateDetector', () => {
+    const detector = new DuplicateDetector();
+
+    it('recognises the same ride uploaded as GPX and imported from Strava', () => {
+        const upload = createRide('route_123');
+        // Strava's copy is sparser and the device started recording a few seconds later
+        const strava = { ...createRide('strava_987', { startSecond: 5, every: 3 }), name: 'Morning Ride' };
+
+        const duplicate = detector.findDuplicate(strava, [createRide('other', { latOffset: 0.5 }), upload]);
+
+        expect(duplicate.route).toBe(upload);
+        expect(duplicate.similarity).toBeGreaterThan(0.9);
+        expect(duplicate.startDifferenceSeconds).toBe(5);
+    });
+
+    it('does not match the same route ridden at a different time', () => {
+        const monday = createRide('monday');
+        const tuesday = createRide('tuesday', { startSecond: 86400 });
+
+        expect(detector.findDuplicate(tuesday, [monday])).toBeNull();
+    });
+
+    it('does not treat a shorter ride along the same road as a duplicate', () => {
+        const full = createRide('full', { count: 60 });
+        const firstHalf = createRide('half', { count: 30 });
+        firstHalf.distance = full.distance;
+        firstHalf.duration = full.duration;
+
+        expect(detector.geometrySimilarity(firstHalf.points, full.points)).toBeCloseTo(0.5, 1);
+        expect(detector.findDuplicate(firstHalf, [full])).toBeNull();
+    });
+
+    it('matches untimed routes only when the tracks are near-identical', () => {
+        const planned = createRide('planned', { timed: false });
+        const copy = createRide('copy', { timed: false });
+        const parallel = createRide('parallel', { timed: false, lonOffset: 0.002 });
+
+        expect(detector.findDuplicate(copy, [planned])?.route).toBe(planned);
+        expect(detector.findDuplicate(parallel, [planned])).toBeNull();
+    });
+
+    it('ignores the route itself', () => {
+        const ride = createRide('route_1');
+        expect(detector.findDuplicate(ride, [ride, { ...ride }])).toBeNull();
+    });
+
+    it('merges into the existing route, keeping the more detailed track', () => {
+        const existing = { ...createRide('route_123', { every: 3 }), waypoints: [{ lat: 46, lon: 7, name: 'Start' }] };
+        const incoming = {
+            ...createRide('strava_987'),
+            name: 'Morning Ride',
+            waypoints: [{ lat: 46, lon: 7, name: 'Start' }, { lat: 46.01, lon: 7.006, name: 'Cafe' }]
+        };
+
+        const merged = detector.mergeRoutes(existing, incoming);
+
+        expect(merged.id).toBe('route_123');
+        expect(merged.filename).toBe('route_123.gpx');
+        expect(merged.points).toBe(incoming.points);
+        expect(merged.pointCount).toBe(60);
+        expect(merged.waypoints.map(waypoint => waypoint.name)).toEqual(['Start', 'Cafe']);
+        expect(merged.metadata.duplicateIds).toEqual(['strava_987']);
+
+        const again = detector.mergeRoutes(merged, createRide('route_456', { every: 2 }));
+        expect(again.points).toBe(incoming.points);
+        expect(again.metadata.duplicateIds).toEqual(['strava_987', 'route_456']);
+    });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import ElevationCorrector from '../../src/data/elevation-corrector.js';
+import DEMTileReader, { hgtTileName } from '../../src/data/dem-tile-reader.js';
+
+// 3x3 SRTM tile: elevation rises 100m per row going south and 10m per column going east
+const buildHGT = (size = 3, valueAt = (row, col) => 1000 + row * 100 + col * 10) => {
+    const view = new DataView(new ArrayBuffer(size * size * 2));
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            view.setInt16((row * size + col) * 2, valueAt(row, col), false);
+        }
+    }
+    return view.buffer;
+};
+
+// Minimal little-endian GeoTIFF: one strip of int16 samples, PixelIsArea, geographic
+const buildGeoTIFF = ({ cols, rows, values, west, north, cellSize }) => {
+    const entries = [
+        [256, 3, [cols]],
+        [257, 3, [rows]],
+        [258, 3, [16]],
+        [259, 3, [1]],
+        [273, 4, [0]], // patched below
+        [277, 3, [1]],
+        [278, 3, [rows]],
+        [339, 3, [2]],
+        [33550, 12, [cellSize, cellSize, 0]],
+        [33922, 12, [0, 0, 0, west, north, 0]],
+        [34735, 3, [1, 1, 0, 2, 1024, 0, 1, 2, 1025, 0, 1, 1]]
+    ];
+    const typeSizes = { 3: 2, 4: 4, 12: 8 };
+    const ifdSize = 2 + entries.length * 12 + 4;
+    const extraSize = entries.reduce((sum, [, type, list]) => sum + (typeSizes[type] * list.length > 4 ? typeSizes[type] * list.length : 0), 0);
+    const dataOffset = 8 + ifdSize + extraSize;
+    entries[4][2] = [dataOffset];
+
+    const buffer = new ArrayBuffer(dataOffset + values.length * 2);
+    const view = new DataView(buffer);
+    view.setUint8(0, 0x49);
+    view.setUint8(1, 0x49);
+    view.setUint16(2, 42, true);
+    view.setUint32(4, 8, true);
+    view.setUint16(8, entries.length, true);
+
+    let extraOffset = 8 + ifdSize;
+    entries.forEach(([tag, type, list], index) => {
+        const entryOffset = 10 + index * 12;
+        const size = typeSizes[type];
+        view.setUint16(entryOffset, tag, true);
+        view.setUint16(entryOffset + 2, type, true);
+        view.setUint32(entryOffset + 4, list.length, true);
+        const inline = size * list.length <= 4;
+        const target = inline ? entryOffset + 8 : extraOffset;
+        if (!inline) {
+            view.setUint32(entryOffset + 8, extraOffset, true);
+            extraOffset += size * list.length;
+        }
+        list.forEach((value, i) => {
+            if (type === 3) view.setUint16(target + i * 2, value, true);
+            if (type === 4) view.setUint32(target + i * 4, value, true);
+            if (type === 12) view.setFloat64(target + i * 8, value, true);
+        });
+    });
+
+    values.forEach((value, i) => view.setInt16(dataOffset + i * 2, value, true));
+    return buffer;
+};
+
+describe('DEMTileReader', () => {
+    const reader = new DEMTileReader();
+
+    it('names SRTM tiles after their south-west corner', () => {
+        expect(hgtTileName(46.5, 7.2)).toBe('N46E007');
+        expect(hgtTileName(-33.9, -70.6)).toBe('S34W071');
+    });
+
+    it('reads .hgt tiles with their location from the filename', () => {
+        const tile = reader.parseHGT(buildHGT(), 'N46E007.SRTMGL1.hgt');
+
+        expect(tile).toMatchObject({ name: 'N46E007', originLat: 47, originLon: 7, rows: 3, cols: 3, cellWidth: 0.5 });
+        expect(tile.values[4]).toBe(1110);
+    });
+
+    it('rejects .hgt files it cannot place', () => {
+        expect(() => reader.parseHGT(buildHGT(), 'terrain.hgt')).toThrow('Cannot tell tile location');
+    });
+
+    it('reads uncompressed geographic GeoTIFFs', () => {
+        const tile = reader.parseGeoTIFF(buildGeoTIFF({
+            cols: 2, rows: 2, values: [100, 200, 300, 400], west: 7, north: 47, cellSize: 0.5
+        }), 'dem.tif');
+
+        // PixelIsArea: sample centres sit half a cell inside the corner
+        expect(tile).toMatchObject({ originLat: 46.75, originLon: 7.25, rows: 2, cols: 2 });
+        expect(Array.from(tile.values)).toEqual([100, 200, 300, 400]);
+    });
+});
+
+describe('ElevationCorrector', () => {
+    let corrector;
+
+    beforeEach(() => {
+        corrector = new ElevationCorrector();
+        corrector.addTiles([new DEMTileReader().parseHGT(buildHGT(), 'N46E007.hgt')]);
+    });
+
+    it('interpolates between samples', () => {
+        expect(corrector.sampleElevation(47, 7)).toBe(1000);
+        expect(corrector.sampleElevation(46.75, 7.25)).toBeCloseTo(1055, 6);
+        expect(corrector.sampleElevation(45.5, 7.25)).toBeNull();
+    });
+
+    it('skips void samples', () => {
+        const tiles = [new DEMTileReader().parseHGT(buildHGT(3, (row, col) => (row === 0 && col === 0 ? -32768 : 500)), 'N46E007.hgt')];
+        corrector.addTiles(tiles);
+
+        expect(corrector.sampleElevation(46.75, 7.25)).toBe(500);
+    });
+
+    it('suggests replacing flat or missing elevation and filling gaps', () => {
+        const points = (elevations) => elevations.map((elevation, i) => ({ lat: 46.5, lon: 7 + i * 0.1, elevation }));
+
+        expect(corrector.suggestMode({ points: points([0, 0, 0]) })).toBe('replace');
+        expect(corrector.suggestMode({ points: points([null, null]) })).toBe('replace');
+        expect(corrector.suggestMode({ points: points([1200, null, 1250]) })).toBe('fill');
+        expect(corrector.suggestMode({ points: points([1200, 1210, 1250]) })).toBeNull();
+    });
+
+    it('fills missing elevations and reports the before/after climb', () => {
+        const route = {
+            filename: 'phone.gpx',
+            points: [
+                { lat: 47, lon: 7, elevation: 1000 },
+                { lat: 46.5, lon: 7, elevation: null },
+                { lat: 46, lon: 7, elevation: 1200 },
+                { lat: 45.5, lon: 7, elevation: null }
+            ],
+            metadata: {}
+        };
+
+        const { route: corrected, report } = corrector.correctRoute(route, { mode: 'fill' });
+
+        expect(corrected.points.map(point => point.elevation)).toEqual([1000, 1100, 1200, null]);
+        expect(report).toMatchObject({ mode: 'fill', changedPoints: 1, uncoveredPoints: 1 });
+        expect(report.after.elevationGain).toBe(200);
+        expect(corrected.elevationGain).toBe(200);
+        expect(corrected.metadata.elevationCorrection).toBe(report);
+    });
+
+    it('replaces every covered elevation in replace mode', () => {
+        const route = {
+            filename: 'segment.gpx',
+            points: [{ lat: 47, lon: 7, elevation: 0 }, { lat: 47, lon: 8, elevation: 0 }]
+        };
+
+        const { route: corrected, report } = corrector.correctRoute(route, { mode: 'replace' });
+
+        expect(corrected.points.map(point => point.elevation)).toEqual([1000, 1020]);
+        expect(report.before.elevationGain).toBe(0);
+        expect(report.after.elevationGain).toBe(20);
+    });
+
+    it('lists the tiles a route needs and how much is covered', () => {
+        const points = [{ lat: 46.2, lon: 7.1 }, { lat: 46.9, lon: 8.4 }];
+
+        expect(corrector.requiredTileNames(points)).toEqual(['N46E007', 'N46E008']);
+        expect(corrector.coverage(points)).toBe(0.5);
+    });
+});
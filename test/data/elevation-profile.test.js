@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { smoothElevations, calculateElevationProfile } from '../../src/data/elevation-profile.js';
+import GPXParser from '../../src/data/gpx-parser.js';
+import RouteManipulator from '../../src/data/route-manipulator.js';
+
+// ~5.5m between points, like a 1Hz recording at cycling speed
+const createPoints = (elevations, extra = () => ({})) => elevations.map((elevation, i) => ({
+    lat: 46 + i * 0.00005,
+    lon: 7,
+    elevation,
+    ...extra(i)
+}));
+
+// A steady 50m climb with +/-1.5m of barometric noise on every other point
+const noisyClimb = Array.from({ length: 101 }, (_, i) => 100 + i * 0.5 + (i % 2 ? 1.5 : -1.5));
+
+describe('elevation profile', () => {
+    describe('smoothElevations', () => {
+        it('averages noise over the distance window', () => {
+            const smoothed = smoothElevations(createPoints(noisyClimb), 40);
+            const wiggles = smoothed.slice(10, 90).filter((value, i, list) => i > 0 && value < list[i - 1]);
+
+            expect(wiggles).toHaveLength(0);
+        });
+
+        it('leaves sparse points and missing elevations untouched', () => {
+            const points = [
+                { lat: 46, lon: 7, elevation: 100 },
+                { lat: 46.01, lon: 7, elevation: null },
+                { lat: 46.02, lon: 7, elevation: 180 }
+            ];
+
+            expect(smoothElevations(points, 40)).toEqual([100, null, 180]);
+        });
+
+        it('does not smooth across segment breaks', () => {
+            const points = createPoints([100, 100, 100, 200, 200, 200], i => ({ segmentIndex: i < 3 ? 0 : 1 }));
+
+            expect(smoothElevations(points, 40)).toEqual([100, 100, 100, 200, 200, 200]);
+        });
+    });
+
+    describe('calculateElevationProfile', () => {
+        it('ignores noise that a naive delta sum counts as climbing', () => {
+            const naiveGain = noisyClimb.slice(1).reduce((sum, elevation, i) => sum + Math.max(0, elevation - noisyClimb[i]), 0);
+            const { elevationGain, elevationLoss } = calculateElevationProfile(createPoints(noisyClimb));
+
+            expect(naiveGain).toBeGreaterThan(150);
+            expect(elevationGain).toBeGreaterThan(44);
+            expect(elevationGain).toBeLessThanOrEqual(50);
+            expect(elevationLoss).toBe(0);
+        });
+
+        it('only counts changes that pass the threshold', () => {
+            const points = createPoints([100, 102, 100, 102, 100, 110], () => ({}));
+
+            expect(calculateElevationProfile(points, { smoothingDistanceMeters: 0, climbThreshold: 3 }))
+                .toMatchObject({ elevationGain: 10, elevationLoss: 0 });
+            expect(calculateElevationProfile(points, { smoothingDistanceMeters: 0, climbThreshold: 0 }))
+                .toMatchObject({ elevationGain: 14, elevationLoss: 4 });
+        });
+
+        it('returns running gain for every point', () => {
+            const points = createPoints([100, 110, 105, 120], () => ({}));
+            const { cumulativeGain } = calculateElevationProfile(points, { smoothingDistanceMeters: 0 });
+
+            expect(cumulativeGain).toEqual([0, 10, 10, 25]);
+        });
+    });
+
+    it('is shared by parser stats and cumulative-elevation routes', () => {
+        const points = createPoints(noisyClimb);
+        const parserStats = new GPXParser().calculateStats(points);
+        const manipulator = new RouteManipulator();
+        const manipulatorStats = manipulator.calculateRouteStats({ points });
+        const cumulative = manipulator.convertToCumulativeElevation({ filename: 'climb.gpx', points });
+
+        expect(manipulatorStats.elevationGain).toBeCloseTo(parserStats.elevationGain, 6);
+        expect(cumulative.points.at(-1).elevation).toBeCloseTo(parserStats.elevationGain, 6);
+    });
+});
@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import FITParser from '../../src/data/fit-parser.js';
+
+const FIT_EPOCH_OFFSET_SECONDS = 631065600;
+const toSemicircles = (degrees) => Math.round(degrees * (2 ** 31 / 180));
+const toFitTime = (iso) => Date.parse(iso) / 1000 - FIT_EPOCH_OFFSET_SECONDS;
+
+// Build a minimal little-endian FIT file with a session message and record messages
+const buildFitFile = (records, { sport = 2, compressLast = false } = {}) => {
+    const bytes = [];
+    const u8 = (v) => bytes.push(v & 0xFF);
+    const u16 = (v) => { u8(v); u8(v >> 8); };
+    const u32 = (v) => { u16(v & 0xFFFF); u16(Math.floor(v / 0x10000)); };
+
+    // Session definition (local 0): sport enum
+    u8(0x40); u8(0); u8(0); u16(18); u8(1);
+    u8(5); u8(1); u8(0x00);
+    u8(0x00); u8(sport);
+
+    // Record definition (local 1): timestamp, lat, lon, enhanced altitude
+    u8(0x41); u8(0); u8(0); u16(20); u8(4);
+    u8(253); u8(4); u8(0x86);
+    u8(0); u8(4); u8(0x85);
+    u8(1); u8(4); u8(0x85);
+    u8(78); u8(4); u8(0x86);
+
+    records.forEach((record, index) => {
+        const writeBody = (withTimestamp) => {
+            if (withTimestamp) u32(toFitTime(record.time));
+            u32(toSemicircles(record.lat) >>> 0);
+            u32(toSemicircles(record.lon) >>> 0);
+            u32(record.elevation === null ? 0xFFFFFFFF : Math.round((record.elevation + 500) * 5));
+        };
+
+        if (compressLast && index === records.length - 1) {
+            // Compressed timestamp records need a definition without the timestamp field
+            u8(0x42); u8(0); u8(0); u16(20); u8(3);
+            u8(0); u8(4); u8(0x85);
+            u8(1); u8(4); u8(0x85);
+            u8(78); u8(4); u8(0x86);
+            const timeOffset = toFitTime(record.time) % 32;
+            u8(0x80 | (2 << 5) | timeOffset);
+            writeBody(false);
+        } else {
+            u8(0x01);
+            writeBody(true);
+        }
+    });
+
+    const header = [14, 0x10, 0x00, 0x08];
+    const dataSize = bytes.length;
+    header.push(dataSize & 0xFF, (dataSize >> 8) & 0xFF, (dataSize >> 16) & 0xFF, (dataSize >> 24) & 0xFF);
+    header.push(...'.FIT'.split('').map(c => c.charCodeAt(0)));
+    header.push(0, 0); // header CRC (optional)
+
+    // File CRC of 0 means "not computed"
+    return new Uint8Array([...header, ...bytes, 0, 0]).buffer;
+};
+
+const sampleRecords = [
+    { time: '2024-06-01T08:00:00Z', lat: 46.5, lon: 10.4, elevation: 1200 },
+    { time: '2024-06-01T08:00:10Z', lat: 46.501, lon: 10.401, elevation: 1210 },
+    { time: '2024-06-01T08:00:20Z', lat: 46.502, lon: 10.402, elevation: 1205 }
+];
+
+describe('FITParser', () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new FITParser();
+    });
+
+    it('decodes record messages into GPS points', () => {
+        const messages = parser.decode(buildFitFile(sampleRecords));
+        const route = parser.extractRouteData(messages, 'ride.fit');
+
+        expect(route.points).toHaveLength(3);
+        expect(route.points[0].lat).toBeCloseTo(46.5, 6);
+        expect(route.points[0].lon).toBeCloseTo(10.4, 6);
+        expect(route.points[0].elevation).toBeCloseTo(1200, 1);
+        expect(route.points[0].timestamp.toISOString()).toBe('2024-06-01T08:00:00.000Z');
+    });
+
+    it('produces the same stats shape as GPX routes', () => {
+        const route = parser.extractRouteData(parser.decode(buildFitFile(sampleRecords)), 'ride.fit');
+
+        expect(route.filename).toBe('ride.fit');
+        expect(route.distance).toBeGreaterThan(0);
+        expect(route.elevationGain).toBeCloseTo(10, 1);
+        expect(route.elevationLoss).toBeCloseTo(5, 1);
+        expect(route.duration).toBe(20);
+        expect(route.pointCount).toBe(3);
+        expect(route.metadata.sport).toBe('cycling');
+        expect(route.metadata.time).toBe('2024-06-01T08:00:00.000Z');
+    });
+
+    it('resolves compressed timestamp headers against the previous timestamp', () => {
+        const records = [
+            ...sampleRecords,
+            { time: '2024-06-01T08:00:45Z', lat: 46.503, lon: 10.403, elevation: 1206 }
+        ];
+        const route = parser.extractRouteData(parser.decode(buildFitFile(records, { compressLast: true })), 'ride.fit');
+
+        expect(route.points).toHaveLength(4);
+        expect(route.points[3].timestamp.toISOString()).toBe('2024-06-01T08:00:45.000Z');
+    });
+
+    it('keeps missing altitude as null', () => {
+        const records = sampleRecords.map(record => ({ ...record, elevation: null }));
+        const route = parser.extractRouteData(parser.decode(buildFitFile(records)), 'indoor.fit');
+
+        expect(route.points.every(point => point.elevation === null)).toBe(true);
+        expect(route.elevationGain).toBe(0);
+    });
+
+    it('rejects files without a FIT signature', () => {
+        const buffer = new Uint8Array(20).buffer;
+        expect(() => parser.decode(buffer)).toThrow('Invalid FIT file header');
+    });
+
+    it('rejects unsupported extensions', () => {
+        expect(() => parser.validateFile({ name: 'ride.gpx', size: 10 })).toThrow('Unsupported file format');
+    });
+
+    it('parses a File through the public API', async () => {
+        const file = new File([buildFitFile(sampleRecords)], 'morning.fit');
+        const route = await parser.parseFITFile(file);
+
+        expect(route.points).toHaveLength(3);
+        expect(route.filename).toBe('morning.fit');
+    });
+});
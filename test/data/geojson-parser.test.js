@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import GeoJSONParser, { groupPointsBySegment } from '../../src/data/geojson-parser.js';
+
+const lineFeature = (coordinates, properties = {}) => ({
+    type: 'Feature',
+    properties,
+    geometry: { type: 'LineString', coordinates }
+});
+
+describe('GeoJSONParser', () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new GeoJSONParser();
+    });
+
+    it('reads LineString coordinates with Z and coordinate times', () => {
+        const route = parser.extractRouteData({
+            type: 'FeatureCollection',
+            features: [lineFeature(
+                [[10.0, 46.0, 100], [10.0, 46.01, 150]],
+                {
+                    name: 'Evening Run',
+                    coordinateProperties: { times: ['2024-06-01T18:00:00Z', '2024-06-01T18:05:00Z'] }
+                }
+            )]
+        }, 'run.geojson');
+
+        expect(route.points).toHaveLength(2);
+        expect(route.points[1]).toMatchObject({ lat: 46.01, lon: 10.0, elevation: 150 });
+        expect(route.points[1].timestamp.toISOString()).toBe('2024-06-01T18:05:00.000Z');
+        expect(route.duration).toBe(300);
+        expect(route.elevationGain).toBe(50);
+        expect(route.metadata.name).toBe('Evening Run');
+    });
+
+    it('treats each MultiLineString member as a segment', () => {
+        const route = parser.extractRouteData({
+            type: 'Feature',
+            properties: { coordTimes: [['2024-06-01T08:00:00Z', '2024-06-01T08:01:00Z'], ['2024-06-01T09:00:00Z', '2024-06-01T09:01:00Z']] },
+            geometry: {
+                type: 'MultiLineString',
+                coordinates: [
+                    [[10.0, 46.0], [10.0, 46.01]],
+                    [[11.0, 47.0], [11.0, 47.01]]
+                ]
+            }
+        }, 'day.geojson');
+
+        expect(route.points.map(point => point.segmentIndex)).toEqual([0, 0, 1, 1]);
+        expect(route.segments).toHaveLength(2);
+        // The gap between the two lines is not counted
+        expect(route.distance).toBeCloseTo(2 * 1.112, 1);
+        expect(route.points[2].timestamp.toISOString()).toBe('2024-06-01T09:00:00.000Z');
+        expect(route.points[0].elevation).toBeNull();
+    });
+
+    it('accepts a bare LineString geometry and keeps Point features as waypoints', () => {
+        expect(parser.extractRouteData(
+            { type: 'LineString', coordinates: [[10, 46], [10, 46.1]] },
+            'bare.geojson'
+        ).points).toHaveLength(2);
+
+        const route = parser.extractRouteData({
+            type: 'FeatureCollection',
+            features: [
+                { type: 'Feature', properties: { name: 'Hut' }, geometry: { type: 'Point', coordinates: [10.0, 46.05, 2100] } },
+                lineFeature([[10, 46], [10, 46.1]], { name: 'Hike' })
+            ]
+        }, 'hike.geojson');
+
+        expect(route.metadata.name).toBe('Hike');
+        expect(route.waypoints).toEqual([
+            expect.objectContaining({ lat: 46.05, lon: 10.0, elevation: 2100, name: 'Hut' })
+        ]);
+    });
+
+    it('rejects documents without line geometry', () => {
+        expect(() => parser.extractRouteData({ type: 'FeatureCollection', features: [] }, 'empty.geojson'))
+            .toThrow('No LineString coordinates found in GeoJSON file');
+        expect(() => parser.extractRouteData({ type: 'Polygon', coordinates: [] }, 'area.geojson'))
+            .toThrow('Unsupported GeoJSON type: Polygon');
+        expect(() => parser.parseJSON('{not json')).toThrow('Invalid JSON format');
+    });
+
+    it('exports a route and reads it back', () => {
+        const route = parser.extractRouteData({
+            type: 'Feature',
+            properties: { name: 'Loop', coordinateProperties: { times: ['2024-06-01T08:00:00Z', '2024-06-01T08:01:00Z'] } },
+            geometry: { type: 'LineString', coordinates: [[10, 46, 100], [10, 46.01, 110]] }
+        }, 'loop.geojson');
+
+        const exported = JSON.parse(parser.generateGeoJSON(route));
+        const [feature] = exported.features;
+
+        expect(feature.geometry).toEqual({ type: 'LineString', coordinates: [[10, 46, 100], [10, 46.01, 110]] });
+        expect(feature.properties.coordinateProperties.times).toEqual(['2024-06-01T08:00:00.000Z', '2024-06-01T08:01:00.000Z']);
+
+        const reparsed = parser.extractRouteData(exported, 'loop-copy.geojson');
+        expect(reparsed.duration).toBe(60);
+        expect(reparsed.metadata.name).toBe('Loop');
+    });
+
+    it('exports multi-segment routes as MultiLineString', () => {
+        const exported = JSON.parse(parser.generateGeoJSON({
+            filename: 'day.gpx',
+            points: [
+                { lat: 46, lon: 10, elevation: null, timestamp: null, segmentIndex: 0 },
+                { lat: 46.1, lon: 10, elevation: null, timestamp: null, segmentIndex: 0 },
+                { lat: 47, lon: 11, elevation: null, timestamp: null, segmentIndex: 1 }
+            ]
+        }));
+
+        expect(exported.features[0].geometry.type).toBe('MultiLineString');
+        expect(exported.features[0].geometry.coordinates).toEqual([[[10, 46], [10, 46.1]], [[11, 47]]]);
+        expect(exported.features[0].properties.coordinateProperties).toBeUndefined();
+    });
+
+    it('groups points into runs by segment', () => {
+        expect(groupPointsBySegment([{ lat: 1 }, { lat: 2 }])).toHaveLength(1);
+        expect(groupPointsBySegment([])).toEqual([]);
+    });
+});
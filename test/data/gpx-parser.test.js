@@ -0,0 +1,243 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import GPXParser from '../../src/data/gpx-parser.js';
+
+const buildGpx = (trackpoints) => `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Garmin Connect" xmlns="http://www.topografix.com/GPX/1/1"
+    xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">
+  <trk>
+    <name>Morning Ride</name>
+    <trkseg>
+      ${trackpoints.join('\n')}
+    </trkseg>
+  </trk>
+</gpx>`;
+
+const parseXml = (content) => new DOMParser().parseFromString(content, 'text/xml');
+
+describe('GPXParser', () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new GPXParser();
+    });
+
+    describe('sensor extensions', () => {
+        it('parses Garmin TrackPointExtension hr, cad and atemp', () => {
+            const xml = parseXml(buildGpx([`
+                <trkpt lat="46.5" lon="10.4">
+                  <ele>1200</ele>
+                  <time>2024-06-01T08:00:00Z</time>
+                  <extensions>
+                    <gpxtpx:TrackPointExtension>
+                      <gpxtpx:atemp>18.5</gpxtpx:atemp>
+                      <gpxtpx:hr>142</gpxtpx:hr>
+                      <gpxtpx:cad>88</gpxtpx:cad>
+                    </gpxtpx:TrackPointExtension>
+                  </extensions>
+                </trkpt>`]));
+
+            const [point] = parser.extractRouteData(xml, 'ride.gpx').points;
+
+            expect(point).toMatchObject({
+                lat: 46.5,
+                lon: 10.4,
+                elevation: 1200,
+                heartRate: 142,
+                cadence: 88,
+                temperature: 18.5,
+                power: null
+            });
+        });
+
+        it('parses bare and PowerExtension power values', () => {
+            const xml = parseXml(buildGpx([
+                `<trkpt lat="46.5" lon="10.4"><extensions><power>251</power></extensions></trkpt>`,
+                `<trkpt lat="46.6" lon="10.5"><extensions><pwr:PowerInWatts xmlns:pwr="http://www.garmin.com/xmlschemas/PowerExtension/v1">199</pwr:PowerInWatts></extensions></trkpt>`
+            ]));
+
+            const points = parser.extractRouteData(xml, 'ride.gpx').points;
+
+            expect(points[0].power).toBe(251);
+            expect(points[1].power).toBe(199);
+        });
+
+        it('sets sensor fields to null when no extensions are present', () => {
+            const xml = parseXml(buildGpx([`<trkpt lat="46.5" lon="10.4"><ele>1200</ele></trkpt>`]));
+
+            const [point] = parser.extractRouteData(xml, 'ride.gpx').points;
+
+            expect(point.heartRate).toBeNull();
+            expect(point.cadence).toBeNull();
+            expect(point.temperature).toBeNull();
+            expect(point.power).toBeNull();
+        });
+    });
+
+    describe('tracks and segments', () => {
+        const multiSegmentGpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk>
+    <name>Morning</name>
+    <trkseg>
+      <trkpt lat="46.0" lon="10.0"><ele>100</ele><time>2024-06-01T08:00:00Z</time></trkpt>
+      <trkpt lat="46.01" lon="10.0"><ele>110</ele><time>2024-06-01T08:05:00Z</time></trkpt>
+    </trkseg>
+    <trkseg>
+      <trkpt lat="47.0" lon="11.0"><ele>500</ele><time>2024-06-01T09:00:00Z</time></trkpt>
+      <trkpt lat="47.01" lon="11.0"><ele>520</ele><time>2024-06-01T09:05:00Z</time></trkpt>
+    </trkseg>
+  </trk>
+  <trk>
+    <name>Afternoon</name>
+    <trkseg>
+      <trkpt lat="48.0" lon="12.0"><ele>300</ele></trkpt>
+      <trkpt lat="48.01" lon="12.0"><ele>290</ele></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+        it('exposes tracks with their segments', () => {
+            const tracks = parser.extractTracks(parseXml(multiSegmentGpx));
+
+            expect(tracks.map(track => track.name)).toEqual(['Morning', 'Afternoon']);
+            expect(tracks[0].segments).toHaveLength(2);
+            expect(tracks[1].segments[0]).toHaveLength(2);
+        });
+
+        it('joins segments by default and tags each point with its segment', () => {
+            const route = parser.extractRouteData(parseXml(multiSegmentGpx), 'day.gpx');
+
+            expect(route.points).toHaveLength(6);
+            expect(route.points.map(point => point.segmentIndex)).toEqual([0, 0, 1, 1, 2, 2]);
+            expect(route.segments).toEqual([
+                { trackIndex: 0, trackName: 'Morning', pointCount: 2 },
+                { trackIndex: 0, trackName: 'Morning', pointCount: 2 },
+                { trackIndex: 1, trackName: 'Afternoon', pointCount: 2 }
+            ]);
+        });
+
+        it('does not count distance or climbing across segment breaks', () => {
+            const route = parser.extractRouteData(parseXml(multiSegmentGpx), 'day.gpx');
+
+            // Three ~1.11km segments, no bridging across the gaps
+            expect(route.distance).toBeCloseTo(3 * 1.112, 1);
+            expect(route.elevationGain).toBe(30);
+            expect(route.elevationLoss).toBe(10);
+        });
+
+        it('splits a joined route into one route per segment', () => {
+            const route = parser.extractRouteData(parseXml(multiSegmentGpx), 'day.gpx');
+            const routes = parser.splitRouteBySegments(route);
+
+            expect(routes.map(r => r.filename)).toEqual([
+                'day (Morning 1/3).gpx',
+                'day (Morning 2/3).gpx',
+                'day (Afternoon 3/3).gpx'
+            ]);
+            expect(routes[1].points[0]).toMatchObject({ lat: 47.0, segmentIndex: 0 });
+            expect(routes[1].elevationGain).toBe(20);
+            expect(routes[1].duration).toBe(300);
+            expect(routes[2].metadata.name).toBe('Afternoon');
+        });
+
+        it('returns single-segment routes unchanged when splitting', () => {
+            const route = parser.extractRouteData(parseXml(buildGpx([
+                `<trkpt lat="46.5" lon="10.4"/>`,
+                `<trkpt lat="46.6" lon="10.5"/>`
+            ])), 'ride.gpx');
+
+            expect(parser.splitRouteBySegments(route)).toEqual([route]);
+        });
+
+        it('writes segment breaks back out as separate trkseg elements', () => {
+            const route = parser.extractRouteData(parseXml(multiSegmentGpx), 'day.gpx');
+            const gpx = parser.generateGPX(route);
+
+            expect(gpx.match(/<trkseg>/g)).toHaveLength(3);
+            expect(parser.extractTracks(parseXml(gpx))[0].segments).toHaveLength(3);
+        });
+    });
+
+    describe('waypoints', () => {
+        const annotatedGpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+  <wpt lat="46.005" lon="10.0"><ele>105</ele><name>Cafe</name><desc>Espresso stop</desc><sym>Restaurant</sym></wpt>
+  <rte>
+    <rtept lat="46.0" lon="10.0"/>
+    <rtept lat="46.01" lon="10.0"><name>Summit</name></rtept>
+  </rte>
+  <trk>
+    <trkseg>
+      <trkpt lat="46.0" lon="10.0"/>
+      <trkpt lat="46.01" lon="10.0"/>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+        it('keeps waypoints and named route points alongside a track', () => {
+            const route = parser.extractRouteData(parseXml(annotatedGpx), 'ride.gpx');
+
+            expect(route.points).toHaveLength(2);
+            expect(route.waypoints).toHaveLength(2);
+            expect(route.waypoints[0]).toMatchObject({
+                lat: 46.005,
+                lon: 10.0,
+                elevation: 105,
+                name: 'Cafe',
+                description: 'Espresso stop',
+                symbol: 'Restaurant'
+            });
+            expect(route.waypoints[1]).toMatchObject({ name: 'Summit', description: null });
+        });
+
+        it('treats waypoints as the route when there is nothing else', () => {
+            const route = parser.extractRouteData(parseXml(`<gpx>
+                <wpt lat="46.0" lon="10.0"><name>A</name></wpt>
+                <wpt lat="46.1" lon="10.1"><name>B</name></wpt>
+            </gpx>`), 'pois.gpx');
+
+            expect(route.points).toHaveLength(2);
+            expect(route.waypoints).toBeUndefined();
+        });
+
+        it('writes waypoints back out, escaping their text', () => {
+            const route = parser.extractRouteData(parseXml(annotatedGpx), 'ride.gpx');
+            route.waypoints[0].name = 'Fish & Chips';
+
+            const gpx = parser.generateGPX(route);
+            const reparsed = parser.extractRouteData(parseXml(gpx), 'roundtrip.gpx');
+
+            expect(gpx).toContain('<name>Fish &amp; Chips</name>');
+            expect(reparsed.waypoints.map(waypoint => waypoint.name)).toEqual(['Fish & Chips', 'Summit']);
+        });
+    });
+
+    describe('generateGPX', () => {
+        it('writes sensor readings back as extensions that round-trip', () => {
+            const route = {
+                filename: 'ride.gpx',
+                points: [
+                    { lat: 46.5, lon: 10.4, elevation: 1200, timestamp: new Date('2024-06-01T08:00:00Z'), heartRate: 141.6, cadence: 88, temperature: 18.5, power: 250.4 },
+                    { lat: 46.6, lon: 10.5, elevation: 1210, timestamp: new Date('2024-06-01T08:00:10Z'), heartRate: null, cadence: null, temperature: null, power: null }
+                ]
+            };
+
+            const gpx = parser.generateGPX(route);
+            const points = parser.extractRouteData(parseXml(gpx), 'roundtrip.gpx').points;
+
+            expect(gpx).toContain('<gpxtpx:hr>142</gpxtpx:hr>');
+            expect(gpx).toContain('<pwr:PowerInWatts>250</pwr:PowerInWatts>');
+            expect(points[0]).toMatchObject({ heartRate: 142, cadence: 88, temperature: 18.5, power: 250 });
+            expect(points[1]).toMatchObject({ heartRate: null, cadence: null, temperature: null, power: null });
+        });
+
+        it('omits the extensions block for points without sensor data', () => {
+            const gpx = parser.generateGPX({
+                filename: 'plain.gpx',
+                points: [{ lat: 1, lon: 2, elevation: 3, timestamp: null }]
+            });
+
+            expect(gpx).not.toContain('<extensions>');
+        });
+    });
+});
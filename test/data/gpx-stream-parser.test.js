@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import GPXParser from '../../src/data/gpx-parser.js';
+import GPXStreamParser, { parseGPXStream } from '../../src/data/gpx-stream-parser.js';
+import GPXWorkerParser from '../../src/data/gpx-worker-parser.js';
+
+const sampleGpx = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- exported by a device -->
+<gpx version="1.1" creator="Edge &amp; Co" xmlns="http://www.topografix.com/GPX/1/1"
+    xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">
+  <metadata><time>2024-06-01T07:59:00Z</time></metadata>
+  <wpt lat="46.005" lon="10.0"><ele>105</ele><name><![CDATA[Café <Alpine>]]></name><desc>Espresso &gt; tea</desc></wpt>
+  <trk>
+    <name>Morning</name>
+    <desc>Two climbs</desc>
+    <trkseg>
+      <trkpt lat="46.0" lon="10.0">
+        <ele>100</ele>
+        <time>2024-06-01T08:00:00Z</time>
+        <extensions><gpxtpx:TrackPointExtension><gpxtpx:hr>120</gpxtpx:hr><gpxtpx:cad>80</gpxtpx:cad></gpxtpx:TrackPointExtension></extensions>
+      </trkpt>
+      <trkpt lat='46.01' lon='10.0'><ele>110</ele><time>2024-06-01T08:05:00Z</time></trkpt>
+    </trkseg>
+    <trkseg>
+      <trkpt lat="47.0" lon="11.0"><ele>500</ele><time>2024-06-01T09:00:00Z</time><extensions><power>240</power></extensions></trkpt>
+      <trkpt lat="47.01" lon="11.0"/>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+const withoutUploadTime = ({ uploadTime, ...route }) => route;
+
+describe('GPXStreamParser', () => {
+    it('produces the same route as the DOM-based GPXParser', () => {
+        const domRoute = new GPXParser().extractRouteData(
+            new DOMParser().parseFromString(sampleGpx, 'text/xml'),
+            'ride.gpx'
+        );
+
+        const streamParser = new GPXStreamParser();
+        streamParser.write(sampleGpx);
+        const streamRoute = streamParser.end('ride.gpx');
+
+        expect(withoutUploadTime(streamRoute)).toEqual(withoutUploadTime(domRoute));
+        expect(streamRoute.waypoints[0].name).toBe('Café <Alpine>');
+        expect(streamRoute.metadata.creator).toBe('Edge & Co');
+    });
+
+    it('handles tags and entities split across chunk boundaries', () => {
+        const wholeParser = new GPXStreamParser();
+        wholeParser.write(sampleGpx);
+        const expected = withoutUploadTime(wholeParser.end('ride.gpx'));
+
+        const charParser = new GPXStreamParser();
+        for (const char of sampleGpx) {
+            charParser.write(char);
+        }
+
+        expect(withoutUploadTime(charParser.end('ride.gpx'))).toEqual(expected);
+    });
+
+    it('rejects truncated documents and non-GPX roots', () => {
+        const truncated = new GPXStreamParser();
+        truncated.write(sampleGpx.slice(0, sampleGpx.length / 2));
+        expect(() => truncated.end('cut.gpx')).toThrow('Invalid XML format');
+
+        const wrongRoot = new GPXStreamParser();
+        expect(() => wrongRoot.write('<kml><Document/></kml>')).toThrow('Not a GPX document');
+    });
+
+    it('rejects documents without points and invalid coordinates', () => {
+        const empty = new GPXStreamParser();
+        empty.write('<gpx><trk><trkseg></trkseg></trk></gpx>');
+        expect(() => empty.end('empty.gpx')).toThrow('No GPS points found in GPX file');
+
+        const invalid = new GPXStreamParser();
+        expect(() => invalid.write('<gpx><trk><trkseg><trkpt lat="x" lon="1"/>')).toThrow('Invalid coordinates in GPX file');
+    });
+});
+
+describe('parseGPXStream', () => {
+    it('reads a file in chunks and reports progress', async () => {
+        const file = new File([sampleGpx], 'ride.gpx');
+        const progress = [];
+
+        const route = await parseGPXStream(file, {
+            chunkSize: 256,
+            onProgress: ({ bytesRead, totalBytes }) => progress.push(bytesRead / totalBytes)
+        });
+
+        expect(route.points).toHaveLength(4);
+        expect(progress.length).toBeGreaterThan(1);
+        expect(progress.at(-1)).toBe(1);
+        expect(progress).toEqual([...progress].sort((a, b) => a - b));
+    });
+
+    it('decodes multi-byte characters split across chunks', async () => {
+        const route = await parseGPXStream(new File([sampleGpx], 'ride.gpx'), { chunkSize: 7 });
+        expect(route.waypoints[0].name).toBe('Café <Alpine>');
+    });
+
+    it('stops when the signal is aborted', async () => {
+        const controller = new AbortController();
+        const file = new File([sampleGpx], 'ride.gpx');
+
+        await expect(parseGPXStream(file, {
+            chunkSize: 64,
+            signal: controller.signal,
+            onProgress: () => controller.abort()
+        })).rejects.toThrow('Upload cancelled');
+    });
+});
+
+describe('GPXWorkerParser', () => {
+    it('falls back to streaming on the main thread without Worker support', async () => {
+        const parser = new GPXWorkerParser();
+        expect(parser.canUseWorker()).toBe(false);
+
+        const route = await parser.parseGPXFile(new File([sampleGpx], 'ride.gpx'));
+        expect(route.filename).toBe('ride.gpx');
+        expect(route.segments).toHaveLength(2);
+    });
+
+    it('accepts files beyond the DOM parser size limit', () => {
+        const parser = new GPXWorkerParser();
+        expect(() => parser.validateFile({ name: 'ultra.gpx', size: 200 * 1024 * 1024 })).not.toThrow();
+        expect(() => parser.validateFile({ name: 'ultra.fit', size: 10 })).toThrow('Unsupported file format');
+    });
+
+    it('reports cancellation distinctly from parse errors', async () => {
+        const parser = new GPXWorkerParser();
+        const controller = new AbortController();
+        controller.abort();
+
+        await expect(parser.parseGPXFile(new File([sampleGpx], 'ride.gpx'), { signal: controller.signal }))
+            .rejects.toThrow(/^Upload cancelled$/);
+        await expect(parser.parseGPXFile(new File(['<gpx></gpx>'], 'bad.gpx')))
+            .rejects.toThrow('Failed to parse bad.gpx: No GPS points found in GPX file');
+    });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import KMLParser from '../../src/data/kml-parser.js';
+
+const buildKml = (body) => `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Document>
+    <name>Alps Trip</name>
+    ${body}
+  </Document>
+</kml>`;
+
+const parseXml = (content) => new DOMParser().parseFromString(content, 'text/xml');
+
+describe('KMLParser', () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new KMLParser();
+    });
+
+    it('reads LineString coordinates', () => {
+        const xml = parseXml(buildKml(`
+            <Placemark>
+                <name>Col ride</name>
+                <description>Up and over</description>
+                <LineString>
+                    <coordinates>
+                        10.0,46.0,100
+                        10.0,46.01,180
+                    </coordinates>
+                </LineString>
+            </Placemark>`));
+
+        const route = parser.extractRouteData(xml, 'ride.kml');
+
+        expect(route.points).toHaveLength(2);
+        expect(route.points[1]).toMatchObject({ lat: 46.01, lon: 10.0, elevation: 180, timestamp: null });
+        expect(route.elevationGain).toBe(80);
+        expect(route.metadata).toMatchObject({ name: 'Col ride', description: 'Up and over' });
+    });
+
+    it('reads gx:Track when/coord pairs with timestamps', () => {
+        const xml = parseXml(buildKml(`
+            <Placemark>
+                <gx:Track>
+                    <when>2024-06-01T08:00:00Z</when>
+                    <when>2024-06-01T08:02:00Z</when>
+                    <gx:coord>10.0 46.0 100</gx:coord>
+                    <gx:coord>10.0 46.01 90</gx:coord>
+                </gx:Track>
+            </Placemark>`));
+
+        const route = parser.extractRouteData(xml, 'track.kml');
+
+        expect(route.points[1].timestamp.toISOString()).toBe('2024-06-01T08:02:00.000Z');
+        expect(route.duration).toBe(120);
+        expect(route.elevationLoss).toBe(10);
+        expect(route.metadata.name).toBe('Alps Trip');
+    });
+
+    it('treats multiple lines as segments and Point placemarks as waypoints', () => {
+        const xml = parseXml(buildKml(`
+            <Placemark><name>Lake</name><Point><coordinates>10.5,46.5</coordinates></Point></Placemark>
+            <Placemark>
+                <MultiGeometry>
+                    <LineString><coordinates>10,46 10,46.01</coordinates></LineString>
+                    <LineString><coordinates>11,47 11,47.01</coordinates></LineString>
+                </MultiGeometry>
+            </Placemark>`));
+
+        const route = parser.extractRouteData(xml, 'multi.kml');
+
+        expect(route.points.map(point => point.segmentIndex)).toEqual([0, 0, 1, 1]);
+        expect(route.distance).toBeCloseTo(2 * 1.112, 1);
+        expect(route.waypoints).toEqual([expect.objectContaining({ lat: 46.5, lon: 10.5, name: 'Lake' })]);
+    });
+
+    it('rejects documents that are not KML or have no lines', () => {
+        expect(() => parser.extractRouteData(parseXml('<gpx/>'), 'wrong.kml')).toThrow('Not a KML document');
+        expect(() => parser.extractRouteData(parseXml(buildKml('')), 'empty.kml'))
+            .toThrow('No LineString or gx:Track found in KML file');
+    });
+
+    it('exports timed routes as gx:Track and reads them back', () => {
+        const route = {
+            filename: 'ride.gpx',
+            metadata: { name: 'Ride & Coffee' },
+            points: [
+                { lat: 46.0, lon: 10.0, elevation: 100, timestamp: new Date('2024-06-01T08:00:00Z') },
+                { lat: 46.01, lon: 10.0, elevation: 120, timestamp: new Date('2024-06-01T08:01:00Z') }
+            ],
+            waypoints: [{ lat: 46.005, lon: 10.0, elevation: null, name: 'Cafe', description: null }]
+        };
+
+        const kml = parser.generateKML(route);
+        const reparsed = parser.extractRouteData(parseXml(kml), 'ride.kml');
+
+        expect(kml).toContain('<gx:Track>');
+        expect(kml).toContain('Ride &amp; Coffee');
+        expect(reparsed.points).toHaveLength(2);
+        expect(reparsed.duration).toBe(60);
+        expect(reparsed.points[1].elevation).toBe(120);
+        expect(reparsed.waypoints[0].name).toBe('Cafe');
+    });
+
+    it('exports untimed multi-segment routes as LineStrings in a MultiGeometry', () => {
+        const kml = parser.generateKML({
+            filename: 'coin',
+            points: [
+                { lat: 46, lon: 10, elevation: null, timestamp: null, segmentIndex: 0 },
+                { lat: 46.1, lon: 10, elevation: null, timestamp: null, segmentIndex: 0 },
+                { lat: 47, lon: 11, elevation: null, timestamp: null, segmentIndex: 1 },
+                { lat: 47.1, lon: 11, elevation: null, timestamp: null, segmentIndex: 1 }
+            ]
+        });
+
+        expect(kml).toContain('<MultiGeometry>');
+        expect(kml).toContain('<coordinates>10,46 10,46.1</coordinates>');
+        expect(parser.extractRouteData(parseXml(kml), 'coin.kml').segments).toHaveLength(2);
+    });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { indexedDB, IDBKeyRange } from 'fake-indexeddb';
+import RouteStorageManager from '../../src/data/route-storage.js';
+import LibraryBackup, { BACKUP_FORMAT, BACKUP_VERSION } from '../../src/data/library-backup.js';
+
+// A ride heading north-east from `lat`, one timed point every 10 seconds
+const createRoute = (id, { lat = 46, count = 20, day = 1, ...overrides } = {}) => ({
+  id,
+  filename: `${id}.gpx`,
+  points: Array.from({ length: count }, (_, i) => ({
+    lat: lat + i * 0.0005,
+    lon: 7 + i * 0.0003,
+    elevation: 500 + i,
+    timestamp: new Date(Date.UTC(2024, 5, day, 9, 0, i * 10)).toISOString()
+  })),
+  distance: (count - 1) * 0.0645,
+  elevationGain: count - 1,
+  duration: (count - 1) * 10,
+  pointCount: count,
+  uploadTime: 1717232400000,
+  metadata: { name: id },
+  ...overrides
+});
+
+const createCoin = (id, overrides = {}) => ({
+  id,
+  name: `${id} coin`,
+  route: createRoute(`${id}_route`, { lat: 40 }),
+  createdAt: '2024-06-02T10:00:00.000Z',
+  ...overrides
+});
+
+const backupOf = ({ routes = [], coins = [] } = {}) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  createdAt: '2024-06-03T00:00:00.000Z',
+  routes,
+  coins
+});
+
+// Round-trip through JSON like a real archive file
+const asFile = (backup) => new File([JSON.stringify(backup)], 'library.json', { type: 'application/json' });
+
+describe('LibraryBackup', () => {
+  let manager;
+  let backup;
+
+  beforeEach(async () => {
+    global.indexedDB = indexedDB;
+    global.IDBKeyRange = IDBKeyRange;
+    manager = new RouteStorageManager();
+    await manager.init();
+    await manager.clearAllRoutes();
+    await manager.clearAllCoins();
+    backup = new LibraryBackup(manager);
+  });
+
+  afterEach(() => {
+    if (manager?.db) {
+      manager.db.close();
+    }
+    delete global.indexedDB;
+    delete global.IDBKeyRange;
+  });
+
+  it('backs up both stores and restores them into an empty library', async () => {
+    await manager.saveRoutes([createRoute('route_a', { tags: ['alps'] }), createRoute('route_b', { lat: 47, day: 2 })]);
+    await manager.saveCoin(createCoin('coin_a'));
+
+    const archive = await backup.createBackup();
+    expect(archive).toMatchObject({ format: BACKUP_FORMAT, version: BACKUP_VERSION, schemaVersion: manager.dbVersion });
+    expect(archive.routes).toHaveLength(2);
+    expect(archive.coins).toHaveLength(1);
+
+    await manager.clearAllRoutes();
+    await manager.clearAllCoins();
+
+    const progress = [];
+    const report = await backup.restoreBackup(await backup.readBackupFile(asFile(archive)), {
+      onProgress: update => progress.push(update)
+    });
+
+    expect(report.routes).toEqual({ added: 2, merged: 0, unchanged: 0, duplicates: 0 });
+    expect(report.coins).toEqual({ added: 1, merged: 0, unchanged: 0 });
+    expect(report.conflicts).toEqual([]);
+    expect(progress.at(-1)).toEqual({ phase: 'saving', done: 3, total: 3 });
+    expect((await manager.getIdsByTag('alps')).sort()).toEqual(['route_a']);
+    expect((await manager.loadCoins())[0].route.points).toHaveLength(20);
+  });
+
+  it('leaves identical records alone when restoring over the same library', async () => {
+    await manager.saveRoutes([createRoute('route_a')]);
+    await manager.saveCoin(createCoin('coin_a'));
+    const archive = await backup.readBackupFile(asFile(await backup.createBackup()));
+
+    const report = await backup.restoreBackup(archive);
+
+    expect(report.routes.unchanged).toBe(1);
+    expect(report.coins.unchanged).toBe(1);
+    expect(report.conflicts).toEqual([]);
+  });
+
+  it('merges a changed copy of a route into the local one and reports the conflict', async () => {
+    await manager.saveRoute(createRoute('route_a', {
+      count: 5, tags: ['commute'], notes: 'Local notes', minElevation: 500, maxElevation: 504, segments: [{ startIndex: 0, endIndex: 4 }]
+    }));
+
+    const report = await backup.restoreBackup(backupOf({
+      routes: [createRoute('route_a', {
+        count: 20, tags: ['Winter'], folder: 'Daily', notes: 'Old notes', minElevation: 500, maxElevation: 519
+      })]
+    }));
+
+    expect(report.routes.merged).toBe(1);
+    expect(report.conflicts).toEqual([
+      { type: 'route', id: 'route_a', name: 'route_a.gpx', resolution: "kept local copy with the backup's more detailed track" }
+    ]);
+    const [restored] = await manager.loadRoutes();
+    expect(restored.tags).toEqual(['commute', 'winter']);
+    expect(restored.folder).toBe('Daily');
+    expect(restored.notes).toBe('Local notes');
+    expect(restored.points).toHaveLength(20);
+    expect(restored.pointCount).toBe(20);
+    expect(restored.duration).toBe(190);
+    expect(restored.maxElevation).toBe(519);
+    expect(restored.segments).toBeUndefined();
+  });
+
+  it('skips routes that duplicate a different local activity', async () => {
+    await manager.saveRoutes([
+      createRoute('route_upload'),
+      createRoute('route_merged', { lat: 48, day: 3, metadata: { duplicateIds: ['strava_2'] } })
+    ]);
+
+    const report = await backup.restoreBackup(backupOf({
+      routes: [
+        { ...createRoute('strava_1'), source: 'strava' },
+        { ...createRoute('strava_2', { lat: 30, day: 9 }), source: 'strava' },
+        createRoute('route_new', { lat: 49, day: 4 })
+      ]
+    }));
+
+    expect(report.routes).toEqual({ added: 1, merged: 0, unchanged: 0, duplicates: 2 });
+    expect(report.conflicts.map(conflict => conflict.resolution)).toEqual([
+      'skipped - same activity as route_upload.gpx',
+      'skipped - same activity as route_merged.gpx'
+    ]);
+    expect((await manager.loadRoutes()).map(route => route.id).sort())
+      .toEqual(['route_merged', 'route_new', 'route_upload']);
+  });
+
+  it('rejects foreign or newer archives and reports invalid records', async () => {
+    expect(() => backup.validateBackup({ routes: [] })).toThrow('not a RouteCoinMe library backup');
+    expect(() => backup.validateBackup({ ...backupOf(), version: BACKUP_VERSION + 1 })).toThrow('newer version');
+    await expect(backup.readBackupFile(new File(['not json'], 'x.json'))).rejects.toThrow('not a RouteCoinMe library backup');
+
+    const report = await backup.restoreBackup(backupOf({
+      routes: [createRoute('route_ok'), { id: 'route_empty', filename: 'empty.gpx', points: [] }, null],
+      coins: [createCoin('coin_bad', { route: { id: 'x', points: [{ lat: 'a', lon: 7 }] } })]
+    }));
+
+    expect(report.routes.added).toBe(1);
+    expect(report.invalid).toEqual([
+      { type: 'route', id: 'route_empty', name: 'empty.gpx', reason: 'no track points' },
+      { type: 'route', id: null, name: null, reason: 'not a route record' },
+      { type: 'coin', id: 'coin_bad', name: 'coin_bad coin', reason: 'coin route has track points without valid coordinates' }
+    ]);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+    encodePoints,
+    decodePoints,
+    packRoutePoints,
+    unpackRoutePoints,
+    estimateStoredSize
+} from '../../src/data/point-codec.js';
+
+// A recorded ride: 7-decimal coordinates, decimetre elevation, one point per second with sensors
+const createPoints = (count = 500) => Array.from({ length: count }, (_, i) => ({
+    lat: Math.round((46.5 + i * 0.00004) * 1e7) / 1e7,
+    lon: Math.round((6.6 + Math.sin(i / 50) * 0.001) * 1e7) / 1e7,
+    elevation: Math.round((500 + Math.sin(i / 30) * 20) * 10) / 10,
+    timestamp: new Date(Date.UTC(2024, 5, 1, 9, 0, i)).toISOString(),
+    heartRate: 120 + (i % 30),
+    cadence: i % 10 === 0 ? null : 85,
+    segmentIndex: i < 250 ? 0 : 1
+}));
+
+describe('point codec', () => {
+    it('decodes exactly the points that were encoded', () => {
+        const points = createPoints();
+        points[10] = { ...points[10], name: 'Summit', power: 250.5 };
+        delete points[20].heartRate;
+
+        expect(decodePoints(encodePoints(points))).toEqual(points);
+    });
+
+    it('stores coordinates, elevation and time as delta-encoded typed arrays', () => {
+        const stream = encodePoints(createPoints());
+        const columns = Object.fromEntries(stream.columns.map(column => [column.key, column]));
+
+        expect(columns.lat).toMatchObject({ type: 'quantised', scale: 1e7 });
+        expect(columns.lat.data).toBeInstanceOf(Int32Array);
+        expect(columns.timestamp.type).toBe('time');
+        expect(Array.from(columns.timestamp.data.slice(1, 4))).toEqual([1000, 1000, 1000]);
+        expect(columns.cadence.state).toBeInstanceOf(Uint8Array);
+        expect(columns.heartRate.state).toBeNull();
+    });
+
+    it('rounds coordinates to 1e-7 degrees and elevation to centimetres', () => {
+        const [point] = decodePoints(encodePoints([{ lat: 46.123456789, lon: -179.99999999, elevation: 512.345 }]));
+        expect(point).toEqual({ lat: 46.1234568, lon: -180, elevation: 512.35 });
+    });
+
+    it('keeps timestamps it cannot round-trip exactly and large jumps intact', () => {
+        const points = [
+            { lat: 0, lon: 179.9, timestamp: '2024-01-01T10:00:00Z' },
+            { lat: 0, lon: -179.9, timestamp: null },
+            { lat: 0, lon: 179.9, timestamp: '2025-01-01T10:00:00+01:00' }
+        ];
+        expect(decodePoints(encodePoints(points))).toEqual(points);
+    });
+
+    it('packs a route into a fraction of the space', () => {
+        const route = { id: 'ride', filename: 'ride.gpx', points: createPoints(2000), distance: 8.9 };
+        const packed = packRoutePoints(route);
+
+        expect(packed.points).toBeUndefined();
+        expect(estimateStoredSize(route) / estimateStoredSize(packed)).toBeGreaterThan(3);
+        expect(unpackRoutePoints(packed)).toEqual(route);
+        expect(unpackRoutePoints(route)).toBe(route);
+    });
+
+    it('refuses streams from a newer format', () => {
+        const stream = { ...encodePoints(createPoints(2)), version: 99 };
+        expect(() => decodePoints(stream)).toThrow('Unsupported point stream format');
+    });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import RouteCleaner from '../../src/data/route-cleaner.js';
+
+describe('RouteCleaner', () => {
+    let cleaner;
+
+    beforeEach(() => {
+        cleaner = new RouteCleaner();
+    });
+
+    // ~11m north per step at 5s intervals (~8km/h)
+    const createPoint = (index, overrides = {}) => ({
+        lat: 46 + index * 0.0001,
+        lon: 7,
+        elevation: 500,
+        timestamp: new Date(Date.UTC(2024, 0, 1, 10, 0, index * 5)),
+        name: null,
+        ...overrides
+    });
+
+    const createRoute = (points) => ({
+        filename: 'noisy.gpx',
+        points,
+        metadata: { name: 'Noisy' },
+        distance: 0
+    });
+
+    describe('removeOutliers', () => {
+        it('drops single-point spikes', () => {
+            const points = Array.from({ length: 8 }, (_, i) => createPoint(i));
+            points[4] = createPoint(4, { lat: 46.05 }); // ~5km away for one fix
+
+            const cleaned = cleaner.removeOutliers(points);
+
+            expect(cleaned).toHaveLength(7);
+            expect(cleaned.some(point => point.lat === 46.05)).toBe(false);
+        });
+
+        it('drops short bursts of bad fixes', () => {
+            const points = Array.from({ length: 10 }, (_, i) => createPoint(i));
+            points[3] = createPoint(3, { lon: 7.05 });
+            points[4] = createPoint(4, { lon: 7.051 });
+
+            expect(cleaner.removeOutliers(points)).toHaveLength(8);
+        });
+
+        it('keeps a jump the track never returns from', () => {
+            const points = Array.from({ length: 10 }, (_, i) => createPoint(i, i >= 5 ? { lon: 7.2 } : {}));
+
+            expect(cleaner.removeOutliers(points)).toHaveLength(10);
+        });
+
+        it('leaves untimed points alone', () => {
+            const points = Array.from({ length: 6 }, (_, i) => createPoint(i, { timestamp: null }));
+            points[2] = createPoint(2, { lat: 47, timestamp: null });
+
+            expect(cleaner.removeOutliers(points)).toHaveLength(6);
+        });
+    });
+
+    describe('collapseStationaryClusters', () => {
+        it('merges jitter recorded during a stop into one point', () => {
+            const before = Array.from({ length: 3 }, (_, i) => createPoint(i));
+            // 12 fixes over 60s wobbling ~2m around the same spot
+            const stop = Array.from({ length: 12 }, (_, i) => createPoint(3, {
+                lat: 46.0003 + (i % 2) * 0.00002,
+                lon: 7 + (i % 3) * 0.00002,
+                timestamp: new Date(Date.UTC(2024, 0, 1, 10, 0, 15 + i * 5))
+            }));
+            const after = Array.from({ length: 3 }, (_, i) => createPoint(i + 4, {
+                timestamp: new Date(Date.UTC(2024, 0, 1, 10, 1, 20 + i * 5))
+            }));
+
+            const cleaned = cleaner.collapseStationaryClusters([...before, ...stop, ...after]);
+
+            expect(cleaned).toHaveLength(3 + 1 + 3);
+            expect(cleaned[3].timestamp).toEqual(stop[0].timestamp);
+            expect(cleaned[3].lat).toBeCloseTo(46.0003, 4);
+        });
+
+        it('does not collapse slow but steady movement', () => {
+            // 1m per second - every point is close to the last, but it's never stopped for 30s in one place
+            const points = Array.from({ length: 60 }, (_, i) => createPoint(0, {
+                lat: 46 + i * 0.00001,
+                timestamp: new Date(Date.UTC(2024, 0, 1, 10, 0, i))
+            }));
+
+            expect(cleaner.collapseStationaryClusters(points)).toHaveLength(60);
+        });
+    });
+
+    describe('applyKalmanFilter', () => {
+        it('pulls zig-zag noise towards the underlying line', () => {
+            const points = Array.from({ length: 20 }, (_, i) => createPoint(i, { lon: 7 + (i % 2 ? 0.00005 : -0.00005) }));
+
+            const smoothed = cleaner.applyKalmanFilter(points);
+            const spread = (list) => Math.max(...list.map(p => p.lon)) - Math.min(...list.map(p => p.lon));
+
+            expect(smoothed).toHaveLength(20);
+            expect(spread(smoothed.slice(5))).toBeLessThan(spread(points.slice(5)));
+            expect(smoothed[0]).toEqual(points[0]);
+        });
+    });
+
+    describe('cleanRoute', () => {
+        it('reports removed points and recalculates stats', () => {
+            const points = Array.from({ length: 10 }, (_, i) => createPoint(i));
+            points[5] = createPoint(5, { lat: 46.1 });
+
+            const { route, report } = cleaner.cleanRoute(createRoute(points));
+
+            expect(report).toMatchObject({
+                originalPointCount: 10,
+                pointCount: 9,
+                pointsRemoved: 1,
+                outliersRemoved: 1,
+                stationaryPointsRemoved: 0,
+                smoothed: false
+            });
+            expect(route.points).toHaveLength(9);
+            expect(route.pointCount).toBe(9);
+            expect(route.distance).toBeCloseTo(0.1, 1);
+            expect(route.metadata).toMatchObject({ name: 'Noisy', cleaning: report });
+        });
+
+        it('cleans segments independently and updates their point counts', () => {
+            const first = Array.from({ length: 5 }, (_, i) => createPoint(i, { segmentIndex: 0 }));
+            // Second segment starts far away - a gap between segments is not a spike
+            const second = Array.from({ length: 5 }, (_, i) => createPoint(i + 5, { lon: 8, segmentIndex: 1 }));
+            second[2] = { ...second[2], lon: 8.1 };
+
+            const { route } = cleaner.cleanRoute({
+                ...createRoute([...first, ...second]),
+                segments: [{ trackIndex: 0, pointCount: 5 }, { trackIndex: 0, pointCount: 5 }]
+            });
+
+            expect(route.segments.map(segment => segment.pointCount)).toEqual([5, 4]);
+            expect(route.points.filter(point => point.lon === 8)).toHaveLength(4);
+        });
+
+        it('respects disabled steps', () => {
+            const points = Array.from({ length: 10 }, (_, i) => createPoint(i));
+            points[5] = createPoint(5, { lat: 46.1 });
+
+            const { report } = cleaner.cleanRoute(createRoute(points), { removeOutliers: false });
+
+            expect(report.pointsRemoved).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import RouteManipulator from '../../src/data/route-manipulator.js';
+import RouteMapVisualization from '../../src/visualization/route-map.js';
+
+// Points ~1.11km apart heading north, one minute apart
+const createRoute = (count = 11, extra = () => ({})) => ({
+    id: 'route-original',
+    filename: 'commute.gpx',
+    points: Array.from({ length: count }, (_, i) => ({
+        lat: 46 + i * 0.01,
+        lon: 7,
+        elevation: 500 + i * 10,
+        timestamp: new Date(Date.UTC(2024, 0, 1, 8, i)).toISOString(),
+        ...extra(i)
+    })),
+    metadata: { name: 'Commute' },
+    uploadTime: '2024-01-01T09:00:00.000Z'
+});
+
+describe('RouteManipulator route editing', () => {
+    const manipulator = new RouteManipulator();
+
+    it('trims by distance from each end', () => {
+        const route = createRoute();
+        const trimmed = manipulator.trimRoute(route, { by: 'distance', start: 2, end: 3 });
+
+        expect(trimmed.points.map(point => point.lat)).toEqual(route.points.slice(2, 8).map(point => point.lat));
+        expect(trimmed.distance).toBeCloseTo(5 * 1.112, 1);
+        expect(trimmed.id).not.toBe(route.id);
+        expect(trimmed.filename).toBe('commute (trimmed).gpx');
+        // Same ISO format as parsed routes, so library sorting and storage info can compare them
+        expect(new Date(trimmed.uploadTime).toISOString()).toBe(trimmed.uploadTime);
+        expect(trimmed.metadata).toMatchObject({
+            name: 'Commute',
+            edit: { operation: 'trim', removedStartPoints: 2, removedEndPoints: 3, sourceRouteId: 'route-original' }
+        });
+    });
+
+    it('trims by elapsed time from each end', () => {
+        const trimmed = manipulator.trimRoute(createRoute(), { by: 'time', start: 90, end: 60 });
+
+        // Cuts fall on the first/last recorded point clear of the trimmed time
+        expect(trimmed.points).toHaveLength(8);
+        expect(trimmed.points[0].timestamp).toBe('2024-01-01T08:02:00.000Z');
+        expect(trimmed.points.at(-1).timestamp).toBe('2024-01-01T08:09:00.000Z');
+        expect(trimmed.duration).toBe(420);
+    });
+
+    it('refuses to trim away the whole route', () => {
+        expect(() => manipulator.trimRoute(createRoute(), { start: 8, end: 8 })).toThrow('fewer than 2 points');
+        expect(() => manipulator.trimRoute(createRoute(3, () => ({ timestamp: null })), { by: 'time', start: 60 }))
+            .toThrow('no timestamps');
+    });
+
+    it('splits at a point shared by both halves', () => {
+        const route = createRoute();
+        const [first, second] = manipulator.splitRoute(route, 4);
+
+        expect(first.points).toHaveLength(5);
+        expect(second.points).toHaveLength(7);
+        expect(first.points.at(-1)).toEqual(second.points[0]);
+        expect(first.filename).toBe('commute (part 1).gpx');
+        expect(second.metadata.edit).toMatchObject({ operation: 'split', part: 2, splitIndex: 4 });
+        expect(() => manipulator.splitRoute(route, 0)).toThrow('inside the route');
+    });
+
+    it('crops to a rectangle, turning each pass through it into a segment', () => {
+        // Out-and-back with a detour east in the middle of the box
+        const lons = [7, 7, 7, 7.5, 7.5, 7, 7, 7];
+        const route = {
+            ...createRoute(8),
+            points: createRoute(8).points.map((point, i) => ({ ...point, lon: lons[i] })),
+            waypoints: [{ lat: 46.02, lon: 7, name: 'Cafe' }, { lat: 46.2, lon: 7, name: 'Far away' }]
+        };
+
+        const cropped = manipulator.cropRoute(route, { south: 46.005, west: 6.9, north: 46.065, east: 7.1 });
+
+        expect(cropped.points).toHaveLength(4);
+        expect(cropped.points.map(point => point.segmentIndex)).toEqual([0, 0, 1, 1]);
+        expect(cropped.segments).toEqual([{ pointCount: 2 }, { pointCount: 2 }]);
+        expect(cropped.waypoints.map(waypoint => waypoint.name)).toEqual(['Cafe']);
+        expect(() => manipulator.cropRoute(route, { south: 10, west: 10, north: 11, east: 11 })).toThrow('does not contain');
+    });
+
+    it('keeps track segment details when editing', () => {
+        const route = {
+            ...createRoute(6, i => ({ segmentIndex: i < 3 ? 0 : 1 })),
+            segments: [{ trackName: 'Morning', pointCount: 3 }, { trackName: 'Afternoon', pointCount: 3 }]
+        };
+
+        const trimmed = manipulator.trimRouteToIndices(route, 2, 5);
+
+        expect(trimmed.segments).toEqual([{ trackName: 'Morning', pointCount: 1 }, { trackName: 'Afternoon', pointCount: 3 }]);
+        expect(trimmed.points.map(point => point.segmentIndex)).toEqual([0, 1, 1, 1]);
+    });
+});
+
+describe('RouteMapVisualization edit handles', () => {
+    it('snap to the nearest route point', () => {
+        const { points } = createRoute();
+        const nearest = RouteMapVisualization.prototype.nearestPointIndex.call({}, points, { lat: 46.032, lng: 7.001 });
+
+        expect(nearest).toBe(3);
+    });
+});
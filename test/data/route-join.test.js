@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import RouteManipulator from '../../src/data/route-manipulator.js';
+
+// A straight run north at ~111m per point, one point a minute starting at startMinute
+const createLeg = (filename, { startLat = 46, startMinute = 0, count = 5, timed = true } = {}) => ({
+    id: `route-${filename}`,
+    filename,
+    points: Array.from({ length: count }, (_, i) => ({
+        lat: startLat + i * 0.001,
+        lon: 7,
+        elevation: 500 + i,
+        timestamp: timed ? new Date(Date.UTC(2024, 5, 1, 9, startMinute + i)).toISOString() : null
+    })),
+    metadata: { name: filename }
+});
+
+describe('RouteManipulator.joinRoutes', () => {
+    const manipulator = new RouteManipulator();
+
+    it('orders files by start time and keeps real coordinates', () => {
+        const morning = createLeg('part1.gpx', { startLat: 46, startMinute: 0 });
+        const afternoon = createLeg('part2.gpx', { startLat: 46.0041, startMinute: 10 });
+
+        const joined = manipulator.joinRoutes([afternoon, morning]);
+
+        expect(joined.points[0]).toMatchObject({ lat: 46, lon: 7 });
+        expect(joined.points.at(-1)).toMatchObject({ lat: afternoon.points.at(-1).lat, lon: 7 });
+        expect(joined.metadata.join.sourceRoutes.map(route => route.filename)).toEqual(['part1.gpx', 'part2.gpx']);
+        expect(joined.filename).toBe('part1 (joined 2).gpx');
+        expect(joined.duration).toBe(14 * 60);
+    });
+
+    it('drops points that overlap the previous file in time or repeat its end', () => {
+        const first = createLeg('a.gpx', { startMinute: 0 });
+        // Recording restarted a minute early, so its first two fixes overlap the first file
+        const second = createLeg('b.gpx', { startLat: 46.003, startMinute: 3 });
+
+        const joined = manipulator.joinRoutes([first, second], { gapFillSpacingMeters: 200 });
+
+        expect(joined.metadata.join.overlapPointsRemoved).toBe(2);
+        expect(joined.points).toHaveLength(8);
+        const times = joined.points.map(point => new Date(point.timestamp).getTime());
+        expect(times).toEqual([...times].sort((a, b) => a - b));
+    });
+
+    it('fills short gaps with interpolated points', () => {
+        const first = createLeg('a.gpx', { count: 2 });
+        const second = createLeg('b.gpx', { startLat: 46.002, startMinute: 5, count: 2 });
+
+        const joined = manipulator.joinRoutes([first, second], { gapFillSpacingMeters: 50 });
+
+        // ~111m gap at 50m spacing -> 2 points in between, all in one segment
+        expect(joined.metadata.join).toMatchObject({ gapsFilled: 1, filledPoints: 2, gapsSplit: 0 });
+        expect(joined.points).toHaveLength(6);
+        expect(joined.segments).toHaveLength(1);
+        expect(joined.points[2].elevation).toBeCloseTo(501 + (500 - 501) / 3, 6);
+        expect(joined.points[2].timestamp).toBe('2024-06-01T09:02:20.000Z');
+        expect(new Date(joined.uploadTime).toISOString()).toBe(joined.uploadTime);
+    });
+
+    it('keeps long gaps as segment breaks so the jump is not counted', () => {
+        const first = createLeg('a.gpx');
+        const second = createLeg('b.gpx', { startLat: 47, startMinute: 60 });
+
+        const joined = manipulator.joinRoutes([first, second]);
+
+        expect(joined.metadata.join.gapsSplit).toBe(1);
+        expect(joined.segments.map(segment => segment.sourceFilename)).toEqual(['a.gpx', 'b.gpx']);
+        expect(joined.distance).toBeCloseTo(8 * 0.1112, 2);
+    });
+
+    it('joins untimed routes in the given order', () => {
+        const first = createLeg('first.gpx', { timed: false });
+        const second = createLeg('second.gpx', { startLat: 46.004, timed: false });
+
+        const joined = manipulator.joinRoutes([first, second], { gapFillSpacingMeters: 200 });
+
+        // The second file starts where the first ended, so its first point is a duplicate
+        expect(joined.points).toHaveLength(9);
+        expect(joined.metadata.join.overlapPointsRemoved).toBe(1);
+    });
+
+    it('needs at least two routes', () => {
+        expect(() => manipulator.joinRoutes([createLeg('solo.gpx')])).toThrow('at least 2');
+    });
+});
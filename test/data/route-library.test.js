@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    filterAndSortRoutes,
+    matchesRouteQuery,
+    getRouteSport,
+    getRouteSource,
+    normalizeTags,
+    normalizeFolder,
+    collectLabels,
+    loadFilterPresets,
+    saveFilterPreset,
+    deleteFilterPreset
+} from '../../src/data/route-library.js';
+
+const createRoute = (id, { filename = `${id}.gpx`, date = '2024-06-01T09:00:00Z', distance = 10, elevationGain = 100, ...rest } = {}) => ({
+    id,
+    filename,
+    points: [{ lat: 46, lon: 7, elevation: 500, timestamp: date }],
+    distance,
+    elevationGain,
+    duration: 3600,
+    uploadTime: 1,
+    metadata: {},
+    ...rest
+});
+
+const library = [
+    createRoute('route_commute', { filename: 'Morning commute.gpx', date: '2024-03-04T07:30:00Z', distance: 8, metadata: { sport: 'cycling' } }),
+    createRoute('strava_1', { filename: 'Alpine Loop.gpx', name: 'Alpine Loop', type: 'GravelRide', startTime: '2024-07-20T06:00:00Z', distance: 95, elevationGain: 2100, source: 'strava' }),
+    createRoute('strava_2', { filename: 'Lunch Run.gpx', name: 'Lunch Run', type: 'Run', startTime: '2024-07-22T12:00:00Z', distance: 6, elevationGain: 40, source: 'strava' }),
+    createRoute('route_hike', { filename: 'hike.kml', date: '2023-10-01T10:00:00Z', distance: 14, elevationGain: 900, metadata: { sport: 'hiking', name: 'Ridge walk' } })
+];
+
+const ids = (routes) => routes.map(route => route.id);
+
+describe('route library queries', () => {
+    it('normalises sports and sources', () => {
+        expect(library.map(getRouteSport)).toEqual(['cycling', 'cycling', 'running', 'hiking']);
+        expect(library.map(getRouteSource)).toEqual(['file', 'strava', 'strava', 'file']);
+    });
+
+    it('searches names, filenames and descriptions with every term', () => {
+        expect(ids(filterAndSortRoutes(library, { text: 'ridge' }))).toEqual(['route_hike']);
+        expect(ids(filterAndSortRoutes(library, { text: 'alpine LOOP' }))).toEqual(['strava_1']);
+        expect(filterAndSortRoutes(library, { text: 'alpine run' })).toEqual([]);
+    });
+
+    it('filters by date range, sport, source, distance and climb', () => {
+        expect(ids(filterAndSortRoutes(library, { dateFrom: '2024-07-01', dateTo: '2024-07-21' }))).toEqual(['strava_1']);
+        expect(ids(filterAndSortRoutes(library, { sport: 'cycling', sortBy: 'distance' }))).toEqual(['strava_1', 'route_commute']);
+        expect(ids(filterAndSortRoutes(library, { source: 'file', sortBy: 'name', direction: 'asc' }))).toEqual(['route_hike', 'route_commute']);
+        expect(ids(filterAndSortRoutes(library, { minDistance: 7, maxDistance: 20, minElevationGain: 500 }))).toEqual(['route_hike']);
+    });
+
+    it('sorts by date newest first by default', () => {
+        expect(ids(filterAndSortRoutes(library))).toEqual(['strava_2', 'strava_1', 'route_commute', 'route_hike']);
+        expect(ids(filterAndSortRoutes(library, { sortBy: 'elevationGain', direction: 'asc' })))
+            .toEqual(['strava_2', 'route_commute', 'route_hike', 'strava_1']);
+    });
+
+    it('does not modify the library array', () => {
+        const copy = [...library];
+        filterAndSortRoutes(library, { sortBy: 'distance' });
+        expect(library).toEqual(copy);
+        expect(matchesRouteQuery(library[0], {})).toBe(true);
+    });
+});
+
+describe('route tags and folders', () => {
+    it('normalises typed tags and folders', () => {
+        expect(normalizeTags(' Alps 2026, #climb,, alps-2026 ')).toEqual(['alps-2026', 'climb']);
+        expect(normalizeTags(['Commute'])).toEqual(['commute']);
+        expect(normalizeFolder('  Summer   trips ')).toBe('Summer trips');
+        expect(normalizeFolder('   ')).toBeNull();
+    });
+
+    it('filters and searches by tags, folders and notes', () => {
+        const routes = [
+            createRoute('a', { tags: ['alps-2026'], folder: 'Alps' }),
+            createRoute('b', { tags: ['alps-2026', 'climb'], notes: 'Windy on the col' }),
+            createRoute('c', { folder: 'Alps' })
+        ];
+
+        expect(ids(filterAndSortRoutes(routes, { tag: 'alps-2026', sortBy: 'name', direction: 'asc' }))).toEqual(['a', 'b']);
+        expect(ids(filterAndSortRoutes(routes, { folder: 'Alps', tag: 'alps-2026' }))).toEqual(['a']);
+        expect(ids(filterAndSortRoutes(routes, { text: 'windy' }))).toEqual(['b']);
+        expect(collectLabels(routes)).toEqual({ tags: ['alps-2026', 'climb'], folders: ['Alps'] });
+    });
+});
+
+describe('route filter presets', () => {
+    beforeEach(() => {
+        window.localStorage.clear();
+    });
+
+    it('saves, replaces and deletes presets by name', () => {
+        saveFilterPreset(' Big climbs ', { minElevationGain: 1000 });
+        saveFilterPreset('Strava runs', { source: 'strava', sport: 'running' });
+        saveFilterPreset('Big climbs', { minElevationGain: 1500 });
+
+        const presets = loadFilterPresets();
+        expect(presets.map(preset => preset.name)).toEqual(['Strava runs', 'Big climbs']);
+        expect(presets[1].query).toMatchObject({ minElevationGain: 1500, sortBy: 'date' });
+
+        deleteFilterPreset('Strava runs');
+        expect(loadFilterPresets().map(preset => preset.name)).toEqual(['Big climbs']);
+        expect(() => saveFilterPreset('  ', {})).toThrow('name');
+    });
+});
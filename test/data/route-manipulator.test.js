@@ -70,6 +70,19 @@ describe('RouteManipulator', () => {
                 manipulator.relocateRouteToPosition(route, 0, 0, 0);
             }).toThrow('Route must have points to relocate');
         });
+
+        it('should carry sensor readings through relocation', () => {
+            const route = createTestRoute({
+                points: [
+                    { lat: 0.0, lon: 0.0, elevation: 100, heartRate: 130, cadence: 85, power: 220 },
+                    { lat: 0.01, lon: 0.01, elevation: 120, heartRate: 140, cadence: 88, power: 240 }
+                ]
+            });
+
+            const relocated = manipulator.relocateRouteToPosition(route, 10.0, 20.0, 300);
+
+            expect(relocated.points[1]).toMatchObject({ heartRate: 140, cadence: 88, power: 240 });
+        });
     });
 
     describe('normalizeRoute', () => {
@@ -502,6 +515,52 @@ describe('RouteManipulator', () => {
                 manipulator.resampleRoute(route, 1);
             }).toThrow('Target point count must be at least 2');
         });
+
+        it('should interpolate sensor readings when upsampling', () => {
+            const route = createTestRoute({
+                points: [
+                    { lat: 0.0, lon: 0.0, elevation: 100, heartRate: 120, cadence: 80, power: 200, temperature: 20 },
+                    { lat: 1.0, lon: 1.0, elevation: 200, heartRate: 160, cadence: 90, power: 300, temperature: 22 }
+                ]
+            });
+
+            const resampled = manipulator.resampleRoute(route, 3);
+
+            expect(resampled.points[1].heartRate).toBeCloseTo(140, 5);
+            expect(resampled.points[1].cadence).toBeCloseTo(85, 5);
+            expect(resampled.points[1].power).toBeCloseTo(250, 5);
+            expect(resampled.points[1].temperature).toBeCloseTo(21, 5);
+        });
+
+        it('should average sensor readings when downsampling', () => {
+            const route = createTestRoute({
+                points: Array.from({ length: 9 }, (_, i) => ({
+                    lat: i * 0.01,
+                    lon: i * 0.01,
+                    elevation: 100,
+                    heartRate: 100 + i * 10,
+                    power: i % 2 === 0 ? 200 : null
+                }))
+            });
+
+            const resampled = manipulator.resampleRoute(route, 3);
+            const middle = resampled.points[1];
+
+            expect(middle.heartRate).toBeGreaterThan(100);
+            expect(middle.heartRate).toBeLessThan(180);
+            // Missing readings are ignored rather than counted as zero
+            expect(middle.power).toBe(200);
+        });
+
+        it('should not add sensor fields to routes without them', () => {
+            const route = createTestRoute();
+            const resampled = manipulator.resampleRoute(route, 10);
+
+            resampled.points.forEach(point => {
+                expect(point).not.toHaveProperty('heartRate');
+                expect(point).not.toHaveProperty('power');
+            });
+        });
     });
 
     describe('applyPredeterminedPath', () => {
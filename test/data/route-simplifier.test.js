@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import {
+    douglasPeucker,
+    visvalingam,
+    simplifyRoutePoints,
+    simplifyCartesianPoints
+} from '../../src/data/route-simplifier.js';
+import RouteManipulator from '../../src/data/route-manipulator.js';
+
+// Zig-zag climb: long straight legs (many points) joined by sharp hairpin apexes
+const createSwitchbacks = (legs = 4, pointsPerLeg = 50) => {
+    const points = [];
+    for (let leg = 0; leg < legs; leg++) {
+        for (let i = 0; i < pointsPerLeg; i++) {
+            const t = i / pointsPerLeg;
+            points.push({
+                lat: 46 + (leg + t) * 0.001,
+                lon: 7 + (leg % 2 === 0 ? t : 1 - t) * 0.01,
+                elevation: 1000 + (leg + t) * 50
+            });
+        }
+    }
+    points.push({ lat: 46 + legs * 0.001, lon: 7 + (legs % 2 === 0 ? 0 : 0.01), elevation: 1000 + legs * 50 });
+    return points;
+};
+
+const apexIndices = (legs = 4, pointsPerLeg = 50) => Array.from({ length: legs - 1 }, (_, leg) => (leg + 1) * pointsPerLeg);
+
+describe('route simplifier', () => {
+    it('keeps every switchback apex with Douglas-Peucker', () => {
+        const points = createSwitchbacks();
+        const simplified = simplifyRoutePoints(points, { method: 'douglas-peucker', tolerance: 5 });
+
+        apexIndices().forEach(index => expect(simplified).toContain(points[index]));
+        expect(simplified.length).toBeLessThan(20);
+    });
+
+    it('keeps every switchback apex with Visvalingam', () => {
+        const points = createSwitchbacks();
+        const simplified = simplifyRoutePoints(points, { method: 'visvalingam', tolerance: 5 });
+
+        apexIndices().forEach(index => expect(simplified).toContain(points[index]));
+        expect(simplified.length).toBeLessThan(20);
+    });
+
+    it('hits a target point count', () => {
+        const points = createSwitchbacks();
+
+        [2, 5, 37, 120].forEach(targetCount => {
+            expect(simplifyRoutePoints(points, { method: 'douglas-peucker', targetCount })).toHaveLength(targetCount);
+            expect(simplifyRoutePoints(points, { method: 'visvalingam', targetCount })).toHaveLength(targetCount);
+        });
+    });
+
+    it('only drops points within the tolerance', () => {
+        const coords = [[0, 0, 0], [5, 0.4, 0], [10, 0, 0], [15, 3, 0], [20, 0, 0]];
+
+        expect(douglasPeucker(coords, { tolerance: 1 })).toEqual([0, 2, 3, 4]);
+        expect(douglasPeucker(coords, { tolerance: 5 })).toEqual([0, 4]);
+        // Visvalingam compares triangle areas: the 0.4m bump spans 2m², the 3m bump 15m²
+        expect(visvalingam(coords, { tolerance: 2 })).toEqual([0, 2, 3, 4]);
+        expect(visvalingam(coords, { tolerance: 1 })).toEqual([0, 1, 2, 3, 4]);
+    });
+
+    it('keeps the ends of every track segment', () => {
+        const points = createSwitchbacks(2, 20).map((point, i) => ({ ...point, segmentIndex: i < 25 ? 0 : 1 }));
+        const simplified = simplifyRoutePoints(points, { method: 'douglas-peucker', tolerance: 1000 });
+
+        expect(simplified).toEqual([points[0], points[24], points[25], points.at(-1)]);
+    });
+
+    it('simplifies projected STL points in their own units', () => {
+        const points = [{ x: 0, y: 0, z: 1 }, { x: 1, y: 0.01, z: 1 }, { x: 2, y: 0, z: 1 }, { x: 2, y: 5, z: 1 }];
+
+        expect(simplifyCartesianPoints(points, { tolerance: 0.05 })).toEqual([points[0], points[2], points[3]]);
+    });
+});
+
+describe('RouteManipulator simplification modes', () => {
+    const manipulator = new RouteManipulator();
+
+    it('resamples with a shape-preserving method when asked', () => {
+        const points = createSwitchbacks();
+        const route = { filename: 'hairpins.gpx', points };
+
+        const resampled = manipulator.resampleRoute(route, 10, { method: 'visvalingam' });
+
+        expect(resampled.points).toHaveLength(10);
+        apexIndices().forEach(index => expect(resampled.points).toContainEqual(points[index]));
+        expect(resampled.metadata.resampleMethod).toBe('visvalingam');
+    });
+
+    it('resamples evenly by default', () => {
+        const route = { filename: 'hairpins.gpx', points: createSwitchbacks() };
+
+        const resampled = manipulator.resampleRoute(route, 10);
+
+        expect(resampled.points).toHaveLength(10);
+        expect(resampled.metadata.resampleMethod).toBe('downsampling');
+    });
+
+    it('simplifies a route to a tolerance and records what it did', () => {
+        const route = { filename: 'hairpins.gpx', points: createSwitchbacks(), distance: 4.2 };
+
+        const simplified = manipulator.simplifyRoute(route, { tolerance: 5 });
+
+        expect(simplified.points.length).toBeLessThan(route.points.length);
+        expect(simplified.distance).toBe(4.2);
+        expect(simplified.metadata.simplification).toEqual({
+            method: 'douglas-peucker',
+            tolerance: 5,
+            originalPointCount: route.points.length
+        });
+    });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { indexedDB, IDBKeyRange } from 'fake-indexeddb';
 import RouteStorageManager from '../../src/data/route-storage.js';
 
@@ -13,7 +13,7 @@ const createRoute = (overrides = {}) => ({
   elevationGain: 450,
   elevationLoss: 200,
   duration: 3200,
-  uploadTime: Date.now(),
+  uploadTime: new Date().toISOString(),
   ...overrides
 });
 
@@ -111,4 +111,243 @@ describe('RouteStorageManager (IndexedDB)', () => {
     coins = await manager.loadCoins();
     expect(coins).toHaveLength(0);
   });
+
+  it('compacts routes before deleting any when storage is over the limit', async () => {
+    // 2000 points along a straight line: compaction collapses them to the two ends
+    const straightPoints = Array.from({ length: 2000 }, (_, i) => ({
+      lat: 46 + i * 0.00001,
+      lon: 7,
+      elevation: 500,
+      timestamp: new Date(Date.UTC(2024, 0, 1, 10, 0, i)).toISOString()
+    }));
+    await manager.saveRoutes([
+      createRoute({ id: 'old-route', points: straightPoints, uploadTime: '2024-01-01T12:00:00.000Z' }),
+      createRoute({ id: 'new-route', points: straightPoints, uploadTime: '2024-01-02T12:00:00.000Z' })
+    ]);
+
+    const limitKB = Math.ceil(manager.calculateRoutesSize([createRoute({ points: straightPoints })]) * 1.5);
+    const kept = await manager.cleanupOldRoutes(limitKB);
+
+    expect(kept.map(route => route.id)).toEqual(['old-route', 'new-route']);
+    const stored = await manager.loadRoutes();
+    const oldRoute = stored.find(route => route.id === 'old-route');
+    expect(oldRoute.points).toHaveLength(2);
+    expect(oldRoute.metadata.compaction).toEqual({ originalPointCount: 2000, tolerance: 2 });
+    expect(stored.find(route => route.id === 'new-route').points).toHaveLength(2000);
+  });
+
+  it('stores track points packed and reports the compression ratio', async () => {
+    const points = Array.from({ length: 1000 }, (_, i) => ({
+      // Coordinates at GPX precision (7 decimals) survive packing exactly
+      lat: Math.round((46 + i * 0.00005) * 1e7) / 1e7,
+      lon: Math.round((7 + i * 0.00002) * 1e7) / 1e7,
+      elevation: 500 + (i % 40) / 10,
+      timestamp: new Date(Date.UTC(2024, 0, 1, 10, 0, i)).toISOString(),
+      heartRate: 130 + (i % 20)
+    }));
+    await manager.saveRoute(createRoute({ id: 'packed', points }));
+
+    const raw = await new Promise((resolve, reject) => {
+      const request = manager.db.transaction([manager.routeStoreName]).objectStore(manager.routeStoreName).get('packed');
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    expect(raw.points).toBeUndefined();
+    expect(raw.pointStream.count).toBe(1000);
+    expect(raw.firstPointTime).toBe(points[0].timestamp);
+
+    const [loaded] = await manager.loadRoutes();
+    expect(loaded.points).toEqual(points);
+    expect(loaded).not.toHaveProperty('firstPointTime');
+
+    const info = await manager.getStorageInfo();
+    expect(info.totalRoutes).toBe(1);
+    expect(info.compressionRatio).toBeGreaterThan(3);
+    expect(info.uncompressedSizeKB).toBeGreaterThan(info.totalSizeKB);
+  });
+
+  it('plans a cleanup without changing anything and leaves pinned routes alone', async () => {
+    const straightPoints = Array.from({ length: 2000 }, (_, i) => ({
+      lat: 46 + i * 0.00001,
+      lon: 7,
+      elevation: 500,
+      timestamp: new Date(Date.UTC(2024, 0, 1, 10, 0, i)).toISOString()
+    }));
+    await manager.saveRoutes([
+      createRoute({ id: 'pinned-old', points: straightPoints, uploadTime: '2024-01-01T12:00:00.000Z', pinned: true }),
+      createRoute({ id: 'old', uploadTime: '2024-01-02T12:00:00.000Z' }),
+      createRoute({ id: 'middle', points: straightPoints, uploadTime: '2024-01-03T12:00:00.000Z' }),
+      createRoute({ id: 'new', points: straightPoints, uploadTime: '2024-01-04T12:00:00.000Z' })
+    ]);
+
+    // Room for about one full route
+    const plan = await manager.planCleanup({ maxSizeKB: manager.calculateRoutesSize([createRoute({ points: straightPoints })]) * 1.2 });
+    expect(plan.needed).toBe(true);
+    expect(plan.compact.map(item => item.id)).toEqual(['middle', 'new']);
+    expect(plan.compact[0].compactedBytes).toBeLessThan(plan.compact[0].bytes);
+    expect(plan.remove).toEqual([]);
+    expect(plan.fits).toBe(true);
+    expect((await manager.loadRoutes()).find(route => route.id === 'middle').points).toHaveLength(2000);
+
+    // Only what the user accepted is applied
+    const result = await manager.applyCleanup(plan, { compactIds: ['new'], removeIds: [] });
+    expect(result.compacted.map(route => route.id)).toEqual(['new']);
+    const stored = await manager.loadRoutes();
+    expect(stored.find(route => route.id === 'new').points).toHaveLength(2);
+    expect(stored.find(route => route.id === 'middle').points).toHaveLength(2000);
+
+    // Tighter still: removals are planned oldest first, never the pinned route
+    const tightPlan = await manager.planCleanup({ maxSizeKB: 1 });
+    expect(tightPlan.remove.map(item => item.id)).not.toContain('pinned-old');
+    expect(tightPlan.remove[0].id).toBe('old');
+    expect(tightPlan.fits).toBe(false);
+  });
+
+  it('pins and unpins a stored route by ID', async () => {
+    await manager.saveRoutes([createRoute({ id: 'keep' })]);
+
+    expect(await manager.toggleRoutePinned('keep')).toBe(true);
+    expect((await manager.loadRoutes())[0].pinned).toBe(true);
+    expect(await manager.toggleRoutePinned('keep')).toBe(false);
+    expect(await manager.toggleRoutePinned('missing')).toBeNull();
+  });
+
+  it('reports per-record sizes and the browser quota', async () => {
+    const originalStorage = navigator.storage;
+    Object.defineProperty(navigator, 'storage', {
+      configurable: true,
+      value: { estimate: async () => ({ usage: 950, quota: 1000 }) }
+    });
+
+    try {
+      await manager.saveRoutes([createRoute({ id: 'a', pinned: true }), createRoute({ id: 'b', uploadTime: '2024-01-01T12:00:00.000Z' })]);
+      await manager.saveCoin({ id: 'coin', name: 'Coin', route: createRoute({ id: 'coin-route' }) });
+
+      const usage = await manager.getStorageUsage();
+      expect(usage.routes.map(route => [route.id, route.pinned])).toEqual([['a', true], ['b', false]]);
+      expect(usage.routes[0].bytes).toBeGreaterThan(0);
+      expect(usage.routeBytes).toBe(usage.routes[0].bytes + usage.routes[1].bytes);
+      expect(usage.coins.map(coin => coin.id)).toEqual(['coin']);
+      expect(usage.browser).toEqual({ usage: 950, quota: 1000 });
+
+      // 95% of the quota used: asks to free the 5% over the warning ratio from the routes
+      const plan = await manager.planCleanup();
+      expect(plan.needed).toBe(true);
+      expect(plan.targetBytes).toBe(usage.routeBytes - 50);
+      expect(plan.remove.map(item => item.id)).toEqual(['b']);
+    } finally {
+      Object.defineProperty(navigator, 'storage', { configurable: true, value: originalStorage });
+    }
+  });
+
+  it('queries routes through the distance index and filters the rest', async () => {
+    await manager.saveRoutes([
+      createRoute({ id: 'short', filename: 'Short spin.gpx', distance: 5 }),
+      createRoute({ id: 'medium', filename: 'Commute.gpx', distance: 20, elevationGain: 100 }),
+      createRoute({ id: 'long', filename: 'Century.gpx', distance: 160, elevationGain: 1800 }),
+      createRoute({ id: 'strava_9', filename: 'Club ride.gpx', distance: 60, source: 'strava' })
+    ]);
+
+    const byDistance = await manager.queryRoutes({ sortBy: 'distance', direction: 'desc', minDistance: 10 });
+    expect(byDistance.map(route => route.id)).toEqual(['long', 'strava_9', 'medium']);
+
+    const fromFiles = await manager.queryRoutes({ source: 'file', maxDistance: 100, sortBy: 'name', direction: 'asc' });
+    expect(fromFiles.map(route => route.id)).toEqual(['medium', 'short']);
+
+    const searched = await manager.queryRoutes({ text: 'century', minElevationGain: 1000 });
+    expect(searched.map(route => route.id)).toEqual(['long']);
+  });
+
+  it('keeps routes without a distance when sorting by distance', async () => {
+    await manager.saveRoutes([
+      createRoute({ id: 'short', distance: 5 }),
+      createRoute({ id: 'long', distance: 160 })
+    ]);
+    // Written as-is (saveRoutes would work out the distance), so it is missing from the distance index
+    await new Promise((resolve, reject) => {
+      const transaction = manager.db.transaction([manager.routeStoreName], 'readwrite');
+      transaction.objectStore(manager.routeStoreName).put(manager.toStoredRecord(createRoute({ id: 'unmeasured', distance: undefined })));
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    const byDistance = await manager.queryRoutes({ sortBy: 'distance', direction: 'desc' });
+    expect(byDistance.map(route => route.id)).toEqual(['long', 'short', 'unmeasured']);
+
+    const upTo = await manager.queryRoutes({ sortBy: 'distance', direction: 'asc', maxDistance: 100 });
+    expect(upTo.map(route => route.id)).toEqual(['short', 'unmeasured']);
+
+    expect((await manager.getIds()).sort()).toEqual(['long', 'short', 'unmeasured']);
+  });
+
+  it('finds routes and coins by tag and folder through the version 3 indices', async () => {
+    expect(manager.db.version).toBeGreaterThanOrEqual(3);
+
+    await manager.saveRoutes([
+      createRoute({ id: 'col-1', tags: ['alps-2026', 'climb'], folder: 'Alps' }),
+      createRoute({ id: 'col-2', tags: ['alps-2026'], folder: 'Alps' }),
+      createRoute({ id: 'commute', tags: ['commute'], notes: 'Usual way in' }),
+      createRoute({ id: 'untagged' })
+    ]);
+    await manager.saveCoin({ id: 'coin-alps', name: 'Alps', tags: ['alps-2026'], folder: 'Trips', createdAt: 1 });
+
+    expect((await manager.getIdsByTag('alps-2026')).sort()).toEqual(['col-1', 'col-2']);
+    expect(await manager.getIdsByFolder('Alps')).toHaveLength(2);
+    expect(await manager.getIdsByTag('alps-2026', manager.coinStoreName)).toEqual(['coin-alps']);
+    expect(await manager.getLabels()).toEqual({ tags: ['alps-2026', 'climb', 'commute'], folders: ['Alps'] });
+
+    const tagged = await manager.queryRoutes({ tag: 'alps-2026', sortBy: 'name', direction: 'asc' });
+    expect(tagged.map(route => route.id)).toEqual(['col-1', 'col-2']);
+    const searched = await manager.queryRoutes({ text: 'usual' });
+    expect(searched.map(route => route.id)).toEqual(['commute']);
+
+    expect((await manager.queryRouteIds({ tag: 'alps-2026', folder: 'Alps' })).sort()).toEqual(['col-1', 'col-2']);
+    expect(await manager.queryRouteIds({ text: 'usual' })).toBeNull();
+  });
+
+  it('filters stored routes by date from the saved start time without unpacking points', async () => {
+    await manager.saveRoutes([
+      createRoute({ id: 'winter' }),
+      createRoute({
+        id: 'summer',
+        points: [
+          { lat: 0, lon: 0, elevation: 100, timestamp: '2024-07-01T10:00:00Z' },
+          { lat: 0.01, lon: 0.01, elevation: 150, timestamp: '2024-07-01T10:05:00Z' }
+        ]
+      })
+    ]);
+    const unpack = vi.spyOn(manager, 'fromStoredRecord');
+
+    const summer = await manager.queryRoutes({ dateFrom: '2024-06-01' });
+
+    expect(summer.map(route => route.id)).toEqual(['summer']);
+    expect(unpack).toHaveBeenCalledTimes(1);
+    expect(summer[0].points).toHaveLength(2);
+  });
+
+  it('adds the tag and folder indices when upgrading a version 2 database', async () => {
+    manager.db.close();
+    await new Promise((resolve, reject) => {
+      const request = indexedDB.deleteDatabase(manager.dbName);
+      request.onsuccess = resolve;
+      request.onerror = () => reject(request.error);
+    });
+
+    const legacy = new RouteStorageManager();
+    legacy.dbVersion = 2;
+    await legacy.init();
+    await legacy.saveRoute(createRoute({ id: 'old-route' }));
+    legacy.db.close();
+
+    manager = new RouteStorageManager();
+    await manager.init();
+
+    const transaction = manager.db.transaction([manager.routeStoreName, manager.coinStoreName], 'readonly');
+    [manager.routeStoreName, manager.coinStoreName].forEach(storeName => {
+      const indexNames = transaction.objectStore(storeName).indexNames;
+      expect(indexNames.contains('tags')).toBe(true);
+      expect(indexNames.contains('folder')).toBe(true);
+    });
+    expect((await manager.loadRoutes()).map(route => route.id)).toEqual(['old-route']);
+  });
 });
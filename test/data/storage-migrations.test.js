@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { indexedDB, IDBKeyRange } from 'fake-indexeddb';
+import RouteStorageManager from '../../src/data/route-storage.js';
+import {
+  SCHEMA_MIGRATIONS,
+  DB_VERSION,
+  RECORD_SCHEMA_VERSION,
+  migrateRecord
+} from '../../src/data/storage-migrations.js';
+
+// A route as early versions stored it: Date timestamps, no schemaVersion, no point count or stats
+const createLegacyRoute = (id, points = 10) => ({
+  id,
+  filename: `${id}.gpx`,
+  points: Array.from({ length: points }, (_, i) => ({
+    lat: 46 + i * 0.001,
+    lon: 7,
+    elevation: 500 + i * 10,
+    timestamp: new Date(Date.UTC(2024, 0, 1, 8, i))
+  })),
+  uploadTime: 1704096000000
+});
+
+const deleteDatabase = (name) => new Promise((resolve, reject) => {
+  const request = indexedDB.deleteDatabase(name);
+  request.onsuccess = resolve;
+  request.onerror = () => reject(request.error);
+});
+
+// Write records as-is, bypassing saveRoute/saveCoin (which migrate on the way in)
+const putRaw = (manager, storeName, records) => new Promise((resolve, reject) => {
+  const transaction = manager.db.transaction([storeName], 'readwrite');
+  const store = transaction.objectStore(storeName);
+  records.forEach(record => store.put(record));
+  transaction.oncomplete = resolve;
+  transaction.onerror = () => reject(transaction.error);
+});
+
+const getAllRaw = (manager, storeName) => new Promise((resolve, reject) => {
+  const request = manager.db.transaction([storeName]).objectStore(storeName).getAll();
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+describe('storage migrations', () => {
+  let manager;
+
+  // Seed a version 3 database (before quarantine and record versions) and reopen it at the current version
+  const openWithLegacyRecords = async ({ routes = [], coins = [] }) => {
+    const legacy = new RouteStorageManager();
+    legacy.dbVersion = 3;
+    await legacy.init();
+    await putRaw(legacy, legacy.routeStoreName, routes);
+    await putRaw(legacy, legacy.coinStoreName, coins);
+    legacy.db.close();
+
+    manager = new RouteStorageManager();
+    await manager.init();
+    return manager;
+  };
+
+  beforeEach(async () => {
+    global.indexedDB = indexedDB;
+    global.IDBKeyRange = IDBKeyRange;
+    await deleteDatabase('RouteCoinMeDB');
+    manager = null;
+  });
+
+  afterEach(() => {
+    if (manager?.db) {
+      manager.db.close();
+    }
+    delete global.indexedDB;
+    delete global.IDBKeyRange;
+  });
+
+  it('lists schema steps in order up to the database version', () => {
+    const versions = SCHEMA_MIGRATIONS.map(migration => migration.version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(DB_VERSION).toBe(versions[versions.length - 1]);
+  });
+
+  it('migrates records saved by older versions on startup', async () => {
+    await openWithLegacyRecords({
+      routes: [createLegacyRoute('old-route')],
+      coins: [{ id: 'old-coin', name: 'Old coin', createdAt: new Date('2024-02-01T10:00:00Z'), route: createLegacyRoute('old-coin-route') }]
+    });
+
+    expect(manager.db.version).toBe(DB_VERSION);
+    expect(manager.integrityReport).toMatchObject({ checked: 2, migrated: 2, repaired: 0, quarantined: [] });
+
+    const [route] = await manager.loadRoutes();
+    expect(route.schemaVersion).toBe(RECORD_SCHEMA_VERSION);
+    expect(route.points[0].timestamp).toBe('2024-01-01T08:00:00.000Z');
+    expect(route.pointCount).toBe(10);
+    expect(route.distance).toBeCloseTo(1.0, 1);
+    expect(route.duration).toBe(9 * 60);
+    expect(route.metadata).toEqual({});
+
+    const [coin] = await manager.loadCoins();
+    expect(coin).toMatchObject({ type: 'coin', createdAt: '2024-02-01T10:00:00.000Z', schemaVersion: RECORD_SCHEMA_VERSION });
+    expect(coin.route.points[9].timestamp).toBe('2024-01-01T08:09:00.000Z');
+
+    // Rewritten with packed track points
+    const [raw] = await getAllRaw(manager, manager.routeStoreName);
+    expect(raw.points).toBeUndefined();
+    expect(raw.pointStream.count).toBe(10);
+
+    // Already-current records are left alone on the next start
+    manager.db.close();
+    manager = new RouteStorageManager();
+    await manager.init();
+    expect(manager.integrityReport).toMatchObject({ checked: 2, migrated: 0 });
+  });
+
+  it('repairs damaged points and quarantines records that cannot be used', async () => {
+    const damaged = createLegacyRoute('damaged');
+    damaged.points[3] = { ...damaged.points[3], lat: NaN };
+    damaged.points[4] = { ...damaged.points[4], lon: null };
+    const empty = { ...createLegacyRoute('empty'), points: [] };
+
+    await openWithLegacyRecords({
+      routes: [damaged, empty],
+      coins: [{ id: 'broken-coin', name: 'Broken', route: null }]
+    });
+
+    expect(manager.integrityReport.repaired).toBe(1);
+    expect(manager.integrityReport.quarantined).toHaveLength(2);
+    expect(manager.integrityReport.quarantined).toEqual(expect.arrayContaining([
+      { storeName: 'routes', id: 'empty', reason: 'no track points' },
+      { storeName: 'coins', id: 'broken-coin', reason: 'missing coin route' }
+    ]));
+
+    const routes = await manager.loadRoutes();
+    expect(routes.map(route => route.id)).toEqual(['damaged']);
+    expect(routes[0].points).toHaveLength(8);
+    expect(routes[0].pointCount).toBe(8);
+    expect(await manager.loadCoins()).toEqual([]);
+
+    const quarantine = await manager.loadQuarantine();
+    expect(quarantine.map(entry => entry.key).sort()).toEqual(['coins:broken-coin', 'routes:empty']);
+    expect(quarantine.find(entry => entry.key === 'routes:empty').record.filename).toBe('empty.gpx');
+
+    await manager.clearQuarantine();
+    expect(await manager.loadQuarantine()).toEqual([]);
+  });
+
+  it('stamps the current record version on save', async () => {
+    manager = new RouteStorageManager();
+    await manager.init();
+
+    const route = createLegacyRoute('new-upload');
+    await manager.saveRoute(route);
+
+    const [stored] = await manager.loadRoutes();
+    expect(stored.schemaVersion).toBe(RECORD_SCHEMA_VERSION);
+    expect(typeof stored.points[0].timestamp).toBe('string');
+    // The caller's route isn't modified
+    expect(route.points[0].timestamp).toBeInstanceOf(Date);
+    expect(route.schemaVersion).toBeUndefined();
+  });
+
+  it('leaves records from a newer version of the app untouched', () => {
+    const future = { ...createLegacyRoute('future'), schemaVersion: RECORD_SCHEMA_VERSION + 1 };
+    expect(migrateRecord(future)).toEqual({ record: future, migrated: false });
+  });
+});
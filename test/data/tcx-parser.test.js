@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import TCXParser from '../../src/data/tcx-parser.js';
+
+const buildTcx = (trackpoints, { sport = 'Biking' } = {}) => `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"
+    xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
+  <Activities>
+    <Activity Sport="${sport}">
+      <Id>2024-06-01T08:00:00Z</Id>
+      <Lap StartTime="2024-06-01T08:00:00Z">
+        <Track>
+          ${trackpoints.join('\n')}
+        </Track>
+      </Lap>
+      <Notes>Col loop</Notes>
+      <Creator><Name>Edge 530</Name></Creator>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>`;
+
+const trackpoint = ({ time, lat, lon, alt, hr, cad, watts }) => `
+<Trackpoint>
+  <Time>${time}</Time>
+  ${lat !== undefined ? `<Position><LatitudeDegrees>${lat}</LatitudeDegrees><LongitudeDegrees>${lon}</LongitudeDegrees></Position>` : ''}
+  ${alt !== undefined ? `<AltitudeMeters>${alt}</AltitudeMeters>` : ''}
+  ${hr !== undefined ? `<HeartRateBpm><Value>${hr}</Value></HeartRateBpm>` : ''}
+  ${cad !== undefined ? `<Cadence>${cad}</Cadence>` : ''}
+  ${watts !== undefined ? `<Extensions><ns3:TPX><ns3:Watts>${watts}</ns3:Watts></ns3:TPX></Extensions>` : ''}
+</Trackpoint>`;
+
+const parseXml = (content) => new DOMParser().parseFromString(content, 'text/xml');
+
+describe('TCXParser', () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new TCXParser();
+    });
+
+    it('extracts position, elevation and time from Trackpoints', () => {
+        const xml = parseXml(buildTcx([
+            trackpoint({ time: '2024-06-01T08:00:00Z', lat: 46.5, lon: 10.4, alt: 1200 }),
+            trackpoint({ time: '2024-06-01T08:01:00Z', lat: 46.51, lon: 10.41, alt: 1250 })
+        ]));
+
+        const route = parser.extractRouteData(xml, 'ride.tcx');
+
+        expect(route.points).toHaveLength(2);
+        expect(route.points[0]).toMatchObject({ lat: 46.5, lon: 10.4, elevation: 1200 });
+        expect(route.points[1].timestamp.toISOString()).toBe('2024-06-01T08:01:00.000Z');
+        expect(route.elevationGain).toBe(50);
+        expect(route.duration).toBe(60);
+        expect(route.distance).toBeGreaterThan(0);
+    });
+
+    it('reads heart rate, cadence and power extensions', () => {
+        const xml = parseXml(buildTcx([
+            trackpoint({ time: '2024-06-01T08:00:00Z', lat: 46.5, lon: 10.4, alt: 1200, hr: 142, cad: 88, watts: 251 }),
+            trackpoint({ time: '2024-06-01T08:00:01Z', lat: 46.5001, lon: 10.4001, alt: 1201 })
+        ]));
+
+        const [first, second] = parser.extractRouteData(xml, 'ride.tcx').points;
+
+        expect(first.heartRate).toBe(142);
+        expect(first.cadence).toBe(88);
+        expect(first.power).toBe(251);
+        expect(second.heartRate).toBeNull();
+        expect(second.cadence).toBeNull();
+        expect(second.power).toBeNull();
+    });
+
+    it('skips Trackpoints without a position', () => {
+        const xml = parseXml(buildTcx([
+            trackpoint({ time: '2024-06-01T08:00:00Z', hr: 100 }),
+            trackpoint({ time: '2024-06-01T08:00:05Z', lat: 46.5, lon: 10.4 }),
+            trackpoint({ time: '2024-06-01T08:00:10Z', lat: 46.501, lon: 10.401 })
+        ]));
+
+        expect(parser.extractRouteData(xml, 'ride.tcx').points).toHaveLength(2);
+    });
+
+    it('maps activity metadata', () => {
+        const xml = parseXml(buildTcx([
+            trackpoint({ time: '2024-06-01T08:00:00Z', lat: 46.5, lon: 10.4 })
+        ], { sport: 'Running' }));
+
+        const { metadata } = parser.extractRouteData(xml, 'run.tcx');
+
+        expect(metadata).toEqual({
+            sport: 'running',
+            time: '2024-06-01T08:00:00Z',
+            description: 'Col loop',
+            creator: 'Edge 530'
+        });
+    });
+
+    it('throws when no positioned Trackpoints exist', () => {
+        const xml = parseXml(buildTcx([trackpoint({ time: '2024-06-01T08:00:00Z' })]));
+        expect(() => parser.extractRouteData(xml, 'indoor.tcx')).toThrow('No GPS points found in TCX file');
+    });
+
+    it('rejects XML that is not a TCX document', () => {
+        const xml = parseXml('<gpx><trk></trk></gpx>');
+        expect(() => parser.extractRouteData(xml, 'wrong.tcx')).toThrow('Not a Training Center XML document');
+    });
+
+    it('parses a File through the public API', async () => {
+        const content = buildTcx([
+            trackpoint({ time: '2024-06-01T08:00:00Z', lat: 46.5, lon: 10.4, alt: 1200 }),
+            trackpoint({ time: '2024-06-01T08:01:00Z', lat: 46.51, lon: 10.41, alt: 1250 })
+        ]);
+        const route = await parser.parseTCXFile(new File([content], 'ride.tcx'));
+
+        expect(route.filename).toBe('ride.tcx');
+        expect(route.points).toHaveLength(2);
+    });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import ZipWriter, { crc32 } from '../../src/data/zip-writer.js';
+import ZipReader from '../../src/data/zip-reader.js';
+
+const decoder = new TextDecoder();
+
+describe('ZipWriter', () => {
+    it('computes the standard CRC-32 check value', () => {
+        expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+    });
+
+    it('writes archives ZipReader can read back', async () => {
+        const repetitive = 'route,coin,'.repeat(200);
+        const bytes = await new ZipWriter()
+            .addFile('[Content_Types].xml', '<Types/>')
+            .addFile('3D/3dmodel.model', repetitive)
+            .addFile('data.bin', new Uint8Array([0, 255, 7]))
+            .build();
+
+        const reader = new ZipReader(bytes.buffer);
+        const entries = reader.readEntries();
+
+        expect(entries.map(entry => entry.name)).toEqual(['[Content_Types].xml', '3D/3dmodel.model', 'data.bin']);
+        // Only entries that shrink are deflated
+        expect(entries.map(entry => entry.compressionMethod)).toEqual([0, 8, 0]);
+        expect(entries[1].compressedSize).toBeLessThan(repetitive.length);
+
+        expect(decoder.decode(await reader.extract(entries[0]))).toBe('<Types/>');
+        expect(decoder.decode(await reader.extract(entries[1]))).toBe(repetitive);
+        expect([...await reader.extract(entries[2])]).toEqual([0, 255, 7]);
+    });
+
+    it('stores CRCs and a DOS timestamp in the local headers', async () => {
+        const content = new TextEncoder().encode('hello');
+        const bytes = await new ZipWriter({ date: new Date(2024, 5, 1, 12, 30, 10) }).addFile('a.txt', content).build();
+        const view = new DataView(bytes.buffer);
+
+        expect(view.getUint32(14, true)).toBe(crc32(content));
+        expect(view.getUint16(10, true)).toBe((12 << 11) | (30 << 5) | 5);
+        expect(view.getUint16(12, true)).toBe(((2024 - 1980) << 9) | (6 << 5) | 1);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for 3MF Exporter
+ */
+
+import { describe, it, expect } from 'vitest';
+import { exportTo3MF, buildPartMeshes, create3MFModel, generateFilename, PART_COLORS } from '../../src/export/3mf-exporter.js';
+import { DEFAULT_STL_OPTIONS } from '../../src/export/stl-options.js';
+import ZipReader from '../../src/data/zip-reader.js';
+
+describe('3MF Exporter', () => {
+  const sampleRoute = {
+    id: 'test-route',
+    filename: 'morning-run.gpx',
+    metadata: { name: 'Morning Run' },
+    points: [
+      { lat: 37.7749, lon: -122.4194, elevation: 0 },
+      { lat: 37.7849, lon: -122.4094, elevation: 100 },
+      { lat: 37.7949, lon: -122.3994, elevation: 200 },
+      { lat: 37.8049, lon: -122.3894, elevation: 150 }
+    ]
+  };
+
+  // Unzip a 3MF blob into {name: text}
+  const readPackage = async (blob) => {
+    const buffer = await new Promise((resolve, reject) => {
+      const fileReader = new FileReader();
+      fileReader.onload = () => resolve(fileReader.result);
+      fileReader.onerror = () => reject(fileReader.error);
+      fileReader.readAsArrayBuffer(blob);
+    });
+    const reader = new ZipReader(buffer);
+    const files = {};
+    for (const entry of reader.readEntries()) {
+      files[entry.name] = new TextDecoder().decode(await reader.extract(entry));
+    }
+    return files;
+  };
+
+  describe('buildPartMeshes', () => {
+    it('should keep the route and base plate as separate parts', () => {
+      const meshes = buildPartMeshes(sampleRoute);
+
+      expect(meshes.map(mesh => mesh.name)).toEqual(['Route', 'Base']);
+      expect(meshes.map(mesh => mesh.color)).toEqual([PART_COLORS.route, PART_COLORS.base]);
+      meshes.forEach(mesh => {
+        expect(mesh.triangles.length).toBeGreaterThan(0);
+        mesh.triangles.flat().forEach(index => {
+          expect(index).toBeGreaterThanOrEqual(0);
+          expect(index).toBeLessThan(mesh.vertices.length);
+        });
+      });
+    });
+
+    it('should add text as its own part, filling engraved letters', () => {
+      ['raised', 'engraved'].forEach(baseText => {
+        const meshes = buildPartMeshes(sampleRoute, { ...DEFAULT_STL_OPTIONS, baseText });
+        expect(meshes.map(mesh => mesh.name)).toEqual(['Route', 'Base', 'Text']);
+      });
+    });
+
+    it('should leave out the base when there is none', () => {
+      const meshes = buildPartMeshes(sampleRoute, { ...DEFAULT_STL_OPTIONS, base: 0 });
+      expect(meshes.map(mesh => mesh.name)).toEqual(['Route']);
+    });
+  });
+
+  describe('create3MFModel', () => {
+    it('should write one coloured object per part in an assembly resting on the bed', () => {
+      const meshes = [
+        { name: 'Route', color: '#D9480F', vertices: [[0, 0, 0], [1, 0, 0], [0, 1, 1]], triangles: [[0, 1, 2]] },
+        { name: 'Base', color: '#343A40', vertices: [[0, 0, -2], [1, 0, -2], [0, 1, -2]], triangles: [[0, 1, 2]] }
+      ];
+      const model = create3MFModel(meshes, { title: 'Fish & Chips' });
+
+      expect(model).toContain('unit="millimeter"');
+      expect(model).toContain('<metadata name="Title">Fish &amp; Chips</metadata>');
+      expect(model).toContain('<base name="Route" displaycolor="#D9480FFF" />');
+      expect(model).toContain('<object id="2" type="model" name="Route" pid="1" pindex="0">');
+      expect(model).toContain('<object id="3" type="model" name="Base" pid="1" pindex="1">');
+      expect(model).toContain('<component objectid="3" />');
+      expect(model).toContain('<item objectid="4" transform="1 0 0 0 1 0 0 0 1 0 0 2" />');
+    });
+  });
+
+  describe('exportTo3MF', () => {
+    it('should package the model as a 3MF archive', async () => {
+      const blob = await exportTo3MF(sampleRoute, { ...DEFAULT_STL_OPTIONS, baseText: 'raised' });
+      expect(blob.type).toBe('model/3mf');
+
+      const files = await readPackage(blob);
+      expect(Object.keys(files)).toEqual(['[Content_Types].xml', '_rels/.rels', '3D/3dmodel.model']);
+      expect(files['_rels/.rels']).toContain('Target="/3D/3dmodel.model"');
+
+      const model = files['3D/3dmodel.model'];
+      expect(model).toContain('<metadata name="Title">Morning Run</metadata>');
+      ['Route', 'Base', 'Text'].forEach(name => {
+        expect(model).toContain(`type="model" name="${name}"`);
+      });
+    });
+
+    it('should throw error for route with insufficient points', async () => {
+      const invalidRoute = { id: 'invalid', points: [{ lat: 37.7749, lon: -122.4194, elevation: 0 }] };
+
+      await expect(exportTo3MF(invalidRoute)).rejects.toThrow('at least 2 points');
+    });
+  });
+
+  describe('generateFilename', () => {
+    it('should use the STL name with a 3mf extension', () => {
+      expect(generateFilename(sampleRoute, DEFAULT_STL_OPTIONS)).toMatch(/^morning-run.*\.3mf$/);
+    });
+  });
+});
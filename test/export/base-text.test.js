@@ -0,0 +1,183 @@
+/**
+ * Tests for Base Plate Text
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  isBaseTextEnabled,
+  getBaseTextMode,
+  getBaseTextMargin,
+  formatBaseTextLines,
+  generateTextBasePlate
+} from '../../src/export/base-text.js';
+import { scaleAndCenter, buildRouteGeometry } from '../../src/export/route-geometry-builder.js';
+import { DEFAULT_STL_OPTIONS } from '../../src/export/stl-options.js';
+
+describe('Base Plate Text', () => {
+  const metricUnits = {
+    formatDistance: km => `${km.toFixed(1)}km`,
+    formatElevation: meters => `${Math.round(meters)}m`
+  };
+
+  const route = {
+    id: 'galibier',
+    filename: 'galibier.gpx',
+    metadata: { name: 'Col du Télégraphe 🚴' },
+    distance: 42.17,
+    elevationGain: 1250.4,
+    points: [
+      { lat: 45.2, lon: 6.44, elevation: 700, timestamp: '2024-07-05T08:00:00.000Z' },
+      { lat: 45.21, lon: 6.45, elevation: 900, timestamp: '2024-07-05T08:10:00.000Z' },
+      { lat: 45.22, lon: 6.44, elevation: 1100, timestamp: '2024-07-05T08:20:00.000Z' }
+    ]
+  };
+
+  const textOptions = (overrides = {}) => ({ ...DEFAULT_STL_OPTIONS, baseText: 'raised', ...overrides });
+
+  // Bounds of every vertex in a list of geometries
+  const boundsOf = (geometries) => {
+    const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity, maxRadius: 0 };
+    geometries.forEach(geometry => {
+      const position = geometry.attributes.position;
+      for (let i = 0; i < position.count; i++) {
+        bounds.minX = Math.min(bounds.minX, position.getX(i));
+        bounds.maxX = Math.max(bounds.maxX, position.getX(i));
+        bounds.minZ = Math.min(bounds.minZ, position.getZ(i));
+        bounds.maxZ = Math.max(bounds.maxZ, position.getZ(i));
+        bounds.maxRadius = Math.max(bounds.maxRadius, Math.hypot(position.getX(i), position.getY(i)));
+      }
+    });
+    return bounds;
+  };
+
+  describe('options', () => {
+    it('should only enable text on a base plate', () => {
+      expect(isBaseTextEnabled(DEFAULT_STL_OPTIONS)).toBe(false);
+      expect(isBaseTextEnabled(textOptions())).toBe(true);
+      expect(isBaseTextEnabled(textOptions({ base: 0 }))).toBe(false);
+    });
+
+    it('should always engrave text on the underside', () => {
+      expect(getBaseTextMode(textOptions())).toBe('raised');
+      expect(getBaseTextMode(textOptions({ baseTextPlacement: 'underside' }))).toBe('engraved');
+    });
+
+    it('should reserve a band around the edge for rim text only', () => {
+      expect(getBaseTextMargin(DEFAULT_STL_OPTIONS)).toBe(0);
+      expect(getBaseTextMargin(textOptions({ baseTextPlacement: 'underside' }))).toBe(0);
+      expect(getBaseTextMargin(textOptions({ baseTextSize: 5 }))).toBe(7);
+    });
+  });
+
+  describe('formatBaseTextLines', () => {
+    it('should format the name, date, distance and elevation', () => {
+      expect(formatBaseTextLines(route, {}, metricUnits)).toEqual([
+        'Col du Telegraphe',
+        '5 Jul 2024 · 42.2km · 1250m'
+      ]);
+    });
+
+    it('should prefer the given title and skip missing details', () => {
+      const lines = formatBaseTextLines(
+        { id: 'x', filename: 'loop.gpx', points: [{ lat: 1, lon: 1 }] },
+        { baseTextTitle: 'Club Medal' },
+        metricUnits
+      );
+      expect(lines).toEqual(['Club Medal']);
+    });
+  });
+
+  describe('generateTextBasePlate', () => {
+    const lines = ['Col du Telegraphe', '5 Jul 2024 · 42.2km · 1250m'];
+    const center = { x: 0, y: 0 };
+
+    it('should raise letters on the rim of the plate', () => {
+      const { plate, text } = generateTextBasePlate(lines, textOptions(), center);
+      const plateBounds = boundsOf(plate);
+      const textBounds = boundsOf(text);
+
+      expect(plateBounds.minZ).toBeCloseTo(-DEFAULT_STL_OPTIONS.base, 6);
+      expect(plateBounds.maxZ).toBeCloseTo(0, 6);
+      expect(text.length).toBeGreaterThan(20);
+      expect(textBounds.minZ).toBeCloseTo(0, 6);
+      expect(textBounds.maxZ).toBeCloseTo(DEFAULT_STL_OPTIONS.baseTextDepth, 6);
+      // Inside the plate edge, in the band left free by the route
+      expect(textBounds.maxRadius).toBeLessThanOrEqual(DEFAULT_STL_OPTIONS.baseDiameter / 2 - 0.99);
+    });
+
+    it('should engrave letters into the top of the plate', () => {
+      const { plate, text } = generateTextBasePlate(lines, textOptions({ baseText: 'engraved' }), center);
+      const plateBounds = boundsOf(plate);
+
+      expect(text).toEqual([]);
+      // Solid plate, engraved layer, and the counters of letters like 'o' and 'e'
+      expect(plate.length).toBeGreaterThan(2);
+      expect(plateBounds.minZ).toBeCloseTo(-DEFAULT_STL_OPTIONS.base, 6);
+      expect(plateBounds.maxZ).toBeCloseTo(0, 6);
+    });
+
+    it('should mirror underside text so it reads from below', () => {
+      const { plate } = generateTextBasePlate(['L'], textOptions({ baseTextPlacement: 'underside' }), center);
+      const [, engravedLayer] = plate;
+      engravedLayer.computeBoundingBox();
+
+      // Only the layer at the bottom of the plate is engraved
+      expect(engravedLayer.boundingBox.min.z).toBeCloseTo(-DEFAULT_STL_OPTIONS.base, 6);
+      expect(engravedLayer.boundingBox.max.z).toBeCloseTo(-DEFAULT_STL_OPTIONS.base + DEFAULT_STL_OPTIONS.baseTextDepth, 6);
+
+      // An 'L' seen from above has its foot pointing left
+      const { plate: [, upright] } = generateTextBasePlate(['L'], textOptions({ baseText: 'engraved' }), center);
+      const footX = (geometry) => {
+        const position = geometry.attributes.position;
+        let sum = 0;
+        let count = 0;
+        for (let i = 0; i < position.count; i++) {
+          const radius = Math.hypot(position.getX(i), position.getY(i));
+          if (radius < DEFAULT_STL_OPTIONS.baseDiameter / 2 - 0.5) {
+            sum += position.getX(i);
+            count++;
+          }
+        }
+        return sum / count;
+      };
+      expect(Math.sign(footX(engravedLayer))).toBe(-Math.sign(footX(upright)));
+    });
+  });
+
+  describe('route geometry', () => {
+    const samplePoints = route.points;
+
+    it('should shrink the route to leave room for rim text', () => {
+      const projected = samplePoints.map((point, i) => ({ x: i * 1000, y: i * 500, z: point.elevation }));
+      const plain = scaleAndCenter(projected, DEFAULT_STL_OPTIONS);
+      const withText = scaleAndCenter(projected, textOptions());
+      const underside = scaleAndCenter(projected, textOptions({ baseTextPlacement: 'underside' }));
+
+      expect(withText.scale).toBeLessThan(plain.scale);
+      expect(underside.scale).toBe(plain.scale);
+    });
+
+    it('should add raised text to track and ring models', () => {
+      ['track', 'ring'].forEach(shapeType => {
+        const plain = buildRouteGeometry(route, { ...DEFAULT_STL_OPTIONS, shapeType });
+        const withText = buildRouteGeometry(route, textOptions({ shapeType }));
+
+        expect(withText.attributes.position.count).toBeGreaterThan(plain.attributes.position.count);
+        expect(withText.attributes.normal.count).toBe(withText.attributes.position.count);
+
+        plain.dispose();
+        withText.dispose();
+      });
+    });
+
+    it('should leave the linear profile bar without text', () => {
+      const plain = buildRouteGeometry(route, { ...DEFAULT_STL_OPTIONS, shapeType: 'linear' });
+      const withText = buildRouteGeometry(route, textOptions({ shapeType: 'linear' }));
+
+      expect(withText.attributes.position.count).toBe(plain.attributes.position.count);
+
+      plain.dispose();
+      withText.dispose();
+    });
+  });
+});
@@ -9,7 +9,11 @@ import {
   calculateBounds,
   scaleAndCenter,
   applyVerticalExaggeration,
-  buildRouteGeometry
+  projectWaypointPins,
+  buildElevationProfile,
+  layoutProfile,
+  buildRouteGeometry,
+  buildRouteParts
 } from '../../src/export/route-geometry-builder.js';
 import { DEFAULT_STL_OPTIONS } from '../../src/export/stl-options.js';
 
@@ -225,5 +229,180 @@ describe('Route Geometry Builder', () => {
       // Clean up
       geometry.dispose();
     });
+
+    it('should add waypoint pins on the base when enabled', () => {
+      const route = {
+        id: 'poi-route',
+        points: samplePoints,
+        waypoints: [
+          { lat: 37.7849, lon: -122.4094, name: 'Summit' },
+          { lat: 38.5, lon: -121.0, name: 'Far away' } // Off the base, skipped
+        ]
+      };
+
+      const plain = buildRouteGeometry(route, DEFAULT_STL_OPTIONS);
+      const pinned = buildRouteGeometry(route, { ...DEFAULT_STL_OPTIONS, waypointPins: true });
+      const singlePin = buildRouteGeometry(
+        { ...route, waypoints: route.waypoints.slice(0, 1) },
+        { ...DEFAULT_STL_OPTIONS, waypointPins: true }
+      );
+
+      expect(pinned.attributes.position.count).toBeGreaterThan(plain.attributes.position.count);
+      expect(pinned.attributes.position.count).toBe(singlePin.attributes.position.count);
+
+      plain.dispose();
+      pinned.dispose();
+      singlePin.dispose();
+    });
+  });
+
+  describe('buildRouteParts', () => {
+    it('should build one wall per track segment without bridging the gap', () => {
+      const route = {
+        id: 'gap-route',
+        points: [
+          { lat: 37.77, lon: -122.42, elevation: 0, segmentIndex: 0 },
+          { lat: 37.78, lon: -122.42, elevation: 50, segmentIndex: 0 },
+          { lat: 37.80, lon: -122.42, elevation: 80, segmentIndex: 1 },
+          { lat: 37.81, lon: -122.42, elevation: 120, segmentIndex: 1 }
+        ]
+      };
+
+      const parts = buildRouteParts(route, { ...DEFAULT_STL_OPTIONS, base: 0 });
+
+      expect(parts.route).toHaveLength(2);
+      const [first, second] = parts.route.map(geometry => {
+        geometry.computeBoundingBox();
+        return geometry.boundingBox;
+      });
+      // Nothing is drawn across the gap between the two segments
+      expect(first.max.y).toBeLessThan(second.min.y);
+      parts.route.forEach(geometry => geometry.dispose());
+    });
+  });
+
+  describe('profile shapes', () => {
+    // Every edge of a closed (printable) mesh is shared by exactly two triangles
+    const openEdgeCount = (geometry) => {
+      const index = geometry.index.array;
+      const edges = new Map();
+      for (let i = 0; i < index.length; i += 3) {
+        [[index[i], index[i + 1]], [index[i + 1], index[i + 2]], [index[i + 2], index[i]]].forEach(([a, b]) => {
+          const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+          edges.set(key, (edges.get(key) || 0) + 1);
+        });
+      }
+      return [...edges.values()].filter(count => count !== 2).length;
+    };
+
+    const climb = {
+      id: 'climb',
+      points: Array.from({ length: 50 }, (_, i) => ({
+        lat: 46 + i * 0.001,
+        lon: 7 + (i % 2) * 0.0005,
+        elevation: 500 + Math.sin(i / 8) * 200
+      }))
+    };
+
+    it('should unroll points into cumulative distance and elevation', () => {
+      const profile = buildElevationProfile([
+        { x: 0, y: 0, z: 100 },
+        { x: 3, y: 4, z: 120 },
+        { x: 3, y: 10, z: 90 }
+      ]);
+
+      expect(profile).toEqual([
+        { distance: 0, elevation: 100 },
+        { distance: 5, elevation: 120 },
+        { distance: 11, elevation: 90 }
+      ]);
+    });
+
+    it('should lay a linear profile along the x axis between the margins', () => {
+      const profile = [{ distance: 0, elevation: 0 }, { distance: 500, elevation: 10 }, { distance: 1000, elevation: 0 }];
+      const layout = layoutProfile(profile, { ...DEFAULT_STL_OPTIONS, shapeType: 'linear', edgeMargin: 2 });
+
+      // 80mm base minus 1mm wall and 2mm clearance at each end
+      expect(layout.length).toBeCloseTo(74, 6);
+      expect(layout.points.map(point => point.x)).toEqual([-37, 0, 37]);
+      expect(layout.points.every(point => point.y === 0)).toBe(true);
+      expect(layout.points[1].z).toBeCloseTo(10 * 1000 * layout.scale, 6);
+    });
+
+    it('should wrap a ring profile around a circle, leaving a gap at the front', () => {
+      const profile = [{ distance: 0, elevation: 0 }, { distance: 1000, elevation: 50 }];
+      const layout = layoutProfile(profile, { ...DEFAULT_STL_OPTIONS, shapeType: 'ring', edgeMargin: 2 });
+
+      expect(layout.radius).toBeCloseTo(37, 6);
+      // Densified so the wall follows the circle
+      expect(layout.points.length).toBeGreaterThan(200);
+      layout.points.forEach(point => expect(Math.hypot(point.x, point.y)).toBeCloseTo(37, 6));
+
+      const first = layout.points[0];
+      const last = layout.points[layout.points.length - 1];
+      expect(first.x).toBeGreaterThan(0);
+      expect(last.x).toBeLessThan(0);
+      expect(first.y).toBeCloseTo(last.y, 6);
+      expect(first.y).toBeLessThan(-36);
+    });
+
+    it('should reject unknown shape types', () => {
+      const profile = [{ distance: 0, elevation: 0 }, { distance: 10, elevation: 0 }];
+      expect(() => layoutProfile(profile, { ...DEFAULT_STL_OPTIONS, shapeType: 'spiral' })).toThrow('Unsupported shape type');
+    });
+
+    it('should build a linear profile bar on a rectangular base', () => {
+      const geometry = buildRouteGeometry(climb, { ...DEFAULT_STL_OPTIONS, shapeType: 'linear' });
+      geometry.computeBoundingBox();
+      const { min, max } = geometry.boundingBox;
+
+      expect(geometry.attributes.normal.count).toBe(geometry.attributes.position.count);
+      expect(max.x - min.x).toBeCloseTo(DEFAULT_STL_OPTIONS.baseDiameter, 3);
+      expect(max.y - min.y).toBeCloseTo(DEFAULT_STL_OPTIONS.profileBaseWidth, 3);
+      expect(min.z).toBeCloseTo(-DEFAULT_STL_OPTIONS.base, 3);
+      expect(max.z).toBeCloseTo(DEFAULT_STL_OPTIONS.targetHeight + DEFAULT_STL_OPTIONS.minPathHeight, 1);
+
+      geometry.dispose();
+    });
+
+    it('should build a ring profile on the circular base', () => {
+      const geometry = buildRouteGeometry(climb, { ...DEFAULT_STL_OPTIONS, shapeType: 'ring' });
+      geometry.computeBoundingBox();
+      const { min, max } = geometry.boundingBox;
+
+      expect(max.x - min.x).toBeCloseTo(DEFAULT_STL_OPTIONS.baseDiameter, 0);
+      expect(max.y - min.y).toBeCloseTo(DEFAULT_STL_OPTIONS.baseDiameter, 0);
+      expect(max.z).toBeCloseTo(DEFAULT_STL_OPTIONS.targetHeight + DEFAULT_STL_OPTIONS.minPathHeight, 1);
+
+      geometry.dispose();
+    });
+
+    it('should build closed walls for both shapes', () => {
+      ['linear', 'ring'].forEach(shapeType => {
+        const geometry = buildRouteGeometry(climb, { ...DEFAULT_STL_OPTIONS, shapeType, base: 0 });
+        expect(openEdgeCount(geometry)).toBe(0);
+        geometry.dispose();
+      });
+    });
+  });
+
+  describe('projectWaypointPins', () => {
+    it('should place waypoints in the same frame as the scaled route', () => {
+      const projection = setupProjection('mercator', samplePoints);
+      const scaleResult = scaleAndCenter(projectPoints(samplePoints, projection), DEFAULT_STL_OPTIONS);
+
+      const [pin] = projectWaypointPins([{ ...samplePoints[0], name: 'Start cafe' }], projection, scaleResult);
+
+      expect(pin.x).toBeCloseTo(scaleResult.points[0].x, 6);
+      expect(pin.y).toBeCloseTo(scaleResult.points[0].y, 6);
+      expect(pin.name).toBe('Start cafe');
+    });
+
+    it('should return no pins when there are no waypoints', () => {
+      const projection = setupProjection('mercator', samplePoints);
+      const scaleResult = scaleAndCenter(projectPoints(samplePoints, projection), DEFAULT_STL_OPTIONS);
+
+      expect(projectWaypointPins(undefined, projection, scaleResult)).toEqual([]);
+    });
   });
 });
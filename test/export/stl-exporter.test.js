@@ -86,6 +86,11 @@ describe('STL Exporter', () => {
       expect(filename).toBe('test.stl');
     });
 
+    it('should remove the extension of other route formats', () => {
+      expect(generateFilename({ filename: 'ride.fit' })).toBe('ride.stl');
+      expect(generateFilename({ filename: 'track.geojson' })).toBe('track.stl');
+    });
+
     it('should use route ID if no filename', () => {
       const route = {
         id: 'route-123'
@@ -136,6 +141,12 @@ describe('STL Exporter', () => {
       expect(filename).toContain('25x');
     });
 
+    it('should include the shape unless it is the track', () => {
+      const route = { id: 'test' };
+      expect(generateFilename(route, { shapeType: 'ring' })).toBe('test_ring.stl');
+      expect(generateFilename(route, { shapeType: 'track' })).toBe('test.stl');
+    });
+
     it('should default to "route.stl" if no identifiers', () => {
       const route = {};
       const filename = generateFilename(route);
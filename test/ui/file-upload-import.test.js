@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { indexedDB, IDBKeyRange } from 'fake-indexeddb';
+import FileUploadHandler from '../../src/ui/file-upload.js';
+import RouteStorageManager from '../../src/data/route-storage.js';
+import ZipWriter from '../../src/data/zip-writer.js';
+
+// Two-point activity a few km north of the previous one, so none look like duplicates
+const gpx = (index) => `<?xml version="1.0"?><gpx><trk><trkseg>
+<trkpt lat="${40 + index * 0.1}" lon="10"><ele>100</ele><time>2024-06-${String(index + 1).padStart(2, '0')}T08:00:00Z</time></trkpt>
+<trkpt lat="${40 + index * 0.1 + 0.01}" lon="10"><ele>120</ele><time>2024-06-${String(index + 1).padStart(2, '0')}T08:10:00Z</time></trkpt>
+</trkseg></trk></gpx>`;
+
+describe('FileUploadHandler archive import', () => {
+    let handler;
+
+    beforeEach(async () => {
+        global.indexedDB = indexedDB;
+        global.IDBKeyRange = IDBKeyRange;
+        // Skip DOM/map setup; only the import pipeline is under test
+        vi.spyOn(FileUploadHandler.prototype, 'init').mockResolvedValue();
+
+        handler = new FileUploadHandler();
+        handler.storageManager = new RouteStorageManager();
+        await handler.storageManager.init();
+        await handler.storageManager.clearAllRoutes();
+    });
+
+    afterEach(() => {
+        handler.storageManager.db?.close();
+        vi.restoreAllMocks();
+        delete global.indexedDB;
+        delete global.IDBKeyRange;
+    });
+
+    it('stores every activity from a large export, showing only the newest on the map', async () => {
+        const activityCount = handler.maxAutoSelectedRoutes + 5;
+        const archive = new ZipWriter();
+        for (let i = 0; i < activityCount; i++) {
+            archive.addFile(`activities/${i}.gpx`, gpx(i));
+        }
+        const zip = new File([await archive.build()], 'export.zip');
+
+        await handler.handleFileSelection([zip]);
+
+        const stored = await handler.storageManager.loadRoutes();
+        expect(handler.uploadedRoutes).toHaveLength(activityCount);
+        expect(stored).toHaveLength(activityCount);
+        expect(handler.selectedRoutes.size).toBe(handler.maxAutoSelectedRoutes);
+
+        // The oldest activities are in the library but not drawn
+        const oldest = handler.uploadedRoutes.find(route => route.filename === '0.gpx');
+        expect(handler.selectedRoutes.has(oldest.id)).toBe(false);
+    });
+
+    it('saves only the newly imported routes, not the whole library', async () => {
+        await handler.handleFileSelection([new File([gpx(0)], 'first.gpx'), new File([gpx(1)], 'second.gpx')]);
+        const saveSpy = vi.spyOn(handler.storageManager, 'saveRoutes');
+
+        await handler.handleFileSelection([new File([gpx(2)], 'third.gpx')]);
+
+        expect(saveSpy).toHaveBeenCalledTimes(1);
+        expect(saveSpy.mock.calls[0][0].map(route => route.filename)).toEqual(['third.gpx']);
+        expect(await handler.storageManager.loadRoutes()).toHaveLength(3);
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { indexedDB, IDBKeyRange } from 'fake-indexeddb';
+import FileUploadHandler from '../../src/ui/file-upload.js';
+import RouteStorageManager from '../../src/data/route-storage.js';
+
+const createRoute = (id, distance, overrides = {}) => ({
+    id,
+    filename: `${id}.gpx`,
+    points: [
+        { lat: 46, lon: 7, elevation: 500, timestamp: '2024-06-01T08:00:00.000Z' },
+        { lat: 46.01, lon: 7, elevation: 520, timestamp: '2024-06-01T08:10:00.000Z' }
+    ],
+    distance,
+    elevationGain: 20,
+    duration: 600,
+    uploadTime: '2024-06-01T09:00:00.000Z',
+    ...overrides
+});
+
+describe('FileUploadHandler route list', () => {
+    let handler;
+
+    const listedIds = () => [...document.querySelectorAll('#route-list [data-route-id]')]
+        .map(item => item.dataset.routeId);
+
+    beforeEach(async () => {
+        global.indexedDB = indexedDB;
+        global.IDBKeyRange = IDBKeyRange;
+        document.body.innerHTML = '<div id="route-list"></div>';
+        // Skip DOM/map setup; only the list query is under test
+        vi.spyOn(FileUploadHandler.prototype, 'init').mockResolvedValue();
+
+        handler = new FileUploadHandler();
+        handler.storageManager = new RouteStorageManager();
+        await handler.storageManager.init();
+        await handler.storageManager.clearAllRoutes();
+    });
+
+    afterEach(() => {
+        handler.storageManager.db?.close();
+        vi.restoreAllMocks();
+        document.body.innerHTML = '';
+        delete global.indexedDB;
+        delete global.IDBKeyRange;
+    });
+
+    it('narrows the loaded library by index keys, including routes still being saved', async () => {
+        const stored = [createRoute('short', 5), createRoute('long', 80), createRoute('medium', 30, { tags: ['commute'] })];
+        await handler.storageManager.saveRoutes(stored);
+        handler.uploadedRoutes = [...stored, createRoute('unsaved', 50), createRoute('unsaved-commute', 20, { tags: ['commute'] })];
+        const idsSpy = vi.spyOn(handler.storageManager, 'queryRouteIds');
+        const querySpy = vi.spyOn(handler.storageManager, 'queryRoutes');
+
+        handler.routeLibraryQuery = { ...handler.routeLibraryQuery, sortBy: 'distance', direction: 'desc', minDistance: 10 };
+        await handler.updateRouteList();
+
+        expect(idsSpy).toHaveBeenCalledWith(handler.routeLibraryQuery);
+        expect(listedIds()).toEqual(['long', 'unsaved', 'medium', 'unsaved-commute']);
+
+        handler.routeLibraryQuery = { ...handler.routeLibraryQuery, minDistance: null, tag: 'commute' };
+        await handler.updateRouteList();
+        expect(listedIds()).toEqual(['medium', 'unsaved-commute']);
+        expect(querySpy).not.toHaveBeenCalled();
+    });
+
+    it('only draws the latest of overlapping updates', async () => {
+        const routes = [createRoute('a', 5), createRoute('b', 10)];
+        await handler.storageManager.saveRoutes(routes);
+        handler.uploadedRoutes = routes;
+
+        handler.routeLibraryQuery = { ...handler.routeLibraryQuery, sortBy: 'distance', direction: 'asc' };
+        const first = handler.updateRouteList();
+        handler.routeLibraryQuery = { ...handler.routeLibraryQuery, direction: 'desc' };
+        await Promise.all([first, handler.updateRouteList()]);
+
+        expect(listedIds()).toEqual(['b', 'a']);
+        expect(handler.visibleLibraryRoutes.map(route => route.id)).toEqual(['b', 'a']);
+    });
+
+    it('pins stored routes whether or not they are loaded', async () => {
+        const loaded = createRoute('loaded', 5);
+        await handler.storageManager.saveRoutes([loaded, createRoute('stored-only', 10)]);
+        handler.uploadedRoutes = [loaded];
+        const notify = vi.spyOn(handler, 'showNotification');
+
+        await handler.toggleRoutePinned('stored-only');
+        await handler.toggleRoutePinned('loaded');
+
+        expect(notify).not.toHaveBeenCalled();
+        expect(loaded.pinned).toBe(true);
+        const stored = await handler.storageManager.loadRoutes();
+        expect(stored.map(route => [route.id, route.pinned])).toEqual([['loaded', true], ['stored-only', true]]);
+    });
+});
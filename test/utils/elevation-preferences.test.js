@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import elevationPreferences, { ElevationPreferences } from '../../src/utils/elevation-preferences.js';
+import { DEFAULT_ELEVATION_OPTIONS } from '../../src/data/elevation-profile.js';
+import GPXParser from '../../src/data/gpx-parser.js';
+import RouteManipulator from '../../src/data/route-manipulator.js';
+
+// Flat ride with 2m of barometric wobble every ~100m, then a real 50m climb
+const points = Array.from({ length: 60 }, (_, i) => ({
+    lat: 46 + i * 0.001,
+    lon: 7,
+    elevation: i < 40 ? 500 + (i % 2) * 2 : 500 + (i - 39) * 2.5
+}));
+
+describe('ElevationPreferences', () => {
+    beforeEach(() => {
+        window.localStorage.clear();
+    });
+
+    afterEach(() => {
+        elevationPreferences.setOptions(DEFAULT_ELEVATION_OPTIONS);
+        window.localStorage.clear();
+    });
+
+    it('clamps, stores and reloads the settings', () => {
+        const preferences = new ElevationPreferences();
+        expect(preferences.getOptions()).toEqual(DEFAULT_ELEVATION_OPTIONS);
+
+        expect(preferences.setOptions({ smoothingDistanceMeters: '500', climbThreshold: -1 })).toEqual({
+            smoothingDistanceMeters: 200,
+            climbThreshold: 0
+        });
+        expect(new ElevationPreferences().getOptions()).toEqual({ smoothingDistanceMeters: 200, climbThreshold: 0 });
+
+        // A cleared input falls back to the default
+        expect(preferences.setOptions({ climbThreshold: '' }).climbThreshold).toBe(DEFAULT_ELEVATION_OPTIONS.climbThreshold);
+    });
+
+    it('announces changes only when a value actually changes', () => {
+        const events = [];
+        const listener = (event) => events.push(event.detail.options);
+        window.addEventListener('rcm:elevation-options-change', listener);
+
+        const preferences = new ElevationPreferences();
+        preferences.setOptions({ climbThreshold: 5 });
+        preferences.setOptions({ climbThreshold: 5 });
+
+        window.removeEventListener('rcm:elevation-options-change', listener);
+        expect(events).toEqual([{ smoothingDistanceMeters: 40, climbThreshold: 5 }]);
+    });
+
+    it('is followed by parsed and aggregated route stats', () => {
+        const parser = new GPXParser();
+        const manipulator = new RouteManipulator();
+
+        const defaultGain = parser.calculateStats(points).elevationGain;
+        elevationPreferences.setOptions({ smoothingDistanceMeters: 0, climbThreshold: 1 });
+        const noisyGain = parser.calculateStats(points).elevationGain;
+
+        // Without smoothing and with a low threshold the wobble counts as climbing
+        expect(noisyGain).toBeGreaterThan(defaultGain + 20);
+        expect(manipulator.calculateRouteStats({ points }).elevationGain).toBeCloseTo(noisyGain, 6);
+    });
+});
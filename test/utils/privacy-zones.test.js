@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { PrivacyZones } from '../../src/utils/privacy-zones.js';
+import RouteManipulator from '../../src/data/route-manipulator.js';
+
+// Points ~111m apart heading north from "home" at 46,7
+const createRoute = (count = 20) => ({
+    id: 'route_commute',
+    filename: 'commute.gpx',
+    points: Array.from({ length: count }, (_, i) => ({
+        lat: 46 + i * 0.001,
+        lon: 7,
+        elevation: 500,
+        timestamp: new Date(Date.UTC(2024, 0, 1, 8, i)).toISOString()
+    })),
+    waypoints: [{ lat: 46, lon: 7, name: 'Front door' }, { lat: 46.01, lon: 7, name: 'Bakery' }],
+    metadata: { name: 'Commute' }
+});
+
+describe('RouteManipulator.applyPrivacyZones', () => {
+    const manipulator = new RouteManipulator();
+    const home = { lat: 46, lon: 7, radius: 250 };
+
+    it('removes points and waypoints inside a zone but keeps the route identity', () => {
+        const route = createRoute();
+        const privateRoute = manipulator.applyPrivacyZones(route, [home]);
+
+        expect(privateRoute.points[0].lat).toBeCloseTo(46.003, 6);
+        expect(privateRoute.points).toHaveLength(17);
+        expect(privateRoute.waypoints.map(waypoint => waypoint.name)).toEqual(['Bakery']);
+        expect(privateRoute.id).toBe(route.id);
+        expect(privateRoute.filename).toBe(route.filename);
+        expect(privateRoute.duration).toBe(16 * 60);
+        expect(privateRoute.metadata.privacy).toEqual({ zoneCount: 1, removedPoints: 3 });
+        expect(route.points).toHaveLength(20);
+    });
+
+    it('starts a new segment after passing through a zone', () => {
+        const cafe = { lat: 46.01, lon: 7, radius: 150 };
+        const privateRoute = manipulator.applyPrivacyZones(createRoute(), [cafe]);
+
+        const segmentIndices = [...new Set(privateRoute.points.map(point => point.segmentIndex))];
+        expect(segmentIndices).toEqual([0, 1]);
+        expect(privateRoute.segments.map(segment => segment.pointCount)).toEqual([9, 8]);
+        // The stretch through the zone isn't counted
+        expect(privateRoute.distance).toBeCloseTo(15 * 0.1112, 2);
+    });
+
+    it('returns the route unchanged when no zone touches it', () => {
+        const route = createRoute();
+        expect(manipulator.applyPrivacyZones(route, [{ lat: 10, lon: 10, radius: 500 }])).toBe(route);
+        expect(manipulator.applyPrivacyZones(route, [])).toBe(route);
+    });
+});
+
+describe('PrivacyZones', () => {
+    beforeEach(() => {
+        window.localStorage.clear();
+    });
+
+    it('stores zones locally and reloads them', () => {
+        const zones = new PrivacyZones();
+        const zone = zones.addZone({ name: ' Home ', lat: '46.5', lon: '6.6', radius: 300 });
+        zones.setHideOnMap(true);
+
+        const reloaded = new PrivacyZones();
+        expect(reloaded.getZones()).toEqual([{ ...zone, name: 'Home' }]);
+        expect(reloaded.isHiddenOnMap()).toBe(true);
+
+        reloaded.removeZone(zone.id);
+        expect(new PrivacyZones().hasZones()).toBe(false);
+    });
+
+    it('clamps the radius and rejects invalid coordinates', () => {
+        const zones = new PrivacyZones();
+
+        expect(zones.addZone({ lat: 46, lon: 7, radius: 10 }).radius).toBe(100);
+        expect(zones.addZone({ lat: 46, lon: 7, radius: 50000 }).radius).toBe(5000);
+        expect(() => zones.addZone({ lat: 123, lon: 7 })).toThrow('valid latitude');
+        expect(() => zones.addZone({ lat: NaN, lon: 7 })).toThrow('valid latitude');
+    });
+
+    it('notifies listeners when zones change', () => {
+        const zones = new PrivacyZones();
+        let events = 0;
+        const listener = () => events++;
+        window.addEventListener('rcm:privacy-zones-change', listener);
+
+        zones.addZone({ lat: 46, lon: 7 });
+        zones.setHideOnMap(false); // unchanged, no event
+        window.removeEventListener('rcm:privacy-zones-change', listener);
+
+        expect(events).toBe(1);
+    });
+});
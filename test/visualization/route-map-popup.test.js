@@ -49,3 +49,41 @@ describe('createRoutePopup XSS escaping', () => {
         expect(html).toContain('A nice loop');
     });
 });
+
+describe('createWaypointPopup XSS escaping', () => {
+    const payload = '<img src=x onerror=alert(1)>';
+    const buildWaypointPopup = (waypoint) =>
+        RouteMapVisualization.prototype.createWaypointPopup.call({}, waypoint);
+
+    it('escapes malicious waypoint names and descriptions', () => {
+        const html = buildWaypointPopup({ name: payload, description: payload });
+        expect(html).not.toContain(payload);
+        expect(html).toContain('&lt;img');
+    });
+
+    it('falls back to a generic title for unnamed waypoints', () => {
+        const html = buildWaypointPopup({ name: null, description: 'Water fountain' });
+        expect(html).toContain('Waypoint');
+        expect(html).toContain('Water fountain');
+    });
+});
+
+describe('createRoutePopup DEM correction', () => {
+    it('shows the before/after elevation gain', () => {
+        const html = buildPopup({
+            filename: 'ok',
+            distance: 1,
+            elevationGain: 1,
+            metadata: {
+                elevationCorrection: {
+                    mode: 'replace',
+                    changedPoints: 42,
+                    before: { elevationGain: 0 },
+                    after: { elevationGain: 350 }
+                }
+            }
+        });
+        expect(html).toContain('DEM Elevation');
+        expect(html).toContain('42 points replaced');
+    });
+});
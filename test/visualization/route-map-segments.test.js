@@ -0,0 +1,50 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import L from 'leaflet';
+import RouteMapVisualization from '../../src/visualization/route-map.js';
+
+describe('RouteMapVisualization segments', () => {
+    let map;
+
+    afterEach(() => {
+        map?.remove();
+        document.body.innerHTML = '';
+    });
+
+    const createMap = () => {
+        const container = document.createElement('div');
+        document.body.appendChild(container);
+        map = L.map(container).setView([46, 7], 10);
+        const viz = new RouteMapVisualization();
+        viz.map = map;
+        return viz;
+    };
+
+    it('draws each track segment as its own line, not bridging the gap', () => {
+        const viz = createMap();
+        const layer = viz.addRoute({
+            id: 'gap',
+            filename: 'gap.gpx',
+            points: [
+                { lat: 46, lon: 7, segmentIndex: 0 },
+                { lat: 46.01, lon: 7, segmentIndex: 0 },
+                { lat: 46.1, lon: 7, segmentIndex: 1 },
+                { lat: 46.11, lon: 7, segmentIndex: 1 }
+            ]
+        }, { showMarkers: false });
+
+        const lines = layer.polyline.getLatLngs();
+        expect(lines).toHaveLength(2);
+        expect(lines.map(line => line.map(latLng => latLng.lat))).toEqual([[46, 46.01], [46.1, 46.11]]);
+    });
+
+    it('keeps a route without segments as one line', () => {
+        const viz = createMap();
+        const layer = viz.addRoute({
+            id: 'plain',
+            filename: 'plain.gpx',
+            points: [{ lat: 46, lon: 7 }, { lat: 46.01, lon: 7 }, { lat: 46.02, lon: 7 }]
+        }, { showMarkers: false });
+
+        expect(layer.polyline.getLatLngs()).toHaveLength(3);
+    });
+});